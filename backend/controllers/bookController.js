@@ -1,16 +1,186 @@
 import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
-import Book from '../models/Book.js';
+import Book, { BOOK_STATUSES, PAGES_READ_EXPRESSION } from '../models/Book.js';
 import User from '../models/User.js';
+import ReadingSession from '../models/ReadingSession.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import BookRevision, { REVISION_SOURCES } from '../models/BookRevision.js';
+import Shelf from '../models/Shelf.js';
+import {
+  buildAdvancedSearchQuery,
+  parseSearchQuery,
+  buildSearchFilter,
+  hasFreeText,
+  getSearchTerms,
+  rankedBookSearch,
+  buildExclusionFilter,
+  decodeEntities
+} from '../utils/bookSearch.js';
+import { rankSuggestions, SUGGESTION_TYPES } from '../utils/fuzzySearch.js';
+import { resolveBookGenre } from '../utils/genres.js';
+import { resolveShelfFilter } from '../utils/shelves.js';
+import { getBookFacets, tagFilter, decadeFilter } from '../utils/facets.js';
+import Genre from '../models/Genre.js';
+import { withTiebreaker, applyCursor, encodeCursor, decodeCursor } from '../utils/pagination.js';
+import { storeCoverImage } from '../utils/coverImages.js';
+import fs from 'fs/promises';
+
+// Helper function to build a sort object; series sort keeps each series in reading order
+const buildSort = (sortBy, sortOrder) => {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  if (sortBy === 'series') {
+    return { series: direction, seriesPosition: 1, title: 1 };
+  }
+  return { [sortBy]: direction };
+};
+
+// Helper function to fetch one page of books. Sending `cursor` (empty for the first page) switches
+// from page numbers to cursor pagination; only the first cursor page counts the total.
+const findBookPage = async (query, { sort, page = 1, limit = 20, cursor }) => {
+  const stableSort = withTiebreaker(sort);
+  const limitNum = parseInt(limit) || 20;
+
+  if (cursor === undefined) {
+    const pageNum = parseInt(page) || 1;
+    const books = await Book.find(query)
+      .sort(stableSort)
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+    const totalBooks = await Book.countDocuments(query);
+    const totalPages = Math.ceil(totalBooks / limitNum);
+
+    return {
+      books,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalBooks,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    };
+  }
+
+  // One extra book tells whether another page follows
+  const books = await Book.find(cursor ? applyCursor(query, stableSort, cursor) : query)
+    .sort(stableSort)
+    .limit(limitNum + 1);
+  const hasNextPage = books.length > limitNum;
+  if (hasNextPage) books.pop();
+
+  const pagination = {
+    limit: limitNum,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(books[books.length - 1], stableSort) : null
+  };
+  if (!cursor) {
+    pagination.totalBooks = await Book.countDocuments(query);
+  }
+
+  return { books, pagination };
+};
+
+// Helper function to fetch a page of books with facet counts for the whole filter. Later cursor
+// pages leave the facets out, like the total, as they describe the same result set.
+const findBookPageWithFacets = async (query, options) => {
+  const [{ books, pagination }, facets] = await Promise.all([
+    findBookPage(query, options),
+    options.cursor ? undefined : getBookFacets(query)
+  ]);
+  return { books, pagination, ...(facets && { facets }) };
+};
+
+// Ranked search results are ordered in memory, best first
+const RANKED_SORT = { searchScore: -1, _id: -1 };
+
+// Helper function to page through ranked search results, by page number or by a cursor holding
+// the score and id of the last result shown (see findBookPage)
+const pageRankedResults = (results, { page = 1, limit = 20, cursor }) => {
+  const limitNum = parseInt(limit) || 20;
+
+  if (cursor === undefined) {
+    const pageNum = parseInt(page) || 1;
+    const totalPages = Math.ceil(results.length / limitNum);
+    return {
+      books: results.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalBooks: results.length,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    };
+  }
+
+  let start = 0;
+  if (cursor) {
+    const [score, id] = decodeCursor(cursor, RANKED_SORT);
+    start = results.findIndex(result => result.searchScore < score ||
+      (result.searchScore === score && result._id.toString() < id.toString()));
+    if (start === -1) start = results.length;
+  }
 
-// @desc    Get all books for user
+  const books = results.slice(start, start + limitNum);
+  const hasNextPage = start + limitNum < results.length;
+  const pagination = {
+    limit: limitNum,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(books[books.length - 1], RANKED_SORT) : null
+  };
+  if (!cursor) {
+    pagination.totalBooks = results.length;
+  }
+
+  return { books, pagination };
+};
+
+// Where a change came from, sent by clients as X-Change-Source (e.g. offline sync); defaults to web
+const changeSource = (req) => {
+  const source = req.get('X-Change-Source');
+  return REVISION_SOURCES.includes(source) ? source : 'web';
+};
+
+// Keep the reading goal in step when a book enters or leaves the completed status
+const updateReadingGoal = async (userId, oldStatus, newStatus) => {
+  if (oldStatus === newStatus || (oldStatus !== 'completed' && newStatus !== 'completed')) return;
+
+  const user = await User.findById(userId);
+  if (!user) return;
+  if (newStatus === 'completed') {
+    await user.updateReadingProgress(1);
+  } else if (user.readingGoal.current > 0) {
+    await user.updateReadingProgress(-1);
+  }
+};
+
+// Reject an ISBN the user already has on another book, including books in the trash
+const assertIsbnAvailable = async (userId, isbn, excludeId) => {
+  const existing = await Book.findByIsbn(userId, isbn, { excludeId });
+  if (existing) {
+    throw new AppError(
+      existing.deletedAt
+        ? 'You already have a book with this ISBN in your trash'
+        : 'You already have a book with this ISBN',
+      400
+    );
+  }
+};
+
+// @desc    Get all books for user, with facet counts for the filtered set
 // @route   GET /api/v1/books
 // @access  Private
 const getBooks = asyncHandler(async (req, res) => {
   const {
-    page = 1,
-    limit = 20,
+    page,
+    limit,
+    cursor,
     status,
     genre,
+    shelf,
+    series,
+    tag,
+    rating,
+    decade,
     sortBy = 'createdAt',
     sortOrder = 'desc'
   } = req.query;
@@ -22,35 +192,47 @@ const getBooks = asyncHandler(async (req, res) => {
     query.status = status;
   }
 
+  // A genre id, path or exact name; books in its sub-genres are included
   if (genre && genre !== 'all') {
-    query.genre = new RegExp(genre, 'i');
+    query.genreId = { $in: await Genre.resolveFilter(req.user._id, genre) };
   }
 
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // Books on a regular shelf, or those matching a smart shelf's criteria
+  if (shelf && shelf !== 'all') {
+    const { filter } = await resolveShelfFilter(req.user._id, shelf);
+    query.$and = [filter];
+  }
 
-  // Execute query with pagination
-  const books = await Book.find(query)
-    .sort(sort)
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .exec();
+  if (series && series !== 'all') {
+    query.series = series;
+  }
 
-  // Get total count for pagination
-  const total = await Book.countDocuments(query);
+  // Refinements offered by the facet counts
+  if (tag) {
+    Object.assign(query, tagFilter(tag));
+  }
+
+  if (rating) {
+    query.rating = parseInt(rating, 10);
+  }
+
+  if (decade) {
+    Object.assign(query, decadeFilter(parseInt(decade, 10)));
+  }
+
+  const { books, pagination, facets } = await findBookPageWithFacets(query, {
+    sort: buildSort(sortBy, sortOrder),
+    page,
+    limit,
+    cursor
+  });
 
   res.status(200).json({
     success: true,
     data: {
       books,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalBooks: total,
-        hasNextPage: page < Math.ceil(total / limit),
-        hasPrevPage: page > 1
-      }
+      pagination,
+      facets
     }
   });
 });
@@ -83,7 +265,18 @@ const createBook = asyncHandler(async (req, res) => {
     userId: req.user._id
   };
 
+  if (bookData.shelves && !(await Shelf.belongToUser(req.user._id, bookData.shelves))) {
+    throw new AppError('Shelf not found', 404);
+  }
+
+  if (bookData.isbn) {
+    await assertIsbnAvailable(req.user._id, bookData.isbn);
+  }
+
+  Object.assign(bookData, await resolveBookGenre(req.user._id, bookData));
+
   const book = await Book.create(bookData);
+  await BookRevision.record(book, null, { source: changeSource(req) });
 
   res.status(201).json({
     success: true,
@@ -96,7 +289,7 @@ const createBook = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/books/:id
 // @access  Private
 const updateBook = asyncHandler(async (req, res) => {
-  let book = await Book.findOne({
+  const book = await Book.findOne({
     _id: req.params.id,
     userId: req.user._id
   });
@@ -105,14 +298,32 @@ const updateBook = asyncHandler(async (req, res) => {
     throw new AppError('Book not found', 404);
   }
 
-  book = await Book.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  );
+  if (req.body.shelves && !(await Shelf.belongToUser(req.user._id, req.body.shelves))) {
+    throw new AppError('Shelf not found', 404);
+  }
+
+  if (req.body.isbn) {
+    await assertIsbnAvailable(req.user._id, req.body.isbn, book._id);
+  }
+
+  Object.assign(req.body, await resolveBookGenre(req.user._id, req.body));
+
+  const before = BookRevision.snapshot(book);
+  const oldStatus = book.status;
+  const previousUnit = book.progressUnit;
+  const previousPosition = book.progressPosition;
+
+  // Saved rather than updated in place so the pre-save middleware handles a status change the same
+  // way as PATCH /status: read-throughs, completion and abandonment dates
+  book.set(req.body);
+  await book.save({ validateModifiedOnly: true });
+
+  // Positions in different units (e.g. after a format change) cannot be compared
+  if (book.progressUnit === previousUnit) {
+    await ProgressEntry.recordChange(book, previousPosition, 'manual');
+  }
+  await BookRevision.record(book, before, { source: changeSource(req) });
+  await updateReadingGoal(req.user._id, oldStatus, book.status);
 
   res.status(200).json({
     success: true,
@@ -125,10 +336,10 @@ const updateBook = asyncHandler(async (req, res) => {
 // @route   PATCH /api/v1/books/:id/status
 // @access  Private
 const updateBookStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, abandonmentReason, abandonedPage, dateAbandoned } = req.body;
 
-  if (!status || !['not_started', 'in_progress', 'completed'].includes(status)) {
-    throw new AppError('Invalid status. Must be: not_started, in_progress, or completed', 400);
+  if (!status || !BOOK_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${BOOK_STATUSES.join(', ')}`, 400);
   }
 
   let book = await Book.findOne({
@@ -140,34 +351,133 @@ const updateBookStatus = asyncHandler(async (req, res) => {
     throw new AppError('Book not found', 404);
   }
 
+  const before = BookRevision.snapshot(book);
   const oldStatus = book.status;
+  const previousPosition = book.progressPosition;
   book.status = status;
 
+  if (status === 'abandoned') {
+    if (abandonmentReason !== undefined) book.abandonmentReason = abandonmentReason;
+    if (abandonedPage !== undefined) book.abandonedPage = parseInt(abandonedPage);
+    if (dateAbandoned !== undefined) book.dateAbandoned = new Date(dateAbandoned);
+  }
+
   // The pre-save middleware will handle date updates
   await book.save();
+  await ProgressEntry.recordChange(book, previousPosition, 'status');
+  await BookRevision.record(book, before, { source: changeSource(req) });
 
-  // Update user's reading goal progress if book was completed
-  if (status === 'completed' && oldStatus !== 'completed') {
-    const user = await User.findById(req.user._id);
-    if (user) {
-      await user.updateReadingProgress(1);
+  // Update user's reading goal progress if book was completed or uncompleted
+  await updateReadingGoal(req.user._id, oldStatus, status);
+
+  res.status(200).json({
+    success: true,
+    data: { book },
+    message: `Book status updated to ${status.replace(/_/g, ' ')}`
+  });
+});
+
+// @desc    Start reading a completed book again
+// @route   POST /api/v1/books/:id/reread
+// @access  Private
+const startReread = asyncHandler(async (req, res) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  if (book.status !== 'completed') {
+    throw new AppError('Only completed books can be re-read', 400);
+  }
+
+  const before = BookRevision.snapshot(book);
+  const previousPosition = book.progressPosition;
+
+  // The previous read-through stays in book.readings
+  await book.startReread();
+  await ProgressEntry.recordChange(book, previousPosition, 'status');
+  await BookRevision.record(book, before, { source: changeSource(req) });
+
+  res.status(200).json({
+    success: true,
+    data: { book },
+    message: 'Re-read started'
+  });
+});
+
+// @desc    Upload a photo as the book's cover; it is stored as thumbnails in every cover size
+// @route   POST /api/v1/books/:id/cover
+// @access  Private
+const uploadBookCover = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please choose an image to upload', 400);
+  }
+
+  try {
+    if (!req.file.mimetype.startsWith('image/')) {
+      throw new AppError('Cover must be a JPEG, PNG, GIF or WebP image', 400);
     }
-  } else if (oldStatus === 'completed' && status !== 'completed') {
-    // Decrease progress if book was uncompleted
-    const user = await User.findById(req.user._id);
-    if (user && user.readingGoal.current > 0) {
-      await user.updateReadingProgress(-1);
+
+    const book = await Book.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!book) {
+      throw new AppError('Book not found', 404);
     }
+
+    // Files that are not images fail with a 400; storage errors are server errors
+    const coverImage = await storeCoverImage(book._id.toString(), req.file.path);
+
+    // Earlier uploads stay stored so reverting the cover in the book's history still works;
+    // they are deleted when the book is purged from the trash
+    const before = BookRevision.snapshot(book);
+    book.coverImage = coverImage;
+    await book.save({ validateModifiedOnly: true });
+    await BookRevision.record(book, before, { source: changeSource(req) });
+
+    res.status(200).json({
+      success: true,
+      data: { book },
+      message: 'Cover uploaded successfully'
+    });
+  } finally {
+    // Only the generated thumbnails are kept
+    await fs.unlink(req.file.path).catch(() => {});
   }
+});
+
+// @desc    Remove the book's cover image
+// @route   DELETE /api/v1/books/:id/cover
+// @access  Private
+const removeBookCover = asyncHandler(async (req, res) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const before = BookRevision.snapshot(book);
+  book.coverImage = '';
+  await book.save({ validateModifiedOnly: true });
+  await BookRevision.record(book, before, { source: changeSource(req) });
 
   res.status(200).json({
     success: true,
     data: { book },
-    message: `Book status updated to ${status.replace('_', ' ')}`
+    message: 'Cover removed successfully'
   });
 });
 
-// @desc    Delete book
+// @desc    Move book to the trash
 // @route   DELETE /api/v1/books/:id
 // @access  Private
 const deleteBook = asyncHandler(async (req, res) => {
@@ -188,187 +498,298 @@ const deleteBook = asyncHandler(async (req, res) => {
     }
   }
 
-  await Book.findByIdAndDelete(req.params.id);
+  // Sessions, progress and highlights stay until the book is purged from the trash
+  await book.moveToTrash();
 
   res.status(200).json({
     success: true,
-    message: 'Book deleted successfully'
+    data: { book },
+    message: 'Book moved to trash'
   });
 });
 
-// @desc    Search books
-// @route   GET /api/v1/books/search
+// @desc    Get page-progress history for a book
+// @route   GET /api/v1/books/:id/progress
 // @access  Private
-const searchBooks = asyncHandler(async (req, res) => {
-  const { q, page = 1, limit = 20 } = req.query;
+const getBookProgress = asyncHandler(async (req, res) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
 
-  if (!q) {
-    throw new AppError('Search query is required', 400);
+  if (!book) {
+    throw new AppError('Book not found', 404);
   }
 
-  const query = {
-    userId: req.user._id,
-    $or: [
-      { title: { $regex: q, $options: 'i' } },
-      { author: { $regex: q, $options: 'i' } },
-      { genre: { $regex: q, $options: 'i' } },
-      { tags: { $in: [new RegExp(q, 'i')] } }
-    ]
-  };
+  const history = await ProgressEntry.find({
+    bookId: book._id,
+    userId: req.user._id
+  }).sort({ recordedAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      bookId: book._id,
+      currentPage: book.currentPage,
+      pageCount: book.pageCount,
+      progressUnit: book.progressUnit,
+      progressPosition: book.progressPosition,
+      progressTotal: book.progressTotal,
+      history
+    }
+  });
+});
+
+// @desc    Get the revision history of a book, newest first
+// @route   GET /api/v1/books/:id/history
+// @access  Private
+const getBookHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
 
-  const books = await Book.find(query)
-    .sort({ createdAt: -1 })
+  const revisions = await BookRevision.find({ bookId: book._id })
+    .sort({ createdAt: -1, _id: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .exec();
 
-  const total = await Book.countDocuments(query);
+  const total = await BookRevision.countDocuments({ bookId: book._id });
 
   res.status(200).json({
     success: true,
     data: {
-      books,
+      revisions,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
-        totalBooks: total,
+        totalRevisions: total,
         hasNextPage: page < Math.ceil(total / limit),
         hasPrevPage: page > 1
-      },
-      searchQuery: q
+      }
     }
   });
 });
 
-// @desc    Advanced search books
-// @route   POST /api/v1/books/search/advanced
+// @desc    Restore a book's fields to how they were after a revision
+// @route   POST /api/v1/books/:id/history/:revisionId/revert
 // @access  Private
-const advancedSearchBooks = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  const {
-    title,
-    author,
-    isbn,
-    genre,
-    status,
-    rating,
-    pageCount,
-    dateRange,
-    tags,
-    notes,
-    hasRating,
-    hasNotes,
-    page = 1,
-    limit = 20,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.body;
+const revertBookRevision = asyncHandler(async (req, res) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
 
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
-  const skip = (pageNum - 1) * limitNum;
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
 
-  // Build advanced search query
-  const searchQuery = { userId };
+  const revision = await BookRevision.findOne({
+    _id: req.params.revisionId,
+    bookId: book._id
+  });
 
-  // Text-based searches
-  if (title) {
-    searchQuery.title = { $regex: title, $options: 'i' };
+  if (!revision) {
+    throw new AppError('Revision not found', 404);
   }
 
-  if (author) {
-    searchQuery.author = { $regex: author, $options: 'i' };
-  }
+  const values = await BookRevision.valuesAtRevision(book, revision);
 
-  if (isbn) {
-    searchQuery.isbn = { $regex: isbn, $options: 'i' };
+  if (values.isbn) {
+    await assertIsbnAvailable(req.user._id, values.isbn, book._id);
   }
-
-  if (genre) {
-    searchQuery.genre = genre;
+  // Shelves deleted since the revision are left out
+  if (values.shelves.length > 0) {
+    const shelves = await Shelf.find({ _id: { $in: values.shelves }, userId: req.user._id }).select('_id');
+    const remaining = new Set(shelves.map(shelf => shelf._id.toString()));
+    values.shelves = values.shelves.filter(shelfId => remaining.has(shelfId));
   }
+  // Revisions store the genre path; find (or recreate) the genre it names
+  const genreFields = await resolveBookGenre(req.user._id, { genre: values.genre || '' });
 
-  if (status) {
-    searchQuery.status = status;
-  }
+  const before = BookRevision.snapshot(book);
+  const oldStatus = book.status;
+  const previousUnit = book.progressUnit;
+  const previousPosition = book.progressPosition;
 
-  if (notes) {
-    searchQuery.notes = { $regex: notes, $options: 'i' };
+  Object.entries(values).forEach(([field, value]) => {
+    book[field] = value === null ? undefined : value;
+  });
+  Object.assign(book, genreFields);
+  await book.save();
+
+  if (book.progressUnit === previousUnit) {
+    await ProgressEntry.recordChange(book, previousPosition, 'manual');
   }
+  const revert = await BookRevision.record(book, before, {
+    source: changeSource(req),
+    revertedTo: revision._id
+  });
+  await updateReadingGoal(req.user._id, oldStatus, book.status);
 
-  // Rating range
-  if (rating && (rating.min || rating.max)) {
-    searchQuery.rating = {};
-    if (rating.min) {
-      searchQuery.rating.$gte = parseFloat(rating.min);
-    }
-    if (rating.max) {
-      searchQuery.rating.$lte = parseFloat(rating.max);
-    }
+  res.status(200).json({
+    success: true,
+    data: { book, revision: revert },
+    message: revert ? 'Book reverted' : 'Book already matches this revision'
+  });
+});
+
+// @desc    Get the next unread book in this book's series
+// @route   GET /api/v1/books/:id/next-in-series
+// @access  Private
+const getNextInSeries = asyncHandler(async (req, res) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
   }
 
-  // Page count range
-  if (pageCount && (pageCount.min || pageCount.max)) {
-    searchQuery.pageCount = {};
-    if (pageCount.min) {
-      searchQuery.pageCount.$gte = parseInt(pageCount.min);
-    }
-    if (pageCount.max) {
-      searchQuery.pageCount.$lte = parseInt(pageCount.max);
+  const nextBook = await Book.findNextInSeries(book);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      series: book.series || null,
+      nextBook
     }
+  });
+});
+
+// @desc    Search books, ranked by relevance. Besides free text, the query understands field
+//          filters such as `author:tolkien status:completed rating:>=4 tag:classic`
+// @route   GET /api/v1/books/search
+// @access  Private
+const searchBooks = asyncHandler(async (req, res) => {
+  const { q, page, limit, cursor } = req.query;
+
+  if (!q) {
+    throw new AppError('Search query is required', 400);
   }
 
-  // Date range
-  if (dateRange && (dateRange.start || dateRange.end)) {
-    searchQuery.createdAt = {};
-    if (dateRange.start) {
-      searchQuery.createdAt.$gte = new Date(dateRange.start);
-    }
-    if (dateRange.end) {
-      const endDate = new Date(dateRange.end);
-      endDate.setHours(23, 59, 59, 999); // End of day
-      searchQuery.createdAt.$lte = endDate;
+  const parsed = parseSearchQuery(q);
+  const filter = await buildSearchFilter(req.user._id, parsed.filters);
+
+  // Field filters and exclusions alone have nothing to rank by, so list the matching books newest first
+  const { books, pagination } = hasFreeText(parsed)
+    ? pageRankedResults(await rankedBookSearch(req.user._id, parsed, filter), { page, limit, cursor })
+    : await findBookPage(
+      { ...filter, ...buildExclusionFilter(parsed) },
+      { sort: { createdAt: -1 }, page, limit, cursor }
+    );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      books,
+      pagination,
+      searchQuery: q,
+      searchTerms: getSearchTerms(parsed),
+      searchFilters: parsed.filters
     }
-  }
+  });
+});
 
-  // Tags search
-  if (tags) {
-    const tagArray = tags.split(',').map(tag => tag.trim()).filter(Boolean);
-    if (tagArray.length > 0) {
-      searchQuery.tags = { $in: tagArray.map(tag => new RegExp(tag, 'i')) };
+// Count the values of one book field (unwinding arrays), merging values that differ only in case
+const countFieldValues = async (userId, field) => {
+  const pipeline = [{ $match: { userId, [field]: { $nin: [null, ''] } } }];
+  if (field === 'tags') pipeline.push({ $unwind: '$tags' });
+  pipeline.push({ $group: { _id: `$${field}`, count: { $sum: 1 } } });
+
+  const merged = new Map();
+  (await Book.aggregate(pipeline)).forEach(({ _id: value, count }) => {
+    const key = String(value).toLowerCase();
+    const existing = merged.get(key);
+    // Keep the most used spelling
+    if (!existing || count > existing.count) {
+      merged.set(key, { value, count: count + (existing?.count || 0) });
+    } else {
+      existing.count += count;
     }
-  }
+  });
+  return [...merged.values()];
+};
 
-  // Special filters
-  if (hasRating) {
-    searchQuery.rating = { $exists: true, $ne: null };
-  }
+// Genre paths with the number of books filed directly under each
+const countGenrePaths = async (userId) => {
+  const [labels, counts] = await Promise.all([
+    Genre.getPathLabels(userId),
+    Book.aggregate([
+      { $match: { userId, genreId: { $ne: null } } },
+      { $group: { _id: '$genreId', count: { $sum: 1 } } }
+    ])
+  ]);
+  const countsById = new Map(counts.map(({ _id: id, count }) => [id.toString(), count]));
+  return [...labels.entries()].map(([id, value]) => ({ value, count: countsById.get(id) || 0 }));
+};
 
-  if (hasNotes) {
-    searchQuery.notes = { $exists: true, $ne: '', $ne: null };
-  }
+const SUGGESTION_SOURCES = {
+  title: (userId) => countFieldValues(userId, 'title'),
+  author: (userId) => countFieldValues(userId, 'author'),
+  tag: (userId) => countFieldValues(userId, 'tags'),
+  genre: countGenrePaths
+};
 
-  // Get total count
-  const totalBooks = await Book.countDocuments(searchQuery);
-  const totalPages = Math.ceil(totalBooks / limitNum);
+// @desc    Autocomplete titles, authors, tags and genres from the user's library, tolerating typos
+// @route   GET /api/v1/books/suggest
+// @access  Private
+const getSuggestions = asyncHandler(async (req, res) => {
+  const query = decodeEntities(req.query.q);
+  const types = req.query.types
+    ? SUGGESTION_TYPES.filter(type => req.query.types.split(',').map(item => item.trim()).includes(type))
+    : SUGGESTION_TYPES;
+  const limit = parseInt(req.query.limit, 10) || 8;
 
-  // Get books with pagination
-  const books = await Book.find(searchQuery)
-    .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-    .skip(skip)
-    .limit(limitNum);
+  const candidates = (await Promise.all(types.map(async type => (
+    (await SUGGESTION_SOURCES[type](req.user._id)).map(candidate => ({ type, ...candidate }))
+  )))).flat();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      suggestions: rankSuggestions(query, candidates, limit),
+      query
+    }
+  });
+});
+
+// @desc    Advanced search books
+// @route   POST /api/v1/books/search/advanced
+// @access  Private
+const advancedSearchBooks = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const {
+    page,
+    limit,
+    cursor,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = req.body;
+
+  const searchQuery = await buildAdvancedSearchQuery(userId, req.body);
+
+  const { books, pagination, facets } = await findBookPageWithFacets(searchQuery, {
+    sort: buildSort(sortBy, sortOrder),
+    page,
+    limit,
+    cursor
+  });
 
   res.status(200).json({
     success: true,
     data: {
       books,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalBooks,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
-      },
+      pagination,
+      facets,
       searchCriteria: req.body
     }
   });
@@ -397,13 +818,7 @@ const getReadingStats = asyncHandler(async (req, res) => {
 
   // Get reading activity by month (last 12 months)
   const readingActivity = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: { $exists: true }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId),
     {
       $group: {
         _id: {
@@ -411,7 +826,7 @@ const getReadingStats = asyncHandler(async (req, res) => {
           month: { $month: '$dateCompleted' }
         },
         count: { $sum: 1 },
-        pages: { $sum: { $ifNull: ['$pageCount', 0] } },
+        pages: { $sum: PAGES_READ_EXPRESSION },
         books: {
           $push: {
             title: '$title',
@@ -436,12 +851,10 @@ const getReadingStats = asyncHandler(async (req, res) => {
 
   // Get reading pace (average days to complete a book)
   const readingPace = await Book.aggregate([
+    ...Book.completedReadingsPipeline(userId),
     {
       $match: {
-        userId: userId,
-        status: 'completed',
-        dateStarted: { $exists: true },
-        dateCompleted: { $exists: true }
+        dateStarted: { $exists: true, $ne: null }
       }
     },
     {
@@ -465,24 +878,14 @@ const getReadingStats = asyncHandler(async (req, res) => {
 
   // Get current year progress
   const currentYear = new Date().getFullYear();
-  const yearlyProgress = await Book.countDocuments({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: new Date(currentYear, 0, 1),
-      $lt: new Date(currentYear + 1, 0, 1)
-    }
+  const yearlyProgress = await Book.countCompletedReadings(userId, {
+    startDate: new Date(currentYear, 0, 1),
+    endDate: new Date(currentYear + 1, 0, 1)
   });
 
   // Get reading streaks (consecutive days with reading activity)
   const readingStreaks = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: { $exists: true }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId),
     {
       $group: {
         _id: {
@@ -499,6 +902,9 @@ const getReadingStats = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Get reading time and speed from recorded sessions
+  const sessionStats = await ReadingSession.getUserSessionStats(userId);
+
   res.status(200).json({
     success: true,
     data: {
@@ -507,7 +913,8 @@ const getReadingStats = asyncHandler(async (req, res) => {
       genreStats,
       readingPace: readingPace[0] || { averageDays: 0, totalBooks: 0 },
       yearlyProgress,
-      readingStreaks
+      readingStreaks,
+      sessionStats
     }
   });
 });
@@ -526,15 +933,14 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
   const startDate = new Date(targetYear, targetMonth - 1, 1);
   const endDate = new Date(targetYear, targetMonth, 0, 23, 59, 59);
 
-  // Books completed this month
-  const completedBooks = await Book.find({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: startDate,
-      $lte: endDate
-    }
-  }).sort({ dateCompleted: -1 });
+  // Read-throughs completed this month (a re-read counts again)
+  const completedBooks = await Book.aggregate([
+    ...Book.completedReadingsPipeline(userId, {
+      startDate,
+      endDate: new Date(targetYear, targetMonth, 1)
+    }),
+    { $sort: { dateCompleted: -1 } }
+  ]);
 
   // Books started this month
   const startedBooks = await Book.find({
@@ -546,7 +952,9 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
   }).sort({ dateStarted: -1 });
 
   // Calculate statistics
-  const totalPages = completedBooks.reduce((sum, book) => sum + (book.pageCount || 0), 0);
+  const totalPages = completedBooks
+    .filter(book => book.format !== 'audiobook')
+    .reduce((sum, book) => sum + (book.pageCount || 0), 0);
   const averageRating = completedBooks.length > 0
     ? completedBooks.filter(book => book.rating).reduce((sum, book) => sum + book.rating, 0) / completedBooks.filter(book => book.rating).length
     : 0;
@@ -575,7 +983,15 @@ export {
   updateBook,
   deleteBook,
   updateBookStatus,
+  startReread,
+  uploadBookCover,
+  removeBookCover,
+  getBookProgress,
+  getBookHistory,
+  revertBookRevision,
+  getNextInSeries,
   searchBooks,
+  getSuggestions,
   advancedSearchBooks,
   getBooksByGenre,
   getReadingStats,
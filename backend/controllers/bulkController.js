@@ -0,0 +1,98 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import User from '../models/User.js';
+import { buildAdvancedSearchQuery } from '../utils/bookSearch.js';
+import { applyBulkOperation, MAX_BULK_BOOKS } from '../utils/bulkOperations.js';
+import { resolveBookGenre } from '../utils/genres.js';
+
+// Readable reason a single book could not be updated
+const describeError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(val => val.message).join(', ');
+  }
+  return error.message;
+};
+
+// @desc    Apply one operation to many books, chosen by ID or by advanced search filter
+// @route   POST /api/v1/books/bulk
+// @access  Private
+const bulkUpdateBooks = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { bookIds, filter, operation } = req.body;
+
+  let requestedIds;
+  let books;
+
+  if (bookIds) {
+    requestedIds = [...new Set(bookIds.map(String))];
+    books = await Book.find({ _id: { $in: requestedIds }, userId });
+  } else {
+    const searchQuery = await buildAdvancedSearchQuery(userId, filter);
+    const totalBooks = await Book.countDocuments(searchQuery);
+    if (totalBooks > MAX_BULK_BOOKS) {
+      throw new AppError(
+        `The filter matches ${totalBooks} books; narrow it to at most ${MAX_BULK_BOOKS}`,
+        400
+      );
+    }
+    books = await Book.find(searchQuery).sort({ createdAt: -1 });
+    requestedIds = books.map(book => book._id.toString());
+  }
+
+  // Every book gets the same genre, so find or create it once
+  const params = operation === 'set_genre'
+    ? { ...req.body, ...(await resolveBookGenre(userId, { genre: req.body.genre || '', genreId: req.body.genreId })) }
+    : req.body;
+
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+  const results = [];
+  let goalDelta = 0;
+
+  // One book at a time, so a failure only affects that book
+  for (const bookId of requestedIds) {
+    const book = booksById.get(bookId);
+    if (!book) {
+      results.push({ bookId, success: false, error: 'Book not found' });
+      continue;
+    }
+
+    try {
+      const outcome = await applyBulkOperation(book, operation, params);
+      goalDelta += outcome.goalDelta;
+      results.push({ bookId, title: book.title, success: true, changed: outcome.changed });
+    } catch (error) {
+      results.push({ bookId, title: book.title, success: false, error: describeError(error) });
+    }
+  }
+
+  // Apply the net change in completed books to the reading goal once
+  if (goalDelta !== 0) {
+    const user = await User.findById(userId);
+    if (user) {
+      await user.updateReadingProgress(Math.max(goalDelta, -user.readingGoal.current));
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      operation,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        changed: results.filter(result => result.changed).length,
+        failed
+      }
+    },
+    message: `Updated ${succeeded} of ${results.length} book${results.length !== 1 ? 's' : ''}` +
+      (failed > 0 ? `; ${failed} failed` : '')
+  });
+});
+
+export {
+  bulkUpdateBooks
+};
@@ -0,0 +1,32 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import { COVER_CONTENT_TYPE, getCoverKey } from '../utils/coverImages.js';
+import { getStorage } from '../utils/storage.js';
+
+// A thumbnail's URL changes with every upload, so what is stored there never does
+const COVER_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// @desc    Get an uploaded cover thumbnail (small, medium or large)
+// @route   GET /api/v1/covers/:bookId/:token/:size
+// @access  Public
+const getCover = asyncHandler(async (req, res) => {
+  const { bookId, token, size } = req.params;
+  const file = await getStorage().get(getCoverKey(bookId, token, size));
+
+  if (!file) {
+    throw new AppError('Cover not found', 404);
+  }
+
+  // Undo the no-cache headers the rest of the API sends
+  res.removeHeader('Pragma');
+  res.removeHeader('Expires');
+  res.set({
+    'Cache-Control': COVER_CACHE_CONTROL,
+    'Content-Type': COVER_CONTENT_TYPE,
+    'Last-Modified': file.modifiedAt.toUTCString()
+  });
+
+  // Express adds an ETag and answers 304 when the browser already has this thumbnail
+  res.status(200).send(file.data);
+});
+
+export { getCover };
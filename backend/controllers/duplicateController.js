@@ -0,0 +1,112 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import User from '../models/User.js';
+import ReadingSession from '../models/ReadingSession.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import Highlight from '../models/Highlight.js';
+import DuplicateDismissal from '../models/DuplicateDismissal.js';
+import BookRevision from '../models/BookRevision.js';
+
+// @desc    Get clusters of likely duplicate books
+// @route   GET /api/v1/books/duplicates
+// @access  Private
+const getDuplicates = asyncHandler(async (req, res) => {
+  const clusters = await DuplicateDismissal.filterClusters(
+    req.user._id,
+    await Book.findDuplicateClusters(req.user._id)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      clusters,
+      totalClusters: clusters.length
+    }
+  });
+});
+
+// @desc    Merge duplicate books into one surviving book
+// @route   POST /api/v1/books/duplicates/merge
+// @access  Private
+const mergeDuplicates = asyncHandler(async (req, res) => {
+  const { survivorId } = req.body;
+  const duplicateIds = [...new Set(req.body.duplicateIds.map(String))];
+
+  if (duplicateIds.includes(String(survivorId))) {
+    throw new AppError('The surviving book cannot also be merged away', 400);
+  }
+
+  const survivor = await Book.findOne({ _id: survivorId, userId: req.user._id });
+  const duplicates = await Book.find({ _id: { $in: duplicateIds }, userId: req.user._id });
+
+  if (!survivor || duplicates.length !== duplicateIds.length) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const completedBefore = [survivor, ...duplicates].filter(book => book.status === 'completed').length;
+  const isbn = survivor.isbn || duplicates.find(book => book.isbn)?.isbn;
+
+  const before = BookRevision.snapshot(survivor);
+  survivor.absorbDuplicates(duplicates);
+  // Fail before anything is deleted if the merged book would not save
+  await survivor.validate();
+
+  const related = { bookId: { $in: duplicateIds }, userId: req.user._id };
+  await ReadingSession.updateMany(related, { bookId: survivor._id });
+  await ProgressEntry.moveToBook(duplicateIds, survivor._id, req.user._id);
+  await Highlight.updateMany(related, { bookId: survivor._id });
+  await BookRevision.deleteMany(related);
+  await Book.deleteMany({ _id: { $in: duplicateIds }, userId: req.user._id });
+
+  // The duplicate's ISBN is free to move now that it has been deleted
+  survivor.isbn = isbn;
+  await survivor.save();
+  await BookRevision.record(survivor, before);
+
+  // Merged copies of a finished book count once towards the reading goal
+  const completedAfter = survivor.status === 'completed' ? 1 : 0;
+  const user = await User.findById(req.user._id);
+  if (user && completedBefore !== completedAfter) {
+    await user.updateReadingProgress(Math.max(completedAfter - completedBefore, -user.readingGoal.current));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      book: survivor,
+      mergedIds: duplicateIds
+    },
+    message: `Merged ${duplicateIds.length} duplicate${duplicateIds.length !== 1 ? 's' : ''} into "${survivor.title}"`
+  });
+});
+
+// @desc    Mark a cluster of books as not duplicates
+// @route   POST /api/v1/books/duplicates/dismiss
+// @access  Private
+const dismissDuplicates = asyncHandler(async (req, res) => {
+  const bookIds = [...new Set(req.body.bookIds.map(String))];
+
+  const count = await Book.countDocuments({ _id: { $in: bookIds }, userId: req.user._id });
+  if (count !== bookIds.length) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const dismissal = new DuplicateDismissal({ userId: req.user._id, bookIds });
+  await dismissal.validate();
+  await DuplicateDismissal.updateOne(
+    { userId: req.user._id, key: dismissal.key },
+    { $setOnInsert: { bookIds: dismissal.bookIds } },
+    { upsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Books marked as not duplicates'
+  });
+});
+
+export {
+  getDuplicates,
+  mergeDuplicates,
+  dismissDuplicates
+};
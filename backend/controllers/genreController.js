@@ -0,0 +1,156 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import Genre from '../models/Genre.js';
+import BookRevision from '../models/BookRevision.js';
+import { syncBookGenrePaths } from '../utils/genres.js';
+
+// Find one of the user's genres or fail with 404
+const findGenre = async (userId, genreId) => {
+  const genre = await Genre.findOne({ _id: genreId, userId });
+  if (!genre) {
+    throw new AppError('Genre not found', 404);
+  }
+  return genre;
+};
+
+// Reject a name that a sibling genre already uses
+const assertNameAvailable = async (userId, parentId, name, excludeId) => {
+  const query = { userId, parent: parentId || null, name };
+  if (excludeId) query._id = { $ne: excludeId };
+  const existing = await Genre.findOne(query).collation({ locale: 'en', strength: 2 });
+  if (existing) {
+    throw new AppError(`There is already a "${existing.name}" genre here`, 400);
+  }
+};
+
+// @desc    Get the user's genre tree with book counts
+// @route   GET /api/v1/genres
+// @access  Private
+const getGenres = asyncHandler(async (req, res) => {
+  const counts = await Book.aggregate([
+    { $match: { userId: req.user._id, genreId: { $ne: null } } },
+    { $group: { _id: '$genreId', count: { $sum: 1 } } }
+  ]);
+  const countsByGenre = new Map(counts.map(count => [count._id.toString(), count.count]));
+  const unassigned = await Book.countDocuments({ userId: req.user._id, genreId: null });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      genres: await Genre.getTree(req.user._id, countsByGenre),
+      unassignedCount: unassigned
+    }
+  });
+});
+
+// @desc    Create a genre, optionally under a parent genre
+// @route   POST /api/v1/genres
+// @access  Private
+const createGenre = asyncHandler(async (req, res) => {
+  const { name, parent: parentId } = req.body;
+  const parent = parentId ? await findGenre(req.user._id, parentId) : null;
+
+  await assertNameAvailable(req.user._id, parent?._id, name);
+
+  const genre = await Genre.create({
+    userId: req.user._id,
+    name,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : []
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { genre },
+    message: 'Genre created successfully'
+  });
+});
+
+// @desc    Rename a genre or move it under another parent
+// @route   PUT /api/v1/genres/:id
+// @access  Private
+const updateGenre = asyncHandler(async (req, res) => {
+  const genre = await findGenre(req.user._id, req.params.id);
+  const { name } = req.body;
+
+  let parent = genre.parent ? await Genre.findById(genre.parent) : null;
+  const moving = req.body.parent !== undefined && String(req.body.parent || '') !== String(genre.parent || '');
+  if (moving) {
+    parent = req.body.parent ? await findGenre(req.user._id, req.body.parent) : null;
+    if (parent && (parent._id.equals(genre._id) || parent.ancestors.some(id => id.equals(genre._id)))) {
+      throw new AppError('A genre cannot be moved inside itself', 400);
+    }
+  }
+
+  await assertNameAvailable(req.user._id, parent?._id, name || genre.name, genre._id);
+
+  if (name) genre.name = name;
+  if (moving) {
+    await genre.moveTo(parent);
+  } else {
+    await genre.save();
+  }
+
+  // Books keep their genre; only the stored path labels change, so no revisions are recorded
+  const subtreeIds = await Genre.withDescendantIds(req.user._id, [genre._id]);
+  await syncBookGenrePaths(req.user._id, subtreeIds);
+
+  res.status(200).json({
+    success: true,
+    data: { genre },
+    message: 'Genre updated successfully'
+  });
+});
+
+// @desc    Delete a genre; its sub-genres and books move up to its parent
+// @route   DELETE /api/v1/genres/:id
+// @access  Private
+const deleteGenre = asyncHandler(async (req, res) => {
+  const genre = await findGenre(req.user._id, req.params.id);
+  const parent = genre.parent ? await Genre.findById(genre.parent) : null;
+
+  const children = await Genre.find({ userId: req.user._id, parent: genre._id });
+  for (const child of children) {
+    const clash = await Genre.findOne({ userId: req.user._id, parent: genre.parent, name: child.name })
+      .collation({ locale: 'en', strength: 2 });
+    if (clash) {
+      throw new AppError(
+        `Cannot delete "${genre.name}": its sub-genre "${child.name}" would clash with an existing genre`,
+        400
+      );
+    }
+  }
+
+  for (const child of children) {
+    await child.moveTo(parent);
+  }
+
+  const parentPath = parent ? await parent.getPath() : '';
+  const books = await Book.find({ userId: req.user._id, genreId: genre._id }).setOptions({ withTrashed: true });
+  for (const book of books) {
+    const before = BookRevision.snapshot(book);
+    book.genreId = parent ? parent._id : null;
+    book.genre = parentPath;
+    await book.save({ validateModifiedOnly: true });
+    await BookRevision.record(book, before);
+  }
+
+  await genre.deleteOne();
+
+  // Moved sub-genres now sit one level higher, so their books' paths change
+  const movedIds = await Genre.withDescendantIds(req.user._id, children.map(child => child._id));
+  await syncBookGenrePaths(req.user._id, movedIds);
+
+  res.status(200).json({
+    success: true,
+    data: { booksMoved: books.length },
+    message: 'Genre deleted successfully'
+  });
+});
+
+export {
+  getGenres,
+  createGenre,
+  updateGenre,
+  deleteGenre
+};
@@ -0,0 +1,171 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import Highlight from '../models/Highlight.js';
+
+// Find a highlight on one of the user's books or fail with 404
+const findUserHighlight = async (req) => {
+  const highlight = await Highlight.findOne({
+    _id: req.params.highlightId,
+    bookId: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!highlight) {
+    throw new AppError('Highlight not found', 404);
+  }
+
+  return highlight;
+};
+
+// @desc    Get highlights for a book in page order
+// @route   GET /api/v1/books/:id/highlights
+// @access  Private
+const getBookHighlights = asyncHandler(async (req, res) => {
+  const { q, color, page = 1, limit = 50 } = req.query;
+
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const query = Highlight.buildSearchQuery(req.user._id, { q, color, bookId: book._id });
+
+  const highlights = await Highlight.find(query)
+    .sort({ page: 1, createdAt: 1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const total = await Highlight.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      highlights,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalHighlights: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Add a highlight to a book
+// @route   POST /api/v1/books/:id/highlights
+// @access  Private
+const createHighlight = asyncHandler(async (req, res) => {
+  const { text, page, location, note, color } = req.body;
+
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const highlight = await Highlight.create({
+    userId: req.user._id,
+    bookId: book._id,
+    text,
+    page: page !== undefined && page !== null ? parseInt(page) : undefined,
+    location,
+    note,
+    color
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { highlight },
+    message: 'Highlight saved successfully'
+  });
+});
+
+// @desc    Update a highlight
+// @route   PUT /api/v1/books/:id/highlights/:highlightId
+// @access  Private
+const updateHighlight = asyncHandler(async (req, res) => {
+  const highlight = await findUserHighlight(req);
+
+  const { text, page, location, note, color } = req.body;
+  if (text !== undefined) highlight.text = text;
+  if (page !== undefined) highlight.page = page === null ? undefined : parseInt(page);
+  if (location !== undefined) highlight.location = location;
+  if (note !== undefined) highlight.note = note;
+  if (color !== undefined) highlight.color = color;
+
+  await highlight.save();
+
+  res.status(200).json({
+    success: true,
+    data: { highlight },
+    message: 'Highlight updated successfully'
+  });
+});
+
+// @desc    Delete a highlight
+// @route   DELETE /api/v1/books/:id/highlights/:highlightId
+// @access  Private
+const deleteHighlight = asyncHandler(async (req, res) => {
+  const highlight = await findUserHighlight(req);
+
+  await Highlight.findByIdAndDelete(highlight._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Highlight deleted successfully'
+  });
+});
+
+// @desc    Search highlights across all of the user's books
+// @route   GET /api/v1/highlights
+// @access  Private
+const searchHighlights = asyncHandler(async (req, res) => {
+  const { q, color, bookId, page = 1, limit = 20 } = req.query;
+
+  const query = Highlight.buildSearchQuery(req.user._id, { q, color, bookId });
+
+  // Highlights of trashed books stay hidden until the book is restored
+  const trashedBookIds = await Book.distinct('_id', { userId: req.user._id, deletedAt: { $ne: null } });
+  query.bookId = query.bookId ? { $eq: query.bookId, $nin: trashedBookIds } : { $nin: trashedBookIds };
+
+  const highlights = await Highlight.find(query)
+    .populate('bookId', 'title author coverImage')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const total = await Highlight.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      highlights,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalHighlights: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      },
+      searchQuery: q
+    }
+  });
+});
+
+export {
+  getBookHighlights,
+  createHighlight,
+  updateHighlight,
+  deleteHighlight,
+  searchHighlights
+};
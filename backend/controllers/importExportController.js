@@ -1,43 +1,282 @@
 import asyncHandler from 'express-async-handler';
-import Book from '../models/Book.js';
+import Book, {
+  BOOK_STATUSES,
+  BOOK_FORMATS,
+  EBOOK_PROGRESS_UNITS,
+  OWNERSHIP_TYPES,
+  BOOK_CONDITIONS
+} from '../models/Book.js';
 import User from '../models/User.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import BookRevision from '../models/BookRevision.js';
+import Shelf from '../models/Shelf.js';
+import Highlight from '../models/Highlight.js';
+import Genre from '../models/Genre.js';
 import AppError from '../utils/AppError.js';
+import { normalizeIsbn } from '../utils/isbn.js';
+import { pickSearchCriteria, validateSearchCriteria } from '../utils/bookSearch.js';
+import { resolveShelfFilter } from '../utils/shelves.js';
 import csv from 'csv-parser';
 import { createObjectCsvWriter } from 'csv-writer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+// Format-specific progress fields (audiobook minutes, ebook percent/location) shared by CSV and JSON
+const FORMAT_PROGRESS_FIELDS = ['durationMinutes', 'currentMinute', 'currentPercent', 'locationCount', 'currentLocation'];
+const INVENTORY_FIELDS = [
+  'ownershipType', 'shelfLocation', 'condition', 'purchaseDate', 'purchasePrice', 'currency', 'purchaseStore'
+];
+
+// Helper function to read a book's format and format-specific progress from an import row
+const parseFormatFields = (row) => {
+  const fields = {
+    format: BOOK_FORMATS.includes(row.format) ? row.format : undefined,
+    ebookProgressUnit: EBOOK_PROGRESS_UNITS.includes(row.ebookProgressUnit) ? row.ebookProgressUnit : undefined
+  };
+  FORMAT_PROGRESS_FIELDS.forEach(field => {
+    const value = parseFloat(row[field]);
+    fields[field] = Number.isFinite(value) && value >= 0 ? value : undefined;
+  });
+  return fields;
+};
+
+// Helper function to read a book's ownership, location and purchase details from an import row,
+// leaving out anything unrecognised
+const parseInventoryFields = (row) => {
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  const price = parseFloat(row.purchasePrice);
+  const purchaseDate = row.purchaseDate ? new Date(row.purchaseDate) : undefined;
+  const currency = text(row.currency)?.toUpperCase();
+
+  return {
+    ownershipType: OWNERSHIP_TYPES.includes(row.ownershipType) ? row.ownershipType : undefined,
+    shelfLocation: text(row.shelfLocation),
+    condition: BOOK_CONDITIONS.includes(row.condition) ? row.condition : undefined,
+    purchaseDate: purchaseDate && !Number.isNaN(purchaseDate.getTime()) ? purchaseDate : undefined,
+    purchasePrice: Number.isFinite(price) && price >= 0 ? price : undefined,
+    currency: /^[A-Z]{3}$/.test(currency || '') ? currency : undefined,
+    purchaseStore: text(row.purchaseStore)
+  };
+};
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// @desc    Export user's books to CSV
+// Shelf names are joined with semicolons in CSV since names may contain commas
+const SHELF_SEPARATOR = ';';
+
+// Helper function to map a user's shelf ids to names
+const getShelfNames = async (userId) => {
+  const shelves = await Shelf.find({ userId }).sort({ sortOrder: 1, name: 1 });
+  return {
+    shelves,
+    namesById: new Map(shelves.map(shelf => [shelf._id.toString(), shelf.name]))
+  };
+};
+
+// Helper function to find the books to export: the whole library, or one shelf's books when a
+// `shelf` id is given (for a smart shelf, the books matching its criteria)
+const findExportBooks = async (userId, shelfId) => {
+  const filter = shelfId ? (await resolveShelfFilter(userId, shelfId)).filter : { userId };
+  return Book.find(filter).sort({ createdAt: -1 });
+};
+
+// Helper function to keep the usable criteria of an imported smart shelf; anything else imports
+// as a regular shelf
+const importedShelfCriteria = (criteria) => {
+  if (!criteria || typeof criteria !== 'object') return undefined;
+  const picked = pickSearchCriteria(criteria);
+  if (Object.keys(picked).length === 0) return undefined;
+  try {
+    return validateSearchCriteria(picked);
+  } catch {
+    return undefined;
+  }
+};
+
+// Helper function to replace shelf names on imported books with shelf ids
+const resolveImportedShelves = async (userId, books) => {
+  const names = books.flatMap(book => book.shelves || []);
+  const idsByName = await Shelf.findOrCreateByNames(userId, names);
+
+  books.forEach(book => {
+    book.shelves = [...new Set(book.shelves || [])]
+      .map(name => idsByName.get(name.trim()))
+      .filter(Boolean);
+  });
+};
+
+// Helper function to place imported books in the genre tree. Genre paths such as
+// "Fiction / Fantasy" create any missing genres; each distinct path is looked up once.
+const resolveImportedGenres = async (userId, books) => {
+  const genresByPath = new Map();
+
+  for (const book of books) {
+    const path = typeof book.genre === 'string' ? book.genre.trim() : '';
+    if (!path) {
+      book.genre = undefined;
+      continue;
+    }
+    if (!genresByPath.has(path)) {
+      const genre = await Genre.findOrCreatePath(userId, path);
+      genresByPath.set(path, { genreId: genre._id, genre: await genre.getPath() });
+    }
+    Object.assign(book, genresByPath.get(path));
+  }
+};
+
+// Helper function to insert imported books row by row instead of all-or-nothing.
+// Each row is { label, book, ...extra } where label names the row in the file ("Line 3", "Book 2").
+// Rows whose ISBN the user already owns, that repeat an earlier row, or that fail validation
+// are skipped and reported; invalid ISBNs are dropped with a warning so the book still imports.
+const insertImportedBooks = async (userId, rows) => {
+  const conflicts = [];
+  const warnings = [];
+
+  rows.forEach(row => {
+    if (!row.book.isbn) return;
+    const isbn = normalizeIsbn(row.book.isbn);
+    if (!isbn) {
+      warnings.push(`${row.label}: Invalid ISBN "${row.book.isbn}" was ignored`);
+      delete row.book.isbn;
+      return;
+    }
+    row.book.isbn = isbn;
+  });
+
+  const isbns = rows.map(row => row.book.isbn).filter(Boolean);
+  const owned = await Book.find({ userId, isbn: { $in: isbns } })
+    .setOptions({ withTrashed: true })
+    .select('title isbn deletedAt');
+  const ownedByIsbn = new Map(owned.map(book => [book.isbn, book]));
+  const seenIsbns = new Map();
+  const pending = [];
+
+  rows.forEach(row => {
+    const { label, book } = row;
+    const conflict = { row: label, title: book.title, isbn: book.isbn };
+
+    if (book.isbn && ownedByIsbn.has(book.isbn)) {
+      const existing = ownedByIsbn.get(book.isbn);
+      const reason = existing.deletedAt
+        ? `In your trash as "${existing.title}"`
+        : `Already in your library as "${existing.title}"`;
+      conflicts.push({ ...conflict, existingBookId: existing._id, reason });
+      return;
+    }
+    if (book.isbn && seenIsbns.has(book.isbn)) {
+      conflicts.push({ ...conflict, reason: `Same ISBN as ${seenIsbns.get(book.isbn)}` });
+      return;
+    }
+
+    const doc = new Book(book);
+    const validationError = doc.validateSync();
+    if (validationError) {
+      conflicts.push({
+        ...conflict,
+        reason: Object.values(validationError.errors).map(error => error.message).join(', ')
+      });
+      return;
+    }
+
+    if (book.isbn) seenIsbns.set(book.isbn, label);
+    pending.push({ ...row, book: doc });
+  });
+
+  let insertedIds;
+  try {
+    const inserted = await Book.insertMany(pending.map(row => row.book), { ordered: false });
+    insertedIds = new Set(inserted.map(book => book._id.toString()));
+  } catch (error) {
+    // A concurrent request may have added one of these ISBNs since the check above
+    if (!error.writeErrors) throw error;
+    error.writeErrors.forEach(writeError => {
+      const { label, book } = pending[writeError.index];
+      conflicts.push({
+        row: label,
+        title: book.title,
+        isbn: book.isbn,
+        reason: writeError.code === 11000 ? 'Already in your library' : writeError.errmsg
+      });
+    });
+    insertedIds = new Set((error.insertedDocs || []).map(book => book._id.toString()));
+  }
+
+  const importedRows = pending.filter(row => insertedIds.has(row.book._id.toString()));
+  await BookRevision.recordCreations(importedRows.map(row => row.book), { source: 'import' });
+
+  return {
+    importedRows,
+    conflicts,
+    warnings
+  };
+};
+
+// Helper function to summarise an import for the response message
+const importMessage = (importedCount, conflicts) => {
+  const skipped = conflicts.length > 0 ? `, skipped ${conflicts.length}` : '';
+  return `Successfully imported ${importedCount} books${skipped}`;
+};
+
+// Helper function to read a book's exported highlights. Highlights that would not save are dropped
+// with a warning, so one bad entry does not fail an import whose books are already in.
+const parseHighlights = (highlights, label, warnings) => {
+  const { highlights: parsed, rejected } = Highlight.parseImported(highlights);
+  rejected.forEach(({ position, reason }) => {
+    warnings.push(`${label}: Highlight ${position} was skipped (${reason})`);
+  });
+  return parsed;
+};
+
+// @desc    Export user's books to CSV, optionally only those on one shelf (?shelf=<id>)
 // @route   GET /api/v1/import-export/books/csv
 // @access  Private
 const exportBooksCSV = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   
-  // Get all user's books
-  const books = await Book.find({ userId }).sort({ createdAt: -1 });
+  // Get the user's books, or one shelf's
+  const books = await findExportBooks(userId, req.query.shelf);
   
   if (books.length === 0) {
     throw new AppError('No books found to export', 404);
   }
 
+  const { namesById } = await getShelfNames(userId);
+
   // Prepare CSV data
   const csvData = books.map(book => ({
     title: book.title,
     author: book.author,
     isbn: book.isbn || '',
     genre: book.genre || '',
+    series: book.series || '',
+    seriesPosition: book.seriesPosition ?? '',
     pageCount: book.pageCount || '',
     status: book.status,
     rating: book.rating || '',
     dateStarted: book.dateStarted ? book.dateStarted.toISOString().split('T')[0] : '',
     dateCompleted: book.dateCompleted ? book.dateCompleted.toISOString().split('T')[0] : '',
+    dateAbandoned: book.dateAbandoned ? book.dateAbandoned.toISOString().split('T')[0] : '',
+    abandonedPage: book.abandonedPage ?? '',
+    abandonmentReason: book.abandonmentReason || '',
     currentPage: book.currentPage || '',
+    format: book.format || '',
+    ebookProgressUnit: book.format === 'ebook' ? book.ebookProgressUnit : '',
+    ...Object.fromEntries(FORMAT_PROGRESS_FIELDS.map(field => [field, book[field] ?? ''])),
+    ownershipType: book.ownershipType || '',
+    shelfLocation: book.shelfLocation || '',
+    condition: book.condition || '',
+    purchaseDate: book.purchaseDate ? book.purchaseDate.toISOString().split('T')[0] : '',
+    purchasePrice: book.purchasePrice ?? '',
+    currency: book.currency || '',
+    purchaseStore: book.purchaseStore || '',
     notes: book.notes || '',
     tags: book.tags ? book.tags.join(', ') : '',
+    shelves: book.shelves
+      .map(shelfId => namesById.get(shelfId.toString()))
+      .filter(Boolean)
+      .join(`${SHELF_SEPARATOR} `),
     createdAt: book.createdAt.toISOString().split('T')[0]
   }));
 
@@ -58,14 +297,34 @@ const exportBooksCSV = asyncHandler(async (req, res) => {
       { id: 'author', title: 'Author' },
       { id: 'isbn', title: 'ISBN' },
       { id: 'genre', title: 'Genre' },
+      { id: 'series', title: 'Series' },
+      { id: 'seriesPosition', title: 'Series Position' },
       { id: 'pageCount', title: 'Page Count' },
       { id: 'status', title: 'Status' },
       { id: 'rating', title: 'Rating' },
       { id: 'dateStarted', title: 'Date Started' },
       { id: 'dateCompleted', title: 'Date Completed' },
+      { id: 'dateAbandoned', title: 'Date Abandoned' },
+      { id: 'abandonedPage', title: 'Abandoned Page' },
+      { id: 'abandonmentReason', title: 'Abandonment Reason' },
       { id: 'currentPage', title: 'Current Page' },
+      { id: 'format', title: 'Format' },
+      { id: 'ebookProgressUnit', title: 'Ebook Progress Unit' },
+      { id: 'durationMinutes', title: 'Duration (minutes)' },
+      { id: 'currentMinute', title: 'Current Minute' },
+      { id: 'currentPercent', title: 'Current Percent' },
+      { id: 'locationCount', title: 'Location Count' },
+      { id: 'currentLocation', title: 'Current Location' },
+      { id: 'ownershipType', title: 'Ownership' },
+      { id: 'shelfLocation', title: 'Shelf Location' },
+      { id: 'condition', title: 'Condition' },
+      { id: 'purchaseDate', title: 'Purchase Date' },
+      { id: 'purchasePrice', title: 'Purchase Price' },
+      { id: 'currency', title: 'Currency' },
+      { id: 'purchaseStore', title: 'Purchased From' },
       { id: 'notes', title: 'Notes' },
       { id: 'tags', title: 'Tags' },
+      { id: 'shelves', title: 'Shelves' },
       { id: 'createdAt', title: 'Date Added' }
     ]
   });
@@ -84,22 +343,38 @@ const exportBooksCSV = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Export user's books to JSON
+// @desc    Export user's books to JSON, optionally only those on one shelf (?shelf=<id>)
 // @route   GET /api/v1/import-export/books/json
 // @access  Private
 const exportBooksJSON = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   
-  // Get all user's books and user data
-  const [books, user] = await Promise.all([
-    Book.find({ userId }).sort({ createdAt: -1 }),
-    User.findById(userId).select('-password')
+  // Get the user's books (or one shelf's) and user data
+  const [books, user, { shelves, namesById }, highlights] = await Promise.all([
+    findExportBooks(userId, req.query.shelf),
+    User.findById(userId).select('-password'),
+    getShelfNames(userId),
+    Highlight.find({ userId }).sort({ page: 1, createdAt: 1 })
   ]);
 
   if (books.length === 0) {
     throw new AppError('No books found to export', 404);
   }
 
+  const highlightsByBook = new Map();
+  highlights.forEach(highlight => {
+    const bookId = highlight.bookId.toString();
+    if (!highlightsByBook.has(bookId)) highlightsByBook.set(bookId, []);
+    highlightsByBook.get(bookId).push({
+      text: highlight.text,
+      page: highlight.page,
+      location: highlight.location,
+      note: highlight.note,
+      color: highlight.color,
+      createdAt: highlight.createdAt
+    });
+  });
+
   const exportData = {
     exportDate: new Date().toISOString(),
     user: {
@@ -108,20 +383,53 @@ const exportBooksJSON = asyncHandler(async (req, res) => {
       readingGoal: user.readingGoal,
       preferences: user.preferences
     },
+    shelves: shelves.map(shelf => ({
+      name: shelf.name,
+      description: shelf.description,
+      sortOrder: shelf.sortOrder,
+      icon: shelf.icon,
+      criteria: shelf.criteria
+    })),
     books: books.map(book => ({
       title: book.title,
       author: book.author,
       isbn: book.isbn,
       genre: book.genre,
+      series: book.series,
+      seriesPosition: book.seriesPosition,
       pageCount: book.pageCount,
       status: book.status,
       rating: book.rating,
       dateStarted: book.dateStarted,
       dateCompleted: book.dateCompleted,
+      dateAbandoned: book.dateAbandoned,
+      abandonedPage: book.abandonedPage,
+      abandonmentReason: book.abandonmentReason,
       currentPage: book.currentPage,
+      format: book.format,
+      ebookProgressUnit: book.ebookProgressUnit,
+      ...Object.fromEntries(FORMAT_PROGRESS_FIELDS.map(field => [field, book[field]])),
+      ...Object.fromEntries(INVENTORY_FIELDS.map(field => [field, book[field]])),
       notes: book.notes,
       tags: book.tags,
       coverImage: book.coverImage,
+      readings: book.readings.map(reading => ({
+        dateStarted: reading.dateStarted,
+        dateCompleted: reading.dateCompleted,
+        rating: reading.rating
+      })),
+      loans: book.loans.map(loan => ({
+        borrowerName: loan.borrowerName,
+        borrowerContact: loan.borrowerContact,
+        lentAt: loan.lentAt,
+        dueDate: loan.dueDate,
+        returnedAt: loan.returnedAt,
+        notes: loan.notes
+      })),
+      shelves: book.shelves
+        .map(shelfId => namesById.get(shelfId.toString()))
+        .filter(Boolean),
+      highlights: highlightsByBook.get(book._id.toString()) || [],
       createdAt: book.createdAt,
       updatedAt: book.updatedAt
     })),
@@ -129,7 +437,10 @@ const exportBooksJSON = asyncHandler(async (req, res) => {
       totalBooks: books.length,
       completedBooks: books.filter(book => book.status === 'completed').length,
       inProgressBooks: books.filter(book => book.status === 'in_progress').length,
-      totalPages: books.reduce((sum, book) => sum + (book.pageCount || 0), 0)
+      wantToReadBooks: books.filter(book => book.status === 'want_to_read').length,
+      abandonedBooks: books.filter(book => book.status === 'abandoned').length,
+      totalPages: books.reduce((sum, book) => sum + (book.pageCount || 0), 0),
+      totalHighlights: highlights.length
     }
   };
 
@@ -172,23 +483,35 @@ const importBooksCSV = asyncHandler(async (req, res) => {
           author: data.author.trim(),
           isbn: data.isbn?.trim() || undefined,
           genre: data.genre?.trim() || undefined,
+          series: data.series?.trim() || undefined,
+          seriesPosition: data.series?.trim() && data.seriesPosition ? parseFloat(data.seriesPosition) : undefined,
           pageCount: data.pageCount ? parseInt(data.pageCount) : undefined,
-          status: ['not_started', 'in_progress', 'completed'].includes(data.status) ? data.status : 'not_started',
+          status: BOOK_STATUSES.includes(data.status) ? data.status : 'not_started',
           rating: data.rating ? parseFloat(data.rating) : undefined,
           currentPage: data.currentPage ? parseInt(data.currentPage) : undefined,
+          ...parseFormatFields(data),
+          ...parseInventoryFields(data),
           notes: data.notes?.trim() || undefined,
           tags: data.tags ? data.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+          shelves: data.shelves ? data.shelves.split(SHELF_SEPARATOR).map(name => name.trim()).filter(Boolean) : [],
           dateStarted: data.dateStarted ? new Date(data.dateStarted) : undefined,
           dateCompleted: data.dateCompleted ? new Date(data.dateCompleted) : undefined
         };
 
+        // Only did-not-finish books keep their abandonment details
+        if (bookData.status === 'abandoned') {
+          bookData.dateAbandoned = data.dateAbandoned ? new Date(data.dateAbandoned) : undefined;
+          bookData.abandonedPage = data.abandonedPage ? parseInt(data.abandonedPage) : bookData.currentPage;
+          bookData.abandonmentReason = data.abandonmentReason?.trim() || undefined;
+        }
+
         // Validate rating
         if (bookData.rating && (bookData.rating < 1 || bookData.rating > 5)) {
           errors.push(`Line ${lineNumber}: Rating must be between 1 and 5`);
           return;
         }
 
-        results.push(bookData);
+        results.push({ label: `Line ${lineNumber}`, book: bookData });
       })
       .on('end', resolve)
       .on('error', reject);
@@ -216,15 +539,20 @@ const importBooksCSV = asyncHandler(async (req, res) => {
 
   // Import books to database
   try {
-    const importedBooks = await Book.insertMany(results);
+    await resolveImportedShelves(userId, results.map(row => row.book));
+    await resolveImportedGenres(userId, results.map(row => row.book));
+    const { importedRows, conflicts, warnings } = await insertImportedBooks(userId, results);
+    const importedBooks = importedRows.map(row => row.book);
+    await ProgressEntry.recordImported(importedBooks);
     
-    res.status(201).json({
+    res.status(importedBooks.length > 0 ? 201 : 200).json({
       success: true,
-      message: `Successfully imported ${importedBooks.length} books`,
+      message: importMessage(importedBooks.length, conflicts),
       data: {
         importedCount: importedBooks.length,
         totalProcessed: lineNumber - 1,
-        errors: []
+        errors: warnings,
+        conflicts
       }
     });
   } catch (error) {
@@ -266,20 +594,56 @@ const importBooksJSON = asyncHandler(async (req, res) => {
       }
 
       validBooks.push({
-        userId,
-        title: book.title,
-        author: book.author,
-        isbn: book.isbn,
-        genre: book.genre,
-        pageCount: book.pageCount,
-        status: ['not_started', 'in_progress', 'completed'].includes(book.status) ? book.status : 'not_started',
-        rating: book.rating && book.rating >= 1 && book.rating <= 5 ? book.rating : undefined,
-        currentPage: book.currentPage,
-        notes: book.notes,
-        tags: Array.isArray(book.tags) ? book.tags : [],
-        dateStarted: book.dateStarted ? new Date(book.dateStarted) : undefined,
-        dateCompleted: book.dateCompleted ? new Date(book.dateCompleted) : undefined,
-        coverImage: book.coverImage
+        label: `Book ${index + 1}`,
+        // Highlights are attached once the book has been inserted
+        highlights: parseHighlights(book.highlights, `Book ${index + 1}`, errors),
+        book: {
+          userId,
+          title: book.title,
+          author: book.author,
+          isbn: book.isbn,
+          genre: book.genre,
+          series: book.series,
+          seriesPosition: book.series && typeof book.seriesPosition === 'number' ? book.seriesPosition : undefined,
+          pageCount: book.pageCount,
+          status: BOOK_STATUSES.includes(book.status) ? book.status : 'not_started',
+          rating: book.rating && book.rating >= 1 && book.rating <= 5 ? book.rating : undefined,
+          currentPage: book.currentPage,
+          ...parseFormatFields(book),
+          ...parseInventoryFields(book),
+          notes: book.notes,
+          tags: Array.isArray(book.tags) ? book.tags : [],
+          dateStarted: book.dateStarted ? new Date(book.dateStarted) : undefined,
+          dateCompleted: book.dateCompleted ? new Date(book.dateCompleted) : undefined,
+          ...(book.status === 'abandoned' && {
+            dateAbandoned: book.dateAbandoned ? new Date(book.dateAbandoned) : undefined,
+            abandonedPage: book.abandonedPage ?? book.currentPage,
+            abandonmentReason: book.abandonmentReason
+          }),
+          coverImage: book.coverImage,
+          readings: Array.isArray(book.readings)
+            ? book.readings.map(reading => ({
+              dateStarted: reading.dateStarted ? new Date(reading.dateStarted) : undefined,
+              dateCompleted: reading.dateCompleted ? new Date(reading.dateCompleted) : undefined,
+              rating: reading.rating >= 1 && reading.rating <= 5 ? reading.rating : undefined
+            }))
+            : [],
+          loans: Array.isArray(book.loans)
+            ? book.loans
+              .filter(loan => loan && typeof loan.borrowerName === 'string' && loan.borrowerName.trim())
+              .map(loan => ({
+                borrowerName: loan.borrowerName,
+                borrowerContact: loan.borrowerContact,
+                lentAt: loan.lentAt ? new Date(loan.lentAt) : undefined,
+                dueDate: loan.dueDate ? new Date(loan.dueDate) : undefined,
+                returnedAt: loan.returnedAt ? new Date(loan.returnedAt) : undefined,
+                notes: loan.notes
+              }))
+            : [],
+          shelves: Array.isArray(book.shelves)
+            ? book.shelves.filter(name => typeof name === 'string')
+            : []
+        }
       });
     });
 
@@ -291,16 +655,43 @@ const importBooksJSON = asyncHandler(async (req, res) => {
       });
     }
 
-    // Import books
-    const importedBooks = await Book.insertMany(validBooks);
+    // Create exported shelves (with their details) before resolving book membership
+    const shelfDetails = new Map(
+      (Array.isArray(importData.shelves) ? importData.shelves : [])
+        .filter(shelf => shelf && typeof shelf.name === 'string' && shelf.name.trim())
+        .map(shelf => [shelf.name.trim(), {
+          description: shelf.description,
+          sortOrder: Number.isInteger(shelf.sortOrder) ? shelf.sortOrder : undefined,
+          icon: shelf.icon,
+          criteria: importedShelfCriteria(shelf.criteria)
+        }])
+    );
+    await Shelf.findOrCreateByNames(userId, [...shelfDetails.keys()], shelfDetails);
+    await resolveImportedShelves(userId, validBooks.map(row => row.book));
+    await resolveImportedGenres(userId, validBooks.map(row => row.book));
+
+    // Import books, skipping duplicates and invalid rows
+    const { importedRows, conflicts, warnings } = await insertImportedBooks(userId, validBooks);
+    const importedBooks = importedRows.map(row => row.book);
+    await ProgressEntry.recordImported(importedBooks);
+
+    const importedHighlights = await Highlight.insertMany(
+      importedRows.flatMap(row => row.highlights.map(highlight => ({
+        ...highlight,
+        userId,
+        bookId: row.book._id
+      })))
+    );
 
-    res.status(201).json({
+    res.status(importedBooks.length > 0 ? 201 : 200).json({
       success: true,
-      message: `Successfully imported ${importedBooks.length} books`,
+      message: importMessage(importedBooks.length, conflicts),
       data: {
         importedCount: importedBooks.length,
+        highlightCount: importedHighlights.length,
         totalProcessed: importData.books.length,
-        errors
+        errors: [...errors, ...warnings],
+        conflicts
       }
     });
 
@@ -0,0 +1,120 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book, { LENDABLE_FORMATS } from '../models/Book.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findUserBook = async (userId, bookId) => {
+  const book = await Book.findOne({ _id: bookId, userId });
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+  return book;
+};
+
+// One outstanding loan with the book it is for and, when overdue, by how many days
+const loanSummary = (book) => {
+  const loan = book.currentLoan;
+  return {
+    book: {
+      _id: book._id,
+      title: book.title,
+      author: book.author,
+      coverImage: book.coverImage
+    },
+    loan,
+    isOverdue: loan.isOverdue,
+    daysOverdue: loan.isOverdue ? Math.floor((Date.now() - loan.dueDate) / DAY_MS) : 0
+  };
+};
+
+// @desc    List books that are lent out, or only the overdue ones
+// @route   GET /api/v1/books/loans
+// @access  Private
+const getLoans = asyncHandler(async (req, res) => {
+  const overdue = req.query.overdue === 'true';
+  const books = await Book.findOnLoan(req.user._id, { overdue });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      loans: books.map(loanSummary),
+      count: books.length
+    }
+  });
+});
+
+// @desc    Get a book's lending history, most recent loan first
+// @route   GET /api/v1/books/:id/loans
+// @access  Private
+const getBookLoans = asyncHandler(async (req, res) => {
+  const book = await findUserBook(req.user._id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      loans: [...book.loans].reverse(),
+      currentLoan: book.currentLoan
+    }
+  });
+});
+
+// @desc    Lend a book to someone
+// @route   POST /api/v1/books/:id/loans
+// @access  Private
+const lendBook = asyncHandler(async (req, res) => {
+  const { borrowerName, borrowerContact, lentAt, dueDate, notes } = req.body;
+  const book = await findUserBook(req.user._id, req.params.id);
+
+  if (!LENDABLE_FORMATS.includes(book.format)) {
+    throw new AppError('Only physical books can be lent', 400);
+  }
+  if (book.currentLoan) {
+    throw new AppError(`This book is already lent to ${book.currentLoan.borrowerName}`, 409);
+  }
+
+  await book.lendTo({
+    borrowerName,
+    borrowerContact,
+    lentAt: lentAt ? new Date(lentAt) : undefined,
+    dueDate: dueDate ? new Date(dueDate) : undefined,
+    notes
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { book, loan: book.currentLoan },
+    message: `Book lent to ${book.currentLoan.borrowerName}`
+  });
+});
+
+// @desc    Mark a lent book as returned
+// @route   POST /api/v1/books/:id/loans/return
+// @access  Private
+const returnBook = asyncHandler(async (req, res) => {
+  const book = await findUserBook(req.user._id, req.params.id);
+  const loan = book.currentLoan;
+
+  if (!loan) {
+    throw new AppError('This book is not lent out', 400);
+  }
+
+  const returnedAt = req.body.returnedAt ? new Date(req.body.returnedAt) : new Date();
+  if (returnedAt < loan.lentAt) {
+    throw new AppError('Return date must be after the lent date', 400);
+  }
+
+  await book.markReturned(returnedAt);
+
+  res.status(200).json({
+    success: true,
+    data: { book, loan },
+    message: `Book returned by ${loan.borrowerName}`
+  });
+});
+
+export {
+  getLoans,
+  getBookLoans,
+  lendBook,
+  returnBook
+};
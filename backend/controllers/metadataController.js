@@ -0,0 +1,34 @@
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import { lookupBookMetadata, getMetadataProvider } from '../utils/bookMetadata.js';
+
+// @desc    Look up book details by ISBN or by title and author, to fill in a new book
+// @route   GET /api/v1/books/lookup
+// @access  Private
+const lookupMetadata = asyncHandler(async (req, res) => {
+  const { isbn, title, author, limit } = req.query;
+  const provider = getMetadataProvider();
+  const results = await lookupBookMetadata(
+    { isbn, title, author, limit: limit ? parseInt(limit, 10) : undefined },
+    provider
+  );
+
+  // Point out when the looked-up edition is already in the library
+  const isbns = results.map(result => result.isbn).filter(Boolean);
+  const existing = isbns.length
+    ? await Book.find({ userId: req.user._id, isbn: { $in: isbns } }).select('_id title isbn')
+    : [];
+
+  res.status(200).json({
+    success: true,
+    data: {
+      results: results.map(result => ({
+        ...result,
+        existingBook: existing.find(book => book.isbn === result.isbn) || null
+      })),
+      source: provider.name
+    }
+  });
+});
+
+export { lookupMetadata };
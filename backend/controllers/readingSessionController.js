@@ -0,0 +1,129 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import ReadingSession from '../models/ReadingSession.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+
+// @desc    Get reading sessions for a book
+// @route   GET /api/v1/books/:id/sessions
+// @access  Private
+const getBookSessions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const query = { userId: req.user._id, bookId: book._id };
+
+  const sessions = await ReadingSession.find(query)
+    .sort({ startTime: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const [total, statistics] = await Promise.all([
+    ReadingSession.countDocuments(query),
+    ReadingSession.getUserSessionStats(req.user._id, { bookId: book._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions,
+      statistics,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalSessions: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Record a reading session for a book
+// @route   POST /api/v1/books/:id/sessions
+// @access  Private
+const createBookSession = asyncHandler(async (req, res) => {
+  const { startTime, endTime, duration, startPage, endPage, notes } = req.body;
+
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  const sessionStart = startTime
+    ? new Date(startTime)
+    : new Date(Date.now() - (parseInt(duration) || 0) * 1000);
+  // Session positions are in the book's progress unit (pages, minutes, percent or location)
+  const fromPage = startPage !== undefined ? parseInt(startPage) : book.progressPosition;
+  const toPage = endPage !== undefined ? parseInt(endPage) : fromPage;
+
+  if (book.progressTotal && toPage > book.progressTotal) {
+    throw new AppError(`End ${book.progressUnit} cannot exceed the book's length`, 400);
+  }
+
+  const session = await ReadingSession.create({
+    userId: req.user._id,
+    bookId: book._id,
+    startTime: sessionStart,
+    endTime: endTime ? new Date(endTime) : undefined,
+    duration: parseInt(duration),
+    unit: book.progressUnit,
+    startPage: fromPage,
+    endPage: toPage,
+    notes
+  });
+
+  // Advance the book's bookmark; sessions never move it backwards
+  if (toPage > book.progressPosition) {
+    const previousPosition = book.progressPosition;
+    book.progressPosition = toPage;
+    await book.save();
+    await ProgressEntry.recordChange(book, previousPosition, 'session');
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { session, book },
+    message: 'Reading session saved successfully'
+  });
+});
+
+// @desc    Delete a reading session
+// @route   DELETE /api/v1/books/:id/sessions/:sessionId
+// @access  Private
+const deleteBookSession = asyncHandler(async (req, res) => {
+  const session = await ReadingSession.findOne({
+    _id: req.params.sessionId,
+    bookId: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!session) {
+    throw new AppError('Reading session not found', 404);
+  }
+
+  await ReadingSession.findByIdAndDelete(session._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading session deleted successfully'
+  });
+});
+
+export {
+  getBookSessions,
+  createBookSession,
+  deleteBookSession
+};
@@ -0,0 +1,35 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+
+// @desc    Get all series for user with completion progress
+// @route   GET /api/v1/series
+// @access  Private
+const getSeries = asyncHandler(async (req, res) => {
+  const series = await Book.getSeriesSummaries(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { series }
+  });
+});
+
+// @desc    Get a single series with its books in reading order
+// @route   GET /api/v1/series/:name
+// @access  Private
+const getSeriesByName = asyncHandler(async (req, res) => {
+  const [series] = await Book.getSeriesSummaries(req.user._id, req.params.name);
+
+  if (!series) {
+    throw new AppError('Series not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { series }
+  });
+});
+
+export {
+  getSeries,
+  getSeriesByName
+};
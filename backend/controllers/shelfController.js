@@ -0,0 +1,210 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import Shelf from '../models/Shelf.js';
+import { pickSearchCriteria, validateSearchCriteria } from '../utils/bookSearch.js';
+import { shelfBookFilter } from '../utils/shelves.js';
+
+// Clean up and check criteria for a smart shelf, which needs at least one
+const smartShelfCriteria = (criteria) => {
+  const picked = pickSearchCriteria(criteria);
+  if (Object.keys(picked).length === 0) {
+    throw new AppError('A smart shelf needs at least one search criterion', 400);
+  }
+  return validateSearchCriteria(picked);
+};
+
+// Find one of the user's shelves or fail with a 404
+const findUserShelf = async (userId, shelfId) => {
+  const shelf = await Shelf.findOne({ _id: shelfId, userId });
+  if (!shelf) {
+    throw new AppError('Shelf not found', 404);
+  }
+  return shelf;
+};
+
+// Books on smart shelves follow their criteria and cannot be added or removed by hand
+const assertRegularShelf = (shelf) => {
+  if (shelf.isSmart) {
+    throw new AppError(`${shelf.name} is a smart shelf; edit its criteria to change which books it holds`, 400);
+  }
+};
+
+// @desc    Get all shelves for user with book counts; smart shelves count the books currently
+//          matching their criteria
+// @route   GET /api/v1/shelves
+// @access  Private
+const getShelves = asyncHandler(async (req, res) => {
+  const shelves = await Shelf.find({ userId: req.user._id }).sort({ sortOrder: 1, name: 1 });
+
+  const counts = await Book.aggregate([
+    { $match: { userId: req.user._id, shelves: { $exists: true, $ne: [] } } },
+    { $unwind: '$shelves' },
+    { $group: { _id: '$shelves', count: { $sum: 1 } } }
+  ]);
+  const countsByShelf = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+  await Promise.all(shelves.filter(shelf => shelf.isSmart).map(async shelf => {
+    countsByShelf.set(shelf._id.toString(), await Book.countDocuments(await shelfBookFilter(shelf)));
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shelves: shelves.map(shelf => ({
+        ...shelf.toJSON(),
+        bookCount: countsByShelf.get(shelf._id.toString()) || 0
+      }))
+    }
+  });
+});
+
+// @desc    Get single shelf with its books
+// @route   GET /api/v1/shelves/:id
+// @access  Private
+const getShelf = asyncHandler(async (req, res) => {
+  const shelf = await findUserShelf(req.user._id, req.params.id);
+
+  const books = await Book.find(await shelfBookFilter(shelf)).sort({ title: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { shelf, books }
+  });
+});
+
+// @desc    Create new shelf; with `criteria` it is a smart shelf
+// @route   POST /api/v1/shelves
+// @access  Private
+const createShelf = asyncHandler(async (req, res) => {
+  const { name, description, icon } = req.body;
+  let { sortOrder } = req.body;
+  const criteria = req.body.criteria !== undefined ? smartShelfCriteria(req.body.criteria) : undefined;
+
+  // Append to the end unless an explicit position is given
+  if (sortOrder === undefined) {
+    const lastShelf = await Shelf.findOne({ userId: req.user._id }).sort({ sortOrder: -1 });
+    sortOrder = lastShelf ? lastShelf.sortOrder + 1 : 0;
+  }
+
+  const shelf = await Shelf.create({
+    userId: req.user._id,
+    name,
+    description,
+    sortOrder,
+    icon,
+    criteria
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { shelf },
+    message: criteria ? 'Smart shelf created successfully' : 'Shelf created successfully'
+  });
+});
+
+// @desc    Update shelf
+// @route   PUT /api/v1/shelves/:id
+// @access  Private
+const updateShelf = asyncHandler(async (req, res) => {
+  const shelf = await findUserShelf(req.user._id, req.params.id);
+
+  const { name, description, sortOrder, icon, criteria } = req.body;
+  if (criteria !== undefined) {
+    // A regular shelf's books were picked by hand, so it cannot become a smart shelf
+    if (!shelf.isSmart) {
+      throw new AppError('Only smart shelves have search criteria', 400);
+    }
+    shelf.criteria = smartShelfCriteria(criteria);
+  }
+  if (name !== undefined) shelf.name = name;
+  if (description !== undefined) shelf.description = description;
+  if (sortOrder !== undefined) shelf.sortOrder = sortOrder;
+  if (icon !== undefined) shelf.icon = icon;
+
+  await shelf.save();
+
+  res.status(200).json({
+    success: true,
+    data: { shelf },
+    message: 'Shelf updated successfully'
+  });
+});
+
+// @desc    Delete shelf (books stay in the library)
+// @route   DELETE /api/v1/shelves/:id
+// @access  Private
+const deleteShelf = asyncHandler(async (req, res) => {
+  const shelf = await findUserShelf(req.user._id, req.params.id);
+
+  // Books in the trash too, or restoring one would bring back a shelf that no longer exists
+  await Book.updateMany(
+    { userId: req.user._id, shelves: shelf._id },
+    { $pull: { shelves: shelf._id } },
+    { withTrashed: true }
+  );
+  await Shelf.findByIdAndDelete(shelf._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shelf deleted successfully'
+  });
+});
+
+// @desc    Add books to a shelf
+// @route   POST /api/v1/shelves/:id/books
+// @access  Private
+const addBooksToShelf = asyncHandler(async (req, res) => {
+  const { bookIds } = req.body;
+
+  const shelf = await findUserShelf(req.user._id, req.params.id);
+  assertRegularShelf(shelf);
+
+  const result = await Book.updateMany(
+    { _id: { $in: bookIds }, userId: req.user._id },
+    { $addToSet: { shelves: shelf._id } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shelfId: shelf._id,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount
+    },
+    message: `Added ${result.modifiedCount} book${result.modifiedCount !== 1 ? 's' : ''} to ${shelf.name}`
+  });
+});
+
+// @desc    Remove a book from a shelf
+// @route   DELETE /api/v1/shelves/:id/books/:bookId
+// @access  Private
+const removeBookFromShelf = asyncHandler(async (req, res) => {
+  const shelf = await findUserShelf(req.user._id, req.params.id);
+  assertRegularShelf(shelf);
+
+  const book = await Book.findOneAndUpdate(
+    { _id: req.params.bookId, userId: req.user._id },
+    { $pull: { shelves: shelf._id } },
+    { new: true }
+  );
+
+  if (!book) {
+    throw new AppError('Book not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { book },
+    message: `Removed from ${shelf.name}`
+  });
+});
+
+export {
+  getShelves,
+  getShelf,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addBooksToShelf,
+  removeBookFromShelf
+};
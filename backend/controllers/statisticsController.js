@@ -1,6 +1,7 @@
 import asyncHandler from 'express-async-handler';
-import Book from '../models/Book.js';
+import Book, { PAGES_READ_EXPRESSION, MINUTES_LISTENED_EXPRESSION } from '../models/Book.js';
 import User from '../models/User.js';
+import ReadingSession from '../models/ReadingSession.js';
 import AppError from '../utils/AppError.js';
 
 // @desc    Get comprehensive reading analytics
@@ -36,13 +37,7 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
 
   // Reading velocity (books per month over time)
   const readingVelocity = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: { $exists: true }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId),
     {
       $group: {
         _id: {
@@ -50,7 +45,8 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
           month: { $month: '$dateCompleted' }
         },
         booksCompleted: { $sum: 1 },
-        totalPages: { $sum: { $ifNull: ['$pageCount', 0] } },
+        totalPages: { $sum: PAGES_READ_EXPRESSION },
+        totalMinutes: { $sum: MINUTES_LISTENED_EXPRESSION },
         averageRating: { $avg: { $ifNull: ['$rating', 0] } }
       }
     },
@@ -83,8 +79,8 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
             ]
           }
         },
-        totalPages: { $sum: { $ifNull: ['$pageCount', 0] } },
-        averagePages: { $avg: { $ifNull: ['$pageCount', 0] } }
+        totalPages: { $sum: PAGES_READ_EXPRESSION },
+        averagePages: { $avg: PAGES_READ_EXPRESSION }
       }
     },
     {
@@ -104,13 +100,7 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
 
   // Reading habits (day of week, time patterns)
   const readingHabits = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: { $exists: true }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId),
     {
       $group: {
         _id: { $dayOfWeek: '$dateCompleted' },
@@ -124,21 +114,17 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
 
   // Reading goals progress
   const user = await User.findById(userId);
-  const currentYearCompleted = await Book.countDocuments({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: new Date(now.getFullYear(), 0, 1),
-      $lt: new Date(now.getFullYear() + 1, 0, 1)
-    }
+  const currentYearCompleted = await Book.countCompletedReadings(userId, {
+    startDate: new Date(now.getFullYear(), 0, 1),
+    endDate: new Date(now.getFullYear() + 1, 0, 1)
   });
 
-  // Page reading statistics
+  // Page reading statistics (audiobooks are measured in minutes instead)
   const pageStats = await Book.aggregate([
+    ...Book.completedReadingsPipeline(userId),
     {
       $match: {
-        userId: userId,
-        status: 'completed',
+        format: { $ne: 'audiobook' },
         pageCount: { $exists: true, $gt: 0 }
       }
     },
@@ -154,6 +140,39 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Listening statistics for completed audiobooks
+  const listeningStats = await Book.aggregate([
+    ...Book.completedReadingsPipeline(userId),
+    {
+      $match: {
+        format: 'audiobook',
+        durationMinutes: { $exists: true, $gt: 0 }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalMinutes: { $sum: '$durationMinutes' },
+        averageMinutes: { $avg: '$durationMinutes' },
+        totalBooks: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        totalMinutes: 1,
+        averageMinutes: { $round: ['$averageMinutes', 0] },
+        totalBooks: 1
+      }
+    }
+  ]);
+
+  // Reading time and speed from recorded sessions
+  const readingTime = await ReadingSession.getUserSessionStats(userId, { startDate, endDate });
+
+  // Did-not-finish rate: books abandoned vs. read-throughs completed in the timeframe
+  const abandonment = await calculateAbandonmentStats(userId, startDate, endDate);
+
   // Reading streaks
   const readingStreaks = await calculateReadingStreaks(userId);
 
@@ -176,6 +195,13 @@ const getReadingAnalytics = asyncHandler(async (req, res) => {
         maxPages: 0,
         totalBooks: 0
       },
+      listeningStats: listeningStats[0] || {
+        totalMinutes: 0,
+        averageMinutes: 0,
+        totalBooks: 0
+      },
+      readingTime,
+      abandonment,
       readingStreaks
     }
   });
@@ -198,27 +224,15 @@ const getReadingGoals = asyncHandler(async (req, res) => {
   const dayOfYear = Math.floor((new Date() - new Date(currentYear, 0, 0)) / (1000 * 60 * 60 * 24));
 
   // Current year progress
-  const booksCompletedThisYear = await Book.countDocuments({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: new Date(currentYear, 0, 1),
-      $lt: new Date(currentYear + 1, 0, 1)
-    }
-  });
+  const yearRange = {
+    startDate: new Date(currentYear, 0, 1),
+    endDate: new Date(currentYear + 1, 0, 1)
+  };
+  const booksCompletedThisYear = await Book.countCompletedReadings(userId, yearRange);
 
   // Monthly breakdown
   const monthlyProgress = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: {
-          $gte: new Date(currentYear, 0, 1),
-          $lt: new Date(currentYear + 1, 0, 1)
-        }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId, yearRange),
     {
       $group: {
         _id: { $month: '$dateCompleted' },
@@ -254,21 +268,37 @@ const getReadingGoals = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get what the library cost: spending by purchase year, store and genre, per currency
+// @route   GET /api/v1/stats/spending
+// @access  Private
+const getSpendingReport = asyncHandler(async (req, res) => {
+  const year = req.query.year ? parseInt(req.query.year, 10) : undefined;
+  const report = await Book.getSpendingReport(req.user._id, { year });
+
+  res.status(200).json({
+    success: true,
+    data: { ...report, year: year ?? null }
+  });
+});
+
 // Helper function to calculate reading streaks
+// A day counts towards a streak if a book was completed or a reading session was recorded
 const calculateReadingStreaks = async (userId) => {
-  const completedBooks = await Book.find({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: { $exists: true }
-  }).sort({ dateCompleted: -1 });
+  // Sessions of trashed books do not keep a streak going
+  const trashedBookIds = await Book.distinct('_id', { userId, deletedAt: { $ne: null } });
+  const [completedBooks, sessions] = await Promise.all([
+    Book.aggregate(Book.completedReadingsPipeline(userId)),
+    ReadingSession.find({ userId: userId, bookId: { $nin: trashedBookIds } }).select('startTime')
+  ]);
 
-  if (completedBooks.length === 0) {
+  if (completedBooks.length === 0 && sessions.length === 0) {
     return { currentStreak: 0, longestStreak: 0, streakDates: [] };
   }
 
-  const dates = completedBooks.map(book => 
-    new Date(book.dateCompleted).toDateString()
-  );
+  const dates = [
+    ...completedBooks.map(book => new Date(book.dateCompleted).toDateString()),
+    ...sessions.map(session => new Date(session.startTime).toDateString())
+  ];
   
   const uniqueDates = [...new Set(dates)].sort((a, b) => new Date(b) - new Date(a));
   
@@ -317,6 +347,42 @@ const calculateReadingStreaks = async (userId) => {
   };
 };
 
+// Helper function to summarise abandoned (DNF) books
+// Abandoned books never count towards goals; they are only compared against completions
+const calculateAbandonmentStats = async (userId, startDate, endDate) => {
+  const abandonedQuery = { userId, status: 'abandoned' };
+  const range = {};
+  if (startDate && endDate) {
+    abandonedQuery.dateAbandoned = { $gte: startDate, $lte: endDate };
+    range.startDate = startDate;
+    range.endDate = endDate;
+  }
+
+  const [abandonedBooks, completedCount] = await Promise.all([
+    Book.find(abandonedQuery)
+      .select('title author genre pageCount abandonedPage dateAbandoned abandonmentReason')
+      .sort({ dateAbandoned: -1 }),
+    Book.countCompletedReadings(userId, range)
+  ]);
+
+  const finishedOrAbandoned = abandonedBooks.length + completedCount;
+  const percentages = abandonedBooks
+    .filter(book => book.pageCount && book.abandonedPage !== undefined)
+    .map(book => (book.abandonedPage / book.pageCount) * 100);
+
+  return {
+    abandonedCount: abandonedBooks.length,
+    completedCount,
+    dnfRate: finishedOrAbandoned > 0
+      ? Math.round((abandonedBooks.length / finishedOrAbandoned) * 100)
+      : 0,
+    averageAbandonedAt: percentages.length > 0
+      ? Math.round(percentages.reduce((sum, percentage) => sum + percentage, 0) / percentages.length)
+      : null,
+    books: abandonedBooks
+  };
+};
+
 // Helper function to format reading habits
 const formatReadingHabits = (habits) => {
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -379,5 +445,6 @@ const generateRecommendations = (current, goal, daysRemaining) => {
 
 export {
   getReadingAnalytics,
-  getReadingGoals
+  getReadingGoals,
+  getSpendingReport
 };
@@ -0,0 +1,128 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import BookRevision from '../models/BookRevision.js';
+import escapeRegex from '../utils/escapeRegex.js';
+
+// Tags that are the same word written differently, e.g. "sci-fi", "scifi" and "Sci Fi"
+const tagKey = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Groups of differently written tags, most used first, that are probably meant to be one tag
+const findSimilarTags = (tags) => {
+  const groups = new Map();
+  tags.forEach(tag => {
+    const key = tagKey(tag.name);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tag.name);
+  });
+  return [...groups.values()]
+    .filter(names => names.length > 1)
+    .map(names => ({ tags: names, suggestedName: names[0] }));
+};
+
+// Replace tags on all of the user's books, trashed ones included so a restored book does not
+// bring an old spelling back. Each changed book gets a revision. An empty replacement deletes the tags.
+const replaceTagsOnBooks = async (userId, tags, replacement) => {
+  const books = await Book.find({
+    userId,
+    tags: { $in: tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) }
+  }).setOptions({ withTrashed: true });
+
+  let updated = 0;
+  for (const book of books) {
+    const before = BookRevision.snapshot(book);
+    if (book.replaceTags(tags, replacement)) {
+      await book.save({ validateModifiedOnly: true });
+      await BookRevision.record(book, before);
+      updated += 1;
+    }
+  }
+
+  return { matched: books.length, updated };
+};
+
+const booksLabel = (count) => `${count} book${count !== 1 ? 's' : ''}`;
+
+// @desc    Get all tags for user with usage counts
+// @route   GET /api/v1/tags
+// @access  Private
+const getTags = asyncHandler(async (req, res) => {
+  let tags = await Book.getTagSummaries(req.user._id);
+  const similar = findSimilarTags(tags);
+
+  if (req.query.q) {
+    const query = req.query.q.toLowerCase();
+    tags = tags.filter(tag => tag.spellings.some(spelling => spelling.name.toLowerCase().includes(query)));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tags,
+      similar,
+      totalTags: tags.length
+    }
+  });
+});
+
+// @desc    Rename a tag on every book that has it
+// @route   PUT /api/v1/tags/:name
+// @access  Private
+const renameTag = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const newName = req.body.name;
+
+  const { matched, updated } = await replaceTagsOnBooks(req.user._id, [name], newName);
+  if (matched === 0) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { name: newName, booksUpdated: updated },
+    message: `Renamed "${name}" to "${newName}" on ${booksLabel(updated)}`
+  });
+});
+
+// @desc    Merge several tags into one
+// @route   POST /api/v1/tags/merge
+// @access  Private
+const mergeTags = asyncHandler(async (req, res) => {
+  const { tags, into } = req.body;
+
+  const { matched, updated } = await replaceTagsOnBooks(req.user._id, tags, into);
+  if (matched === 0) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { name: into, booksUpdated: updated },
+    message: `Merged ${tags.length} tag${tags.length !== 1 ? 's' : ''} into "${into}" on ${booksLabel(updated)}`
+  });
+});
+
+// @desc    Remove a tag from every book that has it
+// @route   DELETE /api/v1/tags/:name
+// @access  Private
+const deleteTag = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  const { matched, updated } = await replaceTagsOnBooks(req.user._id, [name], null);
+  if (matched === 0) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { booksUpdated: updated },
+    message: `Removed "${name}" from ${booksLabel(updated)}`
+  });
+});
+
+export {
+  getTags,
+  renameTag,
+  mergeTags,
+  deleteTag
+};
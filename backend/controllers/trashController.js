@@ -0,0 +1,108 @@
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+import Book from '../models/Book.js';
+import User from '../models/User.js';
+import { getTrashRetentionDays, getPurgeDate, purgeTrashedBooks } from '../utils/trash.js';
+
+// Find one of the user's trashed books or fail with 404
+const findTrashedBook = async (req) => {
+  const book = await Book.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    deletedAt: { $ne: null }
+  });
+
+  if (!book) {
+    throw new AppError('Book not found in trash', 404);
+  }
+
+  return book;
+};
+
+// @desc    Get books in the trash
+// @route   GET /api/v1/books/trash
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const books = await Book.findTrashed(req.user._id)
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const total = await Book.countDocuments({ userId: req.user._id, deletedAt: { $ne: null } });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      books: books.map(book => ({
+        ...book.toJSON(),
+        purgeAt: getPurgeDate(book.deletedAt)
+      })),
+      retentionDays: getTrashRetentionDays(),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalBooks: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Restore a book from the trash
+// @route   POST /api/v1/books/trash/:id/restore
+// @access  Private
+const restoreBook = asyncHandler(async (req, res) => {
+  const book = await findTrashedBook(req);
+
+  await book.restoreFromTrash();
+
+  // Trashing a completed book took it off the reading goal
+  if (book.status === 'completed') {
+    const user = await User.findById(req.user._id);
+    if (user) {
+      await user.updateReadingProgress(1);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { book },
+    message: 'Book restored'
+  });
+});
+
+// @desc    Permanently delete a book from the trash
+// @route   DELETE /api/v1/books/trash/:id
+// @access  Private
+const purgeBook = asyncHandler(async (req, res) => {
+  const book = await findTrashedBook(req);
+
+  await purgeTrashedBooks({ _id: book._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Book permanently deleted'
+  });
+});
+
+// @desc    Permanently delete every book in the trash
+// @route   DELETE /api/v1/books/trash
+// @access  Private
+const emptyTrash = asyncHandler(async (req, res) => {
+  const count = await purgeTrashedBooks({ userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: { purgedCount: count },
+    message: `Permanently deleted ${count} book${count !== 1 ? 's' : ''}`
+  });
+});
+
+export {
+  getTrash,
+  restoreBook,
+  purgeBook,
+  emptyTrash
+};
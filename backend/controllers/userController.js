@@ -1,6 +1,14 @@
 import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
 import User from '../models/User.js';
 import Book from '../models/Book.js';
+import ReadingSession from '../models/ReadingSession.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import Shelf from '../models/Shelf.js';
+import Highlight from '../models/Highlight.js';
+import DuplicateDismissal from '../models/DuplicateDismissal.js';
+import BookRevision from '../models/BookRevision.js';
+import Genre from '../models/Genre.js';
+import { removeStoredCovers } from '../utils/coverImages.js';
 
 // @desc    Get user profile
 // @route   GET /api/v1/users/profile
@@ -85,8 +93,21 @@ const deleteUserAccount = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  // Uploaded covers are served to anyone with the link, so they go with the account, trash included
+  const bookIds = await Book.distinct('_id', { userId: user._id }).setOptions({ withTrashed: true });
+  for (const bookId of bookIds) {
+    await removeStoredCovers(bookId.toString());
+  }
+
   // Delete all user's books
   await Book.deleteMany({ userId: user._id });
+  await ReadingSession.deleteMany({ userId: user._id });
+  await ProgressEntry.deleteMany({ userId: user._id });
+  await Shelf.deleteMany({ userId: user._id });
+  await Highlight.deleteMany({ userId: user._id });
+  await DuplicateDismissal.deleteMany({ userId: user._id });
+  await BookRevision.deleteMany({ userId: user._id });
+  await Genre.deleteMany({ userId: user._id });
 
   // Delete user account
   await User.findByIdAndDelete(user._id);
@@ -111,13 +132,7 @@ const getUserStats = asyncHandler(async (req, res) => {
 
   // Get reading activity (books completed per month)
   const readingActivity = await Book.aggregate([
-    {
-      $match: {
-        userId: userId,
-        status: 'completed',
-        dateCompleted: { $exists: true }
-      }
-    },
+    ...Book.completedReadingsPipeline(userId),
     {
       $group: {
         _id: {
@@ -138,13 +153,9 @@ const getUserStats = asyncHandler(async (req, res) => {
 
   // Get current year progress
   const currentYear = new Date().getFullYear();
-  const yearlyProgress = await Book.countDocuments({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: new Date(currentYear, 0, 1),
-      $lt: new Date(currentYear + 1, 0, 1)
-    }
+  const yearlyProgress = await Book.countCompletedReadings(userId, {
+    startDate: new Date(currentYear, 0, 1),
+    endDate: new Date(currentYear + 1, 0, 1)
   });
 
   // Get user's reading goal
@@ -184,15 +195,11 @@ const updateReadingGoal = asyncHandler(async (req, res) => {
   // Update reading goal
   user.readingGoal.yearly = yearly;
 
-  // Recalculate current progress based on completed books this year
+  // Recalculate current progress based on read-throughs completed this year
   const currentYear = new Date().getFullYear();
-  const completedThisYear = await Book.countDocuments({
-    userId: user._id,
-    status: 'completed',
-    dateCompleted: {
-      $gte: new Date(currentYear, 0, 1),
-      $lt: new Date(currentYear + 1, 0, 1)
-    }
+  const completedThisYear = await Book.countCompletedReadings(user._id, {
+    startDate: new Date(currentYear, 0, 1),
+    endDate: new Date(currentYear + 1, 0, 1)
   });
 
   user.readingGoal.current = completedThisYear;
@@ -230,15 +237,14 @@ const getReadingGoalProgress = asyncHandler(async (req, res) => {
   const totalDaysInYear = Math.floor((endOfYear - startOfYear) / (1000 * 60 * 60 * 24)) + 1;
   const daysRemaining = totalDaysInYear - daysPassed;
 
-  // Get books completed this year
-  const completedBooks = await Book.find({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: startOfYear,
-      $lte: endOfYear
-    }
-  }).sort({ dateCompleted: 1 });
+  // Get read-throughs completed this year
+  const completedBooks = await Book.aggregate([
+    ...Book.completedReadingsPipeline(userId, {
+      startDate: startOfYear,
+      endDate: new Date(currentYear + 1, 0, 1)
+    }),
+    { $sort: { dateCompleted: 1 } }
+  ]);
 
   // Calculate monthly progress
   const monthlyProgress = Array(12).fill(0);
@@ -330,15 +336,11 @@ const setMonthlyGoal = asyncHandler(async (req, res) => {
 
   // Get current progress for this month
   const startOfMonth = new Date(year, month - 1, 1);
-  const endOfMonth = new Date(year, month, 0);
-
-  const completedThisMonth = await Book.countDocuments({
-    userId: userId,
-    status: 'completed',
-    dateCompleted: {
-      $gte: startOfMonth,
-      $lte: endOfMonth
-    }
+  const startOfNextMonth = new Date(year, month, 1);
+
+  const completedThisMonth = await Book.countCompletedReadings(userId, {
+    startDate: startOfMonth,
+    endDate: startOfNextMonth
   });
 
   res.status(200).json({
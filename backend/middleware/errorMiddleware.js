@@ -20,7 +20,9 @@ const errorHandler = (err, req, res, next) => {
   // Mongoose duplicate key error
   if (err.code === 11000) {
     statusCode = 400;
-    const field = Object.keys(err.keyValue)[0];
+    // Per-user unique indexes lead with userId; name the field that actually clashed
+    const fields = Object.keys(err.keyValue || {});
+    const field = fields.find(key => key !== 'userId') || fields[0] || 'value';
     message = `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`;
   }
 
@@ -94,6 +94,20 @@ export const searchLimiter = rateLimit({
   keyGenerator: getClientId
 });
 
+// Autocomplete rate limiter (one request per pause in typing, so far more than searches)
+export const suggestLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 300, // 300 suggestion requests per 5 minutes
+  message: createRateLimitResponse(
+    'Too many suggestion requests, please try again later.',
+    'SUGGEST_RATE_LIMIT_EXCEEDED',
+    300
+  ),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientId
+});
+
 // API creation rate limiter (for POST requests)
 export const createLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
@@ -214,6 +228,7 @@ export default {
   authLimiter,
   uploadLimiter,
   searchLimiter,
+  suggestLimiter,
   createLimiter,
   bulkLimiter,
   progressiveLimiter,
@@ -1,6 +1,18 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { AppError } from './errorMiddleware.js';
-import validator from 'validator';
+import {
+  BOOK_STATUSES,
+  BOOK_FORMATS,
+  EBOOK_PROGRESS_UNITS,
+  MAX_TAGS,
+  OWNERSHIP_TYPES,
+  BOOK_CONDITIONS
+} from '../models/Book.js';
+import { HIGHLIGHT_COLORS } from '../models/Highlight.js';
+import { normalizeIsbn } from '../utils/isbn.js';
+import { BULK_OPERATIONS, MAX_BULK_BOOKS } from '../utils/bulkOperations.js';
+import { SUGGESTION_TYPES } from '../utils/fuzzySearch.js';
+import { COVER_SIZES, isValidCoverImage } from '../utils/coverImages.js';
 
 // Helper function to handle validation results
 export const handleValidationErrors = (req, res, next) => {
@@ -76,7 +88,8 @@ export const sanitizeRequest = (req, res, next) => {
   const sanitizeObject = (obj) => {
     if (typeof obj !== 'object' || obj === null) return obj;
 
-    const sanitized = {};
+    // Arrays keep their shape so list fields (tags, ids) still validate as arrays
+    const sanitized = Array.isArray(obj) ? [] : {};
     for (const [key, value] of Object.entries(obj)) {
       if (typeof value === 'string') {
         sanitized[key] = sanitizeInput.html(
@@ -132,7 +145,7 @@ export const validateBook = [
   body('isbn')
     .optional()
     .custom((value) => {
-      if (value && !validator.isISBN(value)) {
+      if (value && !normalizeIsbn(value)) {
         throw new Error('Invalid ISBN format');
       }
       return true;
@@ -149,18 +162,41 @@ export const validateBook = [
       return true;
     }),
 
+  // A genre name or a path of names, e.g. "Fiction / Fantasy / Epic Fantasy"
   body('genre')
     .optional()
     .trim()
-    .isLength({ max: 50 })
-    .withMessage('Genre cannot exceed 50 characters')
-    .matches(/^[a-zA-Z\s\-&]+$/)
-    .withMessage('Genre contains invalid characters'),
+    .isLength({ max: 200 })
+    .withMessage('Genre cannot exceed 200 characters')
+    .matches(/^[a-zA-Z\s\-&/]+$/)
+    .withMessage('Genre contains invalid characters')
+    .custom((value) => {
+      if (value.split('/').some(name => name.trim().length > 50)) {
+        throw new Error('Each genre name cannot exceed 50 characters');
+      }
+      return true;
+    }),
+
+  body('genreId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid genre ID format'),
+
+  body('series')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Series name cannot exceed 100 characters'),
+
+  body('seriesPosition')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Series position must be a non-negative number'),
 
   body('coverImage')
     .optional()
-    .isURL({ protocols: ['http', 'https'] })
-    .withMessage('Cover image must be a valid URL'),
+    .custom(isValidCoverImage)
+    .withMessage('Cover image must be a valid image URL'),
 
   body('description')
     .optional()
@@ -170,9 +206,15 @@ export const validateBook = [
 
   body('status')
     .optional()
-    .isIn(['not_started', 'in_progress', 'completed'])
+    .isIn(BOOK_STATUSES)
     .withMessage('Invalid status value'),
 
+  body('abandonmentReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Abandonment reason cannot exceed 500 characters'),
+
   body('rating')
     .optional()
     .isInt({ min: 1, max: 5 })
@@ -194,6 +236,89 @@ export const validateBook = [
     .isInt({ min: 0 })
     .withMessage('Current page must be a non-negative integer'),
 
+  body('format')
+    .optional()
+    .isIn(BOOK_FORMATS)
+    .withMessage(`Format must be one of: ${BOOK_FORMATS.join(', ')}`),
+
+  body('durationMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of minutes'),
+
+  body('currentMinute')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Current minute must be a non-negative integer'),
+
+  body('ebookProgressUnit')
+    .optional()
+    .isIn(EBOOK_PROGRESS_UNITS)
+    .withMessage(`Ebook progress unit must be one of: ${EBOOK_PROGRESS_UNITS.join(', ')}`),
+
+  body('currentPercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Progress percentage must be between 0 and 100'),
+
+  body('locationCount')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Location count must be a positive integer'),
+
+  body('currentLocation')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Current location must be a non-negative integer'),
+
+  body('ownershipType')
+    .optional()
+    .isIn(OWNERSHIP_TYPES)
+    .withMessage(`Ownership type must be one of: ${OWNERSHIP_TYPES.join(', ')}`),
+
+  body('shelfLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Shelf location cannot exceed 100 characters'),
+
+  body('condition')
+    .optional({ nullable: true })
+    .isIn(BOOK_CONDITIONS)
+    .withMessage(`Condition must be one of: ${BOOK_CONDITIONS.join(', ')}`),
+
+  body('purchaseDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid purchase date format'),
+
+  body('purchasePrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1000000 })
+    .withMessage('Purchase price must be between 0 and 1,000,000'),
+
+  body('currency')
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a three-letter code such as USD'),
+
+  body('purchaseStore')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Store cannot exceed 100 characters'),
+
+  body('shelves')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Shelves must be an array'),
+
+  body('shelves.*')
+    .isMongoId()
+    .withMessage('Invalid shelf ID format'),
+
   body('tags')
     .optional()
     .isArray()
@@ -266,9 +391,10 @@ export const validateSearch = [
   query('q')
     .optional()
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Search query must be between 1 and 100 characters')
-    .matches(/^[a-zA-Z0-9\s\-.,!?'"():&]+$/)
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Search query must be between 1 and 300 characters')
+    // Also allows the sanitizer's escapes (&gt; &#x27;) and the field syntax (status:in_progress, rating:>=4)
+    .matches(/^[a-zA-Z0-9\s\-.,!?'"():&;#=<>_/]+$/)
     .withMessage('Search query contains invalid characters'),
 
   query('page')
@@ -281,9 +407,15 @@ export const validateSearch = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
 
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid cursor'),
+
   query('sortBy')
     .optional()
-    .isIn(['title', 'author', 'createdAt', 'updatedAt', 'rating'])
+    .isIn(['title', 'author', 'createdAt', 'updatedAt', 'rating', 'series'])
     .withMessage('Invalid sort field'),
 
   query('sortOrder')
@@ -294,6 +426,86 @@ export const validateSearch = [
   handleValidationErrors
 ];
 
+// A decade is given by its first year, e.g. 1990
+const isDecade = (value) => Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) % 10 === 0;
+
+// Book list refinement validation (the facet filters)
+export const validateBookList = [
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters'),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+
+  query('decade')
+    .optional()
+    .custom(isDecade)
+    .withMessage('Decade must be a year ending in 0, e.g. 1990'),
+
+  handleValidationErrors
+];
+
+// Autocomplete suggestion validation
+export const validateSuggest = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Suggestion query must be between 1 and 100 characters'),
+
+  query('types')
+    .optional()
+    .custom((value) => {
+      const types = String(value).split(',').map(type => type.trim());
+      if (types.some(type => !SUGGESTION_TYPES.includes(type))) {
+        throw new Error(`Types must be a comma-separated list of: ${SUGGESTION_TYPES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+
+  handleValidationErrors
+];
+
+// Metadata lookup validation: an ISBN, or a title with an optional author
+export const validateMetadataLookup = [
+  query('isbn')
+    .optional()
+    .custom((value) => {
+      if (!normalizeIsbn(value)) {
+        throw new Error('Invalid ISBN format');
+      }
+      return true;
+    }),
+
+  query('title')
+    .if(query('isbn').not().exists())
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Provide an ISBN, or a title of at most 200 characters'),
+
+  query('author')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Author cannot exceed 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limit must be between 1 and 10'),
+
+  handleValidationErrors
+];
+
 // File upload validation
 export const validateFileUpload = [
   body('fileType')
@@ -313,45 +525,607 @@ export const validateId = [
   handleValidationErrors
 ];
 
-// Advanced search validation
-export const validateAdvancedSearch = [
-  body('title')
+// Advanced search criteria rules, for a search request (prefix '') or a smart shelf ('criteria.')
+const searchCriteriaRules = (prefix = '') => [
+  body(`${prefix}title`)
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('Title search term too long'),
 
-  body('author')
+  body(`${prefix}author`)
     .optional()
     .trim()
     .isLength({ max: 100 })
     .withMessage('Author search term too long'),
 
-  body('genre')
+  body(`${prefix}genre`)
     .optional()
     .trim()
-    .isLength({ max: 50 })
+    .isLength({ max: 200 })
     .withMessage('Genre search term too long'),
 
-  body('status')
+  body(`${prefix}series`)
     .optional()
-    .isIn(['not_started', 'in_progress', 'completed'])
-    .withMessage('Invalid status filter'),
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Series search term too long'),
 
-  body('rating')
+  body(`${prefix}status`)
     .optional()
-    .isInt({ min: 1, max: 5 })
+    .isIn(BOOK_STATUSES)
+    .withMessage('Invalid status filter'),
+
+  body([`${prefix}rating.min`, `${prefix}rating.max`])
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
 
-  body('dateRange.start')
+  body([`${prefix}pageCount.min`, `${prefix}pageCount.max`])
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Page count must be a positive integer'),
+
+  body(`${prefix}decade`)
+    .optional({ values: 'falsy' })
+    .custom(isDecade)
+    .withMessage('Decade must be a year ending in 0, e.g. 1990'),
+
+  body(`${prefix}dateRange.start`)
     .optional()
     .isISO8601()
     .withMessage('Invalid start date format'),
 
-  body('dateRange.end')
+  body(`${prefix}dateRange.end`)
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date format')
+];
+
+// Shelf validation rules
+const shelfFieldRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer'),
+
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage('Icon cannot exceed 10 characters'),
+
+  // Saved advanced search criteria make a smart shelf
+  body('criteria')
+    .optional()
+    .isObject()
+    .withMessage('criteria must be an object of advanced search criteria'),
+
+  ...searchCriteriaRules('criteria.')
+];
+
+export const validateShelf = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Shelf name must be between 1 and 50 characters'),
+
+  ...shelfFieldRules,
+
+  handleValidationErrors
+];
+
+export const validateShelfUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Shelf name must be between 1 and 50 characters'),
+
+  ...shelfFieldRules,
+
+  handleValidationErrors
+];
+
+// Shelf membership validation rules
+export const validateShelfBooks = [
+  body('bookIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('bookIds must be an array of 1 to 100 book IDs'),
+
+  body('bookIds.*')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  handleValidationErrors
+];
+
+// Revision ID parameter validation
+export const validateRevisionId = [
+  param('revisionId')
+    .isMongoId()
+    .withMessage('Invalid revision ID format'),
+
+  handleValidationErrors
+];
+
+// Duplicate merge validation rules
+export const validateDuplicateMerge = [
+  body('survivorId')
+    .isMongoId()
+    .withMessage('Invalid survivor book ID format'),
+
+  body('duplicateIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('duplicateIds must be an array of 1 to 20 book IDs'),
+
+  body('duplicateIds.*')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  handleValidationErrors
+];
+
+// Duplicate dismissal validation rules
+export const validateDuplicateDismissal = [
+  body('bookIds')
+    .isArray({ min: 2, max: 20 })
+    .withMessage('bookIds must be an array of 2 to 20 book IDs'),
+
+  body('bookIds.*')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  handleValidationErrors
+];
+
+// Bulk operation validation rules
+export const validateBulkOperation = [
+  body()
+    .custom((value) => {
+      if (Boolean(value?.bookIds) === Boolean(value?.filter)) {
+        throw new Error('Provide either bookIds or filter');
+      }
+      return true;
+    }),
+
+  body('bookIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_BOOKS })
+    .withMessage(`bookIds must be an array of 1 to ${MAX_BULK_BOOKS} book IDs`),
+
+  body('bookIds.*')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object of advanced search criteria'),
+
+  body('operation')
+    .isIn(BULK_OPERATIONS)
+    .withMessage(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}`),
+
+  body('status')
+    .if(body('operation').equals('set_status'))
+    .isIn(BOOK_STATUSES)
+    .withMessage(`Status must be one of: ${BOOK_STATUSES.join(', ')}`),
+
+  body('tags')
+    .if(body('operation').isIn(['add_tags', 'remove_tags']))
+    .isArray({ min: 1, max: MAX_TAGS })
+    .withMessage(`Tags must be an array of 1 to ${MAX_TAGS} tags`)
+    .bail()
+    .custom((tags) => {
+      if (tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 30)) {
+        throw new Error('Each tag must be a non-empty string with maximum 30 characters');
+      }
+      return true;
+    })
+    .customSanitizer(tags => tags.map(tag => tag.trim())),
+
+  // set_genre takes a genreId, or a genre path (empty to clear)
+  body('genre')
+    .if(body('operation').equals('set_genre'))
+    .if(body('genreId').not().exists())
+    .isString()
+    .withMessage('Genre must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Genre cannot exceed 200 characters')
+    .matches(/^[a-zA-Z\s\-&/]*$/)
+    .withMessage('Genre contains invalid characters'),
+
+  body('genreId')
+    .if(body('operation').equals('set_genre'))
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid genre ID format'),
+
+  handleValidationErrors
+];
+
+// Tag name parameter validation
+export const validateTagName = [
+  param('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+
+  handleValidationErrors
+];
+
+// Tag rename validation rules
+export const validateTagRename = [
+  body('name')
+    .isString()
+    .withMessage('New tag name is required')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+
+  handleValidationErrors
+];
+
+// Tag merge validation rules
+export const validateTagMerge = [
+  body('tags')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('tags must be an array of 1 to 50 tag names'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+
+  body('into')
+    .isString()
+    .withMessage('Target tag name is required')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Target tag name must be between 1 and 30 characters'),
+
+  handleValidationErrors
+];
+
+// Genre validation rules
+const genreName = (optional) => {
+  const chain = body('name');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .withMessage('Genre name is required')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Genre name must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z\s\-&]+$/)
+    .withMessage('Genre name contains invalid characters');
+};
+
+export const validateGenre = [
+  genreName(false),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent genre ID format'),
+
+  handleValidationErrors
+];
+
+export const validateGenreUpdate = [
+  genreName(true),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent genre ID format'),
+
+  handleValidationErrors
+];
+
+// Series name parameter validation
+export const validateSeriesName = [
+  param('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Series name must be between 1 and 100 characters'),
+
+  handleValidationErrors
+];
+
+// Book ID parameter validation for nested routes
+export const validateBookId = [
+  param('bookId')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  handleValidationErrors
+];
+
+// Reading session validation rules
+export const validateReadingSession = [
+  body('duration')
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Duration must be between 0 and 86400 seconds'),
+
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start time format'),
+
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end time format'),
+
+  body('startPage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Start page must be a non-negative integer'),
+
+  body('endPage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('End page must be a non-negative integer')
+    .custom((value, { req }) => {
+      if (req.body.startPage !== undefined && parseInt(value) < parseInt(req.body.startPage)) {
+        throw new Error('End page cannot be before start page');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Session notes cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Reading session ID parameter validation
+export const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  handleValidationErrors
+];
+
+// Cover thumbnail request validation
+export const validateCoverRequest = [
+  param('bookId')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  param('token')
+    .matches(/^[a-f0-9]{32}$/)
+    .withMessage('Invalid cover ID'),
+
+  param('size')
+    .isIn(Object.keys(COVER_SIZES))
+    .withMessage(`Size must be one of: ${Object.keys(COVER_SIZES).join(', ')}`),
+
+  handleValidationErrors
+];
+
+// Spending report validation
+export const validateSpendingReport = [
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100'),
+
+  handleValidationErrors
+];
+
+// Loan validation
+export const validateLoan = [
+  body('borrowerName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Borrower name is required and cannot exceed 100 characters'),
+
+  body('borrowerContact')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Borrower contact cannot exceed 200 characters'),
+
+  body('lentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid lent date format')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Lent date cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('dueDate')
     .optional()
     .isISO8601()
-    .withMessage('Invalid end date format'),
+    .withMessage('Invalid due date format')
+    .custom((value, { req }) => {
+      const lentAt = req.body.lentAt ? new Date(req.body.lentAt) : new Date();
+      if (new Date(value) < new Date(lentAt.toISOString().slice(0, 10))) {
+        throw new Error('Due date must be after the lent date');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Loan notes cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Loan return validation
+export const validateLoanReturn = [
+  body('returnedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid return date format')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Return date cannot be in the future');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+// Outstanding loan list validation
+export const validateLoanList = [
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('Overdue must be true or false'),
+
+  handleValidationErrors
+];
+
+// Highlight validation rules
+const highlightFieldRules = [
+  body('page')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Page must be a non-negative integer'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+
+  body('color')
+    .optional()
+    .isIn(HIGHLIGHT_COLORS)
+    .withMessage(`Color must be one of: ${HIGHLIGHT_COLORS.join(', ')}`)
+];
+
+export const validateHighlight = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Highlight text must be between 1 and 5000 characters'),
+
+  ...highlightFieldRules,
+
+  handleValidationErrors
+];
+
+export const validateHighlightUpdate = [
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Highlight text must be between 1 and 5000 characters'),
+
+  ...highlightFieldRules,
+
+  handleValidationErrors
+];
+
+// Highlight ID parameter validation
+export const validateHighlightId = [
+  param('highlightId')
+    .isMongoId()
+    .withMessage('Invalid highlight ID format'),
+
+  handleValidationErrors
+];
+
+// Highlight search validation
+export const validateHighlightSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+
+  query('color')
+    .optional()
+    .isIn(HIGHLIGHT_COLORS)
+    .withMessage('Invalid color filter'),
+
+  query('bookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+// Status update validation
+export const validateStatusUpdate = [
+  body('status')
+    .isIn(BOOK_STATUSES)
+    .withMessage(`Status must be one of: ${BOOK_STATUSES.join(', ')}`),
+
+  body('abandonmentReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Abandonment reason cannot exceed 500 characters'),
+
+  body('abandonedPage')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Abandoned page must be a non-negative integer'),
+
+  body('dateAbandoned')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid abandonment date format')
+    .custom((value) => {
+      if (value && new Date(value) > new Date()) {
+        throw new Error('Abandonment date cannot be in the future');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+// Advanced search validation
+export const validateAdvancedSearch = [
+  ...searchCriteriaRules(),
+
+  body('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid cursor'),
 
   handleValidationErrors
 ];
@@ -362,8 +1136,37 @@ export default {
   validateUser,
   validateAuth,
   validateSearch,
+  validateBookList,
+  validateSuggest,
+  validateMetadataLookup,
   validateFileUpload,
   validateId,
   validateAdvancedSearch,
+  validateStatusUpdate,
+  validateReadingSession,
+  validateSessionId,
+  validateLoan,
+  validateLoanReturn,
+  validateLoanList,
+  validateSpendingReport,
+  validateCoverRequest,
+  validateShelf,
+  validateShelfUpdate,
+  validateShelfBooks,
+  validateDuplicateMerge,
+  validateDuplicateDismissal,
+  validateRevisionId,
+  validateBulkOperation,
+  validateTagName,
+  validateTagRename,
+  validateTagMerge,
+  validateGenre,
+  validateGenreUpdate,
+  validateBookId,
+  validateSeriesName,
+  validateHighlight,
+  validateHighlightUpdate,
+  validateHighlightId,
+  validateHighlightSearch,
   handleValidationErrors
 };
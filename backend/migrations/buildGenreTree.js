@@ -0,0 +1,45 @@
+// Migration: hierarchical genres.
+//
+// Books used to carry a free-text `genre` string only. Genres are now per-user trees, and
+// each book points at its genre through `genreId` while `genre` holds the full path
+// ("Fiction / Fantasy"). This migration finds or creates a top-level genre for every
+// distinct genre a user has typed (case-insensitively, so "fantasy" and "Fantasy" share
+// one genre) and links the books to it.
+//
+// Run with `npm run migrate:genres` (add `-- --dry-run` to only report changes).
+// Safe to re-run: books that already have a genreId are left untouched.
+import Book from '../models/Book.js';
+import Genre from '../models/Genre.js';
+
+export const migrateGenres = async ({ dryRun = false, log = console.log } = {}) => {
+  const summary = { linked: 0, genres: new Set() };
+
+  // Raw collection access so trashed books are migrated too
+  const cursor = Book.collection
+    .find(
+      { genre: { $nin: [null, ''] }, genreId: null },
+      { projection: { userId: 1, genre: 1 } }
+    )
+    .sort({ createdAt: 1, _id: 1 });
+
+  const resolved = new Map();
+  for await (const book of cursor) {
+    const path = book.genre.trim();
+    if (!path) continue;
+
+    const key = `${book.userId}:${path.toLowerCase()}`;
+    summary.genres.add(key);
+    summary.linked++;
+    if (dryRun) continue;
+
+    if (!resolved.has(key)) {
+      const genre = await Genre.findOrCreatePath(book.userId, path);
+      resolved.set(key, { genreId: genre._id, genre: await genre.getPath() });
+    }
+    await Book.collection.updateOne({ _id: book._id }, { $set: resolved.get(key) });
+  }
+
+  log(`Linked ${summary.linked} books to ${summary.genres.size} genres`);
+
+  return { linked: summary.linked, genres: summary.genres.size };
+};
@@ -0,0 +1,72 @@
+// Migration: per-user ISBN uniqueness.
+//
+// Books used to carry a global unique index on `isbn`, so two users could not own the
+// same edition, and ISBNs were stored exactly as typed. This migration:
+//   1. drops the legacy global `isbn` index,
+//   2. rewrites every ISBN as ISBN-13 digits; values that fail the checksum and repeats of an
+//      ISBN the same user already has (the oldest book keeps it) move to `legacyIsbn`, so
+//      nothing is lost and the user can fix them,
+//   3. builds the `{ userId, isbn }` unique index declared on the Book schema.
+//
+// Run with `npm run migrate:isbn` (add `-- --dry-run` to only report changes).
+// Safe to re-run: already-normalized books are left untouched.
+import Book from '../models/Book.js';
+import { normalizeIsbn } from '../utils/isbn.js';
+
+export const migrateIsbns = async ({ dryRun = false, log = console.log } = {}) => {
+  const summary = { normalized: 0, invalid: [], duplicates: [], droppedIndex: null };
+
+  // The global index must go first, or normalizing "0-306-40615-2" and "9780306406157"
+  // owned by different users would collide
+  const indexes = await Book.collection.indexes();
+  const legacyIndex = indexes.find(index => Object.keys(index.key).length === 1 && index.key.isbn);
+  if (legacyIndex) {
+    summary.droppedIndex = legacyIndex.name;
+    if (!dryRun) {
+      await Book.collection.dropIndex(legacyIndex.name);
+    }
+    log(`Dropped legacy index ${legacyIndex.name}`);
+  }
+
+  // Raw collection access so the schema's ISBN setter does not rewrite values before we compare
+  const cursor = Book.collection
+    .find({ isbn: { $exists: true } }, { projection: { userId: 1, isbn: 1, title: 1 } })
+    .sort({ createdAt: 1, _id: 1 });
+
+  const seen = new Set();
+  for await (const book of cursor) {
+    const normalized = normalizeIsbn(book.isbn);
+    const key = `${book.userId}:${normalized}`;
+    let update;
+    // Set aside, rather than delete, an ISBN the unique index would not accept
+    const setAside = { $set: { legacyIsbn: book.isbn }, $unset: { isbn: '' } };
+
+    if (!normalized) {
+      summary.invalid.push({ bookId: book._id, title: book.title, isbn: book.isbn });
+      update = setAside;
+    } else if (seen.has(key)) {
+      summary.duplicates.push({ bookId: book._id, title: book.title, isbn: book.isbn });
+      update = setAside;
+    } else {
+      seen.add(key);
+      if (normalized !== book.isbn) {
+        summary.normalized++;
+        update = { $set: { isbn: normalized } };
+      }
+    }
+
+    if (update && !dryRun) {
+      await Book.collection.updateOne({ _id: book._id }, update);
+    }
+  }
+
+  if (!dryRun) {
+    await Book.createIndexes();
+  }
+
+  log(`Normalized ${summary.normalized} ISBNs`);
+  summary.invalid.forEach(book => log(`Moved invalid ISBN "${book.isbn}" to legacyIsbn on ${book.bookId} (${book.title})`));
+  summary.duplicates.forEach(book => log(`Moved duplicate ISBN "${book.isbn}" to legacyIsbn on ${book.bookId} (${book.title})`));
+
+  return summary;
+};
@@ -0,0 +1,50 @@
+// Migration: full-text book search.
+//
+// Books used to have a text index over title and author only. Search now ranks matches across
+// title, author, series, tags, genre, description and notes, plus highlight text and notes.
+// MongoDB allows one text index per collection, so this migration:
+//   1. drops any other text index on books,
+//   2. builds the book and highlight text indexes declared on the schemas,
+//   3. stores the search trigrams typo-tolerant search looks up on books saved before them.
+//
+// Run with `npm run migrate:search` (add `-- --dry-run` to only report changes).
+// Safe to re-run: an up-to-date index is left in place, and books with trigrams are skipped.
+import Book, { BOOK_TEXT_INDEX } from '../models/Book.js';
+import Highlight from '../models/Highlight.js';
+import { bookTrigrams } from '../utils/fuzzySearch.js';
+
+export const rebuildSearchIndex = async ({ dryRun = false, log = console.log } = {}) => {
+  const summary = { droppedIndexes: [], trigrams: 0 };
+
+  const indexes = await Book.collection.indexes();
+  const staleIndexes = indexes.filter(index => index.textIndexVersion && index.name !== BOOK_TEXT_INDEX);
+  for (const index of staleIndexes) {
+    summary.droppedIndexes.push(index.name);
+    if (!dryRun) {
+      await Book.collection.dropIndex(index.name);
+    }
+    log(`Dropped text index ${index.name}`);
+  }
+
+  if (!dryRun) {
+    await Book.createIndexes();
+    await Highlight.createIndexes();
+  }
+
+  // Raw collection access, as the field has select: false and trashed books need trigrams too
+  const cursor = Book.collection.find(
+    { searchTrigrams: { $exists: false } },
+    { projection: { title: 1, author: 1, series: 1, tags: 1, genre: 1 } }
+  );
+  for await (const book of cursor) {
+    summary.trigrams++;
+    if (!dryRun) {
+      await Book.collection.updateOne({ _id: book._id }, { $set: { searchTrigrams: bookTrigrams(book) } });
+    }
+  }
+
+  log(`Dropped ${summary.droppedIndexes.length} old text indexes`);
+  log(`Added search trigrams to ${summary.trigrams} books`);
+
+  return summary;
+};
@@ -1,4 +1,119 @@
 import mongoose from 'mongoose';
+import { normalizeIsbn, isValidIsbn13 } from '../utils/isbn.js';
+import { clusterDuplicates } from '../utils/bookMatching.js';
+import { bookTrigrams } from '../utils/fuzzySearch.js';
+import { isValidCoverImage } from '../utils/coverImages.js';
+
+// Reading statuses, in shelf order: to-be-read pile, owned but unstarted, reading, finished, did not finish
+export const BOOK_STATUSES = ['want_to_read', 'not_started', 'in_progress', 'completed', 'abandoned'];
+
+// Statuses of books that have not been picked up yet
+const UNREAD_STATUSES = ['want_to_read', 'not_started'];
+
+// When merging copies of a book, the most advanced reading status wins
+const STATUS_RANK = { want_to_read: 0, not_started: 1, abandoned: 2, in_progress: 3, completed: 4 };
+
+// Most tags a single book can carry
+export const MAX_TAGS = 10;
+
+export const BOOK_FORMATS = ['hardcover', 'paperback', 'ebook', 'audiobook'];
+// How the reader has the book: their own copy, borrowed from someone, from a library, or
+// through a subscription service
+export const OWNERSHIP_TYPES = ['owned', 'borrowed', 'library', 'subscription'];
+// Condition of a physical copy, best first (the usual used-book grades)
+export const BOOK_CONDITIONS = ['new', 'like_new', 'very_good', 'good', 'fair', 'poor'];
+
+// Formats with a physical copy that can be lent out
+export const LENDABLE_FORMATS = ['hardcover', 'paperback'];
+export const EBOOK_PROGRESS_UNITS = ['page', 'percent', 'location'];
+
+// Where each progress unit keeps its current position and total; percent is always out of 100
+export const PROGRESS_FIELDS = {
+  page: { current: 'currentPage', total: 'pageCount' },
+  minute: { current: 'currentMinute', total: 'durationMinutes' },
+  percent: { current: 'currentPercent', total: null },
+  location: { current: 'currentLocation', total: 'locationCount' }
+};
+
+// A single read-through of a book; books can be read more than once
+const readingSchema = new mongoose.Schema({
+  dateStarted: {
+    type: Date
+  },
+  dateCompleted: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.dateStarted || v >= this.dateStarted;
+      },
+      message: 'Read-through completion date must be after its start date'
+    }
+  },
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  }
+});
+
+// A physical copy lent to someone; open until the book comes back. Past loans stay as the book's
+// lending history.
+const loanSchema = new mongoose.Schema({
+  borrowerName: {
+    type: String,
+    required: [true, 'Borrower name is required'],
+    trim: true,
+    maxlength: [100, 'Borrower name cannot be more than 100 characters']
+  },
+  // Email, phone or anything else that helps get the book back
+  borrowerContact: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Borrower contact cannot be more than 200 characters']
+  },
+  lentAt: {
+    type: Date,
+    default: Date.now,
+    validate: {
+      validator: function(v) {
+        return !v || v <= new Date();
+      },
+      message: 'Lent date cannot be in the future'
+    }
+  },
+  // Due dates are whole days, so a book can be due back the day it was lent
+  dueDate: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.lentAt || v.toISOString().slice(0, 10) >= this.lentAt.toISOString().slice(0, 10);
+      },
+      message: 'Due date must be after the lent date'
+    }
+  },
+  returnedAt: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.lentAt || v >= this.lentAt;
+      },
+      message: 'Return date must be after the lent date'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Loan notes cannot be more than 500 characters']
+  }
+});
+
+// Virtual for whether the loan is past its due date and the book is still out
+loanSchema.virtual('isOverdue').get(function() {
+  return !this.returnedAt && Boolean(this.dueDate) && this.dueDate < new Date();
+});
+
+loanSchema.set('toJSON', { virtuals: true });
+loanSchema.set('toObject', { virtuals: true });
 
 const bookSchema = new mongoose.Schema({
   userId: {
@@ -19,20 +134,28 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Author name cannot be more than 100 characters']
   },
+  // Stored as ISBN-13 digits; values that fail the checksum are kept as entered so validation rejects them
   isbn: {
     type: String,
     trim: true,
-    sparse: true,
-    unique: true,
+    set: function(v) {
+      if (v === '' || v === null) return undefined;
+      return normalizeIsbn(v) ?? v;
+    },
     validate: {
       validator: function(v) {
-        // ISBN-10 or ISBN-13 validation (basic)
         if (!v) return true; // Optional field
-        return /^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/.test(v);
+        return isValidIsbn13(v);
       },
-      message: 'Please enter a valid ISBN'
+      message: 'Please enter a valid ISBN-10 or ISBN-13'
     }
   },
+  // An ISBN the per-user ISBN migration took off the book, because it failed the checksum or
+  // another of the user's books already had it; kept so the user can fix it
+  legacyIsbn: {
+    type: String,
+    trim: true
+  },
   publicationDate: {
     type: Date,
     validate: {
@@ -42,19 +165,39 @@ const bookSchema = new mongoose.Schema({
       message: 'Publication date cannot be in the future'
     }
   },
+  // Full path of the book's genre, e.g. "Fiction / Fantasy / Epic Fantasy", kept in step with
+  // genreId so lists, search and exports can use it without a lookup
   genre: {
     type: String,
     trim: true,
-    maxlength: [50, 'Genre cannot be more than 50 characters']
+    maxlength: [200, 'Genre cannot be more than 200 characters']
   },
-  coverImage: {
+  genreId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  series: {
     type: String,
-    default: '',
+    trim: true,
+    maxlength: [100, 'Series name cannot be more than 100 characters']
+  },
+  seriesPosition: {
+    type: Number,
+    min: [0, 'Series position cannot be negative'],
     validate: {
       validator: function(v) {
-        if (!v) return true; // Optional field
-        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(v);
+        return v === undefined || v === null || Boolean(this.series);
       },
+      message: 'Series position requires a series name'
+    }
+  },
+  coverImage: {
+    type: String,
+    default: '',
+    validate: {
+      // An external image URL or an uploaded cover ("/covers/<bookId>/<token>")
+      validator: isValidCoverImage,
       message: 'Please enter a valid image URL'
     }
   },
@@ -65,8 +208,8 @@ const bookSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['not_started', 'in_progress', 'completed'],
-      message: 'Status must be: not_started, in_progress, or completed'
+      values: BOOK_STATUSES,
+      message: `Status must be one of: ${BOOK_STATUSES.join(', ')}`
     },
     default: 'not_started',
     index: true
@@ -107,6 +250,33 @@ const bookSchema = new mongoose.Schema({
       message: 'Completion date must be after start date and not in the future'
     }
   },
+  dateAbandoned: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        if (!v) return true;
+        if (v > new Date()) return false;
+        if (this.dateStarted && v < this.dateStarted) return false;
+        return true;
+      },
+      message: 'Abandonment date must be after start date and not in the future'
+    }
+  },
+  abandonedPage: {
+    type: Number,
+    min: [0, 'Abandoned page cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return v === undefined || v === null || !this.pageCount || v <= this.pageCount;
+      },
+      message: 'Abandoned page cannot exceed total page count'
+    }
+  },
+  abandonmentReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Abandonment reason cannot be more than 500 characters']
+  },
   tags: [{
     type: String,
     trim: true,
@@ -126,24 +296,238 @@ const bookSchema = new mongoose.Schema({
       },
       message: 'Current page cannot exceed total page count'
     }
+  },
+  format: {
+    type: String,
+    enum: {
+      values: BOOK_FORMATS,
+      message: `Format must be one of: ${BOOK_FORMATS.join(', ')}`
+    },
+    default: 'paperback'
+  },
+  // Audiobooks track progress in minutes listened
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  currentMinute: {
+    type: Number,
+    min: [0, 'Current minute cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return v === undefined || v === null || !this.durationMinutes || v <= this.durationMinutes;
+      },
+      message: 'Current minute cannot exceed total duration'
+    }
+  },
+  // Ebooks track progress in pages, percent or reader locations
+  ebookProgressUnit: {
+    type: String,
+    enum: {
+      values: EBOOK_PROGRESS_UNITS,
+      message: `Ebook progress unit must be one of: ${EBOOK_PROGRESS_UNITS.join(', ')}`
+    },
+    default: 'page'
+  },
+  currentPercent: {
+    type: Number,
+    min: [0, 'Progress percentage cannot be negative'],
+    max: [100, 'Progress percentage cannot exceed 100']
+  },
+  locationCount: {
+    type: Number,
+    min: [1, 'Location count must be at least 1']
+  },
+  currentLocation: {
+    type: Number,
+    min: [0, 'Current location cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return v === undefined || v === null || !this.locationCount || v <= this.locationCount;
+      },
+      message: 'Current location cannot exceed location count'
+    }
+  },
+  // Inventory: how the book is held, where it sits and what it cost
+  ownershipType: {
+    type: String,
+    enum: {
+      values: OWNERSHIP_TYPES,
+      message: `Ownership type must be one of: ${OWNERSHIP_TYPES.join(', ')}`
+    },
+    default: 'owned'
+  },
+  // Free-form place in the house, e.g. "Study, shelf 3"
+  shelfLocation: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Shelf location cannot be more than 100 characters']
+  },
+  condition: {
+    type: String,
+    enum: {
+      values: BOOK_CONDITIONS,
+      message: `Condition must be one of: ${BOOK_CONDITIONS.join(', ')}`
+    }
+  },
+  purchaseDate: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || v <= new Date();
+      },
+      message: 'Purchase date cannot be in the future'
+    }
+  },
+  purchasePrice: {
+    type: Number,
+    min: [0, 'Purchase price cannot be negative']
+  },
+  // ISO 4217 code of the purchase price, e.g. USD; prices in different currencies are never added up
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code such as USD']
+  },
+  purchaseStore: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Store cannot be more than 100 characters']
+  },
+  readings: [readingSchema],
+  loans: [loanSchema],
+  shelves: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf'
+  }],
+  // Set while the book is in the trash; trashed books are purged after the retention period
+  deletedAt: {
+    type: Date
+  },
+  // Trigrams of the title, author, series, tag and genre words, kept up to date on validation
+  searchTrigrams: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Search trigrams are only for finding books, not for showing them
+    transform: (doc, ret) => {
+      delete ret.searchTrigrams;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// Aggregation expressions for how much of a book was read; audiobooks count as listening time, not pages
+export const PAGES_READ_EXPRESSION = {
+  $cond: [{ $eq: ['$format', 'audiobook'] }, 0, { $ifNull: ['$pageCount', 0] }]
+};
+export const MINUTES_LISTENED_EXPRESSION = {
+  $cond: [{ $eq: ['$format', 'audiobook'] }, { $ifNull: ['$durationMinutes', 0] }, 0]
+};
+
+// Name of the full-text index, so the migration can recognise older text indexes
+export const BOOK_TEXT_INDEX = 'book_text_search';
+
 // Compound indexes for efficient queries
 bookSchema.index({ userId: 1, status: 1 });
 bookSchema.index({ userId: 1, createdAt: -1 });
-bookSchema.index({ userId: 1, title: 'text', author: 'text' });
+// Full-text search, ranked by where a word matches; see utils/bookSearch.js and the
+// rebuildSearchIndex migration, which replaces the older title/author-only text index
+bookSchema.index(
+  {
+    userId: 1,
+    title: 'text',
+    author: 'text',
+    series: 'text',
+    tags: 'text',
+    genre: 'text',
+    description: 'text',
+    notes: 'text'
+  },
+  {
+    name: BOOK_TEXT_INDEX,
+    weights: { title: 10, author: 8, series: 5, tags: 5, genre: 3, description: 2, notes: 2 }
+  }
+);
 bookSchema.index({ userId: 1, genre: 1 });
+bookSchema.index({ userId: 1, genreId: 1 });
 bookSchema.index({ userId: 1, dateCompleted: -1 });
+bookSchema.index({ userId: 1, shelves: 1 });
+bookSchema.index({ userId: 1, series: 1, seriesPosition: 1 });
+bookSchema.index({ userId: 1, deletedAt: -1 });
+bookSchema.index({ userId: 1, searchTrigrams: 1 });
+bookSchema.index({ userId: 1, 'loans.returnedAt': 1 });
+// Each user can own an edition once; books without an ISBN are not indexed
+bookSchema.index(
+  { userId: 1, isbn: 1 },
+  { unique: true, partialFilterExpression: { isbn: { $type: 'string' } } }
+);
+
+// Trashed books are left out of every read, update and aggregation unless the filter (or the
+// pipeline's first $match) mentions deletedAt, or the `withTrashed` option is set. Deletes are not
+// filtered, so purging and account deletion still reach trashed books.
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+bookSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  function(next) {
+    const { withTrashed } = this.getOptions();
+    delete this.getOptions().withTrashed;
+    if (!withTrashed && !hasOwn(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  }
+);
+
+bookSchema.pre('aggregate', function(next) {
+  const { withTrashed } = this.options;
+  delete this.options.withTrashed;
+  const pipeline = this.pipeline();
+  const firstMatch = pipeline[0]?.$match;
+
+  if (!withTrashed && !(firstMatch && hasOwn(firstMatch, 'deletedAt'))) {
+    if (firstMatch) {
+      pipeline[0] = { $match: { ...firstMatch, deletedAt: null } };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  }
+  next();
+});
+
+// Virtual for the unit progress is tracked in: page, minute, percent or location
+bookSchema.virtual('progressUnit').get(function() {
+  if (this.format === 'audiobook') return 'minute';
+  if (this.format === 'ebook') return this.ebookProgressUnit || 'page';
+  return 'page';
+});
+
+// Virtual for the current position in the book's progress unit
+bookSchema.virtual('progressPosition')
+  .get(function() {
+    return this[PROGRESS_FIELDS[this.progressUnit].current] || 0;
+  })
+  .set(function(value) {
+    this[PROGRESS_FIELDS[this.progressUnit].current] = value;
+  });
+
+// Virtual for the length of the book in its progress unit
+bookSchema.virtual('progressTotal').get(function() {
+  const { total } = PROGRESS_FIELDS[this.progressUnit];
+  return total ? this[total] : 100;
+});
 
 // Virtual for reading progress percentage
 bookSchema.virtual('progressPercentage').get(function() {
-  if (!this.pageCount || this.pageCount === 0) return 0;
-  return Math.round((this.currentPage / this.pageCount) * 100);
+  if (!this.progressTotal) return 0;
+  return Math.min(100, Math.round((this.progressPosition / this.progressTotal) * 100));
 });
 
 // Virtual for reading duration (if completed)
@@ -154,8 +538,27 @@ bookSchema.virtual('readingDuration').get(function() {
   return diffDays;
 });
 
+// Virtual for the loan the book is currently out on, if any
+bookSchema.virtual('currentLoan').get(function() {
+  return (this.loans || []).find(loan => !loan.returnedAt) || null;
+});
+
 // Pre-save middleware to handle status changes
+// Keep the search trigrams in step with the words they come from; validation also runs for
+// insertMany, which skips save middleware
+bookSchema.pre('validate', function(next) {
+  if (this.isNew || ['title', 'author', 'series', 'tags', 'genre'].some(path => this.isModified(path))) {
+    this.searchTrigrams = bookTrigrams(this);
+  }
+  next();
+});
+
 bookSchema.pre('save', function(next) {
+  // A new ISBN replaces the one the ISBN migration set aside
+  if (this.isModified('isbn') && this.isbn && this.legacyIsbn) {
+    this.legacyIsbn = undefined;
+  }
+
   // Auto-set dateStarted when status changes to in_progress
   if (this.isModified('status') && this.status === 'in_progress' && !this.dateStarted) {
     this.dateStarted = new Date();
@@ -169,20 +572,197 @@ bookSchema.pre('save', function(next) {
     if (!this.dateStarted) {
       this.dateStarted = this.dateCompleted;
     }
-    // Set current page to page count if completed
+    // Set current position to the end of the book if completed
     if (this.pageCount && this.currentPage < this.pageCount) {
       this.currentPage = this.pageCount;
     }
+    if (this.progressUnit !== 'page' && this.progressTotal) {
+      this.progressPosition = this.progressTotal;
+    }
   }
   
+  // Keep the read-through log in step with the current read
+  if (this.isModified('status')) {
+    // Un-completing (rather than starting a re-read) reopens or drops the read it had closed
+    if (this.status !== 'completed' && this.dateCompleted) {
+      const closedReading = this.readings.find(reading =>
+        reading.dateCompleted?.getTime() === this.dateCompleted.getTime()
+      );
+      if (closedReading && this.status === 'in_progress') {
+        closedReading.dateCompleted = undefined;
+      } else if (closedReading) {
+        this.readings.pull(closedReading._id);
+      }
+    }
+
+    const openReading = this.readings.find(reading => !reading.dateCompleted);
+
+    if (this.status === 'in_progress' && !openReading) {
+      this.readings.push({ dateStarted: this.dateStarted });
+    }
+
+    if (this.status === 'completed') {
+      if (openReading) {
+        openReading.dateStarted = openReading.dateStarted || this.dateStarted;
+        openReading.dateCompleted = this.dateCompleted;
+        openReading.rating = this.rating;
+      } else if (!this.readings.some(reading => reading.dateCompleted?.getTime() === this.dateCompleted.getTime())) {
+        this.readings.push({
+          dateStarted: this.dateStarted,
+          dateCompleted: this.dateCompleted,
+          rating: this.rating
+        });
+      }
+    }
+
+    if (['not_started', 'want_to_read'].includes(this.status) && openReading) {
+      this.readings.pull(openReading._id);
+    }
+  } else if (this.isModified('rating') && this.status === 'completed') {
+    const lastReading = this.readings[this.readings.length - 1];
+    if (lastReading) {
+      lastReading.rating = this.rating;
+    }
+  }
+
   // Reset completion date if status changes from completed
   if (this.isModified('status') && this.status !== 'completed' && this.dateCompleted) {
     this.dateCompleted = undefined;
   }
+
+  // Record where the book was put down, or clear it once the book is picked up again
+  if (this.isModified('status') && this.status === 'abandoned') {
+    if (!this.dateAbandoned) {
+      this.dateAbandoned = new Date();
+    }
+    if ((this.abandonedPage === undefined || this.abandonedPage === null) && this.progressUnit === 'page') {
+      this.abandonedPage = this.currentPage;
+    }
+  } else if (this.isModified('status') && (this.dateAbandoned || this.abandonedPage != null || this.abandonmentReason)) {
+    this.dateAbandoned = undefined;
+    this.abandonedPage = undefined;
+    this.abandonmentReason = undefined;
+  }
   
   next();
 });
 
+// Instance method to start reading a completed book again
+bookSchema.methods.startReread = function() {
+  this.status = 'in_progress';
+  this.dateStarted = new Date();
+  this.dateCompleted = undefined;
+  this.currentPage = 0;
+  if (this.progressUnit !== 'page') {
+    this.progressPosition = 0;
+  }
+  return this.save();
+};
+
+// Instance method to move the book to the trash. Only the changed field is validated,
+// so books saved under older rules can still be trashed and restored.
+bookSchema.methods.moveToTrash = function() {
+  this.deletedAt = new Date();
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to bring a trashed book back into the library
+bookSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = undefined;
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to lend the book out. Only the loan is validated, so books saved under older
+// rules can still be lent.
+bookSchema.methods.lendTo = function({ borrowerName, borrowerContact, lentAt, dueDate, notes }) {
+  this.loans.push({ borrowerName, borrowerContact, lentAt: lentAt || new Date(), dueDate, notes });
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to record that the book on loan came back
+bookSchema.methods.markReturned = function(returnedAt = new Date()) {
+  this.currentLoan.returnedAt = returnedAt;
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to add tags the book does not already have, ignoring case (without saving).
+// Returns the tags that were added.
+bookSchema.methods.addTags = function(tags) {
+  const existing = new Set((this.tags || []).map(tag => tag.toLowerCase()));
+  const added = [];
+  tags.forEach(tag => {
+    if (!existing.has(tag.toLowerCase())) {
+      existing.add(tag.toLowerCase());
+      added.push(tag);
+    }
+  });
+  if (added.length > 0) this.tags = [...(this.tags || []), ...added];
+  return added;
+};
+
+// Instance method to remove tags from the book, ignoring case (without saving).
+// Returns the tags that were removed.
+bookSchema.methods.removeTags = function(tags) {
+  const removing = new Set(tags.map(tag => tag.toLowerCase()));
+  const removed = (this.tags || []).filter(tag => removing.has(tag.toLowerCase()));
+  if (removed.length > 0) this.tags = this.tags.filter(tag => !removing.has(tag.toLowerCase()));
+  return removed;
+};
+
+// Instance method to replace tags (matched ignoring case) with another tag, or drop them when the
+// replacement is empty (without saving). Tags already spelled like the replacement take its
+// spelling and case duplicates collapse. Returns whether the tags changed.
+bookSchema.methods.replaceTags = function(tags, replacement) {
+  const replacing = new Set(tags.map(tag => tag.toLowerCase()));
+  if (replacement) replacing.add(replacement.toLowerCase());
+
+  const seen = new Set();
+  const result = [];
+  (this.tags || []).forEach(tag => {
+    const next = replacing.has(tag.toLowerCase()) ? replacement : tag;
+    if (next && !seen.has(next.toLowerCase())) {
+      seen.add(next.toLowerCase());
+      result.push(next);
+    }
+  });
+
+  const changed = result.length !== (this.tags || []).length || result.some((tag, i) => tag !== this.tags[i]);
+  if (changed) this.tags = result;
+  return changed;
+};
+
+// Static method to find the user's book with an ISBN, in any ISBN-10/13 form.
+// Trashed books are included, since they still hold their ISBN until purged.
+bookSchema.statics.findByIsbn = function(userId, isbn, { excludeId } = {}) {
+  const normalized = normalizeIsbn(isbn);
+  if (!normalized) return Promise.resolve(null);
+
+  const query = { userId, isbn: normalized };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.findOne(query).setOptions({ withTrashed: true });
+};
+
+// Static method to find a user's trashed books, most recently deleted first
+bookSchema.statics.findTrashed = function(userId, filter = {}) {
+  return this.find({ ...filter, userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+};
+
+// Static method to find a user's books that are lent out, soonest due first (books without a due
+// date last). With `overdue`, only books past their due date.
+bookSchema.statics.findOnLoan = function(userId, { overdue = false } = {}) {
+  const openLoan = { returnedAt: null };
+  if (overdue) openLoan.dueDate = { $lt: new Date() };
+
+  return this.find({ userId, loans: { $elemMatch: openLoan } })
+    .select('title author coverImage format loans')
+    .then(books => books.sort((a, b) =>
+      (a.currentLoan.dueDate?.getTime() ?? Infinity) - (b.currentLoan.dueDate?.getTime() ?? Infinity) ||
+      a.currentLoan.lentAt - b.currentLoan.lentAt
+    ));
+};
+
 // Static method to get user's reading statistics
 bookSchema.statics.getUserReadingStats = async function(userId) {
   const stats = await this.aggregate([
@@ -198,16 +778,21 @@ bookSchema.statics.getUserReadingStats = async function(userId) {
   
   const result = {
     totalBooks: 0,
+    wantToRead: 0,
     notStarted: 0,
     inProgress: 0,
     completed: 0,
+    abandoned: 0,
     averageRating: 0,
-    totalPages: 0
+    totalPages: 0,
+    totalListeningMinutes: 0,
+    completedReadings: 0,
+    rereads: 0
   };
   
   stats.forEach(stat => {
     result.totalBooks += stat.count;
-    result[stat._id.replace('_', '')] = stat.count;
+    result[stat._id.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = stat.count;
   });
   
   // Calculate average rating for completed books
@@ -221,13 +806,273 @@ bookSchema.statics.getUserReadingStats = async function(userId) {
     result.averageRating = ratedBooks.reduce((sum, book) => sum + book.rating, 0) / ratedBooks.length;
   }
   
-  // Calculate total pages read
-  const completedBooks = await this.find({ userId, status: 'completed', pageCount: { $exists: true } });
-  result.totalPages = completedBooks.reduce((sum, book) => sum + (book.pageCount || 0), 0);
+  // Calculate read-throughs, pages read and hours listened (re-reads count every time)
+  const readings = await this.aggregate(this.completedReadingsPipeline(userId));
+  result.completedReadings = readings.length;
+  result.rereads = readings.length - new Set(readings.map(reading => reading.bookId.toString())).size;
+  result.totalPages = readings
+    .filter(reading => reading.format !== 'audiobook')
+    .reduce((sum, reading) => sum + (reading.pageCount || 0), 0);
+  result.totalListeningMinutes = readings
+    .filter(reading => reading.format === 'audiobook')
+    .reduce((sum, reading) => sum + (reading.durationMinutes || 0), 0);
   
   return result;
 };
 
+// Static method returning aggregation stages that expand a user's books into one
+// document per completed read-through. Books saved before read-throughs were tracked
+// fall back to their single dateStarted/dateCompleted pair.
+bookSchema.statics.completedReadingsPipeline = function(userId, { startDate, endDate } = {}) {
+  const completedMatch = { $exists: true, $ne: null };
+  if (startDate) completedMatch.$gte = startDate;
+  if (endDate) completedMatch.$lt = endDate;
+
+  return [
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    {
+      $addFields: {
+        reading: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$readings', []] } }, 0] },
+            '$readings',
+            [{ dateStarted: '$dateStarted', dateCompleted: '$dateCompleted', rating: '$rating' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$reading' },
+    { $match: { 'reading.dateCompleted': completedMatch } },
+    {
+      $project: {
+        bookId: '$_id',
+        title: 1,
+        author: 1,
+        genre: 1,
+        format: 1,
+        pageCount: 1,
+        durationMinutes: 1,
+        dateStarted: '$reading.dateStarted',
+        dateCompleted: '$reading.dateCompleted',
+        rating: { $ifNull: ['$reading.rating', '$rating'] }
+      }
+    }
+  ];
+};
+
+// Static method to count completed read-throughs, optionally within [startDate, endDate)
+bookSchema.statics.countCompletedReadings = async function(userId, range = {}) {
+  const [result] = await this.aggregate([
+    ...this.completedReadingsPipeline(userId, range),
+    { $count: 'count' }
+  ]);
+  return result ? result.count : 0;
+};
+
+// Static method to summarise a user's series in reading order with completion progress
+bookSchema.statics.getSeriesSummaries = async function(userId, seriesName) {
+  const match = { userId: new mongoose.Types.ObjectId(userId), series: { $exists: true, $ne: '' } };
+  if (seriesName) match.series = seriesName;
+
+  const series = await this.aggregate([
+    { $match: match },
+    // Books without a position sort after numbered entries
+    { $addFields: { positionSort: { $ifNull: ['$seriesPosition', Number.MAX_SAFE_INTEGER] } } },
+    { $sort: { positionSort: 1, title: 1 } },
+    {
+      $group: {
+        _id: '$series',
+        totalBooks: { $sum: 1 },
+        completedBooks: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        inProgressBooks: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
+        books: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            author: '$author',
+            status: '$status',
+            seriesPosition: '$seriesPosition',
+            coverImage: '$coverImage'
+          }
+        },
+        lastUpdated: { $max: '$updatedAt' }
+      }
+    },
+    { $sort: { lastUpdated: -1 } },
+    // Only used for ordering
+    { $project: { lastUpdated: 0 } }
+  ]);
+
+  return series.map(({ _id, ...summary }) => ({
+    name: _id,
+    ...summary,
+    progress: Math.round((summary.completedBooks / summary.totalBooks) * 100),
+    nextUnread: summary.books.find(book => UNREAD_STATUSES.includes(book.status)) || null
+  }));
+};
+
+// Static method to find the next unread book after the given one in its series
+bookSchema.statics.findNextInSeries = function(book) {
+  if (!book.series) return Promise.resolve(null);
+
+  const query = {
+    userId: book.userId,
+    series: book.series,
+    _id: { $ne: book._id },
+    status: { $in: UNREAD_STATUSES }
+  };
+  if (book.seriesPosition !== undefined && book.seriesPosition !== null) {
+    query.seriesPosition = { $gt: book.seriesPosition };
+  }
+
+  return this.findOne(query).sort({ seriesPosition: 1, title: 1 });
+};
+
+// Fields a merge copies from a duplicate when the surviving book leaves them empty
+const MERGE_FILL_FIELDS = [
+  'publicationDate', 'genre', 'genreId', 'coverImage', 'description', 'pageCount', 'durationMinutes', 'locationCount',
+  'shelfLocation', 'condition'
+];
+
+// Details of one purchase; they move together so a price keeps its currency and store
+const PURCHASE_FIELDS = ['purchaseDate', 'purchasePrice', 'currency', 'purchaseStore'];
+
+// Fields describing where the reader is; they move together from the copy whose status wins
+const READING_STATE_FIELDS = [
+  'status', 'dateCompleted', 'dateAbandoned', 'abandonedPage', 'abandonmentReason',
+  'currentPage', 'currentMinute', 'currentPercent', 'currentLocation'
+];
+
+// Instance method to fold duplicate copies of this book into it (without saving). Notes, tags,
+// shelves, completed read-throughs and loans are combined; empty fields are filled from the
+// duplicates; the most advanced reading status wins, keeping the earliest start date. The ISBN is
+// left to the caller, as it can only move once the duplicate holding it is deleted.
+bookSchema.methods.absorbDuplicates = function(duplicates) {
+  const books = [this, ...duplicates];
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+
+  MERGE_FILL_FIELDS.forEach(field => {
+    const donor = isEmpty(this[field]) && duplicates.find(book => !isEmpty(book[field]));
+    if (donor) this[field] = donor[field];
+  });
+  if (!this.series) {
+    const donor = duplicates.find(book => book.series);
+    if (donor) {
+      this.series = donor.series;
+      this.seriesPosition = donor.seriesPosition;
+    }
+  }
+  if (PURCHASE_FIELDS.every(field => isEmpty(this[field]))) {
+    const donor = duplicates.find(book => PURCHASE_FIELDS.some(field => !isEmpty(book[field])));
+    if (donor) {
+      PURCHASE_FIELDS.forEach(field => {
+        this[field] = donor[field];
+      });
+    }
+  }
+
+  const notes = [...new Set(books.map(book => book.notes?.trim()).filter(Boolean))];
+  if (notes.length) {
+    this.notes = notes.join('\n\n').slice(0, 2000);
+  }
+
+  // Tags compare case-insensitively and stay within the 10 the book form allows
+  const tags = new Map();
+  books.flatMap(book => book.tags || []).forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  });
+  this.tags = [...tags.values()].slice(0, MAX_TAGS);
+  this.shelves = [...new Set(books.flatMap(book => (book.shelves || []).map(String)))];
+
+  // Ties keep this book's state
+  const leader = books.reduce((best, book) => (STATUS_RANK[book.status] > STATUS_RANK[best.status] ? book : best));
+  if (leader !== this) {
+    READING_STATE_FIELDS.forEach(field => {
+      this[field] = leader[field];
+    });
+  }
+  Object.values(PROGRESS_FIELDS).forEach(({ current, total }) => {
+    if (total && this[total] && this[current] > this[total]) this[current] = this[total];
+  });
+  if (this.pageCount && this.abandonedPage > this.pageCount) {
+    this.abandonedPage = this.pageCount;
+  }
+
+  const startDates = books.map(book => book.dateStarted).filter(Boolean);
+  if (!UNREAD_STATUSES.includes(this.status) && startDates.length) {
+    this.dateStarted = new Date(Math.min(...startDates));
+  }
+
+  // Completed read-throughs from every copy (one per completion date); only the winning copy's
+  // open read-through survives, and only if the merged book is still being read
+  const readings = new Map();
+  books.flatMap(book => book.readings).forEach(reading => {
+    const key = reading.dateCompleted?.getTime();
+    if (key && !readings.has(key)) readings.set(key, reading);
+  });
+  const openReading = this.status === 'in_progress' && leader.readings.find(reading => !reading.dateCompleted);
+  this.readings = [...readings.values(), openReading]
+    .filter(Boolean)
+    .sort((a, b) => (a.dateCompleted?.getTime() ?? Infinity) - (b.dateCompleted?.getTime() ?? Infinity))
+    .map(({ dateStarted, dateCompleted, rating }) => ({ dateStarted, dateCompleted, rating }));
+
+  // Lending history from every copy, oldest loan first
+  this.loans = books
+    .flatMap(book => book.loans || [])
+    .sort((a, b) => a.lentAt - b.lentAt)
+    .map(({ borrowerName, borrowerContact, lentAt, dueDate, returnedAt, notes }) => ({
+      borrowerName, borrowerContact, lentAt, dueDate, returnedAt, notes
+    }));
+
+  if (!this.rating) {
+    const rated = duplicates
+      .filter(book => book.rating)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    if (rated) this.rating = rated.rating;
+  }
+
+  return this;
+};
+
+// Static method to find clusters of likely duplicate books, oldest copy first in each cluster
+bookSchema.statics.findDuplicateClusters = async function(userId) {
+  const books = await this.find({ userId })
+    .select('title author isbn series seriesPosition status rating format coverImage tags notes dateCompleted createdAt updatedAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+  return clusterDuplicates(books).map(cluster => ({
+    ...cluster,
+    books: cluster.bookIds.map(bookId => booksById.get(bookId.toString()))
+  }));
+};
+
+// Static method to list a user's tags with the number of books using each, most used first.
+// Spellings differing only in case are one tag, named after its most used spelling.
+bookSchema.statics.getTagSummaries = async function(userId) {
+  const tags = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $group: {
+        _id: { $toLower: '$_id' },
+        count: { $sum: '$count' },
+        spellings: { $push: { name: '$_id', count: '$count' } }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return tags.map(({ count, spellings }) => ({
+    name: spellings[0].name,
+    count,
+    spellings
+  }));
+};
+
 // Static method to get books by genre for a user
 bookSchema.statics.getBooksByGenre = function(userId) {
   return this.aggregate([
@@ -237,6 +1082,88 @@ bookSchema.statics.getBooksByGenre = function(userId) {
   ]);
 };
 
+// Money is kept to the cent; sums of floating-point prices are rounded back to it
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Static method to total a user's book purchases, optionally for one purchase year. Prices in
+// different currencies are never added together, so every total is per currency: overall, by
+// purchase year, by store and by genre. `collectionValue` is what the books still owned cost.
+// Books without a price are only counted in `unpricedBooks`.
+bookSchema.statics.getSpendingReport = async function(userId, { year } = {}) {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  if (year) {
+    match.purchaseDate = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+  }
+
+  const bucket = (key) => [
+    { $match: { purchasePrice: { $ne: null } } },
+    {
+      $group: {
+        _id: { currency: '$currency', key },
+        total: { $sum: '$purchasePrice' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { total: -1 } }
+  ];
+
+  const [report] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          { $match: { purchasePrice: { $ne: null } } },
+          {
+            $group: {
+              _id: '$currency',
+              totalSpent: { $sum: '$purchasePrice' },
+              bookCount: { $sum: 1 },
+              collectionValue: {
+                $sum: { $cond: [{ $eq: [{ $ifNull: ['$ownershipType', 'owned'] }, 'owned'] }, '$purchasePrice', 0] }
+              }
+            }
+          },
+          { $sort: { totalSpent: -1 } }
+        ],
+        byYear: bucket({ $year: '$purchaseDate' }),
+        byStore: bucket('$purchaseStore'),
+        byGenre: bucket('$genre'),
+        unpriced: [
+          { $match: { purchasePrice: null } },
+          { $count: 'count' }
+        ],
+        ownership: [
+          { $group: { _id: { $ifNull: ['$ownershipType', 'owned'] }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const forCurrency = (buckets, currency, label) => buckets
+    .filter(({ _id }) => (_id.currency ?? null) === currency)
+    .map(({ _id, total, count }) => ({ [label]: _id.key || null, total: roundMoney(total), count }));
+  const ownershipCounts = new Map(report.ownership.map(({ _id, count }) => [_id, count]));
+
+  return {
+    currencies: report.totals.map(({ _id, totalSpent, bookCount, collectionValue }) => {
+      const currency = _id ?? null;
+      return {
+        currency,
+        totalSpent: roundMoney(totalSpent),
+        collectionValue: roundMoney(collectionValue),
+        bookCount,
+        averagePrice: roundMoney(totalSpent / bookCount),
+        byYear: forCurrency(report.byYear, currency, 'year')
+          .sort((a, b) => (b.year ?? -Infinity) - (a.year ?? -Infinity)),
+        byStore: forCurrency(report.byStore, currency, 'store'),
+        byGenre: forCurrency(report.byGenre, currency, 'genre')
+      };
+    }),
+    ownership: OWNERSHIP_TYPES.map(type => ({ type, count: ownershipCounts.get(type) || 0 })),
+    unpricedBooks: report.unpriced[0]?.count || 0
+  };
+};
+
 const Book = mongoose.model('Book', bookSchema);
 
 export default Book;
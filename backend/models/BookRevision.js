@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+// Where a change came from: the web app, a CSV/JSON import, or edits queued while offline
+export const REVISION_SOURCES = ['web', 'import', 'offline_sync'];
+
+// Book fields recorded in the revision log; read-throughs, loans, the owning user and trash
+// state are not
+export const TRACKED_FIELDS = [
+  'title', 'author', 'isbn', 'publicationDate', 'genre', 'series', 'seriesPosition', 'coverImage',
+  'description', 'status', 'rating', 'notes', 'dateStarted', 'dateCompleted', 'dateAbandoned',
+  'abandonedPage', 'abandonmentReason', 'tags', 'shelves', 'pageCount', 'currentPage', 'format',
+  'durationMinutes', 'currentMinute', 'ebookProgressUnit', 'currentPercent', 'locationCount',
+  'currentLocation', 'ownershipType', 'shelfLocation', 'condition', 'purchaseDate', 'purchasePrice',
+  'currency', 'purchaseStore'
+];
+
+const ARRAY_FIELDS = ['tags', 'shelves'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: TRACKED_FIELDS
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const bookRevisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: {
+      values: REVISION_SOURCES,
+      message: `Source must be one of: ${REVISION_SOURCES.join(', ')}`
+    },
+    default: 'web'
+  },
+  // The first revision of a book records its initial values
+  created: {
+    type: Boolean,
+    default: false
+  },
+  // Set on revisions that restored the book to an earlier revision
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookRevision'
+  },
+  changes: {
+    type: [changeSchema],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'A revision needs at least one change'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bookRevisionSchema.index({ bookId: 1, createdAt: -1 });
+
+// Plain, comparable value of a tracked field; missing values become null and IDs become strings
+const snapshotValue = (book, field) => {
+  const value = book[field];
+  if (ARRAY_FIELDS.includes(field)) {
+    return Array.from(value || [], item => (item instanceof mongoose.Types.ObjectId ? item.toString() : item));
+  }
+  return value === undefined || value === '' ? null : value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isBlank = (value) => value === null || (Array.isArray(value) && value.length === 0);
+
+// Static method to capture a book's tracked fields before it changes
+bookRevisionSchema.statics.snapshot = function(book) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, snapshotValue(book, field)]));
+};
+
+// Field changes between two snapshots; a null `before` describes a newly created book
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .map(field => ({ field, from: before ? before[field] : null, to: after[field] }))
+  .filter(change => !sameValue(change.from, change.to) && !(before === null && isBlank(change.to)));
+
+// Static method to log the fields that changed since `before` (a snapshot, or null for a new book).
+// Returns the revision, or null when nothing changed.
+bookRevisionSchema.statics.record = async function(book, before, { source = 'web', revertedTo } = {}) {
+  const changes = diffSnapshots(before, this.snapshot(book));
+  if (changes.length === 0) return null;
+
+  return this.create({
+    userId: book.userId,
+    bookId: book._id,
+    source,
+    created: before === null,
+    revertedTo,
+    changes
+  });
+};
+
+// Static method to log the initial values of many newly created books at once
+bookRevisionSchema.statics.recordCreations = function(books, { source = 'web' } = {}) {
+  const revisions = books.map(book => ({
+    userId: book.userId,
+    bookId: book._id,
+    source,
+    created: true,
+    changes: diffSnapshots(null, this.snapshot(book))
+  }));
+  return this.insertMany(revisions.filter(revision => revision.changes.length > 0));
+};
+
+// Static method to work out a book's tracked fields as they were right after the given revision,
+// by undoing every later revision on top of the current values
+bookRevisionSchema.statics.valuesAtRevision = async function(book, revision) {
+  const later = await this.find({
+    bookId: book._id,
+    $or: [
+      { createdAt: { $gt: revision.createdAt } },
+      { createdAt: revision.createdAt, _id: { $gt: revision._id } }
+    ]
+  }).sort({ createdAt: -1, _id: -1 });
+
+  const values = this.snapshot(book);
+  later.forEach(laterRevision => {
+    laterRevision.changes.forEach(change => {
+      values[change.field] = change.from;
+    });
+  });
+  return values;
+};
+
+const BookRevision = mongoose.model('BookRevision', bookRevisionSchema);
+
+export default BookRevision;
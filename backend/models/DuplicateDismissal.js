@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { clusterKey } from '../utils/bookMatching.js';
+
+// A duplicate cluster the user reviewed and marked as "not duplicates"
+const duplicateDismissalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bookIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length >= 2;
+      },
+      message: 'A dismissed cluster needs at least two books'
+    }
+  },
+  // Sorted book IDs, so the same cluster is only dismissed once
+  key: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+duplicateDismissalSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+duplicateDismissalSchema.pre('validate', function(next) {
+  this.key = clusterKey(this.bookIds);
+  next();
+});
+
+// Static method to drop clusters the user already dismissed. A cluster stays hidden while all of
+// its books were part of one dismissal; a newly matching book brings it back for review.
+duplicateDismissalSchema.statics.filterClusters = async function(userId, clusters) {
+  const dismissals = await this.find({ userId }).select('bookIds').lean();
+  const dismissedSets = dismissals.map(dismissal => new Set(dismissal.bookIds.map(String)));
+
+  return clusters.filter(cluster => !dismissedSets.some(dismissed =>
+    cluster.bookIds.every(bookId => dismissed.has(String(bookId)))
+  ));
+};
+
+const DuplicateDismissal = mongoose.model('DuplicateDismissal', duplicateDismissalSchema);
+
+export default DuplicateDismissal;
@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+
+// Separates levels when a genre is written as a path, e.g. "Fiction / Fantasy / Epic Fantasy"
+export const GENRE_PATH_SEPARATOR = '/';
+
+// Genre names compare ignoring case, so "fantasy" and "Fantasy" are the same node
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const genreSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Genre name is required'],
+    trim: true,
+    maxlength: [50, 'Genre name cannot be more than 50 characters'],
+    validate: {
+      validator: function(v) {
+        return !v.includes(GENRE_PATH_SEPARATOR);
+      },
+      message: `Genre name cannot contain "${GENRE_PATH_SEPARATOR}"`
+    }
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  // Every genre above this one, root first, so a subtree is a single query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre'
+  }]
+}, {
+  timestamps: true
+});
+
+// Sibling genres have unique names per user
+genreSchema.index({ userId: 1, parent: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+genreSchema.index({ userId: 1, ancestors: 1 });
+
+// Split "Fiction / Fantasy" into its genre names
+export const parseGenrePath = (path) => String(path)
+  .split(GENRE_PATH_SEPARATOR)
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Static method to find the genre at the end of a path of names, creating any missing
+// levels. Accepts a path string or an array of names; returns the deepest genre.
+genreSchema.statics.findOrCreatePath = async function(userId, path) {
+  const names = Array.isArray(path) ? path : parseGenrePath(path);
+  let parent = null;
+
+  for (const name of names) {
+    let genre = await this.findOne({ userId, parent: parent ? parent._id : null, name })
+      .collation(NAME_COLLATION);
+    if (!genre) {
+      genre = await this.create({
+        userId,
+        name,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : []
+      });
+    }
+    parent = genre;
+  }
+
+  return parent;
+};
+
+// Static method to find the genre at the end of a path of names without creating anything
+genreSchema.statics.findPath = async function(userId, path) {
+  let genre = null;
+  for (const name of parseGenrePath(path)) {
+    genre = await this.findOne({ userId, parent: genre ? genre._id : null, name }).collation(NAME_COLLATION);
+    if (!genre) return null;
+  }
+  return genre;
+};
+
+// Static method to expand genres to themselves plus all their descendants
+genreSchema.statics.withDescendantIds = async function(userId, genreIds) {
+  if (genreIds.length === 0) return [];
+  const descendants = await this.find({ userId, ancestors: { $in: genreIds } }).distinct('_id');
+  const ids = new Map([...genreIds, ...descendants].map(id => [id.toString(), new mongoose.Types.ObjectId(id)]));
+  return [...ids.values()];
+};
+
+// Static method to resolve a genre filter to the ids of the matching genres and everything beneath
+// them. The filter is a genre id, a path such as "Fiction / Fantasy", or an exact genre name.
+genreSchema.statics.resolveFilter = async function(userId, value) {
+  let matches;
+  if (mongoose.isObjectIdOrHexString(value)) {
+    matches = await this.find({ userId, _id: value }).select('_id');
+  } else if (String(value).includes(GENRE_PATH_SEPARATOR)) {
+    const genre = await this.findPath(userId, value);
+    matches = genre ? [genre] : [];
+  } else {
+    matches = await this.find({ userId, name: String(value).trim() }).collation(NAME_COLLATION).select('_id');
+  }
+  return this.withDescendantIds(userId, matches.map(genre => genre._id));
+};
+
+// Static method to map each of a user's genre ids to its full path, e.g. "Fiction / Fantasy"
+genreSchema.statics.getPathLabels = async function(userId) {
+  const genres = await this.find({ userId }).select('name ancestors').lean();
+  const names = new Map(genres.map(genre => [genre._id.toString(), genre.name]));
+  return new Map(genres.map(genre => [
+    genre._id.toString(),
+    [...genre.ancestors.map(id => names.get(id.toString())), genre.name]
+      .filter(Boolean)
+      .join(` ${GENRE_PATH_SEPARATOR} `)
+  ]));
+};
+
+// Static method to build a user's genre tree. `counts` maps genre ids to their own book counts;
+// each node also reports `totalCount`, its books plus those of every descendant.
+genreSchema.statics.getTree = async function(userId, counts = new Map()) {
+  const genres = await this.find({ userId }).sort({ name: 1 }).collation(NAME_COLLATION).lean();
+  const nodes = new Map(genres.map(genre => [genre._id.toString(), {
+    _id: genre._id,
+    name: genre.name,
+    parent: genre.parent,
+    depth: genre.ancestors.length,
+    count: counts.get(genre._id.toString()) || 0,
+    totalCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const rollUp = (node) => {
+    node.totalCount = node.count + node.children.reduce((sum, child) => sum + rollUp(child), 0);
+    return node.totalCount;
+  };
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+// Instance method to get this genre's full path, e.g. "Fiction / Fantasy"
+genreSchema.methods.getPath = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } }).select('name');
+  const names = new Map(ancestors.map(genre => [genre._id.toString(), genre.name]));
+  return [...this.ancestors.map(id => names.get(id.toString())), this.name]
+    .filter(Boolean)
+    .join(` ${GENRE_PATH_SEPARATOR} `);
+};
+
+// Instance method to move this genre under a new parent (or to the top level with null),
+// updating the ancestors of its whole subtree
+genreSchema.methods.moveTo = async function(parent) {
+  const oldPrefixLength = this.ancestors.length + 1;
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  await this.save();
+
+  const descendants = await this.constructor.find({ userId: this.userId, ancestors: this._id });
+  for (const descendant of descendants) {
+    descendant.ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(oldPrefixLength)];
+    await descendant.save();
+  }
+};
+
+const Genre = mongoose.model('Genre', genreSchema);
+
+export default Genre;
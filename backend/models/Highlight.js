@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import escapeRegex from '../utils/escapeRegex.js';
+
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+const highlightSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true,
+    index: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Highlight text is required'],
+    trim: true,
+    maxlength: [5000, 'Highlight text cannot be more than 5000 characters']
+  },
+  page: {
+    type: Number,
+    min: [0, 'Page cannot be negative']
+  },
+  // Free-form position for formats without pages, e.g. "Loc 1234" or "Chapter 3, 12:40"
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot be more than 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  },
+  color: {
+    type: String,
+    enum: {
+      values: HIGHLIGHT_COLORS,
+      message: `Color must be: ${HIGHLIGHT_COLORS.join(', ')}`
+    },
+    default: 'yellow'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for efficient queries
+highlightSchema.index({ bookId: 1, page: 1, createdAt: 1 });
+highlightSchema.index({ userId: 1, createdAt: -1 });
+// Lets book search rank books by their highlights too
+highlightSchema.index({ userId: 1, text: 'text', note: 'text' }, { name: 'highlight_text_search' });
+
+// Static method to build the query for a user's highlights, optionally matching text or note
+highlightSchema.statics.buildSearchQuery = function(userId, { q, color, bookId } = {}) {
+  const query = { userId };
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [{ text: pattern }, { note: pattern }];
+  }
+  if (color) {
+    query.color = color;
+  }
+  if (bookId) {
+    query.bookId = bookId;
+  }
+
+  return query;
+};
+
+// Fields an imported highlight brings along; userId and bookId are set once its book exists
+const IMPORTED_PATHS = ['text', 'page', 'location', 'note', 'color'];
+
+// Static method to read the highlights of a book in an import file. Entries without text are left
+// out, and entries that would not save (e.g. text over the length limit) are returned in `rejected`
+// as { position, reason } so the import can report them instead of failing.
+highlightSchema.statics.parseImported = function(entries) {
+  const highlights = [];
+  const rejected = [];
+  if (!Array.isArray(entries)) return { highlights, rejected };
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) return;
+
+    const createdAt = entry.createdAt ? new Date(entry.createdAt) : undefined;
+    const highlight = {
+      text: entry.text,
+      page: Number.isInteger(entry.page) && entry.page >= 0 ? entry.page : undefined,
+      location: typeof entry.location === 'string' ? entry.location : undefined,
+      note: typeof entry.note === 'string' ? entry.note : undefined,
+      color: HIGHLIGHT_COLORS.includes(entry.color) ? entry.color : undefined,
+      createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : undefined
+    };
+
+    const error = new this(highlight).validateSync(IMPORTED_PATHS);
+    if (error) {
+      rejected.push({
+        position: index + 1,
+        reason: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+      return;
+    }
+    highlights.push(highlight);
+  });
+
+  return { highlights, rejected };
+};
+
+const Highlight = mongoose.model('Highlight', highlightSchema);
+
+export default Highlight;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+const progressEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  // page, previousPage and pageCount are measured in `unit` (minutes for audiobooks, etc.)
+  unit: {
+    type: String,
+    enum: {
+      values: ['page', 'minute', 'percent', 'location'],
+      message: 'Unit must be: page, minute, percent, or location'
+    },
+    default: 'page'
+  },
+  page: {
+    type: Number,
+    required: true,
+    min: [0, 'Page cannot be negative']
+  },
+  previousPage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Previous page cannot be negative']
+  },
+  pageCount: {
+    type: Number
+  },
+  status: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: {
+      values: ['manual', 'status', 'session', 'import'],
+      message: 'Source must be: manual, status, session, or import'
+    },
+    default: 'manual'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+progressEntrySchema.index({ bookId: 1, recordedAt: 1 });
+
+// Virtual for progress percentage at the time of the entry
+progressEntrySchema.virtual('percentage').get(function() {
+  if (!this.pageCount) return 0;
+  return Math.round((this.page / this.pageCount) * 100);
+});
+
+// History is append-only: entries can be created or purged with their book, never edited
+progressEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Progress history entries cannot be modified'));
+});
+
+const buildEntry = (book, previousPosition, source) => ({
+  userId: book.userId,
+  bookId: book._id,
+  unit: book.progressUnit,
+  page: book.progressPosition,
+  previousPage: previousPosition || 0,
+  pageCount: book.progressTotal,
+  status: book.status,
+  source
+});
+
+// Static method to record a progress change for a book (no-op if the position did not move)
+// previousPosition is in the book's progress unit, as read from book.progressPosition
+progressEntrySchema.statics.recordChange = async function(book, previousPosition, source = 'manual') {
+  if (book.progressPosition === (previousPosition || 0)) return null;
+  return this.create(buildEntry(book, previousPosition, source));
+};
+
+// Static method to record the starting progress of newly imported books
+progressEntrySchema.statics.recordImported = async function(books) {
+  const entries = books
+    .filter(book => book.progressPosition > 0)
+    .map(book => buildEntry(book, 0, 'import'));
+
+  if (entries.length === 0) return [];
+  return this.insertMany(entries);
+};
+
+// Static method to move the history of merged duplicate books onto the book they were merged into.
+// Moving to another book is the one change entries allow, so it goes past the append-only hook.
+progressEntrySchema.statics.moveToBook = function(fromBookIds, toBookId, userId) {
+  const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+  return this.collection.updateMany(
+    { bookId: { $in: fromBookIds.map(toObjectId) }, userId: toObjectId(userId) },
+    { $set: { bookId: toObjectId(toBookId) } }
+  );
+};
+
+const ProgressEntry = mongoose.model('ProgressEntry', progressEntrySchema);
+
+export default ProgressEntry;
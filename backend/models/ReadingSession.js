@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Book from './Book.js';
+
+const readingSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true,
+    index: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Session start time is required'],
+    validate: {
+      validator: function(v) {
+        return v <= new Date();
+      },
+      message: 'Session start time cannot be in the future'
+    }
+  },
+  endTime: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startTime || v >= this.startTime;
+      },
+      message: 'Session end time must be after start time'
+    }
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Session duration is required'],
+    min: [0, 'Duration cannot be negative'],
+    max: [86400, 'Duration cannot be more than 24 hours']
+  },
+  // Positions are in the book's progress unit: pages, minutes (audiobooks), percent or location (ebooks)
+  unit: {
+    type: String,
+    enum: {
+      values: ['page', 'minute', 'percent', 'location'],
+      message: 'Unit must be: page, minute, percent, or location'
+    },
+    default: 'page'
+  },
+  startPage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Start page cannot be negative']
+  },
+  endPage: {
+    type: Number,
+    default: 0,
+    min: [0, 'End page cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return v >= this.startPage;
+      },
+      message: 'End page cannot be before start page'
+    }
+  },
+  pagesRead: {
+    type: Number,
+    default: 0,
+    min: [0, 'Pages read cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Session notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for efficient queries
+readingSessionSchema.index({ userId: 1, startTime: -1 });
+readingSessionSchema.index({ bookId: 1, startTime: -1 });
+
+// Virtual for reading speed in pages per hour
+readingSessionSchema.virtual('pagesPerHour').get(function() {
+  if (!this.duration) return 0;
+  return Math.round(this.pagesRead / (this.duration / 3600));
+});
+
+// Pre-validate middleware to derive pages read and end time
+readingSessionSchema.pre('validate', function(next) {
+  if (this.endPage >= this.startPage) {
+    this.pagesRead = this.endPage - this.startPage;
+  }
+
+  if (!this.endTime && this.startTime && this.duration !== undefined) {
+    this.endTime = new Date(this.startTime.getTime() + this.duration * 1000);
+  }
+
+  next();
+});
+
+// Static method to get a user's reading time and speed statistics
+readingSessionSchema.statics.getUserSessionStats = async function(userId, { bookId, startDate, endDate } = {}) {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  // Sessions of trashed books stay out of the stats until the book is restored
+  const trashedBookIds = await Book.distinct('_id', { userId: match.userId, deletedAt: { $ne: null } });
+  match.bookId = bookId
+    ? { $eq: new mongoose.Types.ObjectId(bookId), $nin: trashedBookIds }
+    : { $nin: trashedBookIds };
+  if (startDate && endDate) {
+    match.startTime = { $gte: startDate, $lte: endDate };
+  }
+
+  const isPageSession = { $eq: [{ $ifNull: ['$unit', 'page'] }, 'page'] };
+
+  const stats = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalSessions: { $sum: 1 },
+        totalSeconds: { $sum: '$duration' },
+        // Only page-based sessions count towards pages read and reading speed
+        totalPages: { $sum: { $cond: [isPageSession, '$pagesRead', 0] } },
+        pageSeconds: { $sum: { $cond: [isPageSession, '$duration', 0] } },
+        listeningSeconds: { $sum: { $cond: [{ $eq: ['$unit', 'minute'] }, '$duration', 0] } },
+        averageDuration: { $avg: '$duration' },
+        longestSession: { $max: '$duration' }
+      }
+    }
+  ]);
+
+  const result = stats[0] || {
+    totalSessions: 0,
+    totalSeconds: 0,
+    totalPages: 0,
+    pageSeconds: 0,
+    listeningSeconds: 0,
+    averageDuration: 0,
+    longestSession: 0
+  };
+
+  return {
+    totalSessions: result.totalSessions,
+    totalMinutes: Math.round(result.totalSeconds / 60),
+    totalPages: result.totalPages,
+    listeningMinutes: Math.round(result.listeningSeconds / 60),
+    averageSessionMinutes: Math.round((result.averageDuration || 0) / 60),
+    longestSessionMinutes: Math.round((result.longestSession || 0) / 60),
+    pagesPerHour: result.pageSeconds > 0
+      ? Math.round(result.totalPages / (result.pageSeconds / 3600))
+      : 0
+  };
+};
+
+const ReadingSession = mongoose.model('ReadingSession', readingSessionSchema);
+
+export default ReadingSession;
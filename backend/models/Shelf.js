@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const shelfSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shelf name is required'],
+    trim: true,
+    maxlength: [50, 'Shelf name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [10, 'Icon cannot be more than 10 characters']
+  },
+  // Advanced search criteria of a smart shelf, whose books are whichever match them; regular
+  // shelves have none and hold the books added to them
+  criteria: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shelfSchema.virtual('isSmart').get(function() {
+  return Boolean(this.criteria);
+});
+
+// Shelf names are unique per user
+shelfSchema.index({ userId: 1, name: 1 }, { unique: true });
+shelfSchema.index({ userId: 1, sortOrder: 1 });
+
+// Static method to resolve shelf names to ids for a user, creating missing shelves.
+// `details` optionally maps a name to the description/sortOrder/icon used when creating it.
+shelfSchema.statics.findOrCreateByNames = async function(userId, names, details = new Map()) {
+  const uniqueNames = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+  if (uniqueNames.length === 0) return new Map();
+
+  const existing = await this.find({ userId, name: { $in: uniqueNames } });
+  const shelvesByName = new Map(existing.map(shelf => [shelf.name, shelf._id]));
+
+  const missing = uniqueNames.filter(name => !shelvesByName.has(name));
+  if (missing.length > 0) {
+    const lastShelf = await this.findOne({ userId }).sort({ sortOrder: -1 });
+    const nextSortOrder = lastShelf ? lastShelf.sortOrder + 1 : 0;
+    const created = await this.insertMany(missing.map((name, index) => ({
+      sortOrder: nextSortOrder + index,
+      ...details.get(name),
+      userId,
+      name
+    })));
+    created.forEach(shelf => shelvesByName.set(shelf.name, shelf._id));
+  }
+
+  return shelvesByName;
+};
+
+// Static method to check that every shelf id is a regular shelf of the user; books cannot be
+// placed on smart shelves
+shelfSchema.statics.belongToUser = async function(userId, shelfIds) {
+  const uniqueIds = [...new Set(shelfIds.map(id => id.toString()))];
+  if (uniqueIds.length === 0) return true;
+  const count = await this.countDocuments({ userId, _id: { $in: uniqueIds }, criteria: null });
+  return count === uniqueIds.length;
+};
+
+const Shelf = mongoose.model('Shelf', shelfSchema);
+
+export default Shelf;
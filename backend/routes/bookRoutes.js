@@ -6,19 +6,75 @@ import {
   updateBook,
   deleteBook,
   updateBookStatus,
+  startReread,
+  uploadBookCover,
+  removeBookCover,
+  getBookProgress,
+  getBookHistory,
+  revertBookRevision,
+  getNextInSeries,
   searchBooks,
+  getSuggestions,
   advancedSearchBooks,
   getBooksByGenre,
   getReadingStats,
   getMonthlyReport
 } from '../controllers/bookController.js';
+import {
+  getBookSessions,
+  createBookSession,
+  deleteBookSession
+} from '../controllers/readingSessionController.js';
+import {
+  getBookHighlights,
+  createHighlight,
+  updateHighlight,
+  deleteHighlight
+} from '../controllers/highlightController.js';
+import {
+  getDuplicates,
+  mergeDuplicates,
+  dismissDuplicates
+} from '../controllers/duplicateController.js';
+import {
+  getTrash,
+  restoreBook,
+  purgeBook,
+  emptyTrash
+} from '../controllers/trashController.js';
+import {
+  getLoans,
+  getBookLoans,
+  lendBook,
+  returnBook
+} from '../controllers/loanController.js';
+import { bulkUpdateBooks } from '../controllers/bulkController.js';
+import { lookupMetadata } from '../controllers/metadataController.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { searchLimiter, createLimiter } from '../middleware/rateLimitMiddleware.js';
+import { searchLimiter, suggestLimiter, createLimiter, uploadLimiter } from '../middleware/rateLimitMiddleware.js';
+import { secureUpload, processUploadedFile } from '../middleware/fileUploadSecurityMiddleware.js';
 import {
   validateBook,
   validateSearch,
+  validateBookList,
+  validateSuggest,
+  validateMetadataLookup,
   validateAdvancedSearch,
   validateId,
+  validateReadingSession,
+  validateSessionId,
+  validateLoan,
+  validateLoanReturn,
+  validateLoanList,
+  validateStatusUpdate,
+  validateHighlight,
+  validateHighlightUpdate,
+  validateHighlightId,
+  validateHighlightSearch,
+  validateDuplicateMerge,
+  validateDuplicateDismissal,
+  validateRevisionId,
+  validateBulkOperation,
   sanitizeRequest
 } from '../middleware/validationMiddleware.js';
 
@@ -31,13 +87,23 @@ router.use(sanitizeRequest);
 // @desc    Get all books for user
 // @route   GET /api/v1/books
 // @access  Private
-router.get('/', getBooks);
+router.get('/', validateBookList, getBooks);
 
 // @desc    Search books
 // @route   GET /api/v1/books/search
 // @access  Private
 router.get('/search', searchLimiter, validateSearch, searchBooks);
 
+// @desc    Autocomplete titles, authors, tags and genres
+// @route   GET /api/v1/books/suggest
+// @access  Private
+router.get('/suggest', suggestLimiter, validateSuggest, getSuggestions);
+
+// @desc    Look up book details by ISBN or title to fill in a new book
+// @route   GET /api/v1/books/lookup
+// @access  Private
+router.get('/lookup', searchLimiter, validateMetadataLookup, lookupMetadata);
+
 // @desc    Advanced search books
 // @route   POST /api/v1/books/search/advanced
 // @access  Private
@@ -58,6 +124,51 @@ router.get('/stats', getReadingStats);
 // @access  Private
 router.get('/stats/monthly', getMonthlyReport);
 
+// @desc    Apply one operation to many books, chosen by ID or by advanced search filter
+// @route   POST /api/v1/books/bulk
+// @access  Private
+router.post('/bulk', validateBulkOperation, bulkUpdateBooks);
+
+// @desc    Get clusters of likely duplicate books
+// @route   GET /api/v1/books/duplicates
+// @access  Private
+router.get('/duplicates', getDuplicates);
+
+// @desc    Merge duplicate books into one surviving book
+// @route   POST /api/v1/books/duplicates/merge
+// @access  Private
+router.post('/duplicates/merge', validateDuplicateMerge, mergeDuplicates);
+
+// @desc    Mark a cluster of books as not duplicates
+// @route   POST /api/v1/books/duplicates/dismiss
+// @access  Private
+router.post('/duplicates/dismiss', validateDuplicateDismissal, dismissDuplicates);
+
+// @desc    List books that are lent out (`?overdue=true` for only the overdue ones)
+// @route   GET /api/v1/books/loans
+// @access  Private
+router.get('/loans', validateLoanList, getLoans);
+
+// @desc    Get books in the trash
+// @route   GET /api/v1/books/trash
+// @access  Private
+router.get('/trash', getTrash);
+
+// @desc    Permanently delete every book in the trash
+// @route   DELETE /api/v1/books/trash
+// @access  Private
+router.delete('/trash', emptyTrash);
+
+// @desc    Restore a book from the trash
+// @route   POST /api/v1/books/trash/:id/restore
+// @access  Private
+router.post('/trash/:id/restore', validateId, restoreBook);
+
+// @desc    Permanently delete a book from the trash
+// @route   DELETE /api/v1/books/trash/:id
+// @access  Private
+router.delete('/trash/:id', validateId, purgeBook);
+
 // @desc    Get single book
 // @route   GET /api/v1/books/:id
 // @access  Private
@@ -76,11 +187,96 @@ router.put('/:id', validateId, validateBook, updateBook);
 // @desc    Update book status
 // @route   PATCH /api/v1/books/:id/status
 // @access  Private
-router.patch('/:id/status', validateId, updateBookStatus);
+router.patch('/:id/status', validateId, validateStatusUpdate, updateBookStatus);
+
+// @desc    Start reading a completed book again
+// @route   POST /api/v1/books/:id/reread
+// @access  Private
+router.post('/:id/reread', validateId, startReread);
+
+// @desc    Upload a cover image for a book (multipart field "cover")
+// @route   POST /api/v1/books/:id/cover
+// @access  Private
+router.post('/:id/cover', uploadLimiter, validateId, secureUpload.single('cover'), processUploadedFile, uploadBookCover);
 
-// @desc    Delete book
+// @desc    Remove a book's cover image
+// @route   DELETE /api/v1/books/:id/cover
+// @access  Private
+router.delete('/:id/cover', validateId, removeBookCover);
+
+// @desc    Move book to the trash
 // @route   DELETE /api/v1/books/:id
 // @access  Private
 router.delete('/:id', validateId, deleteBook);
 
+// @desc    Get page-progress history for a book
+// @route   GET /api/v1/books/:id/progress
+// @access  Private
+router.get('/:id/progress', validateId, getBookProgress);
+
+// @desc    Get the revision history of a book
+// @route   GET /api/v1/books/:id/history
+// @access  Private
+router.get('/:id/history', validateId, getBookHistory);
+
+// @desc    Restore a book's fields to how they were after a revision
+// @route   POST /api/v1/books/:id/history/:revisionId/revert
+// @access  Private
+router.post('/:id/history/:revisionId/revert', validateId, validateRevisionId, revertBookRevision);
+
+// @desc    Get the next unread book in this book's series
+// @route   GET /api/v1/books/:id/next-in-series
+// @access  Private
+router.get('/:id/next-in-series', validateId, getNextInSeries);
+
+// @desc    Get reading sessions for a book
+// @route   GET /api/v1/books/:id/sessions
+// @access  Private
+router.get('/:id/sessions', validateId, getBookSessions);
+
+// @desc    Record a reading session for a book
+// @route   POST /api/v1/books/:id/sessions
+// @access  Private
+router.post('/:id/sessions', validateId, validateReadingSession, createBookSession);
+
+// @desc    Delete a reading session
+// @route   DELETE /api/v1/books/:id/sessions/:sessionId
+// @access  Private
+router.delete('/:id/sessions/:sessionId', validateId, validateSessionId, deleteBookSession);
+
+// @desc    Get highlights for a book
+// @route   GET /api/v1/books/:id/highlights
+// @access  Private
+router.get('/:id/highlights', validateId, validateHighlightSearch, getBookHighlights);
+
+// @desc    Add a highlight to a book
+// @route   POST /api/v1/books/:id/highlights
+// @access  Private
+router.post('/:id/highlights', validateId, validateHighlight, createHighlight);
+
+// @desc    Update a highlight
+// @route   PUT /api/v1/books/:id/highlights/:highlightId
+// @access  Private
+router.put('/:id/highlights/:highlightId', validateId, validateHighlightId, validateHighlightUpdate, updateHighlight);
+
+// @desc    Delete a highlight
+// @route   DELETE /api/v1/books/:id/highlights/:highlightId
+// @access  Private
+router.delete('/:id/highlights/:highlightId', validateId, validateHighlightId, deleteHighlight);
+
+// @desc    Get a book's lending history
+// @route   GET /api/v1/books/:id/loans
+// @access  Private
+router.get('/:id/loans', validateId, getBookLoans);
+
+// @desc    Lend a book to someone
+// @route   POST /api/v1/books/:id/loans
+// @access  Private
+router.post('/:id/loans', validateId, validateLoan, lendBook);
+
+// @desc    Mark a lent book as returned
+// @route   POST /api/v1/books/:id/loans/return
+// @access  Private
+router.post('/:id/loans/return', validateId, validateLoanReturn, returnBook);
+
 export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getCover } from '../controllers/coverController.js';
+import { validateCoverRequest } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// Covers are loaded by <img> tags, which cannot send the auth header; the random token in each
+// cover's URL is what keeps it from being guessed
+
+// @desc    Get an uploaded cover thumbnail
+// @route   GET /api/v1/covers/:bookId/:token/:size
+// @access  Public
+router.get('/:bookId/:token/:size', validateCoverRequest, getCover);
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  getGenres,
+  createGenre,
+  updateGenre,
+  deleteGenre
+} from '../controllers/genreController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  validateGenre,
+  validateGenreUpdate,
+  validateId,
+  sanitizeRequest
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected and sanitized
+router.use(protect);
+router.use(sanitizeRequest);
+
+// @desc    Get the genre tree with book counts
+// @route   GET /api/v1/genres
+// @access  Private
+router.get('/', getGenres);
+
+// @desc    Create a genre
+// @route   POST /api/v1/genres
+// @access  Private
+router.post('/', validateGenre, createGenre);
+
+// @desc    Rename or move a genre
+// @route   PUT /api/v1/genres/:id
+// @access  Private
+router.put('/:id', validateId, validateGenreUpdate, updateGenre);
+
+// @desc    Delete a genre
+// @route   DELETE /api/v1/genres/:id
+// @access  Private
+router.delete('/:id', validateId, deleteGenre);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { searchHighlights } from '../controllers/highlightController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { searchLimiter } from '../middleware/rateLimitMiddleware.js';
+import {
+  validateHighlightSearch,
+  sanitizeRequest
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected and sanitized
+router.use(protect);
+router.use(sanitizeRequest);
+
+// @desc    Search highlights across all books
+// @route   GET /api/v1/highlights
+// @access  Private
+router.get('/', searchLimiter, validateHighlightSearch, searchHighlights);
+
+export default router;
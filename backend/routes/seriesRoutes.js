@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getSeries,
+  getSeriesByName
+} from '../controllers/seriesController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  validateSeriesName,
+  sanitizeRequest
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected and sanitized
+router.use(protect);
+router.use(sanitizeRequest);
+
+// @desc    Get all series for user with completion progress
+// @route   GET /api/v1/series
+// @access  Private
+router.get('/', getSeries);
+
+// @desc    Get a single series with its books in reading order
+// @route   GET /api/v1/series/:name
+// @access  Private
+router.get('/:name', validateSeriesName, getSeriesByName);
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import {
+  getShelves,
+  getShelf,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addBooksToShelf,
+  removeBookFromShelf
+} from '../controllers/shelfController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { createLimiter } from '../middleware/rateLimitMiddleware.js';
+import {
+  validateShelf,
+  validateShelfUpdate,
+  validateShelfBooks,
+  validateId,
+  validateBookId,
+  sanitizeRequest
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected and sanitized
+router.use(protect);
+router.use(sanitizeRequest);
+
+// @desc    Get all shelves for user
+// @route   GET /api/v1/shelves
+// @access  Private
+router.get('/', getShelves);
+
+// @desc    Create new shelf
+// @route   POST /api/v1/shelves
+// @access  Private
+router.post('/', createLimiter, validateShelf, createShelf);
+
+// @desc    Get single shelf with its books
+// @route   GET /api/v1/shelves/:id
+// @access  Private
+router.get('/:id', validateId, getShelf);
+
+// @desc    Update shelf
+// @route   PUT /api/v1/shelves/:id
+// @access  Private
+router.put('/:id', validateId, validateShelfUpdate, updateShelf);
+
+// @desc    Delete shelf
+// @route   DELETE /api/v1/shelves/:id
+// @access  Private
+router.delete('/:id', validateId, deleteShelf);
+
+// @desc    Add books to a shelf
+// @route   POST /api/v1/shelves/:id/books
+// @access  Private
+router.post('/:id/books', validateId, validateShelfBooks, addBooksToShelf);
+
+// @desc    Remove a book from a shelf
+// @route   DELETE /api/v1/shelves/:id/books/:bookId
+// @access  Private
+router.delete('/:id/books/:bookId', validateId, validateBookId, removeBookFromShelf);
+
+export default router;
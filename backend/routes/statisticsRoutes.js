@@ -1,9 +1,11 @@
 import express from 'express';
 import {
   getReadingAnalytics,
-  getReadingGoals
+  getReadingGoals,
+  getSpendingReport
 } from '../controllers/statisticsController.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { validateSpendingReport } from '../middleware/validationMiddleware.js';
 
 const router = express.Router();
 
@@ -20,4 +22,9 @@ router.get('/analytics', getReadingAnalytics);
 // @access  Private
 router.get('/goals', getReadingGoals);
 
+// @desc    Get spending and collection value by purchase year, store and genre
+// @route   GET /api/v1/stats/spending
+// @access  Private
+router.get('/spending', validateSpendingReport, getSpendingReport);
+
 export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  getTags,
+  renameTag,
+  mergeTags,
+  deleteTag
+} from '../controllers/tagController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  validateTagName,
+  validateTagRename,
+  validateTagMerge,
+  sanitizeRequest
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes are protected and sanitized
+router.use(protect);
+router.use(sanitizeRequest);
+
+// @desc    Get all tags for user with usage counts
+// @route   GET /api/v1/tags
+// @access  Private
+router.get('/', getTags);
+
+// @desc    Merge several tags into one
+// @route   POST /api/v1/tags/merge
+// @access  Private
+router.post('/merge', validateTagMerge, mergeTags);
+
+// @desc    Rename a tag on every book that has it
+// @route   PUT /api/v1/tags/:name
+// @access  Private
+router.put('/:name', validateTagName, validateTagRename, renameTag);
+
+// @desc    Remove a tag from every book that has it
+// @route   DELETE /api/v1/tags/:name
+// @access  Private
+router.delete('/:name', validateTagName, deleteTag);
+
+export default router;
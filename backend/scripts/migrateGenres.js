@@ -0,0 +1,5 @@
+// Run the genre tree migration: `npm run migrate:genres` (add `-- --dry-run` to only report changes)
+import runMigration from './runMigration.js';
+import { migrateGenres } from '../migrations/buildGenreTree.js';
+
+runMigration('Genre', migrateGenres);
@@ -0,0 +1,5 @@
+// Run the per-user ISBN migration: `npm run migrate:isbn` (add `-- --dry-run` to only report changes)
+import runMigration from './runMigration.js';
+import { migrateIsbns } from '../migrations/normalizeIsbns.js';
+
+runMigration('ISBN', migrateIsbns);
@@ -0,0 +1,5 @@
+// Run the search index migration: `npm run migrate:search` (add `-- --dry-run` to only report changes)
+import runMigration from './runMigration.js';
+import { rebuildSearchIndex } from '../migrations/rebuildSearchIndex.js';
+
+runMigration('Search index', rebuildSearchIndex);
@@ -0,0 +1,22 @@
+// Command-line runner for the migrations in migrations/: connects to the database, runs the
+// migration (passing on --dry-run) and disconnects. The migrations themselves only export their
+// function, so tests and other code can import them without anything running.
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+
+const runMigration = async (name, migrate) => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+    await migrate({ dryRun });
+    console.log(dryRun ? 'Dry run complete, no changes written' : `${name} migration complete`);
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error(`${name} migration failed:`, error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+export default runMigration;
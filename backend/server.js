@@ -14,6 +14,13 @@ import bookRoutes from './routes/bookRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import statisticsRoutes from './routes/statisticsRoutes.js';
 import importExportRoutes from './routes/importExportRoutes.js';
+import shelfRoutes from './routes/shelfRoutes.js';
+import seriesRoutes from './routes/seriesRoutes.js';
+import highlightRoutes from './routes/highlightRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import genreRoutes from './routes/genreRoutes.js';
+import coverRoutes from './routes/coverRoutes.js';
+import { scheduleTrashPurge } from './utils/trash.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,8 +30,13 @@ const PORT = 5001;
 // Create Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then purge books that outlived the trash retention period. Tests that import
+// the app run no purge against their database.
+connectDB().then(() => {
+  if (process.env.NODE_ENV !== 'test') {
+    scheduleTrashPurge();
+  }
+});
 
 // Trust proxy for rate limiting behind reverse proxy
 app.set('trust proxy', 1);
@@ -146,7 +158,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Change-Source'],
 };
 
 app.use(cors(corsOptions));
@@ -230,6 +242,12 @@ app.use(`/api/${apiVersion}/books`, bookRoutes);
 app.use(`/api/${apiVersion}/users`, userRoutes);
 app.use(`/api/${apiVersion}/stats`, statisticsRoutes);
 app.use(`/api/${apiVersion}/import-export`, importExportRoutes);
+app.use(`/api/${apiVersion}/shelves`, shelfRoutes);
+app.use(`/api/${apiVersion}/series`, seriesRoutes);
+app.use(`/api/${apiVersion}/highlights`, highlightRoutes);
+app.use(`/api/${apiVersion}/tags`, tagRoutes);
+app.use(`/api/${apiVersion}/genres`, genreRoutes);
+app.use(`/api/${apiVersion}/covers`, coverRoutes);
 
 // Root endpoint
 // app.get('/', (req, res) => {
@@ -0,0 +1,104 @@
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { updateBook, searchBooks } from '../../controllers/bookController.js';
+import { errorHandler } from '../../middleware/errorMiddleware.js';
+import User from '../../models/User.js';
+
+describe('Book Controller', () => {
+  let testUser;
+  let app;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+
+    // Stand in for the auth middleware with the test user
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = testUser;
+      next();
+    });
+    app.get('/api/v1/books/search', searchBooks);
+    app.put('/api/v1/books/:id', updateBook);
+    app.use(errorHandler);
+  });
+
+  describe('PUT /api/v1/books/:id', () => {
+    it('should close the read-through and count towards the goal when the form completes a book', async () => {
+      const book = await createTestBook(testUser._id, { pageCount: 300 });
+      await request(app).put(`/api/v1/books/${book._id}`).send({ status: 'in_progress', currentPage: 40 });
+
+      const response = await request(app)
+        .put(`/api/v1/books/${book._id}`)
+        .send({ title: book.title, author: book.author, status: 'completed' });
+
+      expect(response.status).toBe(200);
+      const { book: updated } = response.body.data;
+      expect(updated.dateCompleted).toBeDefined();
+      expect(updated.currentPage).toBe(300);
+      expect(updated.readings).toHaveLength(1);
+      expect(updated.readings[0].dateCompleted).toBeDefined();
+
+      const user = await User.findById(testUser._id);
+      expect(user.readingGoal.current).toBe(1);
+    });
+
+    it('should reopen the read-through and take it off the goal when the form moves a book back to reading', async () => {
+      const book = await createTestBook(testUser._id, { pageCount: 300 });
+      await request(app).put(`/api/v1/books/${book._id}`).send({ status: 'completed' });
+
+      const response = await request(app)
+        .put(`/api/v1/books/${book._id}`)
+        .send({ status: 'in_progress' });
+
+      const { book: updated } = response.body.data;
+      expect(updated.dateCompleted).toBeUndefined();
+      expect(updated.readings).toHaveLength(1);
+      expect(updated.readings[0].dateCompleted).toBeUndefined();
+
+      const user = await User.findById(testUser._id);
+      expect(user.readingGoal.current).toBe(0);
+    });
+
+    it('should record when and where the form abandons a book', async () => {
+      const book = await createTestBook(testUser._id, { status: 'in_progress', pageCount: 300, currentPage: 120 });
+
+      const response = await request(app)
+        .put(`/api/v1/books/${book._id}`)
+        .send({ status: 'abandoned', abandonmentReason: 'Lost interest' });
+
+      const { book: updated } = response.body.data;
+      expect(updated.dateAbandoned).toBeDefined();
+      expect(updated.abandonedPage).toBe(120);
+      expect(updated.abandonmentReason).toBe('Lost interest');
+    });
+
+    it('should clear the abandonment details when the form picks a book back up', async () => {
+      const book = await createTestBook(testUser._id, { status: 'in_progress', pageCount: 300, currentPage: 120 });
+      await request(app).put(`/api/v1/books/${book._id}`).send({ status: 'abandoned', abandonmentReason: 'Lost interest' });
+
+      const response = await request(app)
+        .put(`/api/v1/books/${book._id}`)
+        .send({ status: 'in_progress' });
+
+      const { book: updated } = response.body.data;
+      expect(updated.dateAbandoned).toBeUndefined();
+      expect(updated.abandonedPage).toBeUndefined();
+      expect(updated.abandonmentReason).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/v1/books/search', () => {
+    it('should leave out excluded words when the query has nothing else', async () => {
+      await createTestBook(testUser._id, { title: 'Dune', tags: ['science fiction'] });
+      await createTestBook(testUser._id, { title: 'The Shining', tags: ['horror'] });
+
+      const response = await request(app).get('/api/v1/books/search').query({ q: '-horror' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.books.map(book => book.title)).toEqual(['Dune']);
+      expect(response.body.data.pagination.totalBooks).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { mergeDuplicates } from '../../controllers/duplicateController.js';
+import { errorHandler } from '../../middleware/errorMiddleware.js';
+import Book from '../../models/Book.js';
+import ReadingSession from '../../models/ReadingSession.js';
+import ProgressEntry from '../../models/ProgressEntry.js';
+import Highlight from '../../models/Highlight.js';
+
+describe('Duplicate Controller', () => {
+  let testUser;
+  let app;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+
+    // Stand in for the auth middleware with the test user
+    app = express();
+    app.use(express.json());
+    app.post('/api/v1/books/duplicates/merge', (req, res, next) => {
+      req.user = testUser;
+      next();
+    }, mergeDuplicates);
+    app.use(errorHandler);
+  });
+
+  describe('POST /api/v1/books/duplicates/merge', () => {
+    it('should move sessions, progress history and highlights to the surviving book', async () => {
+      const survivor = await createTestBook(testUser._id, { title: 'Dune', author: 'Frank Herbert' });
+      const duplicate = await createTestBook(testUser._id, {
+        title: 'Dune',
+        author: 'Frank Herbert',
+        status: 'in_progress',
+        pageCount: 400,
+        currentPage: 120
+      });
+
+      await ReadingSession.create({
+        userId: testUser._id,
+        bookId: duplicate._id,
+        startTime: new Date('2024-01-01T10:00:00Z'),
+        duration: 1800
+      });
+      await ProgressEntry.recordChange(duplicate, 0, 'manual');
+      await Highlight.create({ userId: testUser._id, bookId: duplicate._id, text: 'Fear is the mind-killer.' });
+
+      const response = await request(app)
+        .post('/api/v1/books/duplicates/merge')
+        .send({ survivorId: survivor._id, duplicateIds: [duplicate._id] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.mergedIds).toEqual([duplicate._id.toString()]);
+
+      expect(await Book.exists({ _id: duplicate._id })).toBeNull();
+      expect(await ReadingSession.countDocuments({ bookId: survivor._id })).toBe(1);
+      expect(await ProgressEntry.countDocuments({ bookId: survivor._id })).toBe(1);
+      expect(await ProgressEntry.countDocuments({ bookId: duplicate._id })).toBe(0);
+      expect(await Highlight.countDocuments({ bookId: survivor._id })).toBe(1);
+    });
+
+    it('should leave every record in place when a book is not found', async () => {
+      const survivor = await createTestBook(testUser._id, { title: 'Dune' });
+      const duplicate = await createTestBook(testUser._id, { title: 'Dune' });
+      const otherUser = await createTestUser();
+      const othersBook = await createTestBook(otherUser._id, { title: 'Dune' });
+
+      await ReadingSession.create({
+        userId: testUser._id,
+        bookId: duplicate._id,
+        startTime: new Date('2024-01-01T10:00:00Z'),
+        duration: 600
+      });
+
+      const response = await request(app)
+        .post('/api/v1/books/duplicates/merge')
+        .send({ survivorId: survivor._id, duplicateIds: [duplicate._id, othersBook._id] });
+
+      expect(response.status).toBe(404);
+      expect(await Book.exists({ _id: duplicate._id })).toBeTruthy();
+      expect(await ReadingSession.countDocuments({ bookId: duplicate._id })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { createShelf, deleteShelf } from '../../controllers/shelfController.js';
+import { errorHandler } from '../../middleware/errorMiddleware.js';
+import Book from '../../models/Book.js';
+import Shelf from '../../models/Shelf.js';
+import { shelfBookFilter } from '../../utils/shelves.js';
+
+describe('Shelf Controller', () => {
+  let testUser;
+  let app;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+
+    // Stand in for the auth middleware with the test user
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = testUser;
+      next();
+    });
+    app.post('/api/v1/shelves', createShelf);
+    app.delete('/api/v1/shelves/:id', deleteShelf);
+    app.use(errorHandler);
+  });
+
+  describe('POST /api/v1/shelves', () => {
+    it('should match regex characters in smart shelf criteria literally', async () => {
+      await createTestBook(testUser._id, { title: 'C++ Primer' });
+      await createTestBook(testUser._id, { title: 'C Programming' });
+
+      const response = await request(app)
+        .post('/api/v1/shelves')
+        .send({ name: 'C++', criteria: { title: 'c++' } });
+
+      expect(response.status).toBe(201);
+      const books = await Book.find(await shelfBookFilter(response.body.data.shelf));
+      expect(books.map(book => book.title)).toEqual(['C++ Primer']);
+    });
+
+    it('should reject smart shelf criteria that cannot be searched', async () => {
+      const response = await request(app)
+        .post('/api/v1/shelves')
+        .send({ name: 'Broken', criteria: { rating: { min: 'high' } } });
+
+      expect(response.status).toBe(400);
+      expect(await Shelf.countDocuments({ userId: testUser._id })).toBe(0);
+    });
+  });
+
+  describe('DELETE /api/v1/shelves/:id', () => {
+    it('should take the shelf off books in the trash as well', async () => {
+      const shelf = await Shelf.create({ userId: testUser._id, name: 'Favorites' });
+      const book = await createTestBook(testUser._id, { shelves: [shelf._id] });
+      const trashed = await createTestBook(testUser._id, { title: 'Trashed', shelves: [shelf._id] });
+      await trashed.moveToTrash();
+
+      const response = await request(app).delete(`/api/v1/shelves/${shelf._id}`);
+
+      expect(response.status).toBe(200);
+      const [kept, restored] = await Promise.all([
+        Book.findById(book._id),
+        Book.findById(trashed._id).setOptions({ withTrashed: true })
+      ]);
+      expect(kept.shelves).toHaveLength(0);
+      expect(restored.shelves).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { deleteUserAccount } from '../../controllers/userController.js';
+import { errorHandler } from '../../middleware/errorMiddleware.js';
+import { LocalStorage, setStorage } from '../../utils/storage.js';
+import { getCoverPrefix, storeCoverImage } from '../../utils/coverImages.js';
+
+describe('User Controller', () => {
+  let testUser;
+  let app;
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'covers-'));
+    storage = new LocalStorage(root);
+    setStorage(storage);
+
+    // Stand in for the auth middleware with the test user
+    app = express();
+    app.use(express.json());
+    app.delete('/api/v1/users/account', (req, res, next) => {
+      req.user = testUser;
+      next();
+    }, deleteUserAccount);
+    app.use(errorHandler);
+  });
+
+  afterEach(async () => {
+    setStorage(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('DELETE /api/v1/users/account', () => {
+    it('should delete the uploaded covers of every book, trashed ones included', async () => {
+      const photoPath = path.join(root, 'photo.png');
+      await sharp({ create: { width: 400, height: 600, channels: 3, background: '#336699' } })
+        .png()
+        .toFile(photoPath);
+
+      const book = await createTestBook(testUser._id);
+      const trashed = await createTestBook(testUser._id, { title: 'Trashed' });
+      await storeCoverImage(book._id.toString(), photoPath, storage);
+      await storeCoverImage(trashed._id.toString(), photoPath, storage);
+      await trashed.moveToTrash();
+
+      const response = await request(app).delete('/api/v1/users/account');
+
+      expect(response.status).toBe(200);
+      expect(await storage.list(getCoverPrefix(book._id.toString()))).toHaveLength(0);
+      expect(await storage.list(getCoverPrefix(trashed._id.toString()))).toHaveLength(0);
+    });
+  });
+});
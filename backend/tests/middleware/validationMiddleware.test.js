@@ -5,6 +5,10 @@ import {
   validateUser,
   validateAuth,
   validateSearch,
+  validateBookList,
+  validateSuggest,
+  validateMetadataLookup,
+  validateLoan,
   validateId,
   sanitizeRequest,
   sanitizeInput
@@ -94,6 +98,15 @@ describe('Validation Middleware', () => {
         expect(response.body.book.title).toBe('alert("xss")');
         expect(response.body.book.metadata.description).toBe('Test &amp; &quot;description&quot;');
       });
+
+      it('should keep arrays as arrays', async () => {
+        const response = await request(app)
+          .post('/test')
+          .send({ tags: ['<b>fantasy</b>', 'classic'] })
+          .expect(200);
+
+        expect(response.body.tags).toEqual(['fantasy', 'classic']);
+      });
     });
   });
 
@@ -109,7 +122,7 @@ describe('Validation Middleware', () => {
       const validBook = {
         title: 'Valid Book Title',
         author: 'John Doe',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         genre: 'Fiction',
         pageCount: 300,
         status: 'not_started'
@@ -210,6 +223,29 @@ describe('Validation Middleware', () => {
       );
     });
 
+    it('should accept a genre path', async () => {
+      await request(app)
+        .post('/books')
+        .send({ title: 'Valid Title', author: 'John Doe', genre: 'Fiction / Fantasy / Epic Fantasy' })
+        .expect(200);
+    });
+
+    it('should reject a genre path with an overlong genre name', async () => {
+      const response = await request(app)
+        .post('/books')
+        .send({ title: 'Valid Title', author: 'John Doe', genre: `Fiction / ${'a'.repeat(51)}` })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            field: 'genre',
+            message: 'Each genre name cannot exceed 50 characters'
+          })
+        ])
+      );
+    });
+
     it('should reject book with too many tags', async () => {
       const invalidBook = {
         title: 'Valid Title',
@@ -303,6 +339,13 @@ describe('Validation Middleware', () => {
         .expect(200);
     });
 
+    it('should accept the field search syntax', async () => {
+      await request(app)
+        .get('/search')
+        .query({ q: 'author:tolkien status:in_progress rating:>=4 genre:"Fiction / Fantasy"' })
+        .expect(200);
+    });
+
     it('should reject invalid page number', async () => {
       const response = await request(app)
         .get('/search?page=0')
@@ -334,6 +377,105 @@ describe('Validation Middleware', () => {
     });
   });
 
+  describe('Book List Validation', () => {
+    beforeEach(() => {
+      app.use(validateBookList);
+      app.get('/books', (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should accept facet refinements', async () => {
+      await request(app)
+        .get('/books?tag=classic&rating=4&decade=1990')
+        .expect(200);
+    });
+
+    it('should reject decades that are not a year ending in 0', async () => {
+      const response = await request(app)
+        .get('/books?decade=1995&rating=6')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(
+        expect.arrayContaining(['decade', 'rating'])
+      );
+    });
+  });
+
+  describe('Suggestion Validation', () => {
+    beforeEach(() => {
+      app.use(validateSuggest);
+      app.get('/suggest', (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should accept a query with types and a limit', async () => {
+      await request(app)
+        .get('/suggest?q=tolk&types=author,title&limit=5')
+        .expect(200);
+    });
+
+    it('should require a query and reject unknown types', async () => {
+      const response = await request(app)
+        .get('/suggest?types=author,isbn')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(
+        expect.arrayContaining(['q', 'types'])
+      );
+    });
+  });
+
+  describe('Metadata Lookup Validation', () => {
+    beforeEach(() => {
+      app.use(validateMetadataLookup);
+      app.get('/lookup', (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should accept an ISBN or a title', async () => {
+      await request(app).get('/lookup?isbn=0-14-143951-3').expect(200);
+      await request(app).get('/lookup?title=Moby-Dick&author=Melville&limit=3').expect(200);
+    });
+
+    it('should reject an invalid ISBN and a lookup with neither', async () => {
+      const invalid = await request(app).get('/lookup?isbn=12345').expect(400);
+      expect(invalid.body.error.details[0].field).toBe('isbn');
+
+      const empty = await request(app).get('/lookup?author=Melville').expect(400);
+      expect(empty.body.error.details[0].field).toBe('title');
+    });
+  });
+
+  describe('Loan Validation', () => {
+    beforeEach(() => {
+      app.use(validateLoan);
+      app.post('/loans', (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should accept a borrower with a due date', async () => {
+      await request(app)
+        .post('/loans')
+        .send({ borrowerName: 'Sam', borrowerContact: 'sam@example.com', lentAt: '2024-03-01', dueDate: '2024-03-15' })
+        .expect(200);
+    });
+
+    it('should require a borrower and a due date after the lent date', async () => {
+      const response = await request(app)
+        .post('/loans')
+        .send({ borrowerName: ' ', lentAt: '2024-03-10', dueDate: '2024-03-01' })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(
+        expect.arrayContaining(['borrowerName', 'dueDate'])
+      );
+    });
+  });
+
   describe('ID Validation', () => {
     beforeEach(() => {
       app.use('/books/:id', validateId);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import Book from '../../models/Book.js';
+import Genre from '../../models/Genre.js';
+import { migrateGenres } from '../../migrations/buildGenreTree.js';
+
+describe('buildGenreTree migration', () => {
+  const userA = new mongoose.Types.ObjectId();
+  const userB = new mongoose.Types.ObjectId();
+
+  // Insert straight into the collection, as legacy books had no genreId
+  const insertLegacyBook = (userId, genre) => Book.collection.insertOne({
+    userId,
+    title: `Book ${genre}`,
+    author: 'Legacy Author',
+    genre,
+    createdAt: new Date()
+  });
+
+  it('should link books to one genre per user and name, ignoring case', async () => {
+    const first = await insertLegacyBook(userA, 'Fantasy');
+    const second = await insertLegacyBook(userA, 'fantasy');
+    const other = await insertLegacyBook(userB, 'Fantasy');
+
+    const summary = await migrateGenres({ log: () => {} });
+
+    const bookOf = ({ insertedId }) => Book.collection.findOne({ _id: insertedId });
+    const [a1, a2, b1] = await Promise.all([bookOf(first), bookOf(second), bookOf(other)]);
+    expect(a1.genreId).toEqual(a2.genreId);
+    expect(a2.genre).toBe('Fantasy');
+    expect(b1.genreId).not.toEqual(a1.genreId);
+    expect(summary).toEqual({ linked: 3, genres: 2 });
+    expect(await Genre.countDocuments()).toBe(2);
+  });
+
+  it('should leave the data untouched in a dry run', async () => {
+    const legacy = await insertLegacyBook(userA, 'Mystery');
+
+    const summary = await migrateGenres({ dryRun: true, log: () => {} });
+
+    expect(summary.linked).toBe(1);
+    expect((await Book.collection.findOne({ _id: legacy.insertedId })).genreId).toBeUndefined();
+    expect(await Genre.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import Book from '../../models/Book.js';
+import { migrateIsbns } from '../../migrations/normalizeIsbns.js';
+
+describe('normalizeIsbns migration', () => {
+  const userA = new mongoose.Types.ObjectId();
+  const userB = new mongoose.Types.ObjectId();
+
+  // Insert straight into the collection, as legacy data was stored before normalization
+  const insertLegacyBook = (userId, isbn, createdAt) => Book.collection.insertOne({
+    userId,
+    title: `Book ${isbn}`,
+    author: 'Legacy Author',
+    isbn,
+    createdAt
+  });
+
+  it('should normalize ISBNs and set aside invalid and per-user duplicate values', async () => {
+    const first = await insertLegacyBook(userA, '0-306-40615-2', new Date('2023-01-01'));
+    const repeat = await insertLegacyBook(userA, '9780306406157', new Date('2023-02-01'));
+    const otherUser = await insertLegacyBook(userB, '0306406152', new Date('2023-03-01'));
+    const invalid = await insertLegacyBook(userB, '9780306406158', new Date('2023-04-01'));
+
+    const summary = await migrateIsbns({ log: () => {} });
+
+    const isbnOf = async ({ insertedId }) => (await Book.collection.findOne({ _id: insertedId })).isbn;
+    const legacyIsbnOf = async ({ insertedId }) => (await Book.collection.findOne({ _id: insertedId })).legacyIsbn;
+    expect(await isbnOf(first)).toBe('9780306406157');
+    expect(await isbnOf(repeat)).toBeUndefined();
+    expect(await isbnOf(otherUser)).toBe('9780306406157');
+    expect(await isbnOf(invalid)).toBeUndefined();
+    expect(await legacyIsbnOf(repeat)).toBe('9780306406157');
+    expect(await legacyIsbnOf(invalid)).toBe('9780306406158');
+    expect(await legacyIsbnOf(first)).toBeUndefined();
+    expect(summary.normalized).toBe(2);
+    expect(summary.duplicates).toHaveLength(1);
+    expect(summary.invalid).toHaveLength(1);
+  });
+
+  it('should leave the data untouched in a dry run', async () => {
+    const legacy = await insertLegacyBook(userA, '0-306-40615-2', new Date('2023-01-01'));
+
+    const summary = await migrateIsbns({ dryRun: true, log: () => {} });
+
+    const book = await Book.collection.findOne({ _id: legacy.insertedId });
+    expect(book.isbn).toBe('0-306-40615-2');
+    expect(summary.normalized).toBe(1);
+  });
+});
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import Book from '../../models/Book.js';
+import { rebuildSearchIndex } from '../../migrations/rebuildSearchIndex.js';
+
+describe('rebuildSearchIndex migration', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  // Insert straight into the collection, as books saved before search trigrams have none
+  const insertLegacyBook = (title) => Book.collection.insertOne({
+    userId,
+    title,
+    author: 'J.R.R. Tolkien',
+    createdAt: new Date()
+  });
+
+  it('should store search trigrams on books without them', async () => {
+    const legacy = await insertLegacyBook('The Hobbit');
+
+    const summary = await rebuildSearchIndex({ log: () => {} });
+
+    const book = await Book.collection.findOne({ _id: legacy.insertedId });
+    expect(book.searchTrigrams).toEqual(expect.arrayContaining([' ho', 'hob', ' to', 'tol']));
+    expect(summary.trigrams).toBe(1);
+    expect((await rebuildSearchIndex({ log: () => {} })).trigrams).toBe(0);
+  });
+
+  it('should leave the books untouched in a dry run', async () => {
+    const legacy = await insertLegacyBook('The Hobbit');
+
+    const summary = await rebuildSearchIndex({ dryRun: true, log: () => {} });
+
+    const book = await Book.collection.findOne({ _id: legacy.insertedId });
+    expect(book.searchTrigrams).toBeUndefined();
+    expect(summary.trigrams).toBe(1);
+  });
+});
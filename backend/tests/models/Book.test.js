@@ -76,6 +76,18 @@ describe('Book Model', () => {
       })).rejects.toThrow();
     });
 
+    it('should accept external cover URLs and uploaded covers only', async () => {
+      const uploaded = `/covers/${'a'.repeat(24)}/${'0'.repeat(32)}`;
+
+      const book = await createTestBook(testUser._id, { coverImage: uploaded });
+      expect(book.coverImage).toBe(uploaded);
+
+      await expect(createTestBook(testUser._id, { isbn: undefined, coverImage: '/covers/elsewhere.jpg' }))
+        .rejects.toThrow('Please enter a valid image URL');
+      await expect(createTestBook(testUser._id, { isbn: undefined, coverImage: 'https://example.com/cover.txt' }))
+        .rejects.toThrow('Please enter a valid image URL');
+    });
+
     it('should validate title length', async () => {
       const bookData = generateBookData({ title: 'a'.repeat(201) });
 
@@ -257,4 +269,559 @@ describe('Book Model', () => {
       expect(book.currentPage).toBe(300);
     });
   });
+
+  describe('Read-throughs', () => {
+    it('should open a read-through when reading starts and close it on completion', async () => {
+      const book = await createTestBook(testUser._id, { status: 'in_progress', pageCount: 200 });
+      expect(book.readings).toHaveLength(1);
+      expect(book.readings[0].dateCompleted).toBeUndefined();
+
+      book.status = 'completed';
+      book.rating = 4;
+      await book.save();
+
+      expect(book.readings).toHaveLength(1);
+      expect(book.readings[0].dateCompleted).toBeInstanceOf(Date);
+      expect(book.readings[0].rating).toBe(4);
+    });
+
+    it('should keep the previous read-through when a re-read starts', async () => {
+      const book = await createTestBook(testUser._id, { status: 'completed', pageCount: 200 });
+
+      await book.startReread();
+
+      expect(book.status).toBe('in_progress');
+      expect(book.currentPage).toBe(0);
+      expect(book.dateCompleted).toBeUndefined();
+      expect(book.readings).toHaveLength(2);
+      expect(book.readings[0].dateCompleted).toBeInstanceOf(Date);
+      expect(book.readings[1].dateCompleted).toBeUndefined();
+    });
+
+    it('should reopen the closed read-through when a completion is undone', async () => {
+      const book = await createTestBook(testUser._id, { status: 'completed' });
+
+      book.status = 'in_progress';
+      await book.save();
+
+      expect(book.readings).toHaveLength(1);
+      expect(book.readings[0].dateCompleted).toBeUndefined();
+    });
+
+    it('should count every completed read-through', async () => {
+      const book = await createTestBook(testUser._id, { status: 'completed', pageCount: 100 });
+      await book.startReread();
+      book.status = 'completed';
+      await book.save();
+
+      // Books saved before read-throughs were tracked still count once
+      await Book.collection.insertOne({
+        userId: testUser._id,
+        title: 'Legacy Book',
+        author: 'Test Author',
+        status: 'completed',
+        pageCount: 50,
+        dateCompleted: new Date()
+      });
+
+      expect(await Book.countCompletedReadings(testUser._id)).toBe(3);
+
+      const stats = await Book.getUserReadingStats(testUser._id);
+      expect(stats.completedReadings).toBe(3);
+      expect(stats.rereads).toBe(1);
+      expect(stats.totalPages).toBe(250);
+    });
+  });
+
+  describe('Want to read and did not finish', () => {
+    it('should accept want_to_read without starting a read-through', async () => {
+      const book = await createTestBook(testUser._id, { status: 'want_to_read' });
+
+      expect(book.status).toBe('want_to_read');
+      expect(book.dateStarted).toBeUndefined();
+      expect(book.readings).toHaveLength(0);
+    });
+
+    it('should record where and when a book was abandoned', async () => {
+      const book = await createTestBook(testUser._id, {
+        status: 'in_progress',
+        pageCount: 400,
+        currentPage: 120
+      });
+
+      book.status = 'abandoned';
+      book.abandonmentReason = 'Lost interest';
+      await book.save();
+
+      expect(book.dateAbandoned).toBeInstanceOf(Date);
+      expect(book.abandonedPage).toBe(120);
+      expect(book.abandonmentReason).toBe('Lost interest');
+      expect(book.dateCompleted).toBeUndefined();
+    });
+
+    it('should clear abandonment details when reading resumes', async () => {
+      const book = await createTestBook(testUser._id, {
+        status: 'abandoned',
+        pageCount: 400,
+        currentPage: 50,
+        abandonmentReason: 'Too slow'
+      });
+
+      book.status = 'in_progress';
+      await book.save();
+
+      expect(book.dateAbandoned).toBeUndefined();
+      expect(book.abandonedPage).toBeUndefined();
+      expect(book.abandonmentReason).toBeUndefined();
+    });
+
+    it('should not count abandoned books as completed reads', async () => {
+      await createTestBook(testUser._id, { status: 'completed', pageCount: 100 });
+      await createTestBook(testUser._id, { status: 'abandoned', pageCount: 300, currentPage: 40 });
+      await createTestBook(testUser._id, { status: 'want_to_read' });
+
+      const stats = await Book.getUserReadingStats(testUser._id);
+
+      expect(stats.completedReadings).toBe(1);
+      expect(stats.abandoned).toBe(1);
+      expect(stats.wantToRead).toBe(1);
+      expect(stats.totalPages).toBe(100);
+    });
+  });
+
+  describe('Series', () => {
+    it('should require a series name for a series position', async () => {
+      const bookData = generateBookData({ seriesPosition: 2 });
+
+      await expect(Book.create({
+        ...bookData,
+        userId: testUser._id
+      })).rejects.toThrow('Series position requires a series name');
+    });
+
+    it('should summarise series progress in reading order', async () => {
+      await createTestBook(testUser._id, { title: 'Book Two', series: 'Saga', seriesPosition: 2 });
+      await createTestBook(testUser._id, { title: 'Novella', series: 'Saga', seriesPosition: 1.5, status: 'want_to_read' });
+      await createTestBook(testUser._id, { title: 'Book One', series: 'Saga', seriesPosition: 1, status: 'completed' });
+
+      const [saga] = await Book.getSeriesSummaries(testUser._id);
+
+      expect(saga.name).toBe('Saga');
+      expect(saga.totalBooks).toBe(3);
+      expect(saga.completedBooks).toBe(1);
+      expect(saga.progress).toBe(33);
+      expect(saga.books.map(book => book.title)).toEqual(['Book One', 'Novella', 'Book Two']);
+      expect(saga.nextUnread.title).toBe('Novella');
+    });
+
+    it('should find the next unread book after the current one', async () => {
+      const first = await createTestBook(testUser._id, { title: 'Book One', series: 'Saga', seriesPosition: 1, status: 'completed' });
+      await createTestBook(testUser._id, { title: 'Book Two', series: 'Saga', seriesPosition: 2, status: 'abandoned' });
+      await createTestBook(testUser._id, { title: 'Book Three', series: 'Saga', seriesPosition: 3 });
+
+      const next = await Book.findNextInSeries(first);
+
+      expect(next.title).toBe('Book Three');
+    });
+  });
+
+  describe('Formats', () => {
+    it('should default to paperback tracked in pages', async () => {
+      const book = await createTestBook(testUser._id, { pageCount: 200, currentPage: 50 });
+
+      expect(book.format).toBe('paperback');
+      expect(book.progressUnit).toBe('page');
+      expect(book.progressPercentage).toBe(25);
+    });
+
+    it('should track audiobook progress in minutes', async () => {
+      const book = await createTestBook(testUser._id, {
+        format: 'audiobook',
+        durationMinutes: 600,
+        currentMinute: 150,
+        status: 'in_progress'
+      });
+
+      expect(book.progressUnit).toBe('minute');
+      expect(book.progressPosition).toBe(150);
+      expect(book.progressPercentage).toBe(25);
+
+      book.status = 'completed';
+      await book.save();
+
+      expect(book.currentMinute).toBe(600);
+      expect(book.progressPercentage).toBe(100);
+    });
+
+    it('should reject a current minute beyond the duration', async () => {
+      const bookData = generateBookData({ format: 'audiobook', durationMinutes: 60, currentMinute: 90 });
+
+      await expect(Book.create({
+        ...bookData,
+        userId: testUser._id
+      })).rejects.toThrow();
+    });
+
+    it('should track ebook progress in the chosen unit', async () => {
+      const book = await createTestBook(testUser._id, {
+        format: 'ebook',
+        ebookProgressUnit: 'percent',
+        currentPercent: 42
+      });
+
+      expect(book.progressUnit).toBe('percent');
+      expect(book.progressTotal).toBe(100);
+      expect(book.progressPercentage).toBe(42);
+
+      book.progressPosition = 60;
+      expect(book.currentPercent).toBe(60);
+    });
+
+    it('should leave audiobooks out of page totals', async () => {
+      await createTestBook(testUser._id, { status: 'completed', pageCount: 300 });
+      await createTestBook(testUser._id, {
+        status: 'completed',
+        format: 'audiobook',
+        pageCount: 400,
+        durationMinutes: 720
+      });
+
+      const stats = await Book.getUserReadingStats(testUser._id);
+
+      expect(stats.totalPages).toBe(300);
+      expect(stats.totalListeningMinutes).toBe(720);
+    });
+  });
+
+  describe('ISBN', () => {
+    it('should store ISBN-10 and hyphenated ISBNs as ISBN-13', async () => {
+      const book = await createTestBook(testUser._id, { isbn: '0-306-40615-2' });
+
+      expect(book.isbn).toBe('9780306406157');
+    });
+
+    it('should reject an ISBN with an invalid checksum', async () => {
+      await expect(createTestBook(testUser._id, { isbn: '9780306406158' }))
+        .rejects.toThrow('Please enter a valid ISBN-10 or ISBN-13');
+    });
+
+    it('should only enforce ISBN uniqueness per user', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+      await Book.init();
+      await createTestBook(testUser._id, { isbn: '9780306406157' });
+
+      await expect(createTestBook(testUser._id, { title: 'Same Edition', isbn: '0306406152' }))
+        .rejects.toThrow();
+
+      const otherCopy = await createTestBook(otherUser._id, { isbn: '0306406152' });
+      expect(otherCopy.isbn).toBe('9780306406157');
+    });
+
+    it('should allow many books without an ISBN', async () => {
+      await Book.init();
+      await createTestBook(testUser._id, { title: 'First' });
+      await createTestBook(testUser._id, { title: 'Second', isbn: '' });
+
+      expect(await Book.countDocuments({ userId: testUser._id })).toBe(2);
+    });
+
+    it('should find a book by any form of its ISBN', async () => {
+      const book = await createTestBook(testUser._id, { isbn: '9780306406157' });
+
+      const found = await Book.findByIsbn(testUser._id, '0-306-40615-2');
+
+      expect(found._id.toString()).toBe(book._id.toString());
+      expect(await Book.findByIsbn(testUser._id, '0-306-40615-2', { excludeId: book._id })).toBeNull();
+    });
+
+    it('should drop the ISBN set aside by the migration once a new one is entered', async () => {
+      const book = await createTestBook(testUser._id, { isbn: undefined, legacyIsbn: '9780306406158' });
+
+      book.isbn = '0-306-40615-2';
+      await book.save();
+
+      expect(book.isbn).toBe('9780306406157');
+      expect(book.legacyIsbn).toBeUndefined();
+    });
+  });
+
+  describe('Duplicates', () => {
+    it('should cluster copies by ISBN and by similar title and author', async () => {
+      await createTestBook(testUser._id, { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'Hobbit', author: 'Tolkien, J. R. R.', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'The Silmarillion', author: 'J.R.R. Tolkien', isbn: undefined });
+
+      const clusters = await Book.findDuplicateClusters(testUser._id);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].reasons).toEqual(['title_author']);
+      expect(clusters[0].books.map(book => book.title)).toEqual(['The Hobbit', 'Hobbit']);
+    });
+
+    it('should merge notes, tags, dates and ratings into the surviving book', async () => {
+      const survivor = await createTestBook(testUser._id, {
+        isbn: undefined,
+        status: 'not_started',
+        notes: 'Borrowed copy',
+        tags: ['Fantasy'],
+        pageCount: 300
+      });
+      const duplicate = await createTestBook(testUser._id, {
+        status: 'completed',
+        notes: 'Loved it',
+        tags: ['fantasy', 'classic'],
+        pageCount: 300,
+        rating: 4,
+        isbn: '9780306406157',
+        dateStarted: new Date('2024-01-01'),
+        dateCompleted: new Date('2024-02-01')
+      });
+      const earlier = await createTestBook(testUser._id, {
+        isbn: undefined,
+        status: 'abandoned',
+        dateStarted: new Date('2023-06-01')
+      });
+
+      survivor.absorbDuplicates([duplicate, earlier]);
+
+      expect(survivor.status).toBe('completed');
+      expect(survivor.rating).toBe(4);
+      expect(survivor.notes).toBe('Borrowed copy\n\nLoved it');
+      expect(survivor.tags).toEqual(['Fantasy', 'classic']);
+      expect(survivor.dateStarted).toEqual(new Date('2023-06-01'));
+      expect(survivor.dateCompleted).toEqual(new Date('2024-02-01'));
+      expect(survivor.readings).toHaveLength(1);
+      expect(survivor.isbn).toBeUndefined();
+      expect(survivor.validateSync()).toBeUndefined();
+    });
+
+    it('should keep the surviving book state when it is already furthest along', async () => {
+      const survivor = await createTestBook(testUser._id, { status: 'in_progress', currentPage: 120, isbn: undefined });
+      const duplicate = await createTestBook(testUser._id, { status: 'not_started', isbn: undefined });
+
+      survivor.absorbDuplicates([duplicate]);
+
+      expect(survivor.status).toBe('in_progress');
+      expect(survivor.currentPage).toBe(120);
+      expect(survivor.readings.filter(reading => !reading.dateCompleted)).toHaveLength(1);
+    });
+  });
+
+  describe('Tags', () => {
+    it('should add only tags the book does not already have, ignoring case', async () => {
+      const book = await createTestBook(testUser._id, { tags: ['Classic'] });
+
+      const added = book.addTags(['classic', 'Favorite']);
+
+      expect(added).toEqual(['Favorite']);
+      expect(book.tags).toEqual(['Classic', 'Favorite']);
+    });
+
+    it('should remove tags ignoring case', async () => {
+      const book = await createTestBook(testUser._id, { tags: ['Classic', 'Favorite'] });
+
+      const removed = book.removeTags(['classic', 'missing']);
+
+      expect(removed).toEqual(['Classic']);
+      expect(book.tags).toEqual(['Favorite']);
+    });
+
+    it('should replace tags in place, taking the replacement spelling and dropping duplicates', async () => {
+      const book = await createTestBook(testUser._id, { tags: ['scifi', 'Favorite', 'sci-fi', 'SCI-FI'] });
+
+      expect(book.replaceTags(['scifi'], 'Sci-Fi')).toBe(true);
+      expect(book.tags).toEqual(['Sci-Fi', 'Favorite']);
+
+      expect(book.replaceTags(['favorite'], null)).toBe(true);
+      expect(book.tags).toEqual(['Sci-Fi']);
+
+      expect(book.replaceTags(['missing'], null)).toBe(false);
+    });
+
+    it('should summarise tags ignoring case, named after the most used spelling', async () => {
+      await createTestBook(testUser._id, { title: 'One', isbn: undefined, tags: ['sci-fi', 'classic'] });
+      await createTestBook(testUser._id, { title: 'Two', isbn: undefined, tags: ['sci-fi'] });
+      await createTestBook(testUser._id, { title: 'Three', isbn: undefined, tags: ['Sci-Fi'] });
+
+      const tags = await Book.getTagSummaries(testUser._id);
+
+      expect(tags.map(tag => [tag.name, tag.count])).toEqual([['sci-fi', 3], ['classic', 1]]);
+      expect(tags[0].spellings).toEqual([
+        { name: 'sci-fi', count: 2 },
+        { name: 'Sci-Fi', count: 1 }
+      ]);
+    });
+  });
+
+  describe('Trash', () => {
+    it('should hide trashed books from queries and aggregations', async () => {
+      const kept = await createTestBook(testUser._id, { title: 'Kept', isbn: undefined, genre: 'Fiction' });
+      const trashed = await createTestBook(testUser._id, { title: 'Trashed', isbn: undefined, genre: 'Fiction' });
+
+      await trashed.moveToTrash();
+
+      const books = await Book.find({ userId: testUser._id });
+      expect(books.map(book => book.title)).toEqual(['Kept']);
+      expect(await Book.countDocuments({ userId: testUser._id })).toBe(1);
+      expect(await Book.findById(trashed._id)).toBeNull();
+
+      const [genre] = await Book.getBooksByGenre(testUser._id);
+      expect(genre.count).toBe(1);
+      expect((await Book.findTrashed(testUser._id)).map(book => book.title)).toEqual(['Trashed']);
+      expect(kept.deletedAt).toBeUndefined();
+    });
+
+    it('should restore a trashed book', async () => {
+      const book = await createTestBook(testUser._id, { isbn: undefined });
+      await book.moveToTrash();
+
+      await book.restoreFromTrash();
+
+      const restored = await Book.findById(book._id);
+      expect(restored).not.toBeNull();
+      expect(restored.deletedAt).toBeUndefined();
+    });
+
+    it('should still find a trashed book by ISBN', async () => {
+      const book = await createTestBook(testUser._id, { isbn: '9780306406157' });
+      await book.moveToTrash();
+
+      const found = await Book.findByIsbn(testUser._id, '0306406152');
+
+      expect(found._id.toString()).toBe(book._id.toString());
+      expect(found.deletedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('Loans', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    it('should lend a book and keep the loan as history once returned', async () => {
+      const book = await createTestBook(testUser._id, { isbn: undefined });
+
+      await book.lendTo({ borrowerName: 'Sam', borrowerContact: 'sam@example.com', dueDate: new Date(Date.now() + 7 * DAY) });
+
+      expect(book.currentLoan.borrowerName).toBe('Sam');
+      expect(book.currentLoan.lentAt).toBeInstanceOf(Date);
+      expect(book.currentLoan.isOverdue).toBe(false);
+
+      await book.markReturned();
+
+      const saved = await Book.findById(book._id);
+      expect(saved.currentLoan).toBeNull();
+      expect(saved.loans).toHaveLength(1);
+      expect(saved.loans[0].returnedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject a due date before the lent date', async () => {
+      const book = await createTestBook(testUser._id, { isbn: undefined });
+
+      await expect(book.lendTo({
+        borrowerName: 'Sam',
+        lentAt: new Date('2024-03-10'),
+        dueDate: new Date('2024-03-01')
+      })).rejects.toThrow('Due date must be after the lent date');
+    });
+
+    it('should list lent books soonest due first and find the overdue ones', async () => {
+      const overdue = await createTestBook(testUser._id, { title: 'Overdue', isbn: undefined });
+      const dueLater = await createTestBook(testUser._id, { title: 'Due later', isbn: undefined });
+      const noDueDate = await createTestBook(testUser._id, { title: 'No due date', isbn: undefined });
+      const returned = await createTestBook(testUser._id, { title: 'Returned', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'At home', isbn: undefined });
+
+      await noDueDate.lendTo({ borrowerName: 'Alex' });
+      await dueLater.lendTo({ borrowerName: 'Alex', dueDate: new Date(Date.now() + 14 * DAY) });
+      await overdue.lendTo({
+        borrowerName: 'Robin',
+        lentAt: new Date(Date.now() - 30 * DAY),
+        dueDate: new Date(Date.now() - 2 * DAY)
+      });
+      await returned.lendTo({ borrowerName: 'Robin', dueDate: new Date(Date.now() + DAY) });
+      await returned.markReturned();
+
+      const onLoan = await Book.findOnLoan(testUser._id);
+      expect(onLoan.map(book => book.title)).toEqual(['Overdue', 'Due later', 'No due date']);
+      expect(onLoan[0].currentLoan.isOverdue).toBe(true);
+
+      const overdueBooks = await Book.findOnLoan(testUser._id, { overdue: true });
+      expect(overdueBooks.map(book => book.title)).toEqual(['Overdue']);
+    });
+
+    it('should combine the lending history of merged duplicates', async () => {
+      const survivor = await createTestBook(testUser._id, { isbn: undefined });
+      const duplicate = await createTestBook(testUser._id, { isbn: undefined });
+      await duplicate.lendTo({ borrowerName: 'Sam', lentAt: new Date('2024-01-01') });
+      await duplicate.markReturned(new Date('2024-02-01'));
+      await survivor.lendTo({ borrowerName: 'Alex', lentAt: new Date('2024-05-01') });
+
+      survivor.absorbDuplicates([duplicate]);
+
+      expect(survivor.loans.map(loan => loan.borrowerName)).toEqual(['Sam', 'Alex']);
+      expect(survivor.currentLoan.borrowerName).toBe('Alex');
+    });
+  });
+
+  describe('Inventory', () => {
+    it('should default to an owned copy and upper-case the currency', async () => {
+      const book = await createTestBook(testUser._id, {
+        isbn: undefined,
+        condition: 'very_good',
+        purchasePrice: 12.5,
+        currency: 'eur',
+        purchaseStore: 'Corner Books',
+        shelfLocation: 'Study, shelf 3'
+      });
+
+      expect(book.ownershipType).toBe('owned');
+      expect(book.currency).toBe('EUR');
+      expect(book.condition).toBe('very_good');
+    });
+
+    it('should reject unknown ownership types, conditions and currencies', async () => {
+      const book = new Book({
+        ...generateBookData({ userId: testUser._id }),
+        ownershipType: 'stolen',
+        condition: 'mint',
+        currency: 'EURO',
+        purchasePrice: -1
+      });
+
+      const error = book.validateSync();
+      expect(Object.keys(error.errors)).toEqual(
+        expect.arrayContaining(['ownershipType', 'condition', 'currency', 'purchasePrice'])
+      );
+    });
+
+    it('should total spending per currency by year, store and genre', async () => {
+      const purchase = (overrides) => createTestBook(testUser._id, { isbn: undefined, currency: 'USD', ...overrides });
+      await purchase({ genre: 'Fantasy', purchasePrice: 20, purchaseStore: 'Corner Books', purchaseDate: new Date('2023-05-01') });
+      await purchase({ genre: 'Fantasy', purchasePrice: 10.1, purchaseStore: 'Corner Books', purchaseDate: new Date('2024-02-01') });
+      await purchase({ genre: 'History', purchasePrice: 5.2, purchaseDate: new Date('2024-03-01'), ownershipType: 'borrowed' });
+      await purchase({ genre: 'History', purchasePrice: 8, currency: 'EUR', purchaseDate: new Date('2024-04-01') });
+      await purchase({ genre: 'History' });
+
+      const report = await Book.getSpendingReport(testUser._id);
+
+      expect(report.currencies.map(({ currency }) => currency)).toEqual(['USD', 'EUR']);
+      const [usd] = report.currencies;
+      expect(usd.totalSpent).toBe(35.3);
+      expect(usd.collectionValue).toBe(30.1);
+      expect(usd.bookCount).toBe(3);
+      expect(usd.byYear).toEqual([
+        { year: 2024, total: 15.3, count: 2 },
+        { year: 2023, total: 20, count: 1 }
+      ]);
+      expect(usd.byStore).toEqual([
+        { store: 'Corner Books', total: 30.1, count: 2 },
+        { store: null, total: 5.2, count: 1 }
+      ]);
+      expect(usd.byGenre.map(({ genre }) => genre)).toEqual(['Fantasy', 'History']);
+      expect(report.unpricedBooks).toBe(1);
+      expect(report.ownership.find(({ type }) => type === 'borrowed').count).toBe(1);
+
+      const only2024 = await Book.getSpendingReport(testUser._id, { year: 2024 });
+      expect(only2024.currencies[0].totalSpent).toBe(15.3);
+    });
+  });
 });
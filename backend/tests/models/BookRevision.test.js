@@ -0,0 +1,95 @@
+import BookRevision from '../../models/BookRevision.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+
+describe('BookRevision Model', () => {
+  let testUser;
+  let testBook;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testBook = await createTestBook(testUser._id, { title: 'First Title', tags: ['fiction'] });
+  });
+
+  describe('record', () => {
+    it('should record the initial values of a new book', async () => {
+      const revision = await BookRevision.record(testBook, null, { source: 'import' });
+
+      expect(revision.created).toBe(true);
+      expect(revision.source).toBe('import');
+      expect(revision.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'title', from: null, to: 'First Title' }),
+        expect.objectContaining({ field: 'tags', from: null, to: ['fiction'] })
+      ]));
+      expect(revision.changes.find(change => change.field === 'rating')).toBeUndefined();
+    });
+
+    it('should record only the fields that changed', async () => {
+      const before = BookRevision.snapshot(testBook);
+      testBook.title = 'Second Title';
+      testBook.rating = 4;
+      await testBook.save();
+
+      const revision = await BookRevision.record(testBook, before, { source: 'offline_sync' });
+
+      expect(revision.source).toBe('offline_sync');
+      expect(revision.changes.map(change => change.field).sort()).toEqual(['rating', 'title']);
+      expect(revision.changes.find(change => change.field === 'title')).toMatchObject({
+        from: 'First Title',
+        to: 'Second Title'
+      });
+    });
+
+    it('should not record a revision when nothing changed', async () => {
+      const revision = await BookRevision.record(testBook, BookRevision.snapshot(testBook));
+
+      expect(revision).toBeNull();
+      expect(await BookRevision.countDocuments({ bookId: testBook._id })).toBe(0);
+    });
+
+    it('should reject unknown sources', async () => {
+      const before = BookRevision.snapshot(testBook);
+      testBook.title = 'Changed';
+
+      await expect(BookRevision.record(testBook, before, { source: 'telepathy' }))
+        .rejects.toThrow('Source must be one of');
+    });
+  });
+
+  describe('recordCreations', () => {
+    it('should record many new books at once', async () => {
+      const other = await createTestBook(testUser._id, { title: 'Other', isbn: undefined });
+
+      const revisions = await BookRevision.recordCreations([testBook, other], { source: 'import' });
+
+      expect(revisions).toHaveLength(2);
+      expect(revisions.every(revision => revision.created && revision.source === 'import')).toBe(true);
+    });
+  });
+
+  describe('valuesAtRevision', () => {
+    it('should undo later revisions to rebuild an earlier state', async () => {
+      const created = await BookRevision.record(testBook, null);
+
+      let before = BookRevision.snapshot(testBook);
+      testBook.title = 'Second Title';
+      testBook.tags = ['fiction', 'favorite'];
+      await testBook.save();
+      const second = await BookRevision.record(testBook, before);
+
+      before = BookRevision.snapshot(testBook);
+      testBook.title = 'Third Title';
+      testBook.rating = 2;
+      await testBook.save();
+      await BookRevision.record(testBook, before);
+
+      const afterSecond = await BookRevision.valuesAtRevision(testBook, second);
+      expect(afterSecond.title).toBe('Second Title');
+      expect(afterSecond.tags).toEqual(['fiction', 'favorite']);
+      expect(afterSecond.rating).toBeNull();
+
+      const afterCreation = await BookRevision.valuesAtRevision(testBook, created);
+      expect(afterCreation.title).toBe('First Title');
+      expect(afterCreation.tags).toEqual(['fiction']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import Genre from '../../models/Genre.js';
+import { createTestUser } from '../helpers/testHelpers.js';
+
+describe('Genre Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  describe('Schema Validation', () => {
+    it('should require a name', async () => {
+      const genre = new Genre({ userId: testUser._id });
+
+      await expect(genre.save()).rejects.toThrow('Genre name is required');
+    });
+
+    it('should reject names containing the path separator', async () => {
+      const genre = new Genre({ userId: testUser._id, name: 'Fiction / Fantasy' });
+
+      await expect(genre.save()).rejects.toThrow('cannot contain');
+    });
+  });
+
+  describe('findOrCreatePath', () => {
+    it('should create each missing level with its ancestors', async () => {
+      const epic = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy / Epic Fantasy');
+      const fiction = await Genre.findOne({ userId: testUser._id, name: 'Fiction' });
+      const fantasy = await Genre.findOne({ userId: testUser._id, name: 'Fantasy' });
+
+      expect(epic.name).toBe('Epic Fantasy');
+      expect(epic.parent).toEqual(fantasy._id);
+      expect(epic.ancestors).toEqual([fiction._id, fantasy._id]);
+      expect(await epic.getPath()).toBe('Fiction / Fantasy / Epic Fantasy');
+    });
+
+    it('should reuse existing genres regardless of case', async () => {
+      const first = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy');
+      const second = await Genre.findOrCreatePath(testUser._id, 'fiction / FANTASY');
+
+      expect(second._id).toEqual(first._id);
+      expect(await Genre.countDocuments({ userId: testUser._id })).toBe(2);
+    });
+  });
+
+  describe('resolveFilter', () => {
+    it('should include descendants of the matching genre', async () => {
+      const epic = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy / Epic Fantasy');
+      const fantasy = await Genre.findById(epic.parent);
+
+      const ids = (await Genre.resolveFilter(testUser._id, 'Fiction / Fantasy')).map(String);
+
+      expect(ids.sort()).toEqual([fantasy._id, epic._id].map(String).sort());
+    });
+
+    it('should match whole names rather than substrings', async () => {
+      const fantasy = await Genre.findOrCreatePath(testUser._id, 'Fantasy');
+      await Genre.findOrCreatePath(testUser._id, 'Urban Fantasy Romance');
+
+      const ids = await Genre.resolveFilter(testUser._id, 'fantasy');
+
+      expect(ids.map(String)).toEqual([fantasy._id.toString()]);
+    });
+
+    it('should accept a genre id', async () => {
+      const fantasy = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy');
+      const fiction = await Genre.findById(fantasy.parent);
+
+      const ids = await Genre.resolveFilter(testUser._id, fiction._id.toString());
+
+      expect(ids).toHaveLength(2);
+    });
+
+    it('should not match another user\'s genres', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+      const theirs = await Genre.findOrCreatePath(otherUser._id, 'Fantasy');
+
+      expect(await Genre.resolveFilter(testUser._id, 'Fantasy')).toEqual([]);
+      expect(await Genre.resolveFilter(testUser._id, theirs._id.toString())).toEqual([]);
+    });
+  });
+
+  describe('getTree', () => {
+    it('should nest genres and roll counts up to their ancestors', async () => {
+      const epic = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy / Epic Fantasy');
+      const fantasy = await Genre.findById(epic.parent);
+      const counts = new Map([[fantasy._id.toString(), 2], [epic._id.toString(), 3]]);
+
+      const [fiction] = await Genre.getTree(testUser._id, counts);
+
+      expect(fiction.name).toBe('Fiction');
+      expect(fiction.count).toBe(0);
+      expect(fiction.totalCount).toBe(5);
+      expect(fiction.children[0].totalCount).toBe(5);
+      expect(fiction.children[0].children[0]).toMatchObject({ name: 'Epic Fantasy', depth: 2, count: 3 });
+    });
+  });
+
+  describe('moveTo', () => {
+    it('should update the ancestors of the whole subtree', async () => {
+      const epic = await Genre.findOrCreatePath(testUser._id, 'Fiction / Fantasy / Epic Fantasy');
+      const fantasy = await Genre.findById(epic.parent);
+      const speculative = await Genre.findOrCreatePath(testUser._id, 'Speculative');
+
+      await fantasy.moveTo(speculative);
+
+      const moved = await Genre.findById(epic._id);
+      expect(moved.ancestors).toEqual([speculative._id, fantasy._id]);
+      expect(await moved.getPath()).toBe('Speculative / Fantasy / Epic Fantasy');
+    });
+  });
+});
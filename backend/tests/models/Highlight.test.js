@@ -0,0 +1,106 @@
+import Highlight from '../../models/Highlight.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+
+describe('Highlight Model', () => {
+  let testUser;
+  let testBook;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testBook = await createTestBook(testUser._id);
+  });
+
+  const createHighlight = (overrides = {}) => Highlight.create({
+    userId: testUser._id,
+    bookId: testBook._id,
+    text: 'It was the best of times, it was the worst of times.',
+    page: 1,
+    ...overrides
+  });
+
+  describe('Schema Validation', () => {
+    it('should default to a yellow highlight', async () => {
+      const highlight = await createHighlight();
+
+      expect(highlight.color).toBe('yellow');
+      expect(highlight.createdAt).toBeInstanceOf(Date);
+    });
+
+    it('should require text', async () => {
+      await expect(createHighlight({ text: '' })).rejects.toThrow('Highlight text is required');
+    });
+
+    it('should reject unknown colors', async () => {
+      await expect(createHighlight({ color: 'orange' })).rejects.toThrow();
+    });
+
+    it('should reject a negative page', async () => {
+      await expect(createHighlight({ page: -1 })).rejects.toThrow('Page cannot be negative');
+    });
+  });
+
+  describe('buildSearchQuery', () => {
+    it('should match text and notes case-insensitively', async () => {
+      await createHighlight();
+      await createHighlight({ text: 'Call me Ishmael.', note: 'Great opening about the WORST whale' });
+      await createHighlight({ text: 'Unrelated passage' });
+
+      const results = await Highlight.find(Highlight.buildSearchQuery(testUser._id, { q: 'worst' }));
+
+      expect(results).toHaveLength(2);
+    });
+
+    it('should treat regex characters literally', async () => {
+      await createHighlight({ text: 'What is (this)?' });
+      await createHighlight({ text: 'What is this' });
+
+      const results = await Highlight.find(Highlight.buildSearchQuery(testUser._id, { q: '(this)?' }));
+
+      expect(results).toHaveLength(1);
+    });
+
+    it('should only return the user\'s highlights', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+      const otherBook = await createTestBook(otherUser._id);
+      await createHighlight({ color: 'blue' });
+      await Highlight.create({ userId: otherUser._id, bookId: otherBook._id, text: 'Someone else', color: 'blue' });
+
+      const results = await Highlight.find(Highlight.buildSearchQuery(testUser._id, { color: 'blue' }));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].userId.toString()).toBe(testUser._id.toString());
+    });
+  });
+
+  describe('parseImported', () => {
+    it('should keep valid highlights and leave out entries without text', () => {
+      const { highlights, rejected } = Highlight.parseImported([
+        { text: 'Call me Ishmael.', page: 1, color: 'blue', note: 'Opening line' },
+        { text: '   ' },
+        { page: 4 },
+        null
+      ]);
+
+      expect(highlights).toHaveLength(1);
+      expect(highlights[0]).toMatchObject({ text: 'Call me Ishmael.', page: 1, color: 'blue', note: 'Opening line' });
+      expect(rejected).toHaveLength(0);
+    });
+
+    it('should reject highlights that would not save, with the reason', () => {
+      const { highlights, rejected } = Highlight.parseImported([
+        { text: 'x'.repeat(5001) },
+        { text: 'Kept' },
+        { text: 'Long note', note: 'y'.repeat(1001) }
+      ]);
+
+      expect(highlights.map(highlight => highlight.text)).toEqual(['Kept']);
+      expect(rejected.map(entry => entry.position)).toEqual([1, 3]);
+      expect(rejected[0].reason).toMatch(/text/i);
+      expect(rejected[1].reason).toMatch(/note/i);
+    });
+
+    it('should return nothing when the highlights are not a list', () => {
+      expect(Highlight.parseImported(undefined)).toEqual({ highlights: [], rejected: [] });
+    });
+  });
+});
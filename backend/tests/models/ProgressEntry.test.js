@@ -0,0 +1,62 @@
+import ProgressEntry from '../../models/ProgressEntry.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+
+describe('ProgressEntry Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  describe('recordChange', () => {
+    it('should record a page change with a snapshot of the book', async () => {
+      const book = await createTestBook(testUser._id, {
+        status: 'in_progress',
+        pageCount: 200,
+        currentPage: 50
+      });
+
+      const entry = await ProgressEntry.recordChange(book, 10, 'manual');
+
+      expect(entry.page).toBe(50);
+      expect(entry.previousPage).toBe(10);
+      expect(entry.pageCount).toBe(200);
+      expect(entry.status).toBe('in_progress');
+      expect(entry.source).toBe('manual');
+      expect(entry.percentage).toBe(25);
+    });
+
+    it('should skip changes that do not move the page', async () => {
+      const book = await createTestBook(testUser._id, { currentPage: 30, pageCount: 100 });
+
+      const entry = await ProgressEntry.recordChange(book, 30, 'manual');
+
+      expect(entry).toBeNull();
+      expect(await ProgressEntry.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('recordImported', () => {
+    it('should only record books that were imported with progress', async () => {
+      const started = await createTestBook(testUser._id, { currentPage: 40, pageCount: 100 });
+      const unstarted = await createTestBook(testUser._id, { title: 'Unstarted' });
+
+      const entries = await ProgressEntry.recordImported([started, unstarted]);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].source).toBe('import');
+      expect(entries[0].bookId.toString()).toBe(started._id.toString());
+    });
+  });
+
+  describe('Append-only history', () => {
+    it('should reject updates to existing entries', async () => {
+      const book = await createTestBook(testUser._id, { currentPage: 20, pageCount: 100 });
+      const entry = await ProgressEntry.recordChange(book, 0, 'manual');
+
+      await expect(
+        ProgressEntry.updateOne({ _id: entry._id }, { page: 99 })
+      ).rejects.toThrow('Progress history entries cannot be modified');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import ReadingSession from '../../models/ReadingSession.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+
+describe('ReadingSession Model', () => {
+  let testUser;
+  let testBook;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testBook = await createTestBook(testUser._id, {
+      status: 'in_progress',
+      pageCount: 300,
+      currentPage: 20
+    });
+  });
+
+  const createSession = (overrides = {}) => ReadingSession.create({
+    userId: testUser._id,
+    bookId: testBook._id,
+    startTime: new Date('2023-06-01T10:00:00Z'),
+    duration: 3600,
+    startPage: 20,
+    endPage: 50,
+    ...overrides
+  });
+
+  describe('Session Creation', () => {
+    it('should derive pages read and end time', async () => {
+      const session = await createSession();
+
+      expect(session.pagesRead).toBe(30);
+      expect(session.endTime.toISOString()).toBe('2023-06-01T11:00:00.000Z');
+      expect(session.pagesPerHour).toBe(30);
+    });
+
+    it('should reject an end page before the start page', async () => {
+      await expect(createSession({ startPage: 50, endPage: 40 })).rejects.toThrow();
+    });
+
+    it('should reject a start time in the future', async () => {
+      const futureDate = new Date();
+      futureDate.setFullYear(futureDate.getFullYear() + 1);
+
+      await expect(createSession({ startTime: futureDate })).rejects.toThrow();
+    });
+
+    it('should require a duration', async () => {
+      await expect(createSession({ duration: undefined })).rejects.toThrow();
+    });
+  });
+
+  describe('Session Statistics', () => {
+    it('should aggregate reading time and speed for a user', async () => {
+      await createSession();
+      await createSession({
+        startTime: new Date('2023-06-02T10:00:00Z'),
+        duration: 1800,
+        startPage: 50,
+        endPage: 80
+      });
+
+      const stats = await ReadingSession.getUserSessionStats(testUser._id);
+
+      expect(stats.totalSessions).toBe(2);
+      expect(stats.totalMinutes).toBe(90);
+      expect(stats.totalPages).toBe(60);
+      expect(stats.pagesPerHour).toBe(40);
+      expect(stats.longestSessionMinutes).toBe(60);
+    });
+
+    it('should filter statistics by book and date range', async () => {
+      const otherBook = await createTestBook(testUser._id, { title: 'Other Book' });
+      await createSession();
+      await createSession({ bookId: otherBook._id, startPage: 0, endPage: 10 });
+
+      const bookStats = await ReadingSession.getUserSessionStats(testUser._id, { bookId: testBook._id });
+      expect(bookStats.totalSessions).toBe(1);
+
+      const rangeStats = await ReadingSession.getUserSessionStats(testUser._id, {
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2024-12-31')
+      });
+      expect(rangeStats.totalSessions).toBe(0);
+    });
+
+    it('should leave out sessions of books in the trash', async () => {
+      const trashedBook = await createTestBook(testUser._id, { title: 'Trashed Book' });
+      await createSession();
+      await createSession({ bookId: trashedBook._id, startPage: 0, endPage: 10 });
+      await trashedBook.moveToTrash();
+
+      const stats = await ReadingSession.getUserSessionStats(testUser._id);
+      expect(stats.totalSessions).toBe(1);
+
+      await trashedBook.restoreFromTrash();
+      const restoredStats = await ReadingSession.getUserSessionStats(testUser._id);
+      expect(restoredStats.totalSessions).toBe(2);
+    });
+
+    it('should count audiobook sessions as listening time rather than pages', async () => {
+      await createSession();
+      await createSession({
+        startTime: new Date('2023-06-02T10:00:00Z'),
+        duration: 1800,
+        startPage: 100,
+        endPage: 130,
+        unit: 'minute'
+      });
+
+      const stats = await ReadingSession.getUserSessionStats(testUser._id);
+
+      expect(stats.totalMinutes).toBe(90);
+      expect(stats.totalPages).toBe(30);
+      expect(stats.listeningMinutes).toBe(30);
+      expect(stats.pagesPerHour).toBe(30);
+    });
+
+    it('should return zeroed statistics when there are no sessions', async () => {
+      const stats = await ReadingSession.getUserSessionStats(testUser._id);
+
+      expect(stats).toEqual({
+        totalSessions: 0,
+        totalMinutes: 0,
+        totalPages: 0,
+        listeningMinutes: 0,
+        averageSessionMinutes: 0,
+        longestSessionMinutes: 0,
+        pagesPerHour: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import Shelf from '../../models/Shelf.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+
+describe('Shelf Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  describe('Schema Validation', () => {
+    it('should require a name', async () => {
+      const shelf = new Shelf({ userId: testUser._id });
+
+      await expect(shelf.save()).rejects.toThrow('Shelf name is required');
+    });
+
+    it('should reject duplicate names for the same user', async () => {
+      await Shelf.create({ userId: testUser._id, name: 'Favorites' });
+      await Shelf.init();
+
+      await expect(
+        Shelf.create({ userId: testUser._id, name: 'Favorites' })
+      ).rejects.toThrow();
+    });
+
+    it('should allow the same name for different users', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+      await Shelf.create({ userId: testUser._id, name: 'Favorites' });
+
+      const shelf = await Shelf.create({ userId: otherUser._id, name: 'Favorites' });
+
+      expect(shelf.name).toBe('Favorites');
+    });
+  });
+
+  describe('findOrCreateByNames', () => {
+    it('should reuse existing shelves and append new ones in order', async () => {
+      const existing = await Shelf.create({ userId: testUser._id, name: 'Favorites', sortOrder: 3 });
+
+      const idsByName = await Shelf.findOrCreateByNames(testUser._id, ['Favorites', ' Book Club ', 'Book Club']);
+
+      expect(idsByName.get('Favorites').toString()).toBe(existing._id.toString());
+      const bookClub = await Shelf.findById(idsByName.get('Book Club'));
+      expect(bookClub.sortOrder).toBe(4);
+      expect(await Shelf.countDocuments({ userId: testUser._id })).toBe(2);
+    });
+  });
+
+  describe('belongToUser', () => {
+    it('should reject shelves owned by another user', async () => {
+      const otherUser = await createTestUser({ email: 'other@example.com' });
+      const mine = await Shelf.create({ userId: testUser._id, name: 'Mine' });
+      const theirs = await Shelf.create({ userId: otherUser._id, name: 'Theirs' });
+
+      expect(await Shelf.belongToUser(testUser._id, [mine._id])).toBe(true);
+      expect(await Shelf.belongToUser(testUser._id, [mine._id, theirs._id])).toBe(false);
+    });
+
+    it('should reject smart shelves', async () => {
+      const smart = await Shelf.create({ userId: testUser._id, name: 'Unrated', criteria: { status: 'completed' } });
+
+      expect(smart.isSmart).toBe(true);
+      expect(await Shelf.belongToUser(testUser._id, [smart._id])).toBe(false);
+    });
+  });
+
+  describe('Book membership', () => {
+    it('should let a book sit on several shelves', async () => {
+      const favorites = await Shelf.create({ userId: testUser._id, name: 'Favorites' });
+      const bookClub = await Shelf.create({ userId: testUser._id, name: 'Book Club' });
+
+      const book = await createTestBook(testUser._id, { shelves: [favorites._id, bookClub._id] });
+
+      expect(book.shelves).toHaveLength(2);
+    });
+  });
+});
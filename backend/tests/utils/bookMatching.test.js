@@ -0,0 +1,74 @@
+import {
+  normalizeTitle,
+  normalizeAuthor,
+  similarity,
+  matchScore,
+  clusterDuplicates
+} from '../../utils/bookMatching.js';
+
+describe('Book matching utilities', () => {
+  describe('normalization', () => {
+    it('should ignore case, punctuation, leading articles and edition notes in titles', () => {
+      expect(normalizeTitle('The Hobbit (Penguin Classics)')).toBe('hobbit');
+      expect(normalizeTitle('Pride & Prejudice')).toBe('pride and prejudice');
+      expect(normalizeTitle('Les Misérables')).toBe('les miserables');
+    });
+
+    it('should turn "Last, First" authors into "First Last"', () => {
+      expect(normalizeAuthor('Tolkien, J.R.R.')).toBe('j r r tolkien');
+      expect(normalizeAuthor('J. R. R. Tolkien')).toBe('j r r tolkien');
+    });
+  });
+
+  describe('similarity', () => {
+    it('should score identical strings 1 and unrelated strings low', () => {
+      expect(similarity('dune', 'dune')).toBe(1);
+      expect(similarity('dune', 'emma')).toBeLessThan(0.5);
+      expect(similarity('the name of the wind', 'the name of the wnid')).toBeGreaterThan(0.85);
+    });
+  });
+
+  describe('matchScore', () => {
+    it('should match the same book typed differently', () => {
+      expect(matchScore(
+        { title: 'The Hobbit', author: 'J.R.R. Tolkien' },
+        { title: 'Hobbit', author: 'Tolkien, J. R. R.' }
+      )).toBe(1);
+    });
+
+    it('should not match numbered volumes or different series positions', () => {
+      expect(matchScore(
+        { title: 'The Expanse Book 1', author: 'James S. A. Corey' },
+        { title: 'The Expanse Book 2', author: 'James S. A. Corey' }
+      )).toBe(0);
+      expect(matchScore(
+        { title: 'Dune', author: 'Frank Herbert', seriesPosition: 1 },
+        { title: 'Dune', author: 'Frank Herbert', seriesPosition: 2 }
+      )).toBe(0);
+    });
+  });
+
+  describe('clusterDuplicates', () => {
+    it('should cluster by ISBN and by title and author', () => {
+      const clusters = clusterDuplicates([
+        { _id: 'a', title: 'Dune', author: 'Frank Herbert', isbn: '0-441-17271-7' },
+        { _id: 'b', title: 'Dune (Deluxe Edition)', author: 'Herbert, Frank', isbn: '9780441172719' },
+        { _id: 'c', title: 'Dune', author: 'F. Herbert' },
+        { _id: 'd', title: 'Dune Messiah', author: 'Frank Herbert' },
+        { _id: 'e', title: 'Emma', author: 'Jane Austen' }
+      ]);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].bookIds).toEqual(['a', 'b', 'c']);
+      expect(clusters[0].reasons).toEqual(['isbn', 'title_author']);
+      expect(clusters[0].key).toBe('a:b:c');
+    });
+
+    it('should return no clusters for a library without duplicates', () => {
+      expect(clusterDuplicates([
+        { _id: 'a', title: 'Emma', author: 'Jane Austen' },
+        { _id: 'b', title: 'Persuasion', author: 'Jane Austen' }
+      ])).toEqual([]);
+    });
+  });
+});
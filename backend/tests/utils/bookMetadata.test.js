@@ -0,0 +1,177 @@
+import {
+  lookupBookMetadata,
+  normalizeMetadata,
+  parsePublishDate
+} from '../../utils/bookMetadata.js';
+import { FixtureProvider, OpenLibraryProvider } from '../../utils/metadataProviders.js';
+
+// A fetch that answers from a map of URL paths (with query string) to JSON bodies
+const fakeFetch = (responses) => async (url) => {
+  const key = `${url.pathname}${url.search}`;
+  const match = Object.keys(responses).find(path => key.startsWith(path));
+  return match
+    ? { ok: true, status: 200, json: async () => responses[match] }
+    : { ok: false, status: 404, json: async () => ({}) };
+};
+
+describe('Book metadata lookup', () => {
+  describe('parsePublishDate', () => {
+    it('should turn free-text publish dates into YYYY-MM-DD', () => {
+      expect(parsePublishDate('March 1, 2005')).toBe('2005-03-01');
+      expect(parsePublishDate('Feb 2003')).toBe('2003-02-01');
+      expect(parsePublishDate('2003-01-30')).toBe('2003-01-30');
+      expect(parsePublishDate('2005')).toBe('2005-01-01');
+      expect(parsePublishDate('[1851]')).toBe('1851-01-01');
+    });
+
+    it('should give up on dates without a year', () => {
+      expect(parsePublishDate('unknown')).toBeUndefined();
+      expect(parsePublishDate('')).toBeUndefined();
+      expect(parsePublishDate(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('normalizeMetadata', () => {
+    it('should fit the record to book field limits and drop unknown fields', () => {
+      const metadata = normalizeMetadata({
+        isbn: '0-14-143951-3',
+        title: '  Pride   and Prejudice ',
+        authors: ['Jane Austen', 'jane austen', ''],
+        pageCount: '480',
+        description: { type: '/type/text', value: `${'word '.repeat(300)}end` },
+        subjects: ['Fiction', 'fiction', 'Romance'],
+        coverImage: 'http://covers.openlibrary.org/b/id/1-L.jpg'
+      }, 'fixture');
+
+      expect(metadata).toMatchObject({
+        source: 'fixture',
+        isbn: '9780141439518',
+        title: 'Pride and Prejudice',
+        authors: ['Jane Austen'],
+        pageCount: 480,
+        subjects: ['Fiction', 'Romance'],
+        coverImage: 'https://covers.openlibrary.org/b/id/1-L.jpg'
+      });
+      expect(metadata.description.length).toBeLessThanOrEqual(1000);
+      expect(metadata.description.endsWith('word…')).toBe(true);
+      expect(metadata).not.toHaveProperty('publicationDate');
+    });
+
+    it('should leave out covers that are not image URLs and future dates', () => {
+      const metadata = normalizeMetadata({
+        title: 'Upcoming',
+        coverImage: 'https://example.com/cover',
+        publishDate: String(new Date().getFullYear() + 2)
+      }, 'fixture');
+
+      expect(metadata).not.toHaveProperty('coverImage');
+      expect(metadata).not.toHaveProperty('publicationDate');
+    });
+  });
+
+  describe('lookupBookMetadata', () => {
+    const provider = new FixtureProvider();
+
+    it('should find one book by ISBN in any form', async () => {
+      const results = await lookupBookMetadata({ isbn: 'ISBN 0-14-143951-3' }, provider);
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        source: 'fixture',
+        title: 'Pride and Prejudice',
+        authors: ['Jane Austen'],
+        pageCount: 480,
+        publicationDate: '2003-04-29'
+      });
+    });
+
+    it('should return no results for an unknown ISBN', async () => {
+      expect(await lookupBookMetadata({ isbn: '9780306406157' }, provider)).toEqual([]);
+    });
+
+    it('should search by title and author', async () => {
+      const results = await lookupBookMetadata({ title: 'moby', author: 'melville' }, provider);
+
+      expect(results.map(result => result.title)).toEqual(['Moby-Dick']);
+      expect(results[0].description).toMatch(/^Ishmael/);
+    });
+
+    it('should reject lookups without an ISBN or title', async () => {
+      await expect(lookupBookMetadata({ author: 'Melville' }, provider)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(lookupBookMetadata({ isbn: '12345' }, provider)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should report an unreachable provider as a 502', async () => {
+      const broken = {
+        name: 'broken',
+        lookupIsbn: async () => { throw new Error('connect ECONNREFUSED'); }
+      };
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(lookupBookMetadata({ isbn: '9780141439518' }, broken)).rejects.toMatchObject({ statusCode: 502 });
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('OpenLibraryProvider', () => {
+    it('should read an edition and take the description from its work', async () => {
+      const provider = new OpenLibraryProvider({
+        fetch: fakeFetch({
+          '/api/books?bibkeys=ISBN%3A9780141439471': {
+            'ISBN:9780141439471': {
+              key: '/books/OL1M',
+              title: 'Frankenstein',
+              subtitle: 'Or the Modern Prometheus',
+              authors: [{ name: 'Mary Shelley' }],
+              number_of_pages: 273,
+              publish_date: 'January 30, 2003',
+              subjects: [{ name: 'Horror' }],
+              cover: { large: 'https://covers.openlibrary.org/b/id/7-L.jpg' }
+            }
+          },
+          '/books/OL1M.json': { works: [{ key: '/works/OL2W' }] },
+          '/works/OL2W.json': { description: { type: '/type/text', value: 'A creature made and abandoned.' } }
+        })
+      });
+
+      const [result] = await lookupBookMetadata({ isbn: '9780141439471' }, provider);
+
+      expect(result).toEqual({
+        source: 'openlibrary',
+        isbn: '9780141439471',
+        title: 'Frankenstein: Or the Modern Prometheus',
+        authors: ['Mary Shelley'],
+        pageCount: 273,
+        publicationDate: '2003-01-30',
+        description: 'A creature made and abandoned.',
+        subjects: ['Horror'],
+        coverImage: 'https://covers.openlibrary.org/b/id/7-L.jpg'
+      });
+    });
+
+    it('should map title search results with cover IDs', async () => {
+      const provider = new OpenLibraryProvider({
+        fetch: fakeFetch({
+          '/search.json': {
+            docs: [{
+              title: 'Moby-Dick',
+              author_name: ['Herman Melville'],
+              first_publish_year: 1851,
+              isbn: ['not-an-isbn', '0142437247'],
+              cover_i: 42
+            }]
+          }
+        })
+      });
+
+      const [result] = await lookupBookMetadata({ title: 'moby dick' }, provider);
+
+      expect(result).toMatchObject({
+        isbn: '9780142437247',
+        title: 'Moby-Dick',
+        publicationDate: '1851-01-01',
+        coverImage: 'https://covers.openlibrary.org/b/id/42-L.jpg'
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import Book from '../../models/Book.js';
+import Highlight from '../../models/Highlight.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import {
+  parseSearchQuery,
+  buildSearchFilter,
+  getSearchTerms,
+  buildMatchSnippets,
+  rankedBookSearch,
+  pickSearchCriteria,
+  validateSearchCriteria,
+  buildAdvancedSearchQuery
+} from '../../utils/bookSearch.js';
+
+describe('Book search', () => {
+  describe('parseSearchQuery', () => {
+    it('should split field filters from free text', () => {
+      const parsed = parseSearchQuery('author:tolkien status:completed rating:>=4 tag:classic dragons');
+
+      expect(parsed.filters).toEqual({
+        author: ['tolkien'],
+        status: ['completed'],
+        rating: ['>=4'],
+        tag: ['classic']
+      });
+      expect(parsed.words).toEqual(['dragons']);
+    });
+
+    it('should understand quoted values, phrases and excluded words', () => {
+      const parsed = parseSearchQuery('author:"le guin" "dark matter" -boring');
+
+      expect(parsed.filters.author).toEqual(['le guin']);
+      expect(parsed.phrases).toEqual(['dark matter']);
+      expect(parsed.excluded).toEqual(['boring']);
+    });
+
+    it('should decode characters escaped by the request sanitizer', () => {
+      const parsed = parseSearchQuery('rating:&gt;=4 title:&quot;the hobbit&quot;');
+
+      expect(parsed.filters).toEqual({ rating: ['>=4'], title: ['the hobbit'] });
+    });
+
+    it('should search unknown fields as text', () => {
+      const parsed = parseSearchQuery('Dune: Messiah');
+
+      expect(parsed.filters).toEqual({});
+      expect(getSearchTerms(parsed)).toEqual(['Dune', 'Messiah']);
+    });
+  });
+
+  describe('buildSearchFilter', () => {
+    it('should build comparisons, ranges and status aliases', async () => {
+      const parsed = parseSearchQuery('rating:3..5 pages:<300 status:dnf');
+
+      const filter = await buildSearchFilter('user', parsed.filters);
+
+      expect(filter.$and).toEqual([
+        { status: { $in: ['abandoned'] } },
+        { rating: { $gte: 3, $lte: 5 } },
+        { pageCount: { $lt: 300 } }
+      ]);
+    });
+
+    it('should reject unknown statuses and malformed numbers', async () => {
+      await expect(buildSearchFilter('user', { status: ['someday'] })).rejects.toThrow('Unknown status');
+      await expect(buildSearchFilter('user', { rating: ['high'] })).rejects.toThrow('expects a number');
+    });
+  });
+
+  describe('buildMatchSnippets', () => {
+    it('should excerpt the text around the first matching term', () => {
+      const description = 'A long story about a hobbit who travels with dwarves and a wizard to face a dragon ' +
+        'guarding its hoard under the lonely mountain, far across the wild lands.';
+
+      const matches = buildMatchSnippets({ title: 'The Hobbit', description }, ['dragons']);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].field).toBe('description');
+      expect(matches[0].snippet).toContain('dragon');
+      expect(matches[0].snippet.startsWith('…')).toBe(true);
+    });
+  });
+
+  describe('pickSearchCriteria', () => {
+    it('should keep only the criteria that are set', () => {
+      const criteria = pickSearchCriteria({
+        title: ' dune ',
+        author: '',
+        rating: { min: '3', max: '' },
+        pageCount: { min: '', max: '' },
+        hasNotes: true,
+        hasRating: false,
+        unknown: 'ignored'
+      });
+
+      expect(criteria).toEqual({ title: 'dune', rating: { min: '3' }, hasNotes: true });
+    });
+  });
+
+  describe('validateSearchCriteria', () => {
+    it('should accept criteria that can be searched', () => {
+      const criteria = { title: 'c++', status: 'completed', decade: '1990', rating: { min: '3' } };
+
+      expect(validateSearchCriteria(criteria)).toBe(criteria);
+    });
+
+    it('should reject an unknown status', () => {
+      expect(() => validateSearchCriteria({ status: 'shelved' })).toThrow('Unknown status "shelved"');
+    });
+
+    it('should reject ranges and decades that are not numbers or dates', () => {
+      expect(() => validateSearchCriteria({ rating: { min: 'high' } })).toThrow('rating.min: expects a number');
+      expect(() => validateSearchCriteria({ dateRange: { end: 'someday' } })).toThrow('dateRange.end: expects a date');
+      expect(() => validateSearchCriteria({ decade: '90s' })).toThrow('decade:');
+    });
+  });
+
+  describe('buildAdvancedSearchQuery', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = await createTestUser();
+    });
+
+    it('should treat regex characters in text criteria literally', async () => {
+      await createTestBook(testUser._id, { title: 'C++ Primer', tags: ['c++'] });
+      await createTestBook(testUser._id, { title: 'C Programming', tags: ['c'] });
+
+      const byTitle = await Book.find(await buildAdvancedSearchQuery(testUser._id, { title: 'c++' }));
+      const byTag = await Book.find(await buildAdvancedSearchQuery(testUser._id, { tags: 'c++' }));
+      const unbalanced = await Book.find(await buildAdvancedSearchQuery(testUser._id, { notes: '(' }));
+
+      expect(byTitle.map(book => book.title)).toEqual(['C++ Primer']);
+      expect(byTag.map(book => book.title)).toEqual(['C++ Primer']);
+      expect(unbalanced).toHaveLength(0);
+    });
+  });
+
+  describe('rankedBookSearch', () => {
+    let testUser;
+
+    beforeAll(async () => {
+      await Book.createIndexes();
+      await Highlight.createIndexes();
+    });
+
+    beforeEach(async () => {
+      testUser = await createTestUser();
+    });
+
+    const search = async (q) => {
+      const parsed = parseSearchQuery(q);
+      return rankedBookSearch(testUser._id, parsed, await buildSearchFilter(testUser._id, parsed.filters));
+    };
+
+    it('should rank title matches above description and notes matches', async () => {
+      await createTestBook(testUser._id, { title: 'Notes on Gardens', notes: 'A dragon appears once', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'Dragon Rider', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'Unrelated', isbn: undefined });
+
+      const results = await search('dragon');
+
+      expect(results.map(book => book.title)).toEqual(['Dragon Rider', 'Notes on Gardens']);
+      expect(results[1].matches).toEqual([{ field: 'notes', snippet: 'A dragon appears once' }]);
+    });
+
+    it('should find books through their highlights and apply field filters', async () => {
+      const highlighted = await createTestBook(testUser._id, { title: 'Quiet Book', status: 'completed', isbn: undefined });
+      const filteredOut = await createTestBook(testUser._id, { title: 'Other Book', status: 'in_progress', isbn: undefined });
+      await Highlight.create({ userId: testUser._id, bookId: highlighted._id, text: 'All that is gold does not glitter' });
+      await Highlight.create({ userId: testUser._id, bookId: filteredOut._id, text: 'Gold everywhere' });
+
+      const results = await search('gold status:completed');
+
+      expect(results.map(book => book.title)).toEqual(['Quiet Book']);
+      expect(results[0].matches[0].field).toBe('highlight');
+    });
+
+    it('should still match partly typed titles', async () => {
+      await createTestBook(testUser._id, { title: 'The Silmarillion', isbn: undefined });
+
+      const results = await search('silma');
+
+      expect(results.map(book => book.title)).toEqual(['The Silmarillion']);
+    });
+
+    it('should match misspelled authors below exact matches', async () => {
+      await createTestBook(testUser._id, { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: undefined });
+      await createTestBook(testUser._id, { title: 'Tolkein: A Parody', author: 'Someone Else', isbn: undefined });
+
+      const results = await search('tolkein');
+
+      expect(results.map(book => book.title)).toEqual(['Tolkein: A Parody', 'The Hobbit']);
+      expect(results[1].matchedTerms).toEqual(['tolkien']);
+      expect(results[1].matches).toEqual([{ field: 'author', snippet: 'J.R.R. Tolkien' }]);
+    });
+
+    it('should only look for misspellings when other matches are few', async () => {
+      await Promise.all(Array.from({ length: 10 }, (_, index) =>
+        createTestBook(testUser._id, { title: `Tolkein Parody ${index + 1}`, isbn: undefined })
+      ));
+      await createTestBook(testUser._id, { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: undefined });
+
+      const results = await search('tolkein');
+
+      expect(results).toHaveLength(10);
+      expect(results.some(book => book.matchedTerms)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import Book from '../../models/Book.js';
+import BookRevision from '../../models/BookRevision.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { applyBulkOperation, completedDelta } from '../../utils/bulkOperations.js';
+
+describe('Bulk operations', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  it('should count books entering and leaving the completed status', () => {
+    expect(completedDelta('in_progress', 'completed')).toBe(1);
+    expect(completedDelta('completed', 'abandoned')).toBe(-1);
+    expect(completedDelta('completed', null)).toBe(-1);
+    expect(completedDelta('want_to_read', 'in_progress')).toBe(0);
+  });
+
+  it('should set the status and record a revision', async () => {
+    const book = await createTestBook(testUser._id, { status: 'in_progress' });
+
+    const outcome = await applyBulkOperation(book, 'set_status', { status: 'completed' });
+
+    expect(outcome).toEqual({ changed: true, goalDelta: 1 });
+    const saved = await Book.findById(book._id);
+    expect(saved.status).toBe('completed');
+    expect(saved.dateCompleted).toBeInstanceOf(Date);
+    expect(await BookRevision.countDocuments({ bookId: book._id })).toBe(1);
+  });
+
+  it('should report unchanged books without saving them', async () => {
+    const book = await createTestBook(testUser._id, { tags: ['Classic'] });
+
+    const outcome = await applyBulkOperation(book, 'add_tags', { tags: ['classic'] });
+
+    expect(outcome).toEqual({ changed: false, goalDelta: 0 });
+    expect(await BookRevision.countDocuments({ bookId: book._id })).toBe(0);
+  });
+
+  it('should refuse to add tags beyond the per-book limit', async () => {
+    const tags = Array.from({ length: 10 }, (_, i) => `tag${i}`);
+    const book = await createTestBook(testUser._id, { tags });
+
+    await expect(applyBulkOperation(book, 'add_tags', { tags: ['one-more'] }))
+      .rejects.toThrow('at most 10 tags');
+    expect((await Book.findById(book._id)).tags).toHaveLength(10);
+  });
+
+  it('should move completed books to the trash and release their goal count', async () => {
+    const book = await createTestBook(testUser._id, { status: 'completed' });
+
+    const outcome = await applyBulkOperation(book, 'trash');
+
+    expect(outcome).toEqual({ changed: true, goalDelta: -1 });
+    expect(await Book.findById(book._id)).toBeNull();
+  });
+});
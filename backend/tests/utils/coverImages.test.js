@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { LocalStorage } from '../../utils/storage.js';
+import {
+  COVER_SIZES,
+  getCoverKey,
+  isValidCoverImage,
+  parseUploadedCover,
+  removeStoredCovers,
+  storeCoverImage
+} from '../../utils/coverImages.js';
+
+describe('Cover images', () => {
+  const bookId = '64b7f0c2a1b2c3d4e5f60718';
+  let root;
+  let storage;
+  let photoPath;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'covers-'));
+    storage = new LocalStorage(root);
+    photoPath = path.join(root, 'photo.png');
+    await sharp({ create: { width: 1000, height: 1500, channels: 3, background: '#336699' } })
+      .png()
+      .toFile(photoPath);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should tell uploaded covers and image URLs from anything else', () => {
+    const uploaded = `/covers/${bookId}/${'f'.repeat(32)}`;
+
+    expect(isValidCoverImage(uploaded)).toBe(true);
+    expect(isValidCoverImage('https://example.com/cover.jpg')).toBe(true);
+    expect(isValidCoverImage('')).toBe(true);
+    expect(isValidCoverImage('/covers/../../etc/passwd')).toBe(false);
+    expect(isValidCoverImage('https://example.com/page.html')).toBe(false);
+    expect(parseUploadedCover(uploaded)).toEqual({ bookId, token: 'f'.repeat(32) });
+    expect(parseUploadedCover('https://example.com/cover.jpg')).toBeNull();
+  });
+
+  it('should store a webp thumbnail in every size, never enlarging the photo', async () => {
+    const coverImage = await storeCoverImage(bookId, photoPath, storage);
+    const { token } = parseUploadedCover(coverImage);
+
+    for (const [size, width] of Object.entries(COVER_SIZES)) {
+      const file = await storage.get(getCoverKey(bookId, token, size));
+      const metadata = await sharp(file.data).metadata();
+
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(Math.min(width, 1000));
+      expect(metadata.height).toBe(Math.min(width, 1000) * 1.5);
+    }
+  });
+
+  it('should reject files that are not images', async () => {
+    const textPath = path.join(root, 'notes.png');
+    await fs.writeFile(textPath, 'not really a picture');
+
+    await expect(storeCoverImage(bookId, textPath, storage)).rejects.toMatchObject({
+      message: 'Cover image could not be read',
+      statusCode: 400
+    });
+    expect(await storage.list(`covers/${bookId}/`)).toEqual([]);
+  });
+
+  it('should pass storage failures on as they are', async () => {
+    const failingStorage = { put: () => Promise.reject(new Error('Disk full')) };
+
+    await expect(storeCoverImage(bookId, photoPath, failingStorage)).rejects.toThrow('Disk full');
+  });
+
+  it('should remove stored covers except the ones still in use', async () => {
+    const old = await storeCoverImage(bookId, photoPath, storage);
+    const current = await storeCoverImage(bookId, photoPath, storage);
+
+    expect(await removeStoredCovers(bookId, [current], storage)).toBe(1);
+
+    const keys = await storage.list(`covers/${bookId}/`);
+    expect(keys).toHaveLength(Object.keys(COVER_SIZES).length);
+    expect(keys.every(key => key.includes(parseUploadedCover(current).token))).toBe(true);
+    expect(keys.some(key => key.includes(parseUploadedCover(old).token))).toBe(false);
+  });
+
+  it('should refuse storage keys outside its root', async () => {
+    await expect(storage.get('../outside.webp')).rejects.toThrow('Invalid storage key');
+    await expect(storage.put('covers/../../outside.webp', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,64 @@
+import Book from '../../models/Book.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { getBookFacets, tagFilter, decadeFilter } from '../../utils/facets.js';
+import { resolveBookGenre } from '../../utils/genres.js';
+
+describe('Book facets', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  const addBook = async (overrides) => createTestBook(testUser._id, {
+    isbn: undefined,
+    ...overrides,
+    ...(overrides.genre && await resolveBookGenre(testUser._id, { genre: overrides.genre }))
+  });
+
+  it('should count books by status, genre, tag, rating and decade', async () => {
+    await addBook({ status: 'completed', rating: 5, genre: 'Fiction / Fantasy', tags: ['Classic'], publicationDate: new Date('1954-07-29') });
+    await addBook({ status: 'completed', rating: 4, genre: 'Fiction / Fantasy', tags: ['classic', 'epic'], publicationDate: new Date('1955-10-20') });
+    await addBook({ status: 'want_to_read', genre: 'History', tags: [], publicationDate: new Date('2011-01-01') });
+
+    const facets = await getBookFacets({ userId: testUser._id });
+
+    expect(facets.status).toEqual([
+      { value: 'want_to_read', count: 1 },
+      { value: 'completed', count: 2 }
+    ]);
+    expect(facets.genre.map(({ label, count }) => ({ label, count }))).toEqual([
+      { label: 'Fiction / Fantasy', count: 2 },
+      { label: 'History', count: 1 }
+    ]);
+    expect(facets.tag).toEqual([
+      { value: expect.stringMatching(/^classic$/i), count: 2 },
+      { value: 'epic', count: 1 }
+    ]);
+    expect(facets.rating).toEqual([{ value: 5, count: 1 }, { value: 4, count: 1 }]);
+    expect(facets.decade).toEqual([{ value: 2010, count: 1 }, { value: 1950, count: 2 }]);
+  });
+
+  it('should count only the books matching the filter', async () => {
+    await addBook({ status: 'completed', tags: ['classic'], publicationDate: new Date('1954-07-29') });
+    await addBook({ status: 'in_progress', tags: ['classic'], publicationDate: new Date('1999-12-31') });
+    await addBook({ status: 'in_progress', tags: ['modern'], publicationDate: new Date('2005-06-01') });
+
+    const facets = await getBookFacets({ userId: testUser._id, ...tagFilter('CLASSIC') });
+
+    expect(facets.status).toEqual([
+      { value: 'in_progress', count: 1 },
+      { value: 'completed', count: 1 }
+    ]);
+    expect(facets.tag).toEqual([{ value: 'classic', count: 2 }]);
+  });
+
+  it('should filter by publication decade', async () => {
+    await addBook({ title: 'Nineties', publicationDate: new Date('1999-12-31') });
+    await addBook({ title: 'Two Thousands', publicationDate: new Date('2000-01-01') });
+
+    const books = await Book.find({ userId: testUser._id, ...decadeFilter(1990) });
+
+    expect(books.map(book => book.title)).toEqual(['Nineties']);
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  maxTypos,
+  typoDistance,
+  fuzzyMatchBook,
+  wordTrigrams,
+  bookTrigrams,
+  completionScore,
+  rankSuggestions
+} from '../../utils/fuzzySearch.js';
+
+describe('Fuzzy search', () => {
+  describe('typoDistance', () => {
+    it('should count a swapped pair of letters as one typo', () => {
+      expect(typoDistance('tolkein', 'tolkien')).toBe(1);
+      expect(typoDistance('dostoevsky', 'dostoyevsky')).toBe(1);
+      expect(typoDistance('hobbit', 'hobbit')).toBe(0);
+      expect(typoDistance('', 'abc')).toBe(3);
+    });
+
+    it('should allow more typos in longer words', () => {
+      expect(maxTypos(3)).toBe(0);
+      expect(maxTypos(5)).toBe(1);
+      expect(maxTypos(9)).toBe(2);
+    });
+  });
+
+  describe('wordTrigrams', () => {
+    it('should split padded words into three-letter pieces', () => {
+      expect(wordTrigrams(['dune'])).toEqual([' du', 'dun', 'une', 'ne ']);
+    });
+
+    it('should share a trigram between a misspelled word and the book word', () => {
+      const book = bookTrigrams({ title: 'The Hobbit', author: 'J.R.R. Tolkien' });
+
+      expect(wordTrigrams(['tolkein']).some(trigram => book.includes(trigram))).toBe(true);
+      expect(wordTrigrams(['silma']).some(trigram => book.includes(trigram))).toBe(false);
+    });
+  });
+
+  describe('fuzzyMatchBook', () => {
+    const book = { title: 'Crime and Punishment', author: 'Fyodor Dostoyevsky', tags: ['classic'], genre: 'Fiction' };
+
+    it('should match misspelled words and report the words they matched', () => {
+      const match = fuzzyMatchBook(['dostoevsky', 'crime'], book);
+
+      expect(match.matchedTerms).toEqual(['dostoyevsky', 'crime']);
+      expect(match.score).toBeGreaterThan(0.9);
+    });
+
+    it('should require every word to match', () => {
+      expect(fuzzyMatchBook(['dostoevsky', 'tolstoy'], book)).toBeNull();
+    });
+
+    it('should not allow typos in short words', () => {
+      expect(fuzzyMatchBook(['cat'], { title: 'The Car' })).toBeNull();
+      expect(fuzzyMatchBook(['ab'], book)).toBeNull();
+    });
+  });
+
+  describe('completionScore', () => {
+    it('should rank prefixes above word starts, substrings and typos', () => {
+      const prefix = completionScore('the h', 'The Hobbit');
+      const wordStart = completionScore('hobb', 'The Hobbit');
+      const substring = completionScore('obbi', 'The Hobbit');
+      const typo = completionScore('tolkein', 'J.R.R. Tolkien');
+
+      expect(prefix).toBe(1);
+      expect(wordStart).toBeLessThan(prefix);
+      expect(substring).toBeLessThan(wordStart);
+      expect(typo).toBeGreaterThan(0);
+      expect(typo).toBeLessThan(substring);
+      expect(completionScore('xyz', 'The Hobbit')).toBe(0);
+    });
+  });
+
+  describe('rankSuggestions', () => {
+    it('should order by score, then by how often a value is used', () => {
+      const suggestions = rankSuggestions('tol', [
+        { type: 'author', value: 'J.R.R. Tolkien', count: 3 },
+        { type: 'author', value: 'Leo Tolstoy', count: 5 },
+        { type: 'title', value: 'Tolstoy Stories', count: 1 },
+        { type: 'tag', value: 'classic', count: 9 }
+      ], 2);
+
+      expect(suggestions).toEqual([
+        { type: 'title', value: 'Tolstoy Stories', count: 1, score: 1 },
+        { type: 'author', value: 'Leo Tolstoy', count: 5, score: 0.9 }
+      ]);
+    });
+  });
+});
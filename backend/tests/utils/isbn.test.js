@@ -0,0 +1,40 @@
+import { normalizeIsbn, isValidIsbn10, isValidIsbn13 } from '../../utils/isbn.js';
+
+describe('ISBN utilities', () => {
+  describe('normalizeIsbn', () => {
+    it('should convert ISBN-10 to ISBN-13', () => {
+      expect(normalizeIsbn('0306406152')).toBe('9780306406157');
+      expect(normalizeIsbn('0-8044-2957-X')).toBe('9780804429573');
+    });
+
+    it('should strip hyphens, spaces and an ISBN prefix', () => {
+      expect(normalizeIsbn('978-0-306-40615-7')).toBe('9780306406157');
+      expect(normalizeIsbn('ISBN-13: 978 0 306 40615 7')).toBe('9780306406157');
+      expect(normalizeIsbn('isbn 0-306-40615-2')).toBe('9780306406157');
+    });
+
+    it('should reject ISBNs with a bad checksum', () => {
+      expect(normalizeIsbn('9780306406158')).toBeNull();
+      expect(normalizeIsbn('0306406153')).toBeNull();
+    });
+
+    it('should reject values that are not ISBNs', () => {
+      expect(normalizeIsbn('invalid-isbn')).toBeNull();
+      expect(normalizeIsbn('12345')).toBeNull();
+      expect(normalizeIsbn('')).toBeNull();
+      expect(normalizeIsbn(undefined)).toBeNull();
+    });
+  });
+
+  describe('checksum validation', () => {
+    it('should validate ISBN-10 check digits including X', () => {
+      expect(isValidIsbn10('080442957X')).toBe(true);
+      expect(isValidIsbn10('0804429579')).toBe(false);
+    });
+
+    it('should only accept 978/979 ISBN-13 prefixes', () => {
+      expect(isValidIsbn13('9780306406157')).toBe(true);
+      expect(isValidIsbn13('1234567890128')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import Book from '../../models/Book.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { withTiebreaker, encodeCursor, decodeCursor, applyCursor } from '../../utils/pagination.js';
+
+describe('Cursor pagination', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  // Walk every page of a query the way a client following nextCursor would
+  const collectPages = async (sort, pageSize) => {
+    const stableSort = withTiebreaker(sort);
+    const query = { userId: testUser._id };
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const books = await Book.find(cursor ? applyCursor(query, stableSort, cursor) : query)
+        .sort(stableSort)
+        .limit(pageSize);
+      seen.push(...books);
+      cursor = books.length === pageSize ? encodeCursor(books[books.length - 1], stableSort) : null;
+    } while (cursor);
+
+    return seen;
+  };
+
+  it('should add _id as a tiebreaker in the direction of the last sort key', () => {
+    expect(withTiebreaker({ createdAt: -1 })).toEqual({ createdAt: -1, _id: -1 });
+    expect(withTiebreaker({ series: 1, seriesPosition: 1, title: 1 }))
+      .toEqual({ series: 1, seriesPosition: 1, title: 1, _id: 1 });
+  });
+
+  it('should page through books with equal sort values without repeats or gaps', async () => {
+    for (let i = 0; i < 7; i++) {
+      await createTestBook(testUser._id, { title: `Book ${i % 2}`, isbn: undefined });
+    }
+
+    const books = await collectPages({ title: 1 }, 3);
+
+    expect(books).toHaveLength(7);
+    expect(new Set(books.map(book => book._id.toString())).size).toBe(7);
+    expect(books.map(book => book.title)).toEqual([...books.map(book => book.title)].sort());
+  });
+
+  it('should keep books without a value for the sort field', async () => {
+    for (const rating of [5, undefined, 3, undefined, 4]) {
+      await createTestBook(testUser._id, { rating, isbn: undefined });
+    }
+
+    const descending = await collectPages({ rating: -1 }, 2);
+    const ascending = await collectPages({ rating: 1 }, 2);
+
+    expect(descending.map(book => book.rating ?? null)).toEqual([5, 4, 3, null, null]);
+    expect(ascending.map(book => book.rating ?? null)).toEqual([null, null, 3, 4, 5]);
+  });
+
+  it('should not repeat books when new ones are added between pages', async () => {
+    for (let i = 0; i < 4; i++) {
+      await createTestBook(testUser._id, { title: `Book ${i}`, isbn: undefined });
+    }
+    const stableSort = withTiebreaker({ createdAt: -1 });
+    const query = { userId: testUser._id };
+
+    const firstPage = await Book.find(query).sort(stableSort).limit(2);
+    await createTestBook(testUser._id, { title: 'Newest', isbn: undefined });
+    const secondPage = await Book.find(applyCursor(query, stableSort, encodeCursor(firstPage[1], stableSort)))
+      .sort(stableSort)
+      .limit(2);
+
+    const firstIds = firstPage.map(book => book._id.toString());
+    expect(secondPage.some(book => firstIds.includes(book._id.toString()))).toBe(false);
+    expect(secondPage.map(book => book.title)).not.toContain('Newest');
+  });
+
+  it('should reject malformed cursors and cursors made for another sort', async () => {
+    const book = await createTestBook(testUser._id);
+    const cursor = encodeCursor(book, withTiebreaker({ title: 1 }));
+
+    expect(() => decodeCursor('not-a-cursor', withTiebreaker({ title: 1 }))).toThrow('Invalid cursor');
+    expect(() => decodeCursor(cursor, withTiebreaker({ title: -1 }))).toThrow('does not match');
+  });
+});
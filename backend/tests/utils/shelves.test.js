@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import Book from '../../models/Book.js';
+import Shelf from '../../models/Shelf.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { shelfBookFilter, resolveShelfFilter } from '../../utils/shelves.js';
+
+describe('Shelf book filters', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  it('should list the books added to a regular shelf', async () => {
+    const shelf = await Shelf.create({ userId: testUser._id, name: 'Favorites' });
+    await createTestBook(testUser._id, { title: 'On Shelf', shelves: [shelf._id], isbn: undefined });
+    await createTestBook(testUser._id, { title: 'Elsewhere', isbn: undefined });
+
+    const books = await Book.find(await shelfBookFilter(shelf));
+
+    expect(books.map(book => book.title)).toEqual(['On Shelf']);
+  });
+
+  it('should list the books matching a smart shelf as they change', async () => {
+    const shelf = await Shelf.create({
+      userId: testUser._id,
+      name: 'Top Rated',
+      criteria: { status: 'completed', rating: { min: 4 } }
+    });
+    await createTestBook(testUser._id, { title: 'Loved', status: 'completed', rating: 5, isbn: undefined });
+    const later = await createTestBook(testUser._id, { title: 'Later', status: 'in_progress', isbn: undefined });
+
+    expect(await Book.countDocuments(await shelfBookFilter(shelf))).toBe(1);
+
+    later.status = 'completed';
+    later.rating = 4;
+    await later.save();
+
+    expect(await Book.countDocuments(await shelfBookFilter(shelf))).toBe(2);
+  });
+
+  it('should not resolve another user\'s shelf', async () => {
+    const otherUser = await createTestUser({ email: 'other@example.com' });
+    const theirs = await Shelf.create({ userId: otherUser._id, name: 'Theirs' });
+
+    await expect(resolveShelfFilter(testUser._id, theirs._id)).rejects.toThrow('Shelf not found');
+    await expect(resolveShelfFilter(testUser._id, 'not-an-id')).rejects.toThrow('Invalid shelf ID format');
+    await expect(resolveShelfFilter(testUser._id, new mongoose.Types.ObjectId())).rejects.toThrow('Shelf not found');
+  });
+});
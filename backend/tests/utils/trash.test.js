@@ -0,0 +1,48 @@
+import Book from '../../models/Book.js';
+import Highlight from '../../models/Highlight.js';
+import { createTestUser, createTestBook } from '../helpers/testHelpers.js';
+import { getTrashRetentionDays, getPurgeDate, purgeExpiredTrash } from '../../utils/trash.js';
+
+describe('Trash utilities', () => {
+  const originalRetention = process.env.TRASH_RETENTION_DAYS;
+
+  afterEach(() => {
+    if (originalRetention === undefined) {
+      delete process.env.TRASH_RETENTION_DAYS;
+    } else {
+      process.env.TRASH_RETENTION_DAYS = originalRetention;
+    }
+  });
+
+  it('should default to 30 days of retention and honour TRASH_RETENTION_DAYS', () => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    expect(getTrashRetentionDays()).toBe(30);
+
+    process.env.TRASH_RETENTION_DAYS = '7';
+    expect(getTrashRetentionDays()).toBe(7);
+    expect(getPurgeDate(new Date('2024-01-01T00:00:00Z'))).toEqual(new Date('2024-01-08T00:00:00Z'));
+
+    process.env.TRASH_RETENTION_DAYS = 'never';
+    expect(getTrashRetentionDays()).toBe(30);
+  });
+
+  it('should purge only books trashed longer than the retention period, with their highlights', async () => {
+    process.env.TRASH_RETENTION_DAYS = '30';
+    const user = await createTestUser();
+    const expired = await createTestBook(user._id, { title: 'Expired', isbn: undefined });
+    const recent = await createTestBook(user._id, { title: 'Recent', isbn: undefined });
+    const active = await createTestBook(user._id, { title: 'Active', isbn: undefined });
+    await Highlight.create({ userId: user._id, bookId: expired._id, text: 'Gone with the book' });
+
+    expired.deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+    await expired.save();
+    await recent.moveToTrash();
+
+    const purged = await purgeExpiredTrash();
+
+    expect(purged).toBe(1);
+    expect(await Book.findTrashed(user._id)).toHaveLength(1);
+    expect(await Book.findById(active._id)).not.toBeNull();
+    expect(await Highlight.countDocuments({ bookId: expired._id })).toBe(0);
+  });
+});
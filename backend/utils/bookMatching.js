@@ -0,0 +1,154 @@
+// Fuzzy matching helpers for spotting the same book entered more than once,
+// e.g. "The Hobbit" by "Tolkien, J.R.R." and "Hobbit" by "J. R. R. Tolkien".
+import { normalizeIsbn } from './isbn.js';
+
+// Minimum similarities for two books without a shared ISBN to count as duplicates
+export const TITLE_MATCH_THRESHOLD = 0.85;
+export const AUTHOR_MATCH_THRESHOLD = 0.8;
+
+// Lowercase, drop accents and punctuation, collapse whitespace
+export const simplify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Normalize a title for comparison, ignoring bracketed edition notes and a leading article
+export const normalizeTitle = (title) => simplify(String(title || '').replace(/[([][^)\]]*[)\]]/g, ' '))
+  .replace(/^(the|a|an) /, '');
+
+// Normalize an author for comparison, turning "Last, First" into "First Last"
+export const normalizeAuthor = (author) => {
+  const value = String(author || '');
+  const [last, first] = value.split(',');
+  return simplify(first !== undefined && !value.includes(' and ') ? `${first} ${last}` : value);
+};
+
+// Levenshtein edit distance, keeping only two rows of the table
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity between 0 (nothing in common) and 1 (identical), scaled by the longer string
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+  return 1 - editDistance(a, b) / longest;
+};
+
+const surname = (normalizedAuthor) => normalizedAuthor.split(' ').pop();
+
+const numbersIn = (normalizedTitle) => (normalizedTitle.match(/\d+/g) || []).join(' ');
+
+// Authors match when their names are close, or share a surname and first initial ("J Tolkien" / "John Tolkien")
+const authorSimilarity = (a, b) => {
+  const score = similarity(a, b);
+  if (score >= AUTHOR_MATCH_THRESHOLD) return score;
+  return surname(a) === surname(b) && a[0] === b[0] ? AUTHOR_MATCH_THRESHOLD : score;
+};
+
+// Score how likely two books are the same, or return 0 when they clearly are not.
+// Numbered titles ("Volume 1" / "Volume 2") and different series positions never match.
+export const matchScore = (a, b) => {
+  const titleA = normalizeTitle(a.title);
+  const titleB = normalizeTitle(b.title);
+  if (numbersIn(titleA) !== numbersIn(titleB)) return 0;
+
+  const hasPosition = (book) => book.seriesPosition !== undefined && book.seriesPosition !== null;
+  if (hasPosition(a) && hasPosition(b) && a.seriesPosition !== b.seriesPosition) return 0;
+
+  const titleScore = similarity(titleA, titleB);
+  const authorScore = authorSimilarity(normalizeAuthor(a.author), normalizeAuthor(b.author));
+  if (titleScore < TITLE_MATCH_THRESHOLD || authorScore < AUTHOR_MATCH_THRESHOLD) return 0;
+
+  return Math.round(((titleScore + authorScore) / 2) * 100) / 100;
+};
+
+// Stable identifier for a set of books, independent of order
+export const clusterKey = (bookIds) => bookIds.map(String).sort().join(':');
+
+// Group books into clusters of likely duplicates. Books sharing a normalized ISBN always
+// cluster; otherwise titles and authors are compared pairwise, but only between books whose
+// authors share a surname, so large libraries are not compared all-against-all.
+// Returns [{ key, bookIds, reasons: ['isbn' | 'title_author'], score }], most certain first.
+export const clusterDuplicates = (books) => {
+  const parent = books.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const links = [];
+  const link = (a, b, reason, score) => {
+    links.push({ a, b, reason, score });
+    parent[find(a)] = find(b);
+  };
+
+  const byIsbn = new Map();
+  const bySurname = new Map();
+  books.forEach((book, index) => {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn) {
+      if (byIsbn.has(isbn)) {
+        link(byIsbn.get(isbn), index, 'isbn', 1);
+      } else {
+        byIsbn.set(isbn, index);
+      }
+    }
+
+    const block = surname(normalizeAuthor(book.author));
+    if (!bySurname.has(block)) bySurname.set(block, []);
+    bySurname.get(block).push(index);
+  });
+
+  for (const block of bySurname.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const score = matchScore(books[block[i]], books[block[j]]);
+        if (score > 0) link(block[i], block[j], 'title_author', score);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const { a, reason, score } of links) {
+    const root = find(a);
+    if (!clusters.has(root)) clusters.set(root, { reasons: new Set(), score: 1 });
+    const cluster = clusters.get(root);
+    cluster.reasons.add(reason);
+    cluster.score = Math.min(cluster.score, score);
+  }
+
+  return [...clusters.entries()]
+    .map(([root, cluster]) => {
+      const bookIds = books
+        .filter((_, index) => find(index) === root)
+        .map(book => book._id);
+      return {
+        key: clusterKey(bookIds),
+        bookIds,
+        reasons: [...cluster.reasons].sort(),
+        score: cluster.score
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+export default clusterDuplicates;
@@ -0,0 +1,138 @@
+// Book metadata lookup by ISBN or by title, for filling in a new book. The details come from a
+// provider (see metadataProviders.js) and are cleaned up here into what a book can hold:
+//   { source, isbn, title, authors, pageCount, publicationDate, description, subjects, coverImage }
+// publicationDate is YYYY-MM-DD; a source that only knows the year gives January 1st of it.
+// Fields the source does not know are left out.
+import AppError from './AppError.js';
+import { normalizeIsbn } from './isbn.js';
+import { isValidCoverImage } from './coverImages.js';
+import { OpenLibraryProvider, FixtureProvider } from './metadataProviders.js';
+
+// Limits of the matching Book fields
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SUBJECTS = 20;
+
+export const DEFAULT_LOOKUP_LIMIT = 5;
+
+const PROVIDERS = {
+  openlibrary: () => new OpenLibraryProvider(),
+  fixture: () => new FixtureProvider()
+};
+
+let provider = null;
+
+// The configured provider: METADATA_PROVIDER picks it ("openlibrary" or "fixture"). Tests use the
+// fixtures unless told otherwise, so they never reach the network.
+export const getMetadataProvider = () => {
+  if (provider) return provider;
+
+  const name = process.env.METADATA_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture' : 'openlibrary');
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown metadata provider: ${name}`);
+  }
+  provider = PROVIDERS[name]();
+  return provider;
+};
+
+// Swap the provider, e.g. for one with canned answers. Pass null to go back to the configured one.
+export const setMetadataProvider = (adapter) => {
+  provider = adapter;
+};
+
+const cleanText = (value) => {
+  // Open Library sometimes wraps text as { type: '/type/text', value }
+  const text = value && typeof value === 'object' ? value.value : value;
+  return typeof text === 'string' && text.trim() ? text.trim().replace(/\s+/g, ' ') : undefined;
+};
+
+// Shorten to at most `max` characters, at a word boundary
+const clip = (text, max) => {
+  if (!text || text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+const uniqueTexts = (values = [], max = Infinity) => {
+  const seen = new Set();
+  return values
+    .map(cleanText)
+    .filter(value => value && !seen.has(value.toLowerCase()) && seen.add(value.toLowerCase()))
+    .slice(0, max);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Publish dates come as free text ("March 1, 2005", "2005-03-01", "Mar 2005", "c1999")
+export const parsePublishDate = (value) => {
+  const text = cleanText(value);
+  if (!text) return undefined;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const year = text.match(/\b(1[5-9]\d\d|20\d\d)\b/)?.[1];
+  if (!year) return undefined;
+
+  // Dates with a month name ("Mar 2005" is March 1st); bare numbers would parse as UTC
+  const date = new Date(text);
+  if (/[a-z]{3}/i.test(text) && !Number.isNaN(date.getTime())) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  return `${year}-01-01`;
+};
+
+// Turn a provider record into lookup result fields
+export const normalizeMetadata = (record, source) => {
+  const pageCount = Math.round(Number(record.pageCount));
+  const coverImage = cleanText(record.coverImage)?.replace(/^http:\/\//, 'https://');
+  const publicationDate = parsePublishDate(record.publishDate);
+
+  const metadata = {
+    source,
+    isbn: normalizeIsbn(record.isbn) || undefined,
+    title: clip(cleanText(record.title), MAX_TITLE_LENGTH),
+    authors: uniqueTexts(record.authors),
+    pageCount: pageCount > 0 ? pageCount : undefined,
+    publicationDate: publicationDate && new Date(publicationDate) <= new Date() ? publicationDate : undefined,
+    description: clip(cleanText(record.description), MAX_DESCRIPTION_LENGTH),
+    subjects: uniqueTexts(record.subjects, MAX_SUBJECTS),
+    coverImage: coverImage && isValidCoverImage(coverImage) ? coverImage : undefined
+  };
+
+  Object.keys(metadata).forEach(key => {
+    if (metadata[key] === undefined) delete metadata[key];
+  });
+  return metadata;
+};
+
+// Look up a book by ISBN (at most one result) or by title and optional author (best matches first).
+// Results without a title are dropped. Throws a 502 when the provider cannot be reached.
+export const lookupBookMetadata = async ({ isbn, title, author, limit = DEFAULT_LOOKUP_LIMIT }, adapter = getMetadataProvider()) => {
+  const normalizedIsbn = normalizeIsbn(isbn);
+  if (isbn && !normalizedIsbn) {
+    throw new AppError('Invalid ISBN format', 400);
+  }
+  if (!normalizedIsbn && !title) {
+    throw new AppError('Provide an ISBN or a title to look up', 400);
+  }
+
+  let records;
+  try {
+    if (normalizedIsbn) {
+      const record = await adapter.lookupIsbn(normalizedIsbn);
+      records = record ? [{ isbn: normalizedIsbn, ...record }] : [];
+    } else {
+      records = await adapter.search({ title, author }, { limit });
+    }
+  } catch (error) {
+    console.error(`Metadata lookup via ${adapter.name} failed:`, error.message);
+    throw new AppError('Book details could not be looked up right now', 502);
+  }
+
+  return records
+    .slice(0, limit)
+    .map(record => normalizeMetadata(record, adapter.name))
+    .filter(metadata => metadata.title);
+};
+
+export default lookupBookMetadata;
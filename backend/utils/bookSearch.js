@@ -0,0 +1,496 @@
+// Mongo filters for the advanced search criteria, shared by advanced search and bulk operations,
+// and the ranked full-text search behind GET /api/v1/books/search
+import { normalizeIsbn } from './isbn.js';
+import escapeRegex from './escapeRegex.js';
+import AppError from './AppError.js';
+import Book, { BOOK_STATUSES, BOOK_FORMATS } from '../models/Book.js';
+import Genre from '../models/Genre.js';
+import Highlight from '../models/Highlight.js';
+import { fuzzyMatchBook, searchWords, wordTrigrams } from './fuzzySearch.js';
+import { decadeFilter } from './facets.js';
+
+// Fields understood by the search syntax, e.g. `author:tolkien status:completed rating:>=4 tag:classic`
+export const SEARCH_FIELDS = ['title', 'author', 'series', 'genre', 'tag', 'status', 'rating', 'format', 'pages'];
+const FIELD_ALIASES = { tags: 'tag', page: 'pages', pagecount: 'pages' };
+const STATUS_ALIASES = {
+  read: 'completed',
+  reading: 'in_progress',
+  dnf: 'abandoned',
+  want: 'want_to_read',
+  unread: 'not_started'
+};
+
+// Most books a ranked search considers
+export const MAX_RANKED_RESULTS = 200;
+
+// Score for books matched only by a title, author or series substring (e.g. a partly typed word),
+// which the word-based text index cannot find; well below a real text match
+const SUBSTRING_MATCH_SCORE = 0.5;
+
+// Books matched only despite typos ("Tolkein", "Dostoevsky") score below substring matches. They
+// are only looked for when the other matches come to fewer books than FUZZY_SEARCH_BELOW, and at
+// most this many of the user's books are checked for them.
+const FUZZY_MATCH_SCORE = 0.4;
+const FUZZY_SEARCH_BELOW = 10;
+const MAX_FUZZY_CANDIDATES = 1000;
+
+const MAX_SNIPPETS = 3;
+const SNIPPET_RADIUS = 40;
+
+// The request sanitizer HTML-escapes quotes and comparison signs, which the syntax needs back
+export const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// field:value, field:"quoted value", "a phrase", -"excluded phrase", or a plain word
+const TOKEN_PATTERN = /([a-zA-Z]+):(?:"([^"]*)"|(\S+))|(-?)"([^"]*)"|(\S+)/g;
+
+// Split a search query into free text (words, quoted phrases and -excluded words) and field
+// filters. Unknown fields, such as the colon in "Dune: Messiah", are searched as text.
+export const parseSearchQuery = (input) => {
+  const parsed = { words: [], phrases: [], excluded: [], filters: {} };
+
+  for (const match of decodeEntities(String(input || '')).matchAll(TOKEN_PATTERN)) {
+    const [token, rawField, quotedValue, plainValue, negation, phrase, word] = match;
+
+    if (rawField) {
+      const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+      const value = (quotedValue ?? plainValue).trim();
+      if (SEARCH_FIELDS.includes(field)) {
+        if (value) (parsed.filters[field] ||= []).push(value);
+      } else {
+        parsed.words.push(...token.replace(/"/g, '').split(/\s+/).filter(Boolean));
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) (negation ? parsed.excluded : parsed.phrases).push(phrase.trim());
+    } else if (word.startsWith('-') && word.length > 1) {
+      parsed.excluded.push(word.slice(1));
+    } else {
+      parsed.words.push(word);
+    }
+  }
+
+  return parsed;
+};
+
+// Whether a parsed query has anything to rank by, rather than only field filters
+export const hasFreeText = ({ words, phrases }) => words.length > 0 || phrases.length > 0;
+
+// The words and phrases to point out in match snippets
+export const getSearchTerms = ({ words, phrases }) => [
+  ...words.map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(word => word.length > 1),
+  ...phrases
+];
+
+// Condition for a numeric field from `4`, `>=4`, `<300` or a range such as `3..5`
+const parseComparison = (field, value) => {
+  const range = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+  if (range) {
+    return { $gte: parseFloat(range[1]), $lte: parseFloat(range[2]) };
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (!comparison) {
+    throw new AppError(`${field}: expects a number, a comparison such as >=4, or a range such as 3..5`, 400);
+  }
+  const operators = { '>=': '$gte', '<=': '$lte', '>': '$gt', '<': '$lt', '=': '$eq' };
+  return { [operators[comparison[1] || '=']]: parseFloat(comparison[2]) };
+};
+
+// Build the Book filter for the field filters of a parsed search query. Repeated fields must
+// all match, except status and format, where any of the values may match.
+export const buildSearchFilter = async (userId, filters = {}) => {
+  const conditions = [];
+
+  ['title', 'author', 'series'].forEach(field => {
+    (filters[field] || []).forEach(value => {
+      conditions.push({ [field]: { $regex: escapeRegex(value), $options: 'i' } });
+    });
+  });
+
+  (filters.tag || []).forEach(tag => {
+    conditions.push({ tags: { $regex: `^${escapeRegex(tag)}$`, $options: 'i' } });
+  });
+
+  // A genre matches its sub-genres too
+  for (const genre of filters.genre || []) {
+    conditions.push({ genreId: { $in: await Genre.resolveFilter(userId, genre) } });
+  }
+
+  if (filters.status) {
+    const statuses = filters.status.map(value => {
+      const status = STATUS_ALIASES[value.toLowerCase()] || value.toLowerCase();
+      if (!BOOK_STATUSES.includes(status)) {
+        throw new AppError(`Unknown status "${value}"; use one of ${BOOK_STATUSES.join(', ')}`, 400);
+      }
+      return status;
+    });
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  if (filters.format) {
+    const formats = filters.format.map(value => {
+      if (!BOOK_FORMATS.includes(value.toLowerCase())) {
+        throw new AppError(`Unknown format "${value}"; use one of ${BOOK_FORMATS.join(', ')}`, 400);
+      }
+      return value.toLowerCase();
+    });
+    conditions.push({ format: { $in: formats } });
+  }
+
+  (filters.rating || []).forEach(value => conditions.push({ rating: parseComparison('rating', value) }));
+  (filters.pages || []).forEach(value => conditions.push({ pageCount: parseComparison('pages', value) }));
+
+  return conditions.length > 0 ? { userId, $and: conditions } : { userId };
+};
+
+// Fields the text index searches, which -excluded words are kept out of
+const TEXT_FIELDS = ['title', 'author', 'series', 'tags', 'genre', 'description', 'notes'];
+
+// Filter leaving out books that contain any of the -excluded words or phrases of a parsed query,
+// for listings that do not go through the text index (e.g. a query of only exclusions)
+export const buildExclusionFilter = ({ excluded }) => {
+  if (excluded.length === 0) return {};
+  return {
+    $nor: excluded.flatMap(word => {
+      const pattern = { $regex: escapeRegex(word), $options: 'i' };
+      return TEXT_FIELDS.map(field => ({ [field]: pattern }));
+    })
+  };
+};
+
+// Cut a short excerpt of `text` around the first search term it contains. Longer words also
+// match by their start, so "dragons" still points at "dragon", as the text index stems words.
+const makeSnippet = (text, terms) => {
+  const lowerText = text.toLowerCase();
+  let position = -1;
+  let length = 0;
+
+  terms.forEach(term => {
+    const lowerTerm = term.toLowerCase();
+    const candidates = lowerTerm.length > 5 ? [lowerTerm, lowerTerm.slice(0, -2)] : [lowerTerm];
+    for (const candidate of candidates) {
+      const index = lowerText.indexOf(candidate);
+      if (index !== -1) {
+        if (position === -1 || index < position) {
+          position = index;
+          length = candidate.length;
+        }
+        break;
+      }
+    }
+  });
+
+  if (position === -1) return null;
+
+  // Widen to the radius, then pull back to whole words
+  let start = Math.max(0, position - SNIPPET_RADIUS);
+  let end = Math.min(text.length, position + length + SNIPPET_RADIUS);
+  if (start > 0) {
+    const wordStart = text.indexOf(' ', start);
+    if (wordStart !== -1 && wordStart < position) start = wordStart + 1;
+  }
+  if (end < text.length) {
+    const wordEnd = text.lastIndexOf(' ', end);
+    if (wordEnd > position + length) end = wordEnd;
+  }
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Excerpts showing where a book matched the search terms, best fields first
+export const buildMatchSnippets = (book, terms, highlightTexts = []) => {
+  const fields = [
+    ['title', book.title],
+    ['author', book.author],
+    ['series', book.series],
+    ['tags', (book.tags || []).join(', ')],
+    ['genre', book.genre],
+    ['description', book.description],
+    ['notes', book.notes],
+    ...highlightTexts.map(text => ['highlight', text])
+  ];
+
+  return fields
+    .filter(([, text]) => text)
+    .map(([field, text]) => {
+      const snippet = makeSnippet(text, terms);
+      return snippet && { field, snippet };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_SNIPPETS);
+};
+
+// Rank the user's books matching a parsed query with free text. Books score by the text index
+// (title and author count most, then series and tags, genre, description and notes), plus their
+// best matching highlight; books found only by a typo-tolerant match score lowest and list the
+// words they matched as `matchedTerms`. Returns plain book objects, best first, each with
+// `searchScore` and `matches` snippets.
+export const rankedBookSearch = async (userId, parsed, filter) => {
+  const text = [
+    ...parsed.words,
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.excluded.map(word => (word.includes(' ') ? `-"${word}"` : `-${word}`))
+  ].join(' ');
+  const terms = getSearchTerms(parsed);
+
+  const textMatches = await Book.find({ ...filter, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_RANKED_RESULTS);
+
+  // Highlights add to their book's score; the best one counts
+  const highlights = await Highlight.find({ userId, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_RANKED_RESULTS)
+    .lean();
+  const highlightsByBook = new Map();
+  highlights.forEach(highlight => {
+    const key = highlight.bookId.toString();
+    const entry = highlightsByBook.get(key) || { score: highlight.score, texts: [] };
+    entry.texts.push(highlight.text, highlight.note);
+    highlightsByBook.set(key, entry);
+  });
+
+  const scores = new Map(textMatches.map(book => [book._id.toString(), { book, score: book.get('score') }]));
+
+  // Partly typed words only match as substrings
+  const substring = { $regex: escapeRegex([...parsed.words, ...parsed.phrases].join(' ')), $options: 'i' };
+  const substringMatches = await Book.find({
+    ...filter,
+    _id: { $nin: textMatches.map(book => book._id) },
+    $or: [{ title: substring }, { author: substring }, { series: substring }]
+  }).limit(MAX_RANKED_RESULTS);
+  substringMatches.forEach(book => scores.set(book._id.toString(), { book, score: SUBSTRING_MATCH_SCORE }));
+
+  // Books found only through their highlights still have to pass the field filters
+  const highlightOnlyIds = [...highlightsByBook.keys()].filter(id => !scores.has(id));
+  if (highlightOnlyIds.length > 0) {
+    const highlightMatches = await Book.find({ ...filter, _id: { $in: highlightOnlyIds } });
+    highlightMatches.forEach(book => scores.set(book._id.toString(), { book, score: 0 }));
+  }
+
+  // Whatever is left may still match with a typo or two in the title, author, series, tags or
+  // genre. Only books sharing a trigram with every typed word are checked, through the index.
+  const fuzzyTerms = new Map();
+  const queryWords = searchWords(parsed.words, parsed.phrases).filter(word => word.length >= 3);
+  if (scores.size < FUZZY_SEARCH_BELOW && queryWords.length > 0) {
+    const excludedWords = searchWords(parsed.excluded);
+    const candidates = await Book.find({
+      ...filter,
+      _id: { $nin: [...scores.keys()] },
+      $and: [
+        ...(filter.$and || []),
+        ...queryWords.map(word => ({ searchTrigrams: { $in: wordTrigrams([word]) } }))
+      ]
+    })
+      .select('title author series tags genre')
+      .limit(MAX_FUZZY_CANDIDATES)
+      .lean();
+    candidates.forEach(candidate => {
+      const match = fuzzyMatchBook(queryWords, candidate);
+      if (!match) return;
+      const words = searchWords(candidate.title, candidate.author, candidate.series, candidate.tags || [], candidate.genre);
+      if (excludedWords.some(word => words.includes(word))) return;
+      fuzzyTerms.set(candidate._id.toString(), match);
+    });
+  }
+  if (fuzzyTerms.size > 0) {
+    const fuzzyMatches = await Book.find({ ...filter, _id: { $in: [...fuzzyTerms.keys()] } });
+    fuzzyMatches.forEach(book => {
+      scores.set(book._id.toString(), { book, score: FUZZY_MATCH_SCORE * fuzzyTerms.get(book._id.toString()).score });
+    });
+  }
+
+  return [...scores.entries()]
+    .map(([id, { book, score }]) => {
+      const highlightMatch = highlightsByBook.get(id);
+      const matchedTerms = fuzzyTerms.get(id)?.matchedTerms;
+      const json = book.toJSON();
+      delete json.score;
+      return {
+        ...json,
+        searchScore: Math.round((score + (highlightMatch?.score || 0)) * 1000) / 1000,
+        matches: buildMatchSnippets(book, matchedTerms ? [...terms, ...matchedTerms] : terms,
+          (highlightMatch?.texts || []).filter(Boolean)),
+        ...(matchedTerms && { matchedTerms })
+      };
+    })
+    .sort((a, b) => b.searchScore - a.searchScore || b._id.toString().localeCompare(a._id.toString()))
+    .slice(0, MAX_RANKED_RESULTS);
+};
+
+// Advanced search criteria: single values, ranges and yes/no flags
+const CRITERIA_VALUE_FIELDS = ['title', 'author', 'isbn', 'genre', 'series', 'status', 'tags', 'notes', 'decade'];
+const CRITERIA_RANGE_FIELDS = { rating: ['min', 'max'], pageCount: ['min', 'max'], dateRange: ['start', 'end'] };
+const CRITERIA_FLAGS = ['hasRating', 'hasNotes'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Keep only the advanced search criteria that are set, dropping unknown keys and empty values,
+// e.g. before saving them on a smart shelf. Returns an empty object when nothing is set.
+export const pickSearchCriteria = (criteria = {}) => {
+  const picked = {};
+
+  CRITERIA_VALUE_FIELDS.forEach(field => {
+    if (!isBlank(criteria[field])) picked[field] = String(criteria[field]).trim();
+  });
+
+  Object.entries(CRITERIA_RANGE_FIELDS).forEach(([field, bounds]) => {
+    const range = {};
+    bounds.forEach(bound => {
+      const value = criteria[field]?.[bound];
+      if (!isBlank(value)) range[bound] = value;
+    });
+    if (Object.keys(range).length > 0) picked[field] = range;
+  });
+
+  CRITERIA_FLAGS.forEach(flag => {
+    if (criteria[flag] === true) picked[flag] = true;
+  });
+
+  return picked;
+};
+
+// Check criteria picked by pickSearchCriteria before they are saved, e.g. on a smart shelf, so a
+// saved search cannot fail every time it runs. Throws a 400 AppError naming the first bad value.
+export const validateSearchCriteria = (criteria) => {
+  if (criteria.status && !BOOK_STATUSES.includes(criteria.status)) {
+    throw new AppError(`Unknown status "${criteria.status}"; use one of ${BOOK_STATUSES.join(', ')}`, 400);
+  }
+
+  if (criteria.decade && !/^\d{3}0$/.test(criteria.decade)) {
+    throw new AppError('decade: expects the first year of a decade, such as 1990', 400);
+  }
+
+  ['rating', 'pageCount'].forEach(field => {
+    Object.entries(criteria[field] || {}).forEach(([bound, value]) => {
+      if (!Number.isFinite(Number(value))) {
+        throw new AppError(`${field}.${bound}: expects a number`, 400);
+      }
+    });
+  });
+
+  Object.entries(criteria.dateRange || {}).forEach(([bound, value]) => {
+    if (Number.isNaN(new Date(value).getTime())) {
+      throw new AppError(`dateRange.${bound}: expects a date`, 400);
+    }
+  });
+
+  return criteria;
+};
+
+// Build the Book filter matching a user's books against advanced search criteria
+export const buildAdvancedSearchQuery = async (userId, criteria = {}) => {
+  const {
+    title,
+    author,
+    isbn,
+    genre,
+    series,
+    status,
+    rating,
+    pageCount,
+    dateRange,
+    tags,
+    notes,
+    decade,
+    hasRating,
+    hasNotes
+  } = criteria;
+
+  const searchQuery = { userId };
+
+  // Text-based searches
+  if (title) {
+    searchQuery.title = { $regex: escapeRegex(title), $options: 'i' };
+  }
+
+  if (author) {
+    searchQuery.author = { $regex: escapeRegex(author), $options: 'i' };
+  }
+
+  if (isbn) {
+    // Full ISBNs match in any form; partial ones match the stored ISBN-13 digits
+    searchQuery.isbn = normalizeIsbn(isbn) || { $regex: escapeRegex(isbn.replace(/[\s-]/g, '')), $options: 'i' };
+  }
+
+  // A genre matches its sub-genres too
+  if (genre) {
+    searchQuery.genreId = { $in: await Genre.resolveFilter(userId, genre) };
+  }
+
+  if (series) {
+    searchQuery.series = { $regex: escapeRegex(series), $options: 'i' };
+  }
+
+  if (status) {
+    searchQuery.status = status;
+  }
+
+  if (notes) {
+    searchQuery.notes = { $regex: escapeRegex(notes), $options: 'i' };
+  }
+
+  // Rating range
+  if (rating && (rating.min || rating.max)) {
+    searchQuery.rating = {};
+    if (rating.min) {
+      searchQuery.rating.$gte = parseFloat(rating.min);
+    }
+    if (rating.max) {
+      searchQuery.rating.$lte = parseFloat(rating.max);
+    }
+  }
+
+  // Page count range
+  if (pageCount && (pageCount.min || pageCount.max)) {
+    searchQuery.pageCount = {};
+    if (pageCount.min) {
+      searchQuery.pageCount.$gte = parseInt(pageCount.min);
+    }
+    if (pageCount.max) {
+      searchQuery.pageCount.$lte = parseInt(pageCount.max);
+    }
+  }
+
+  // Date range
+  if (dateRange && (dateRange.start || dateRange.end)) {
+    searchQuery.createdAt = {};
+    if (dateRange.start) {
+      searchQuery.createdAt.$gte = new Date(dateRange.start);
+    }
+    if (dateRange.end) {
+      const endDate = new Date(dateRange.end);
+      endDate.setHours(23, 59, 59, 999); // End of day
+      searchQuery.createdAt.$lte = endDate;
+    }
+  }
+
+  // Publication decade, e.g. 1990 for 1990-1999
+  if (decade) {
+    Object.assign(searchQuery, decadeFilter(parseInt(decade, 10)));
+  }
+
+  // Tags search
+  if (tags) {
+    const tagArray = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tagArray.length > 0) {
+      searchQuery.tags = { $in: tagArray.map(tag => new RegExp(escapeRegex(tag), 'i')) };
+    }
+  }
+
+  // Special filters
+  if (hasRating) {
+    searchQuery.rating = { $exists: true, $ne: null };
+  }
+
+  if (hasNotes) {
+    searchQuery.notes = { $exists: true, $ne: '', $ne: null };
+  }
+
+  return searchQuery;
+};
+
+export default buildAdvancedSearchQuery;
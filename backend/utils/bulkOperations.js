@@ -0,0 +1,64 @@
+// Operations that can be applied to many books at once through POST /api/v1/books/bulk
+import { MAX_TAGS } from '../models/Book.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import BookRevision from '../models/BookRevision.js';
+
+export const BULK_OPERATIONS = ['set_status', 'add_tags', 'remove_tags', 'set_genre', 'trash'];
+
+// Most books a single bulk request may touch
+export const MAX_BULK_BOOKS = 500;
+
+// Change in the number of completed books when a book moves between statuses
+export const completedDelta = (oldStatus, newStatus) =>
+  (newStatus === 'completed' ? 1 : 0) - (oldStatus === 'completed' ? 1 : 0);
+
+// Apply one bulk operation to a book and save it, recording progress and revision history the
+// same way single-book edits do. Only modified fields are validated, so books saved under older
+// rules can still be updated. Returns whether the book changed and how its completed count moved.
+// For set_genre, `genre` and `genreId` are the already resolved genre fields (see utils/genres.js).
+export const applyBulkOperation = async (book, operation, { status, tags, genre, genreId } = {}) => {
+  if (operation === 'trash') {
+    await book.moveToTrash();
+    return { changed: true, goalDelta: completedDelta(book.status, null) };
+  }
+
+  const before = BookRevision.snapshot(book);
+  const oldStatus = book.status;
+  const previousPosition = book.progressPosition;
+
+  switch (operation) {
+    case 'set_status':
+      book.status = status;
+      break;
+    case 'add_tags':
+      book.addTags(tags);
+      if (book.tags.length > MAX_TAGS) {
+        throw new Error(`A book can have at most ${MAX_TAGS} tags`);
+      }
+      break;
+    case 'remove_tags':
+      book.removeTags(tags);
+      break;
+    case 'set_genre':
+      book.genre = genre;
+      book.genreId = genreId;
+      break;
+    default:
+      throw new Error(`Unknown bulk operation: ${operation}`);
+  }
+
+  if (!book.isModified()) {
+    return { changed: false, goalDelta: 0 };
+  }
+
+  // The pre-save middleware handles status dates
+  await book.save({ validateModifiedOnly: true });
+  if (operation === 'set_status') {
+    await ProgressEntry.recordChange(book, previousPosition, 'status');
+  }
+  await BookRevision.record(book, before);
+
+  return { changed: true, goalDelta: completedDelta(oldStatus, book.status) };
+};
+
+export default applyBulkOperation;
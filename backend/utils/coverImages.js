@@ -0,0 +1,86 @@
+// Uploaded book covers. An upload is resized once into a fixed set of thumbnails and stored under
+// covers/<bookId>/<token>/, and the book's coverImage becomes "/covers/<bookId>/<token>". Every upload
+// gets a new token, so a stored thumbnail never changes and can be cached indefinitely.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import { getStorage } from './storage.js';
+import AppError from './AppError.js';
+
+// Thumbnail widths in pixels; the height follows the cover's aspect ratio
+export const COVER_SIZES = {
+  small: 120,
+  medium: 320,
+  large: 800
+};
+
+export const COVER_CONTENT_TYPE = 'image/webp';
+
+const UPLOADED_COVER_PATTERN = /^\/covers\/([a-f0-9]{24})\/([a-f0-9]{32})$/;
+const COVER_URL_PATTERN = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i;
+
+export const isUploadedCover = (value) => UPLOADED_COVER_PATTERN.test(value || '');
+
+// A cover is either an external image URL or one of our uploads
+export const isValidCoverImage = (value) => !value || isUploadedCover(value) || COVER_URL_PATTERN.test(value);
+
+// { bookId, token } for an uploaded cover, otherwise null
+export const parseUploadedCover = (value) => {
+  const match = UPLOADED_COVER_PATTERN.exec(value || '');
+  return match ? { bookId: match[1], token: match[2] } : null;
+};
+
+export const getCoverPrefix = (bookId, token) => (token ? `covers/${bookId}/${token}/` : `covers/${bookId}/`);
+
+export const getCoverKey = (bookId, token, size) => `${getCoverPrefix(bookId, token)}${size}.webp`;
+
+// Resize an image file into every cover size and store the results. Returns the coverImage value for
+// the book. Throws a 400 AppError, with sharp's error as its cause, when the file cannot be read as
+// an image; storage failures are thrown as they are.
+export const storeCoverImage = async (bookId, filePath, storage = getStorage()) => {
+  const token = crypto.randomBytes(16).toString('hex');
+  const source = await fs.readFile(filePath);
+
+  let thumbnails;
+  try {
+    thumbnails = await Promise.all(
+      Object.entries(COVER_SIZES).map(async ([size, width]) => [
+        size,
+        await sharp(source, { failOn: 'error' })
+          .rotate() // honour EXIF orientation from phone photos
+          .resize({ width, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer()
+      ])
+    );
+  } catch (error) {
+    const readError = new AppError('Cover image could not be read', 400);
+    readError.cause = error;
+    throw readError;
+  }
+
+  for (const [size, data] of thumbnails) {
+    await storage.put(getCoverKey(bookId, token, size), data);
+  }
+
+  return `/covers/${bookId}/${token}`;
+};
+
+// Delete the stored thumbnails of a book's covers, except those still referenced by `keep`
+// (coverImage values of books that use them)
+export const removeStoredCovers = async (bookId, keep = [], storage = getStorage()) => {
+  const kept = new Set(keep.map(parseUploadedCover).filter(Boolean).map(cover => cover.token));
+  const tokens = new Set(
+    (await storage.list(getCoverPrefix(bookId))).map(key => key.split('/')[2])
+  );
+
+  let removed = 0;
+  for (const token of tokens) {
+    if (kept.has(token)) continue;
+    await storage.remove(getCoverPrefix(bookId, token));
+    removed += 1;
+  }
+  return removed;
+};
+
+export default storeCoverImage;
@@ -0,0 +1,4 @@
+// Escape user input so it matches literally inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default escapeRegex;
@@ -0,0 +1,75 @@
+// Facet counts for book lists: how many of the books matching a filter have each status, genre,
+// tag, rating and publication decade, so the list can offer refinements with their counts
+import Book, { BOOK_STATUSES } from '../models/Book.js';
+import escapeRegex from './escapeRegex.js';
+
+export const FACET_FIELDS = ['status', 'genre', 'tag', 'rating', 'decade'];
+
+// Most tags listed; the rest are left out
+export const MAX_TAG_FACETS = 20;
+
+const PUBLICATION_YEAR = { $year: '$publicationDate' };
+
+// Book filter for one tag, ignoring case
+export const tagFilter = (tag) => ({ tags: { $regex: `^${escapeRegex(String(tag).trim())}$`, $options: 'i' } });
+
+// Book filter for books published in a decade, e.g. 1990 for 1990-1999
+export const decadeFilter = (decade) => ({
+  publicationDate: {
+    $gte: new Date(Date.UTC(decade, 0, 1)),
+    $lt: new Date(Date.UTC(decade + 10, 0, 1))
+  }
+});
+
+// Count the books matching `filter` in each facet bucket. Returns `{ status, genre, tag, rating,
+// decade }`, each a list of `{ value, count }`; genres also carry their path as `label`, and tags
+// group regardless of case under their most common spelling.
+export const getBookFacets = async (filter) => {
+  const [facets] = await Book.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        status: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        genre: [
+          { $match: { genreId: { $ne: null } } },
+          { $group: { _id: '$genreId', label: { $first: '$genre' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, label: 1 } }
+        ],
+        tag: [
+          { $unwind: '$tags' },
+          { $group: { _id: { key: { $toLower: '$tags' }, tag: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $group: { _id: '$_id.key', value: { $first: '$_id.tag' }, count: { $sum: '$count' } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS }
+        ],
+        rating: [
+          { $match: { rating: { $ne: null } } },
+          { $group: { _id: '$rating', count: { $sum: 1 } } },
+          { $sort: { _id: -1 } }
+        ],
+        decade: [
+          { $match: { publicationDate: { $ne: null } } },
+          { $group: { _id: { $subtract: [PUBLICATION_YEAR, { $mod: [PUBLICATION_YEAR, 10] }] }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const statusCounts = new Map(facets.status.map(bucket => [bucket._id, bucket.count]));
+
+  return {
+    status: BOOK_STATUSES
+      .filter(status => statusCounts.has(status))
+      .map(status => ({ value: status, count: statusCounts.get(status) })),
+    genre: facets.genre.map(bucket => ({ value: bucket._id.toString(), label: bucket.label, count: bucket.count })),
+    tag: facets.tag.map(bucket => ({ value: bucket.value, count: bucket.count })),
+    rating: facets.rating.map(bucket => ({ value: bucket._id, count: bucket.count })),
+    decade: facets.decade.map(bucket => ({ value: bucket._id, count: bucket.count }))
+  };
+};
+
+export default getBookFacets;
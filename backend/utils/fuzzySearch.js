@@ -0,0 +1,125 @@
+// Typo-tolerant matching for book search and autocomplete, so "Tolkein" finds Tolkien and
+// "Dostoevsky" finds Dostoyevsky. Text is compared in the simplified form used for duplicate
+// detection (see utils/bookMatching.js): lowercase, no accents or punctuation.
+import { simplify } from './bookMatching.js';
+
+export const SUGGESTION_TYPES = ['title', 'author', 'tag', 'genre'];
+
+// Typos allowed in a word of this length; short words must match exactly, so "cat" is not "car"
+export const maxTypos = (length) => {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance that also counts swapping two neighbouring letters ("ei" / "ie") as one typo
+export const typoDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Distinct simplified words of some text
+export const searchWords = (...values) => [...new Set(
+  values.flat().map(simplify).join(' ').split(' ').filter(Boolean)
+)];
+
+// Three-letter pieces of words padded as " wo", "wor", ..., "ds ". A word within the typos
+// maxTypos allows, or a longer word it starts, nearly always shares one with the word typed.
+export const wordTrigrams = (words) => [...new Set(words.flatMap(word => {
+  const padded = ` ${word} `;
+  return Array.from({ length: padded.length - 2 }, (_, index) => padded.slice(index, index + 3));
+}))];
+
+// Trigrams of the book words fuzzyMatchBook compares against, stored on books so typo-tolerant
+// search can find its candidates through an index
+export const bookTrigrams = (book) => wordTrigrams(
+  searchWords(book.title, book.author, book.series, book.tags || [], book.genre)
+);
+
+// How well a book word matches a typed word: 1 for the same word, 0.95 when the book word
+// starts with it, less for each typo, and 0 when there are too many typos
+const wordScore = (queryWord, bookWord) => {
+  if (bookWord === queryWord) return 1;
+  if (queryWord.length >= 3 && bookWord.startsWith(queryWord)) return 0.95;
+
+  const typos = maxTypos(queryWord.length);
+  if (!typos || Math.abs(bookWord.length - queryWord.length) > typos) return 0;
+  const distance = typoDistance(queryWord, bookWord);
+  return distance <= typos ? 1 - distance / Math.max(queryWord.length, bookWord.length) : 0;
+};
+
+// Fuzzy-match typed words against a book's title, author, series, tags and genre. Every word of
+// three or more letters has to match some word of the book. Returns the average word score and
+// the book words that matched, or null when the book does not match.
+export const fuzzyMatchBook = (queryWords, book) => {
+  const words = queryWords.filter(word => word.length >= 3);
+  if (words.length === 0) return null;
+
+  const bookWords = searchWords(book.title, book.author, book.series, book.tags || [], book.genre);
+  const matchedTerms = [];
+  let total = 0;
+
+  for (const queryWord of words) {
+    let best = { score: 0, word: null };
+    bookWords.forEach(bookWord => {
+      const score = wordScore(queryWord, bookWord);
+      if (score > best.score) best = { score, word: bookWord };
+    });
+    if (!best.word) return null;
+    total += best.score;
+    matchedTerms.push(best.word);
+  }
+
+  return { score: total / words.length, matchedTerms };
+};
+
+// Score how well `value` completes the typed `query`, between 0 (not at all) and 1 (`value`
+// starts with it). Word starts rank above matches inside a word, which rank above typos.
+export const completionScore = (query, value) => {
+  const typed = simplify(query);
+  const text = simplify(value);
+  if (!typed || !text) return 0;
+
+  if (text.startsWith(typed)) return 1;
+  const wordStarts = [0];
+  for (let index = text.indexOf(' '); index !== -1; index = text.indexOf(' ', index + 1)) {
+    wordStarts.push(index + 1);
+  }
+  if (wordStarts.some(start => text.startsWith(typed, start))) return 0.9;
+  if (text.includes(typed)) return 0.75;
+
+  // Compare what was typed with the start of each word, allowing a letter more or less
+  const typos = maxTypos(typed.length);
+  if (!typos) return 0;
+  let fewest = Infinity;
+  wordStarts.forEach(start => {
+    for (let length = typed.length - 1; length <= typed.length + 1; length++) {
+      fewest = Math.min(fewest, typoDistance(typed, text.slice(start, start + length)));
+    }
+  });
+  return fewest <= typos ? 0.6 * (1 - fewest / typed.length) : 0;
+};
+
+// Rank completions ({ type, value, count }) for what was typed: best match first, then the most
+// used. Returns at most `limit` suggestions, each with its score.
+export const rankSuggestions = (query, candidates, limit = 8) => candidates
+  .map(candidate => ({ ...candidate, score: Math.round(completionScore(query, candidate.value) * 100) / 100 }))
+  .filter(candidate => candidate.score > 0)
+  .sort((a, b) => b.score - a.score || b.count - a.count || a.value.localeCompare(b.value))
+  .slice(0, limit);
+
+export default fuzzyMatchBook;
@@ -0,0 +1,47 @@
+// Keeping books' genre fields in step with the genre tree
+import Book from '../models/Book.js';
+import Genre from '../models/Genre.js';
+import AppError from './AppError.js';
+import { bookTrigrams } from './fuzzySearch.js';
+
+// Work out a book's genre fields from request data. A `genreId` picks one of the user's genres;
+// a `genre` path such as "Fiction / Fantasy" finds or creates the genres along it; an empty value
+// clears the genre. Returns undefined when neither field is given, so the genre is left alone.
+export const resolveBookGenre = async (userId, { genre, genreId } = {}) => {
+  if (genreId) {
+    const node = await Genre.findOne({ _id: genreId, userId });
+    if (!node) {
+      throw new AppError('Genre not found', 404);
+    }
+    return { genreId: node._id, genre: await node.getPath() };
+  }
+
+  if (genreId === undefined && genre === undefined) return undefined;
+  if (!genre || !String(genre).trim()) return { genreId: null, genre: '' };
+
+  const node = await Genre.findOrCreatePath(userId, genre);
+  return { genreId: node._id, genre: await node.getPath() };
+};
+
+// Refresh the stored genre path of every book in the given genres, e.g. after a rename or move.
+// Books are written one by one, as their search trigrams include the genre path.
+export const syncBookGenrePaths = async (userId, genreIds) => {
+  const labels = await Genre.getPathLabels(userId);
+  for (const genreId of genreIds) {
+    const genre = labels.get(genreId.toString());
+    const books = await Book.find({ userId, genreId })
+      .setOptions({ withTrashed: true })
+      .select('title author series tags')
+      .lean();
+    if (books.length === 0) continue;
+
+    await Book.bulkWrite(books.map(book => ({
+      updateOne: {
+        filter: { _id: book._id },
+        update: { $set: { genre, searchTrigrams: bookTrigrams({ ...book, genre }) } }
+      }
+    })));
+  }
+};
+
+export default resolveBookGenre;
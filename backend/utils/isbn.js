@@ -0,0 +1,45 @@
+// ISBN helpers. Books store ISBNs as bare ISBN-13 digits so the same edition
+// always compares equal, whichever form (ISBN-10, hyphens, "ISBN:" prefix) was entered.
+
+// Strip an "ISBN" / "ISBN-13:" prefix, hyphens and spaces
+const clean = (value) => String(value)
+  .trim()
+  .toUpperCase()
+  .replace(/^ISBN(?:-1[03])?:?/, '')
+  .replace(/[\s-]/g, '');
+
+export const isValidIsbn10 = (value) => {
+  if (!/^\d{9}[\dX]$/.test(value)) return false;
+  const sum = value.split('').reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : parseInt(char, 10);
+    return total + digit * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, index) => {
+    return total + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (value) => {
+  if (!/^97[89]\d{10}$/.test(value)) return false;
+  return isbn13CheckDigit(value.slice(0, 12)) === value[12];
+};
+
+// Normalize an ISBN-10 or ISBN-13 to ISBN-13 digits, or return null if it is not a valid ISBN
+export const normalizeIsbn = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const isbn = clean(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+};
+
+export default normalizeIsbn;
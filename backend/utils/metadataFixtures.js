@@ -0,0 +1,53 @@
+// Book records served by the offline metadata provider (METADATA_PROVIDER=fixture), in the form
+// providers return them
+export const METADATA_FIXTURES = [
+  {
+    isbn: '9780141439518',
+    title: 'Pride and Prejudice',
+    authors: ['Jane Austen'],
+    pageCount: 480,
+    publishDate: 'April 29, 2003',
+    description: 'Elizabeth Bennet and the proud Mr Darcy misjudge each other, in a comedy of manners about marriage, money and first impressions.',
+    subjects: ['Fiction', 'Classics', 'Romance', 'England'],
+    coverImage: 'https://covers.openlibrary.org/b/isbn/9780141439518-L.jpg'
+  },
+  {
+    isbn: '9780141439471',
+    title: 'Frankenstein: Or the Modern Prometheus',
+    authors: ['Mary Shelley'],
+    pageCount: 273,
+    publishDate: '2003',
+    description: 'Victor Frankenstein builds a living creature and abandons it, and the creature sets out to make him answer for it.',
+    subjects: ['Fiction', 'Classics', 'Horror', 'Science fiction'],
+    coverImage: 'https://covers.openlibrary.org/b/isbn/9780141439471-L.jpg'
+  },
+  {
+    isbn: '9780142437247',
+    title: 'Moby-Dick',
+    authors: ['Herman Melville'],
+    pageCount: 720,
+    publishDate: 'February 2003',
+    description: { type: '/type/text', value: 'Ishmael signs on to the whaler Pequod, whose captain is set on hunting down the white whale that took his leg.' },
+    subjects: ['Fiction', 'Classics', 'Sea stories', 'Whaling'],
+    coverImage: 'https://covers.openlibrary.org/b/isbn/9780142437247-L.jpg'
+  },
+  {
+    isbn: '9780141439556',
+    title: 'Wuthering Heights',
+    authors: ['Emily Brontë'],
+    pageCount: 416,
+    publishDate: '2003-01-30',
+    subjects: ['Fiction', 'Classics', 'Yorkshire'],
+    coverImage: 'https://covers.openlibrary.org/b/isbn/9780141439556-L.jpg'
+  },
+  {
+    isbn: '9780140449136',
+    title: 'Crime and Punishment',
+    authors: ['Fyodor Dostoyevsky', 'David McDuff'],
+    pageCount: 720,
+    publishDate: '2003',
+    subjects: ['Fiction', 'Classics', 'Russian literature']
+  }
+];
+
+export default METADATA_FIXTURES;
@@ -0,0 +1,121 @@
+// Sources of book metadata for the lookup in bookMetadata.js. A provider has a `name` and two methods:
+//   lookupIsbn(isbn)                        one record for an ISBN-13, or null when the source has none
+//   search({ title, author }, { limit })    records matching a title and optional author, best first
+// Records are plain objects with any of: isbn, title, authors, pageCount, publishDate (free text),
+// description, subjects and coverImage (a URL). The lookup cleans them up, so providers pass on what
+// their source says. Providers throw when the source cannot be reached.
+import { normalizeIsbn } from './isbn.js';
+import { METADATA_FIXTURES } from './metadataFixtures.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Open Library (openlibrary.org), or any server with the same API
+export class OpenLibraryProvider {
+  constructor({
+    baseUrl = 'https://openlibrary.org',
+    coversUrl = 'https://covers.openlibrary.org',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    this.name = 'openlibrary';
+    this.baseUrl = baseUrl;
+    this.coversUrl = coversUrl;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl;
+  }
+
+  // GET a JSON document; null when it does not exist
+  async getJson(pathname, params = {}) {
+    const url = new URL(pathname, this.baseUrl);
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const response = await this.fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Open Library responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async lookupIsbn(isbn) {
+    const data = await this.getJson('/api/books', {
+      bibkeys: `ISBN:${isbn}`,
+      format: 'json',
+      jscmd: 'data'
+    });
+    const book = data?.[`ISBN:${isbn}`];
+    if (!book) return null;
+
+    return {
+      isbn,
+      title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+      authors: (book.authors || []).map(author => author.name),
+      pageCount: book.number_of_pages,
+      publishDate: book.publish_date,
+      description: await this.findDescription(book.key),
+      subjects: (book.subjects || []).map(subject => subject.name),
+      coverImage: book.cover?.large || book.cover?.medium
+    };
+  }
+
+  // Descriptions are on the edition or, more often, on the work it is an edition of. They are a
+  // nice-to-have, so failing to fetch one does not fail the lookup.
+  async findDescription(editionKey) {
+    if (!editionKey) return undefined;
+    try {
+      const edition = await this.getJson(`${editionKey}.json`);
+      if (edition?.description) return edition.description;
+
+      const workKey = edition?.works?.[0]?.key;
+      const work = workKey ? await this.getJson(`${workKey}.json`) : null;
+      return work?.description;
+    } catch {
+      return undefined;
+    }
+  }
+
+  async search({ title, author }, { limit = 5 } = {}) {
+    const data = await this.getJson('/search.json', {
+      title,
+      author,
+      limit,
+      fields: 'title,subtitle,author_name,number_of_pages_median,first_publish_year,subject,cover_i,isbn'
+    });
+
+    return (data?.docs || []).map(doc => ({
+      isbn: (doc.isbn || []).map(normalizeIsbn).find(Boolean),
+      title: doc.subtitle ? `${doc.title}: ${doc.subtitle}` : doc.title,
+      authors: doc.author_name,
+      pageCount: doc.number_of_pages_median,
+      publishDate: doc.first_publish_year && String(doc.first_publish_year),
+      subjects: doc.subject,
+      coverImage: doc.cover_i ? `${this.coversUrl}/b/id/${doc.cover_i}-L.jpg` : undefined
+    }));
+  }
+}
+
+// Answers from a fixed list of records, without a network: for tests and working offline
+export class FixtureProvider {
+  constructor(records = METADATA_FIXTURES) {
+    this.name = 'fixture';
+    this.records = records;
+  }
+
+  async lookupIsbn(isbn) {
+    return this.records.find(record => normalizeIsbn(record.isbn) === isbn) || null;
+  }
+
+  async search({ title, author }, { limit = 5 } = {}) {
+    const contains = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+    return this.records
+      .filter(record => !title || contains(record.title, title))
+      .filter(record => !author || (record.authors || []).some(name => contains(name, author)))
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,88 @@
+// Opaque cursors for keyset pagination. A cursor records the sort values and _id of the last item
+// on a page; the next page is everything that sorts after it. Unlike skip/limit, items added or
+// removed between requests cannot cause rows to repeat or be skipped.
+import mongoose from 'mongoose';
+import AppError from './AppError.js';
+
+// Add _id as the final sort key so items with equal sort values keep a stable order
+export const withTiebreaker = (sort) => {
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : 1 };
+};
+
+// JSON has no dates, so they are tagged to round-trip through a cursor
+const encodeValue = (value) => (value instanceof Date ? { $date: value.toISOString() } : value ?? null);
+const decodeValue = (value) => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value);
+
+// The sort a cursor belongs to, so a cursor cannot be reused with a different sort
+const sortSignature = (sort) => Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// Build the cursor pointing just past `doc` (a document or plain object) for a sort that already
+// includes the _id tiebreaker
+export const encodeCursor = (doc, sort) => {
+  const valueOf = (field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+  const values = Object.keys(sort).map(field => encodeValue(field === '_id' ? doc._id.toString() : valueOf(field)));
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: values })).toString('base64url');
+};
+
+// Read a cursor back into sort values, rejecting anything malformed or made for another sort
+export const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  const fields = Object.keys(sort);
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (payload.s !== sortSignature(sort)) {
+    throw new AppError('Cursor does not match the requested sort order', 400);
+  }
+
+  const idValue = payload.v[payload.v.length - 1];
+  if (!mongoose.isValidObjectId(idValue)) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  return payload.v.map((value, index) => (
+    fields[index] === '_id' ? new mongoose.Types.ObjectId(idValue) : decodeValue(value)
+  ));
+};
+
+// Condition for one field sorting strictly after `value`. MongoDB sorts missing and null values
+// first, so they come after everything in a descending sort and before everything ascending.
+const afterValue = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Filter matching everything after the cursor position: equal on the leading sort fields and
+// strictly after on the next one, for each possible split point
+export const buildCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+
+  fields.forEach((field, index) => {
+    const after = afterValue(field, sort[field], values[index]);
+    if (!after) return;
+    const equal = fields.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+    branches.push(equal.length > 0 ? { $and: [...equal, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+// Narrow a filter to the items after a cursor, leaving its own conditions (including any $or) intact
+export const applyCursor = (filter, sort, cursor) => ({
+  ...filter,
+  $and: [...(filter.$and || []), buildCursorFilter(sort, decodeCursor(cursor, sort))]
+});
+
+export default applyCursor;
@@ -0,0 +1,29 @@
+// Resolving which books are on a shelf: the books added to a regular shelf, or the books matching
+// a smart shelf's saved search criteria
+import mongoose from 'mongoose';
+import Shelf from '../models/Shelf.js';
+import AppError from './AppError.js';
+import { buildAdvancedSearchQuery } from './bookSearch.js';
+
+// Book filter for the books on a shelf
+export const shelfBookFilter = async (shelf) => (
+  shelf.criteria
+    ? buildAdvancedSearchQuery(shelf.userId, shelf.criteria)
+    : { userId: shelf.userId, shelves: shelf._id }
+);
+
+// Find one of the user's shelves with the filter for its books
+export const resolveShelfFilter = async (userId, shelfId) => {
+  if (!mongoose.isValidObjectId(shelfId)) {
+    throw new AppError('Invalid shelf ID format', 400);
+  }
+
+  const shelf = await Shelf.findOne({ _id: shelfId, userId });
+  if (!shelf) {
+    throw new AppError('Shelf not found', 404);
+  }
+
+  return { shelf, filter: await shelfBookFilter(shelf) };
+};
+
+export default resolveShelfFilter;
@@ -0,0 +1,93 @@
+// File storage for uploads, behind a small adapter interface so they can move off the local disk
+// (e.g. to an object store) without touching the code that uses them. Adapters store data under
+// slash-separated keys such as "covers/<bookId>/<token>/small.webp" and implement:
+//   put(key, data)   store a Buffer, replacing anything already at the key
+//   get(key)         { data, size, modifiedAt }, or null when nothing is stored there
+//   list(prefix)     every key under the prefix
+//   remove(prefix)   delete the key, or everything under it when it names a directory
+import fs from 'fs/promises';
+import path from 'path';
+
+const KEY_PATTERN = /^[a-zA-Z0-9_-]+(?:\/[a-zA-Z0-9_.-]+)*\/?$/;
+
+// Keys come from our own code, but they end up as paths on disk so refuse anything that could
+// climb out of the storage root
+const assertSafeKey = (key) => {
+  if (!KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+// Stores each key as a file under a root directory on this machine
+export class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    assertSafeKey(key);
+    return path.join(this.root, ...key.split('/').filter(Boolean));
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o755 });
+    await fs.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      const [data, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+      return { data, size: stats.size, modifiedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+      throw error;
+    }
+  }
+
+  async list(prefix) {
+    const base = prefix.replace(/\/+$/, '');
+    let entries;
+    try {
+      entries = await fs.readdir(this.resolve(base), { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => path.relative(this.root, path.join(entry.parentPath ?? entry.path, entry.name)))
+      .map(relative => relative.split(path.sep).join('/'))
+      .sort();
+  }
+
+  async remove(prefix) {
+    await fs.rm(this.resolve(prefix.replace(/\/+$/, '')), { recursive: true, force: true });
+  }
+}
+
+const DEFAULT_STORAGE_PATH = './uploads/storage';
+
+let storage = null;
+
+// The configured storage adapter. STORAGE_DRIVER picks it (only "local" for now) and
+// STORAGE_PATH sets where local files are kept.
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (driver !== 'local') {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  storage = new LocalStorage(process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH);
+  return storage;
+};
+
+// Swap the adapter, e.g. for a temporary directory in tests. Pass null to go back to the configured one.
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+export default getStorage;
@@ -0,0 +1,69 @@
+// Trash retention and purging. Deleted books keep their sessions, progress history,
+// highlights and revisions until they are purged, so a restored book comes back exactly as it was.
+import Book from '../models/Book.js';
+import ReadingSession from '../models/ReadingSession.js';
+import ProgressEntry from '../models/ProgressEntry.js';
+import Highlight from '../models/Highlight.js';
+import BookRevision from '../models/BookRevision.js';
+import { removeStoredCovers } from './coverImages.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days a book stays in the trash, configurable with TRASH_RETENTION_DAYS
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When a book trashed at the given time will be purged
+export const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+// Delete the uploaded covers of purged books, keeping any that a merge copied onto another book
+const removeUnusedCovers = async (bookIds) => {
+  for (const bookId of bookIds) {
+    const stillUsed = await Book.find({ coverImage: { $regex: `^/covers/${bookId}/` } })
+      .setOptions({ withTrashed: true })
+      .distinct('coverImage');
+    await removeStoredCovers(bookId.toString(), stillUsed);
+  }
+};
+
+// Permanently delete trashed books matching the filter along with their related records.
+// Returns the number of books purged.
+export const purgeTrashedBooks = async (filter = {}) => {
+  const books = await Book.find({ deletedAt: { $ne: null }, ...filter }).select('_id');
+  const bookIds = books.map(book => book._id);
+  if (bookIds.length === 0) return 0;
+
+  await ReadingSession.deleteMany({ bookId: { $in: bookIds } });
+  await ProgressEntry.deleteMany({ bookId: { $in: bookIds } });
+  await Highlight.deleteMany({ bookId: { $in: bookIds } });
+  await BookRevision.deleteMany({ bookId: { $in: bookIds } });
+  await Book.deleteMany({ _id: { $in: bookIds } });
+  await removeUnusedCovers(bookIds);
+
+  return bookIds.length;
+};
+
+// Purge every book that has been in the trash longer than the retention period
+export const purgeExpiredTrash = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  return purgeTrashedBooks({ deletedAt: { $ne: null, $lte: cutoff } });
+};
+
+// Purge expired trash on startup and then once a day
+export const scheduleTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .then(count => {
+      if (count > 0) {
+        console.log(`Purged ${count} book${count !== 1 ? 's' : ''} from the trash`);
+      }
+    })
+    .catch(error => console.error('Trash purge failed:', error.message));
+
+  run();
+  setInterval(run, DAY_MS).unref();
+};
+
+export default purgeExpiredTrash;
@@ -15,6 +15,7 @@ const LandingPage = lazy(() => import('./pages/LandingPage'));
 const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Books = lazy(() => import('./pages/Books'));
 const Analytics = lazy(() => import('./pages/Analytics'));
+const Tags = lazy(() => import('./pages/Tags'));
 const BookDetail = lazy(() => import('./components/books/BookDetail'));
 
 function App() {
@@ -109,6 +110,15 @@ function App() {
                   }
                 />
 
+                <Route
+                  path="/tags"
+                  element={
+                    <ProtectedRoute>
+                      <Tags />
+                    </ProtectedRoute>
+                  }
+                />
+
                 {/* Redirect any unknown routes to landing page */}
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
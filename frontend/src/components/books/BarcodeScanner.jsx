@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '../common';
+import { decodeIsbn, decodeIsbnFromFile, getImageData } from '../../utils/barcode';
+
+// How often camera frames are decoded, and how long before suggesting typing the ISBN instead
+const SCAN_INTERVAL_MS = 250;
+const SCAN_HINT_AFTER_MS = 15000;
+
+const canUseCamera = () => Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Reads the ISBN barcode on a book's back cover, from the camera or from a photo. Calls onDetected
+// with the ISBN-13; onCancel goes back to typing the ISBN in.
+const BarcodeScanner = ({ onDetected, onCancel }) => {
+  const videoRef = useRef(null);
+  const [camera, setCamera] = useState(canUseCamera() ? 'starting' : 'unavailable');
+  const [takingLong, setTakingLong] = useState(false);
+  const [decodingPhoto, setDecodingPhoto] = useState(false);
+  const [error, setError] = useState('');
+  // The camera keeps running across re-renders, so the scan loop calls the latest onDetected
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  useEffect(() => {
+    if (!canUseCamera()) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const canvas = document.createElement('canvas');
+    const hintTimer = setTimeout(() => setTakingLong(true), SCAN_HINT_AFTER_MS);
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      if (stopped || !video) return;
+
+      const isbn = video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0
+        ? decodeIsbn(getImageData(video, canvas))
+        : null;
+      if (isbn) {
+        onDetectedRef.current(isbn);
+      } else {
+        timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+      }
+    };
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
+          audio: false
+        });
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setCamera('on');
+        scanFrame();
+      } catch (err) {
+        console.error('Camera unavailable:', err);
+        if (!stopped) setCamera('unavailable');
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      clearTimeout(hintTimer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setDecodingPhoto(true);
+    setError('');
+    try {
+      const isbn = await decodeIsbnFromFile(file);
+      if (isbn) {
+        onDetected(isbn);
+      } else {
+        setError('No ISBN barcode could be read from this photo. Try again closer up and in focus, or type the ISBN in.');
+      }
+    } catch (err) {
+      console.error('Failed to read photo:', err);
+      setError('This photo could not be opened. Try another one, or type the ISBN in.');
+    } finally {
+      setDecodingPhoto(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 bg-gray-50 rounded-lg p-4 space-y-3">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Scan ISBN barcode</h3>
+          <p className="text-xs text-gray-600">
+            {camera === 'unavailable'
+              ? 'Take or choose a photo of the barcode on the back cover.'
+              : 'Point the camera at the barcode on the back cover.'}
+          </p>
+        </div>
+        <button type="button" onClick={onCancel} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      {camera !== 'unavailable' && (
+        <div className="relative overflow-hidden rounded-md bg-black aspect-video">
+          <video ref={videoRef} muted playsInline className="w-full h-full object-cover" />
+          {camera === 'starting' && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-white">Starting camera...</p>
+          )}
+          <div className="absolute inset-x-8 top-1/2 h-0.5 -translate-y-1/2 bg-red-500 opacity-75" />
+        </div>
+      )}
+
+      {camera === 'on' && takingLong && (
+        <p className="text-xs text-gray-600">
+          Having trouble? Hold the book still in good light with the barcode filling the frame, or type the ISBN in.
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 cursor-pointer">
+          {decodingPhoto ? 'Reading photo...' : '🖼️ Use a photo'}
+          <input
+            type="file"
+            accept="image/*"
+            onChange={handlePhotoChange}
+            disabled={decodingPhoto}
+            className="sr-only"
+          />
+        </label>
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          ⌨️ Type ISBN instead
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeScanner;
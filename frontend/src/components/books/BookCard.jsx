@@ -1,13 +1,32 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Card, Button, Modal } from '../common';
+import { Card, Button, Modal, LazyImage } from '../common';
 import { bookService } from '../../services/bookService';
+import { getProgress, formatProgressPosition, getFormatLabel } from '../../utils/progressUnits';
+import { splitBySearchTerms } from '../../utils/searchQuery';
+import { getCurrentLoan, isLoanOverdue, describeLoan } from '../../utils/loans';
 
-const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
+const MATCH_FIELD_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  series: 'Series',
+  tags: 'Tags',
+  genre: 'Genre',
+  description: 'Description',
+  notes: 'Notes',
+  highlight: 'Highlight'
+};
+
+// Pass `selected` (true/false) and `onSelect` to show a selection checkbox for batch actions.
+// Search results carry `matches` snippets, shown with the `searchTerms` emphasised, along with
+// the words a misspelled search matched (`matchedTerms`).
+const BookCard = ({ book, onEdit, onDelete, onStatusUpdate, selected, onSelect, searchTerms = [] }) => {
   const navigate = useNavigate();
   const [isDeleting, setIsDeleting] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+  const progress = getProgress(book);
+  const currentLoan = getCurrentLoan(book);
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -17,6 +36,10 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
         return 'bg-blue-100 text-blue-800';
       case 'not_started':
         return 'bg-gray-100 text-gray-800';
+      case 'want_to_read':
+        return 'bg-purple-100 text-purple-800';
+      case 'abandoned':
+        return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -30,6 +53,10 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
         return 'In Progress';
       case 'not_started':
         return 'Not Started';
+      case 'want_to_read':
+        return 'Want to Read';
+      case 'abandoned':
+        return 'Did Not Finish';
       default:
         return status;
     }
@@ -87,18 +114,45 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
 
   return (
     <>
-      <Card hover className="h-full flex flex-col">
+      <Card hover className={`h-full flex flex-col ${selected ? 'ring-2 ring-blue-500' : ''}`}>
         <div className="flex-1">
           {/* Cover Image */}
-          <div className="aspect-w-3 aspect-h-4 mb-4">
-            <img
+          <div className="relative aspect-w-3 aspect-h-4 mb-4">
+            {selected !== undefined && (
+              <label className="absolute top-2 left-2 z-10 bg-white rounded p-1 shadow cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selected}
+                  onChange={(e) => onSelect && onSelect(book._id, e.target.checked)}
+                  className="h-5 w-5 text-blue-600 border-gray-300 rounded"
+                  aria-label={`Select "${book.title}"`}
+                />
+              </label>
+            )}
+            <LazyImage
               src={book.coverImage || '/default-book-cover.png'}
               alt={book.title}
-              className="w-full h-48 object-cover rounded-md bg-gray-100"
-              onError={(e) => {
-                e.target.src = '/default-book-cover.png';
-              }}
+              imageSize="medium"
+              className="w-full h-48 rounded-md bg-gray-100"
+              imgClassName="w-full h-full object-cover"
+              fallback={
+                <img
+                  src="/default-book-cover.png"
+                  alt={book.title}
+                  className="w-full h-48 object-cover rounded-md bg-gray-100"
+                />
+              }
             />
+            {currentLoan && (
+              <span
+                className={`absolute top-2 right-2 z-10 px-2 py-1 text-xs font-medium rounded-full shadow ${
+                  isLoanOverdue(currentLoan) ? 'bg-red-600 text-white' : 'bg-amber-100 text-amber-800'
+                }`}
+                title={describeLoan(currentLoan)}
+              >
+                {isLoanOverdue(currentLoan) ? 'Lent out · overdue' : 'Lent out'}
+              </span>
+            )}
           </div>
 
           {/* Book Info */}
@@ -111,9 +165,18 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
               by {book.author}
             </p>
 
-            {book.genre && (
+            {book.series && (
+              <p className="text-xs text-gray-500" title={book.series}>
+                {book.series}
+                {book.seriesPosition !== undefined && book.seriesPosition !== null && ` #${book.seriesPosition}`}
+              </p>
+            )}
+
+            {(book.genre || (book.format && book.format !== 'paperback')) && (
               <p className="text-xs text-gray-500">
-                {book.genre}
+                {[book.genre, book.format && book.format !== 'paperback' && getFormatLabel(book.format)]
+                  .filter(Boolean)
+                  .join(' · ')}
               </p>
             )}
 
@@ -138,11 +201,11 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
             )}
 
             {/* Progress Bar */}
-            {book.pageCount && book.currentPage > 0 && (
+            {progress.total && progress.position > 0 && (
               <div className="space-y-1">
                 <div className="flex justify-between text-xs text-gray-500">
                   <span>Progress</span>
-                  <span>{book.currentPage} / {book.pageCount} pages</span>
+                  <span>{formatProgressPosition(book)}</span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div
@@ -171,6 +234,22 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
                 )}
               </div>
             )}
+
+            {/* Search match snippets */}
+            {book.matches?.length > 0 && (
+              <ul className="space-y-1 text-xs text-gray-600" aria-label="Search matches">
+                {book.matches.map((match, index) => (
+                  <li key={`${match.field}-${index}`}>
+                    <span className="font-medium text-gray-500">{MATCH_FIELD_LABELS[match.field] || match.field}: </span>
+                    {splitBySearchTerms(match.snippet, [...searchTerms, ...(book.matchedTerms || [])]).map((part, partIndex) => (
+                      part.match
+                        ? <mark key={partIndex} className="bg-yellow-100 text-gray-900 rounded px-0.5">{part.text}</mark>
+                        : <React.Fragment key={partIndex}>{part.text}</React.Fragment>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </div>
 
@@ -187,9 +266,11 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
               disabled={isUpdatingStatus}
               className="block w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
             >
+              <option value="want_to_read">Want to Read</option>
               <option value="not_started">Not Started</option>
               <option value="in_progress">In Progress</option>
               <option value="completed">Completed</option>
+              <option value="abandoned">Did Not Finish</option>
             </select>
           </div>
 
@@ -232,7 +313,7 @@ const BookCard = ({ book, onEdit, onDelete, onStatusUpdate }) => {
       >
         <div className="space-y-4">
           <p className="text-gray-600">
-            Are you sure you want to delete "{book.title}"? This action cannot be undone.
+            Move "{book.title}" to the trash? You can restore it from the trash later.
           </p>
 
           <div className="flex justify-end space-x-3">
@@ -1,9 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { MainLayout } from '../layout';
-import { Button, Card, Modal } from '../common';
+import { Button, Card, Modal, LazyImage } from '../common';
 import BookForm from './BookForm';
+import ReadingSession from './ReadingSession';
+import BookHighlights from './BookHighlights';
+import BookHistory from './BookHistory';
+import BookLoans from './BookLoans';
+import { ProgressTimelineChart } from '../charts';
 import { bookService } from '../../services/bookService';
+import { seriesService } from '../../services/seriesService';
+import { getProgress, formatProgressAmount, formatProgressPosition, getFormatLabel } from '../../utils/progressUnits';
+import { getOwnershipLabel, getConditionLabel, formatMoney } from '../../utils/inventory';
 
 const BookDetail = () => {
   const { id } = useParams();
@@ -15,11 +23,30 @@ const BookDetail = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+  const [isStartingReread, setIsStartingReread] = useState(false);
+  const [showAbandonModal, setShowAbandonModal] = useState(false);
+  const [abandonDetails, setAbandonDetails] = useState({ abandonedPage: '', abandonmentReason: '' });
+  const [progressHistory, setProgressHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
+  const [seriesInfo, setSeriesInfo] = useState(null);
+  const [nextInSeries, setNextInSeries] = useState(null);
+  const [activeTab, setActiveTab] = useState('overview');
+  const [highlightCount, setHighlightCount] = useState(null);
 
   useEffect(() => {
     fetchBook();
+    fetchProgressHistory();
   }, [id]);
 
+  useEffect(() => {
+    if (book?.series) {
+      fetchSeries();
+    } else {
+      setSeriesInfo(null);
+      setNextInSeries(null);
+    }
+  }, [book?._id, book?.series, book?.seriesPosition, book?.status]);
+
   const fetchBook = async () => {
     setLoading(true);
     setError(null);
@@ -35,13 +62,41 @@ const BookDetail = () => {
     }
   };
 
-  const handleStatusUpdate = async (newStatus) => {
+  const fetchProgressHistory = async () => {
+    setHistoryLoading(true);
+
+    try {
+      const response = await bookService.getBookProgress(id);
+      setProgressHistory(response.data.history);
+    } catch (err) {
+      console.error('Failed to fetch progress history:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const fetchSeries = async () => {
+    try {
+      const [seriesResponse, nextResponse] = await Promise.all([
+        seriesService.getSeriesByName(book.series),
+        bookService.getNextInSeries(book._id)
+      ]);
+      setSeriesInfo(seriesResponse.data.series);
+      setNextInSeries(nextResponse.data.nextBook);
+    } catch (err) {
+      console.error('Failed to fetch series:', err);
+    }
+  };
+
+  const handleStatusUpdate = async (newStatus, details = {}) => {
     if (newStatus === book.status) return;
 
     setIsUpdatingStatus(true);
     try {
-      await bookService.updateBookStatus(book._id, newStatus);
-      setBook(prev => ({ ...prev, status: newStatus }));
+      const response = await bookService.updateBookStatus(book._id, newStatus, details);
+      setBook(response.data.book);
+      setShowAbandonModal(false);
+      fetchProgressHistory();
     } catch (error) {
       console.error('Failed to update status:', error);
       alert('Failed to update book status. Please try again.');
@@ -50,11 +105,49 @@ const BookDetail = () => {
     }
   };
 
-  const handleEdit = async (bookData) => {
+  const handleStatusSelect = (newStatus) => {
+    // Ask where and why the book was put down before marking it as did not finish
+    if (newStatus === 'abandoned') {
+      setAbandonDetails({ abandonedPage: book.currentPage || 0, abandonmentReason: '' });
+      setShowAbandonModal(true);
+      return;
+    }
+    handleStatusUpdate(newStatus);
+  };
+
+  const handleAbandon = (e) => {
+    e.preventDefault();
+    handleStatusUpdate('abandoned', {
+      abandonedPage: parseInt(abandonDetails.abandonedPage) || 0,
+      abandonmentReason: abandonDetails.abandonmentReason.trim() || undefined
+    });
+  };
+
+  const handleStartReread = async () => {
+    setIsStartingReread(true);
+    try {
+      const response = await bookService.startReread(book._id);
+      setBook(response.data.book);
+      fetchProgressHistory();
+    } catch (error) {
+      console.error('Failed to start re-read:', error);
+      alert('Failed to start re-read. Please try again.');
+    } finally {
+      setIsStartingReread(false);
+    }
+  };
+
+  const handleEdit = async (bookData, coverFile) => {
     try {
       await bookService.updateBook(book._id, bookData);
-      setBook(prev => ({ ...prev, ...bookData }));
+      const uploaded = coverFile ? await bookService.uploadCover(book._id, coverFile) : null;
+      setBook(prev => ({
+        ...prev,
+        ...bookData,
+        ...(uploaded && { coverImage: uploaded.data.book.coverImage })
+      }));
       setShowEditModal(false);
+      fetchProgressHistory();
     } catch (error) {
       console.error('Failed to update book:', error);
       alert('Failed to update book. Please try again.');
@@ -65,7 +158,7 @@ const BookDetail = () => {
     setIsDeleting(true);
     try {
       await bookService.deleteBook(book._id);
-      navigate('/books');
+      navigate('/books', { state: { trashedBook: { _id: book._id, title: book.title } } });
     } catch (error) {
       console.error('Failed to delete book:', error);
       alert('Failed to delete book. Please try again.');
@@ -74,6 +167,18 @@ const BookDetail = () => {
     }
   };
 
+  const handleSessionComplete = (session, updatedBook) => {
+    if (updatedBook) {
+      setBook(updatedBook);
+      fetchProgressHistory();
+    }
+  };
+
+  const handleReverted = (revertedBook) => {
+    setBook(revertedBook);
+    fetchProgressHistory();
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -82,6 +187,10 @@ const BookDetail = () => {
         return 'bg-blue-100 text-blue-800';
       case 'not_started':
         return 'bg-gray-100 text-gray-800';
+      case 'want_to_read':
+        return 'bg-purple-100 text-purple-800';
+      case 'abandoned':
+        return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -95,6 +204,10 @@ const BookDetail = () => {
         return 'In Progress';
       case 'not_started':
         return 'Not Started';
+      case 'want_to_read':
+        return 'Want to Read';
+      case 'abandoned':
+        return 'Did Not Finish';
       default:
         return status;
     }
@@ -153,6 +266,8 @@ const BookDetail = () => {
     );
   }
 
+  const progress = getProgress(book);
+
   return (
     <MainLayout>
       <div className="space-y-6">
@@ -166,6 +281,16 @@ const BookDetail = () => {
           </Button>
           
           <div className="flex space-x-3">
+            {book.status === 'completed' && (
+              <Button
+                variant="secondary"
+                onClick={handleStartReread}
+                loading={isStartingReread}
+                disabled={isStartingReread}
+              >
+                Start Re-read
+              </Button>
+            )}
             <Button
               variant="secondary"
               onClick={() => setShowEditModal(true)}
@@ -186,13 +311,15 @@ const BookDetail = () => {
           {/* Cover Image */}
           <div className="lg:col-span-1">
             <Card>
-              <img
+              <LazyImage
                 src={book.coverImage || '/default-book-cover.png'}
                 alt={book.title}
-                className="w-full h-auto rounded-lg"
-                onError={(e) => {
-                  e.target.src = '/default-book-cover.png';
-                }}
+                imageSize="large"
+                className="w-full rounded-lg"
+                imgClassName="w-full h-auto"
+                fallback={
+                  <img src="/default-book-cover.png" alt={book.title} className="w-full h-auto rounded-lg" />
+                }
               />
             </Card>
           </div>
@@ -223,141 +350,382 @@ const BookDetail = () => {
               </div>
             </Card>
 
-            {/* Book Details */}
-            <Card>
-              <Card.Header>
-                <h3 className="text-lg font-medium text-gray-900">Book Details</h3>
-              </Card.Header>
+            {/* Tab Navigation */}
+            <div className="flex border-b border-gray-200">
+              <button
+                onClick={() => setActiveTab('overview')}
+                className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+                  activeTab === 'overview'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                📘 Overview
+              </button>
+              <button
+                onClick={() => setActiveTab('highlights')}
+                className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+                  activeTab === 'highlights'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                🖍️ Highlights{highlightCount ? ` (${highlightCount})` : ''}
+              </button>
+              <button
+                onClick={() => setActiveTab('history')}
+                className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+                  activeTab === 'history'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                🕘 History
+              </button>
+            </div>
+
+            {activeTab === 'highlights' ? (
+              <BookHighlights book={book} onCountChange={setHighlightCount} />
+            ) : activeTab === 'history' ? (
+              <BookHistory book={book} onReverted={handleReverted} />
+            ) : (
+              <>
+                {/* Book Details */}
+                <Card>
+                  <Card.Header>
+                    <h3 className="text-lg font-medium text-gray-900">Book Details</h3>
+                  </Card.Header>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {book.genre && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">Genre</dt>
-                    <dd className="text-sm text-gray-900">{book.genre}</dd>
-                  </div>
-                )}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {book.genre && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Genre</dt>
+                        <dd className="text-sm text-gray-900">{book.genre}</dd>
+                      </div>
+                    )}
                 
-                {book.isbn && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">ISBN</dt>
-                    <dd className="text-sm text-gray-900">{book.isbn}</dd>
-                  </div>
-                )}
+                    {book.series && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Series</dt>
+                        <dd className="text-sm text-gray-900">
+                          {book.series}
+                          {book.seriesPosition !== undefined && book.seriesPosition !== null && ` #${book.seriesPosition}`}
+                        </dd>
+                      </div>
+                    )}
+
+                    {book.isbn && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">ISBN</dt>
+                        <dd className="text-sm text-gray-900">{book.isbn}</dd>
+                      </div>
+                    )}
+
+                    {!book.isbn && book.legacyIsbn && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">ISBN</dt>
+                        <dd className="text-sm text-gray-900">
+                          {book.legacyIsbn}
+                          <span className="block text-xs text-amber-600">
+                            Not a valid ISBN, or another of your books has it. Edit the book to correct it.
+                          </span>
+                        </dd>
+                      </div>
+                    )}
                 
-                {book.publicationDate && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">Publication Date</dt>
-                    <dd className="text-sm text-gray-900">
-                      {new Date(book.publicationDate).toLocaleDateString()}
-                    </dd>
-                  </div>
-                )}
+                    {book.publicationDate && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Publication Date</dt>
+                        <dd className="text-sm text-gray-900">
+                          {new Date(book.publicationDate).toLocaleDateString()}
+                        </dd>
+                      </div>
+                    )}
                 
-                {book.pageCount && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">Pages</dt>
-                    <dd className="text-sm text-gray-900">{book.pageCount}</dd>
-                  </div>
-                )}
+                    <div>
+                      <dt className="text-sm font-medium text-gray-500">Format</dt>
+                      <dd className="text-sm text-gray-900">{getFormatLabel(book.format)}</dd>
+                    </div>
+
+                    {book.format === 'audiobook' ? (
+                      book.durationMinutes && (
+                        <div>
+                          <dt className="text-sm font-medium text-gray-500">Length</dt>
+                          <dd className="text-sm text-gray-900">{formatProgressAmount(book.durationMinutes, 'minute')}</dd>
+                        </div>
+                      )
+                    ) : (
+                      book.pageCount && (
+                        <div>
+                          <dt className="text-sm font-medium text-gray-500">Pages</dt>
+                          <dd className="text-sm text-gray-900">{book.pageCount}</dd>
+                        </div>
+                      )
+                    )}
                 
-                {book.dateStarted && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">Date Started</dt>
-                    <dd className="text-sm text-gray-900">
-                      {new Date(book.dateStarted).toLocaleDateString()}
-                    </dd>
-                  </div>
-                )}
+                    {book.dateStarted && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Date Started</dt>
+                        <dd className="text-sm text-gray-900">
+                          {new Date(book.dateStarted).toLocaleDateString()}
+                        </dd>
+                      </div>
+                    )}
                 
-                {book.dateCompleted && (
-                  <div>
-                    <dt className="text-sm font-medium text-gray-500">Date Completed</dt>
-                    <dd className="text-sm text-gray-900">
-                      {new Date(book.dateCompleted).toLocaleDateString()}
-                    </dd>
+                    {book.dateCompleted && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Date Completed</dt>
+                        <dd className="text-sm text-gray-900">
+                          {new Date(book.dateCompleted).toLocaleDateString()}
+                        </dd>
+                      </div>
+                    )}
+
+                    {book.status === 'abandoned' && book.dateAbandoned && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Stopped Reading</dt>
+                        <dd className="text-sm text-gray-900">
+                          {new Date(book.dateAbandoned).toLocaleDateString()}
+                          {book.abandonedPage !== undefined && book.abandonedPage !== null && ` at page ${book.abandonedPage}`}
+                        </dd>
+                      </div>
+                    )}
+
+                    {book.status === 'abandoned' && book.abandonmentReason && (
+                      <div className="md:col-span-2">
+                        <dt className="text-sm font-medium text-gray-500">Reason</dt>
+                        <dd className="text-sm text-gray-900">{book.abandonmentReason}</dd>
+                      </div>
+                    )}
+
+                    <div>
+                      <dt className="text-sm font-medium text-gray-500">Ownership</dt>
+                      <dd className="text-sm text-gray-900">
+                        {getOwnershipLabel(book.ownershipType)}
+                        {book.condition && ` · ${getConditionLabel(book.condition)}`}
+                      </dd>
+                    </div>
+
+                    {book.shelfLocation && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Shelf Location</dt>
+                        <dd className="text-sm text-gray-900">{book.shelfLocation}</dd>
+                      </div>
+                    )}
+
+                    {((book.purchasePrice !== undefined && book.purchasePrice !== null) || book.purchaseDate || book.purchaseStore) && (
+                      <div>
+                        <dt className="text-sm font-medium text-gray-500">Purchased</dt>
+                        <dd className="text-sm text-gray-900">
+                          {[
+                            formatMoney(book.purchasePrice, book.currency),
+                            book.purchaseStore && `from ${book.purchaseStore}`,
+                            book.purchaseDate && `on ${new Date(book.purchaseDate).toLocaleDateString()}`
+                          ].filter(Boolean).join(' ')}
+                        </dd>
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
-            </Card>
+                </Card>
 
-            {/* Reading Progress */}
-            {book.pageCount && (
-              <Card>
-                <Card.Header>
-                  <h3 className="text-lg font-medium text-gray-900">Reading Progress</h3>
-                </Card.Header>
+                {/* Reading Progress */}
+                {progress.total && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">Reading Progress</h3>
+                    </Card.Header>
                 
-                <div className="space-y-4">
-                  <div className="flex justify-between text-sm text-gray-600">
-                    <span>Progress</span>
-                    <span>{book.currentPage || 0} / {book.pageCount} pages ({book.progressPercentage || 0}%)</span>
-                  </div>
+                    <div className="space-y-4">
+                      <div className="flex justify-between text-sm text-gray-600">
+                        <span>Progress</span>
+                        <span>
+                          {formatProgressPosition(book)}
+                          {progress.unit !== 'percent' && ` (${progress.percentage}%)`}
+                        </span>
+                      </div>
                   
-                  <div className="w-full bg-gray-200 rounded-full h-3">
-                    <div
-                      className="bg-blue-600 h-3 rounded-full transition-all duration-300"
-                      style={{ width: `${book.progressPercentage || 0}%` }}
-                    ></div>
-                  </div>
-                </div>
-              </Card>
-            )}
+                      <div className="w-full bg-gray-200 rounded-full h-3">
+                        <div
+                          className="bg-blue-600 h-3 rounded-full transition-all duration-300"
+                          style={{ width: `${progress.percentage}%` }}
+                        ></div>
+                      </div>
+                    </div>
+                  </Card>
+                )}
 
-            {/* Status Update */}
-            <Card>
-              <Card.Header>
-                <h3 className="text-lg font-medium text-gray-900">Update Status</h3>
-              </Card.Header>
+                {/* Series */}
+                {seriesInfo && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">{seriesInfo.name}</h3>
+                    </Card.Header>
+
+                    <div className="space-y-4">
+                      <div>
+                        <div className="flex justify-between text-sm text-gray-600 mb-1">
+                          <span>Series progress</span>
+                          <span>{seriesInfo.completedBooks} / {seriesInfo.totalBooks} read ({seriesInfo.progress}%)</span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className="bg-green-500 h-2 rounded-full transition-all duration-300"
+                            style={{ width: `${seriesInfo.progress}%` }}
+                          ></div>
+                        </div>
+                      </div>
+
+                      {nextInSeries && (
+                        <div className="flex items-center justify-between p-3 bg-blue-50 rounded-md">
+                          <div>
+                            <p className="text-xs font-medium text-blue-700 uppercase">Next unread in series</p>
+                            <p className="text-sm text-gray-900">
+                              {nextInSeries.seriesPosition !== undefined && nextInSeries.seriesPosition !== null && `#${nextInSeries.seriesPosition} · `}
+                              {nextInSeries.title}
+                            </p>
+                          </div>
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => navigate(`/books/${nextInSeries._id}`)}
+                          >
+                            View
+                          </Button>
+                        </div>
+                      )}
+
+                      <ol className="divide-y divide-gray-100">
+                        {seriesInfo.books.map((seriesBook) => (
+                          <li key={seriesBook._id} className="flex items-center justify-between py-2 text-sm">
+                            <button
+                              type="button"
+                              onClick={() => navigate(`/books/${seriesBook._id}`)}
+                              className={`text-left hover:underline ${seriesBook._id === book._id ? 'font-semibold text-gray-900' : 'text-gray-700'}`}
+                            >
+                              {seriesBook.seriesPosition !== undefined && seriesBook.seriesPosition !== null && `#${seriesBook.seriesPosition} `}
+                              {seriesBook.title}
+                            </button>
+                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${getStatusColor(seriesBook.status)}`}>
+                              {getStatusText(seriesBook.status)}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  </Card>
+                )}
+
+                {/* Progress Timeline */}
+                {(progress.total || progressHistory.length > 0) && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">Progress Timeline</h3>
+                    </Card.Header>
+
+                    <ProgressTimelineChart
+                      history={progressHistory}
+                      pageCount={progress.total}
+                      unit={progress.unit}
+                      loading={historyLoading}
+                    />
+                  </Card>
+                )}
+
+                {/* Reading Session */}
+                <ReadingSession
+                  book={book}
+                  onSessionComplete={handleSessionComplete}
+                />
+
+                {/* Status Update */}
+                <Card>
+                  <Card.Header>
+                    <h3 className="text-lg font-medium text-gray-900">Update Status</h3>
+                  </Card.Header>
               
-              <div className="space-y-3">
-                <select
-                  value={book.status}
-                  onChange={(e) => handleStatusUpdate(e.target.value)}
-                  disabled={isUpdatingStatus}
-                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                >
-                  <option value="not_started">Not Started</option>
-                  <option value="in_progress">In Progress</option>
-                  <option value="completed">Completed</option>
-                </select>
+                  <div className="space-y-3">
+                    <select
+                      value={book.status}
+                      onChange={(e) => handleStatusSelect(e.target.value)}
+                      disabled={isUpdatingStatus}
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    >
+                      <option value="want_to_read">Want to Read</option>
+                      <option value="not_started">Not Started</option>
+                      <option value="in_progress">In Progress</option>
+                      <option value="completed">Completed</option>
+                      <option value="abandoned">Did Not Finish</option>
+                    </select>
                 
-                {isUpdatingStatus && (
-                  <p className="text-sm text-gray-600">Updating status...</p>
+                    {isUpdatingStatus && (
+                      <p className="text-sm text-gray-600">Updating status...</p>
+                    )}
+                  </div>
+                </Card>
+
+                {/* Lending */}
+                <BookLoans book={book} onChange={setBook} />
+
+                {/* Read-throughs */}
+                {book.readings && book.readings.some(reading => reading.dateCompleted) && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">
+                        Read-throughs ({book.readings.filter(reading => reading.dateCompleted).length})
+                      </h3>
+                    </Card.Header>
+
+                    <ul className="divide-y divide-gray-100">
+                      {book.readings.map((reading, index) => (
+                        <li key={reading._id || index} className="flex items-center justify-between py-2 text-sm">
+                          <span className="text-gray-900">Read #{index + 1}</span>
+                          <span className="text-gray-600">
+                            {reading.dateStarted ? new Date(reading.dateStarted).toLocaleDateString() : '—'}
+                            {' → '}
+                            {reading.dateCompleted ? new Date(reading.dateCompleted).toLocaleDateString() : 'Reading now'}
+                          </span>
+                          <span className="text-gray-600">
+                            {reading.rating ? `${reading.rating}/5` : ''}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </Card>
                 )}
-              </div>
-            </Card>
 
-            {/* Tags */}
-            {book.tags && book.tags.length > 0 && (
-              <Card>
-                <Card.Header>
-                  <h3 className="text-lg font-medium text-gray-900">Tags</h3>
-                </Card.Header>
+                {/* Tags */}
+                {book.tags && book.tags.length > 0 && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">Tags</h3>
+                    </Card.Header>
                 
-                <div className="flex flex-wrap gap-2">
-                  {book.tags.map((tag, index) => (
-                    <span
-                      key={index}
-                      className="inline-flex px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded-full"
-                    >
-                      {tag}
-                    </span>
-                  ))}
-                </div>
-              </Card>
-            )}
+                    <div className="flex flex-wrap gap-2">
+                      {book.tags.map((tag, index) => (
+                        <span
+                          key={index}
+                          className="inline-flex px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded-full"
+                        >
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  </Card>
+                )}
 
-            {/* Notes */}
-            {book.notes && (
-              <Card>
-                <Card.Header>
-                  <h3 className="text-lg font-medium text-gray-900">Notes</h3>
-                </Card.Header>
+                {/* Notes */}
+                {book.notes && (
+                  <Card>
+                    <Card.Header>
+                      <h3 className="text-lg font-medium text-gray-900">Notes</h3>
+                    </Card.Header>
                 
-                <p className="text-gray-700 leading-relaxed whitespace-pre-wrap">
-                  {book.notes}
-                </p>
-              </Card>
+                    <p className="text-gray-700 leading-relaxed whitespace-pre-wrap">
+                      {book.notes}
+                    </p>
+                  </Card>
+                )}
+              </>
             )}
           </div>
         </div>
@@ -377,6 +745,65 @@ const BookDetail = () => {
         />
       </Modal>
 
+      {/* Did Not Finish Modal */}
+      <Modal
+        isOpen={showAbandonModal}
+        onClose={() => setShowAbandonModal(false)}
+        title="Mark as Did Not Finish"
+        size="sm"
+      >
+        <form onSubmit={handleAbandon} className="space-y-4">
+          <div className="space-y-1">
+            <label htmlFor="abandonedPage" className="block text-sm font-medium text-gray-700">
+              Page reached
+            </label>
+            <input
+              id="abandonedPage"
+              type="number"
+              min="0"
+              max={book.pageCount || undefined}
+              value={abandonDetails.abandonedPage}
+              onChange={(e) => setAbandonDetails(prev => ({ ...prev, abandonedPage: e.target.value }))}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <label htmlFor="abandonmentReason" className="block text-sm font-medium text-gray-700">
+              Why did you stop reading?
+            </label>
+            <textarea
+              id="abandonmentReason"
+              rows={3}
+              maxLength={500}
+              value={abandonDetails.abandonmentReason}
+              onChange={(e) => setAbandonDetails(prev => ({ ...prev, abandonmentReason: e.target.value }))}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="Optional reason"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <Button
+              type="button"
+              variant="secondary"
+              onClick={() => setShowAbandonModal(false)}
+              disabled={isUpdatingStatus}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="danger"
+              loading={isUpdatingStatus}
+              disabled={isUpdatingStatus}
+            >
+              Did Not Finish
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -386,7 +813,7 @@ const BookDetail = () => {
       >
         <div className="space-y-4">
           <p className="text-gray-600">
-            Are you sure you want to delete "{book.title}"? This action cannot be undone.
+            Move "{book.title}" to the trash? You can restore it from the trash later.
           </p>
           
           <div className="flex justify-end space-x-3">
@@ -1,25 +1,111 @@
-import React, { useState, useEffect } from 'react';
-import { Button, Input, Card } from '../common';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Input, Card, AutocompleteInput } from '../common';
+import MetadataReview from './MetadataReview';
+import BarcodeScanner from './BarcodeScanner';
 import { bookService } from '../../services/bookService';
+import { shelfService } from '../../services/shelfService';
+import { tagService } from '../../services/tagService';
+import { genreService, flattenGenreTree } from '../../services/genreService';
+import { BOOK_FORMATS, EBOOK_PROGRESS_UNITS } from '../../utils/progressUnits';
+import { OWNERSHIP_TYPES, BOOK_CONDITIONS, COMMON_CURRENCIES } from '../../utils/inventory';
+import { ACCEPTED_COVER_TYPES, isUploadedCover, getCoverUrl } from '../../utils/covers';
 
-const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
+// Matches the API's upload limit (MAX_UPLOAD_SIZE)
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+const selectClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false, startScanning = false }) => {
   const [formData, setFormData] = useState({
     title: '',
     author: '',
     isbn: '',
     genre: '',
+    series: '',
+    seriesPosition: '',
     description: '',
     coverImage: '',
     pageCount: '',
+    format: 'paperback',
+    ebookProgressUnit: 'page',
+    durationMinutes: '',
+    locationCount: '',
     status: 'not_started',
     rating: '',
     notes: '',
+    abandonmentReason: '',
     tags: '',
-    publicationDate: ''
+    shelves: [],
+    publicationDate: '',
+    ownershipType: 'owned',
+    shelfLocation: '',
+    condition: '',
+    purchaseDate: '',
+    purchasePrice: '',
+    currency: 'USD',
+    purchaseStore: ''
   });
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [shelves, setShelves] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [genrePaths, setGenrePaths] = useState([]);
+  // A photo picked for the cover, uploaded once the book is saved
+  const [coverFile, setCoverFile] = useState(null);
+  const [coverPreview, setCoverPreview] = useState('');
+  const [lookup, setLookup] = useState({ loading: false, results: null, error: '' });
+  const [scanning, setScanning] = useState(startScanning && !book);
+
+  useEffect(() => {
+    if (!coverFile) {
+      setCoverPreview('');
+      return undefined;
+    }
+    const url = URL.createObjectURL(coverFile);
+    setCoverPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [coverFile]);
+
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await tagService.getTags();
+        setKnownTags(response.data.tags.map(tag => tag.name));
+      } catch (err) {
+        console.error('Failed to fetch tags:', err);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
+  useEffect(() => {
+    const fetchGenres = async () => {
+      try {
+        const response = await genreService.getGenres();
+        setGenrePaths(flattenGenreTree(response.data.genres).map(genre => genre.path));
+      } catch (err) {
+        console.error('Failed to fetch genres:', err);
+      }
+    };
+
+    fetchGenres();
+  }, []);
+
+  useEffect(() => {
+    const fetchShelves = async () => {
+      try {
+        const response = await shelfService.getShelves();
+        // Smart shelves fill themselves from their criteria
+        setShelves(response.data.shelves.filter(shelf => !shelf.isSmart));
+      } catch (err) {
+        console.error('Failed to fetch shelves:', err);
+      }
+    };
+
+    fetchShelves();
+  }, []);
 
   // Populate form if editing existing book
   useEffect(() => {
@@ -29,14 +115,29 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
         author: book.author || '',
         isbn: book.isbn || '',
         genre: book.genre || '',
+        series: book.series || '',
+        seriesPosition: book.seriesPosition ?? '',
         description: book.description || '',
         coverImage: book.coverImage || '',
         pageCount: book.pageCount || '',
+        format: book.format || 'paperback',
+        ebookProgressUnit: book.ebookProgressUnit || 'page',
+        durationMinutes: book.durationMinutes || '',
+        locationCount: book.locationCount || '',
         status: book.status || 'not_started',
         rating: book.rating || '',
         notes: book.notes || '',
+        abandonmentReason: book.abandonmentReason || '',
         tags: book.tags ? book.tags.join(', ') : '',
-        publicationDate: book.publicationDate ? book.publicationDate.split('T')[0] : ''
+        shelves: book.shelves || [],
+        publicationDate: book.publicationDate ? book.publicationDate.split('T')[0] : '',
+        ownershipType: book.ownershipType || 'owned',
+        shelfLocation: book.shelfLocation || '',
+        condition: book.condition || '',
+        purchaseDate: book.purchaseDate ? book.purchaseDate.split('T')[0] : '',
+        purchasePrice: book.purchasePrice ?? '',
+        currency: book.currency || 'USD',
+        purchaseStore: book.purchaseStore || ''
       });
     }
   }, [book]);
@@ -57,6 +158,106 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
     }
   };
 
+  const handleCoverFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!ACCEPTED_COVER_TYPES.includes(file.type)) {
+      setErrors(prev => ({ ...prev, coverImage: 'Choose a JPEG, PNG, GIF or WebP image' }));
+      return;
+    }
+    if (file.size > MAX_COVER_BYTES) {
+      setErrors(prev => ({ ...prev, coverImage: 'Cover photos can be at most 10MB' }));
+      return;
+    }
+
+    setCoverFile(file);
+    setErrors(prev => ({ ...prev, coverImage: '' }));
+  };
+
+  const handleRemoveCover = () => {
+    setCoverFile(null);
+    setFormData(prev => ({ ...prev, coverImage: '' }));
+  };
+
+  const lookUpMetadata = async (query) => {
+    setLookup({ loading: true, results: null, error: '' });
+    try {
+      const response = await bookService.lookupMetadata(query);
+      const { results } = response.data;
+      setLookup({
+        loading: false,
+        results: results.length > 0 ? results : null,
+        error: results.length > 0 ? '' : `No book found for this ${query.isbn ? 'ISBN' : 'title'}`
+      });
+    } catch (err) {
+      setLookup({ loading: false, results: null, error: err.message });
+    }
+  };
+
+  // Find the book's details by its ISBN, or by title and author when there is no ISBN yet
+  const handleLookup = () => {
+    const isbn = formData.isbn.trim();
+    lookUpMetadata(isbn ? { isbn } : { title: formData.title.trim(), author: formData.author.trim() });
+  };
+
+  // A scanned barcode fills in the ISBN and looks the book up straight away
+  const handleBarcodeDetected = (isbn) => {
+    setScanning(false);
+    setFormData(prev => ({ ...prev, isbn }));
+    setErrors(prev => ({ ...prev, isbn: '' }));
+    lookUpMetadata({ isbn });
+  };
+
+  const handleCancelScan = () => {
+    setScanning(false);
+    document.getElementById('book-form-isbn')?.focus();
+  };
+
+  const handleApplyMetadata = (fields) => {
+    setFormData(prev => ({ ...prev, ...fields }));
+    setErrors(prev => ({ ...prev, ...Object.fromEntries(Object.keys(fields).map(name => [name, ''])) }));
+    // A cover picked from the lookup replaces a photo waiting to be uploaded
+    if (fields.coverImage) {
+      setCoverFile(null);
+    }
+    setLookup({ loading: false, results: null, error: '' });
+  };
+
+  // Authors already in the library, tolerating typos
+  const fetchAuthorSuggestions = useCallback(async (text) => {
+    const response = await bookService.getSuggestions(text, { types: ['author'], limit: 6 });
+    return response.data.suggestions;
+  }, []);
+
+  // Existing tags matching the tag being typed (the text after the last comma)
+  const enteredTags = formData.tags.split(',').map(tag => tag.trim().toLowerCase());
+  const tagFragment = enteredTags[enteredTags.length - 1];
+  const tagSuggestions = tagFragment
+    ? knownTags
+      .filter(tag => tag.toLowerCase().includes(tagFragment) && !enteredTags.slice(0, -1).includes(tag.toLowerCase()))
+      .filter(tag => tag.toLowerCase() !== tagFragment)
+      .slice(0, 6)
+    : [];
+
+  const handleTagSuggestion = (tag) => {
+    const parts = formData.tags.split(',').slice(0, -1).map(part => part.trim()).filter(Boolean);
+    setFormData(prev => ({
+      ...prev,
+      tags: [...parts, tag].join(', ') + ', '
+    }));
+  };
+
+  const handleShelfToggle = (shelfId) => {
+    setFormData(prev => ({
+      ...prev,
+      shelves: prev.shelves.includes(shelfId)
+        ? prev.shelves.filter(id => id !== shelfId)
+        : [...prev.shelves, shelfId]
+    }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -72,11 +273,33 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
       newErrors.pageCount = 'Page count must be a positive number';
     }
 
+    if (formData.durationMinutes && (isNaN(formData.durationMinutes) || parseInt(formData.durationMinutes) < 1)) {
+      newErrors.durationMinutes = 'Duration must be a positive number of minutes';
+    }
+
+    if (formData.locationCount && (isNaN(formData.locationCount) || parseInt(formData.locationCount) < 1)) {
+      newErrors.locationCount = 'Location count must be a positive number';
+    }
+
+    if (formData.seriesPosition !== '' && (isNaN(formData.seriesPosition) || parseFloat(formData.seriesPosition) < 0)) {
+      newErrors.seriesPosition = 'Series position must be zero or more';
+    } else if (formData.seriesPosition !== '' && !formData.series.trim()) {
+      newErrors.seriesPosition = 'Enter a series name first';
+    }
+
     if (formData.rating && (isNaN(formData.rating) || parseInt(formData.rating) < 1 || parseInt(formData.rating) > 5)) {
       newErrors.rating = 'Rating must be between 1 and 5';
     }
 
-    if (formData.coverImage && !isValidUrl(formData.coverImage)) {
+    if (formData.purchasePrice !== '' && (isNaN(formData.purchasePrice) || parseFloat(formData.purchasePrice) < 0)) {
+      newErrors.purchasePrice = 'Price must be zero or more';
+    }
+
+    if (formData.currency && !/^[A-Za-z]{3}$/.test(formData.currency.trim())) {
+      newErrors.currency = 'Use a three-letter code such as USD';
+    }
+
+    if (formData.coverImage && !isUploadedCover(formData.coverImage) && !isValidUrl(formData.coverImage)) {
       newErrors.coverImage = 'Please enter a valid image URL';
     }
 
@@ -106,9 +329,17 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
       const submitData = {
         ...formData,
         pageCount: formData.pageCount ? parseInt(formData.pageCount) : undefined,
+        durationMinutes: formData.durationMinutes ? parseInt(formData.durationMinutes) : undefined,
+        locationCount: formData.locationCount ? parseInt(formData.locationCount) : undefined,
         rating: formData.rating ? parseInt(formData.rating) : undefined,
+        seriesPosition: formData.seriesPosition !== '' ? parseFloat(formData.seriesPosition) : undefined,
         tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
-        publicationDate: formData.publicationDate || undefined
+        publicationDate: formData.publicationDate || undefined,
+        purchasePrice: formData.purchasePrice !== '' ? parseFloat(formData.purchasePrice) : undefined,
+        // A currency only means something alongside a price
+        currency: formData.purchasePrice !== '' ? formData.currency.trim().toUpperCase() : undefined,
+        // The reason is only asked for, and only kept, while the book is abandoned
+        abandonmentReason: formData.status === 'abandoned' ? formData.abandonmentReason : undefined
       };
 
       // Remove empty fields
@@ -118,7 +349,12 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
         }
       });
 
-      await onSubmit(submitData);
+      // Clearing the cover of a book that had one has to be sent, not dropped
+      if (book?.coverImage && !formData.coverImage) {
+        submitData.coverImage = '';
+      }
+
+      await onSubmit(submitData, coverFile);
     } catch (error) {
       console.error('Form submission error:', error);
     } finally {
@@ -126,6 +362,12 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
     }
   };
 
+  // A photo rather than a link: picked for upload, or uploaded before
+  const hasCoverUpload = Boolean(coverFile) || isUploadedCover(formData.coverImage);
+  const coverPreviewSrc = coverPreview || (
+    hasCoverUpload || isValidUrl(formData.coverImage) ? getCoverUrl(formData.coverImage, 'small') : ''
+  );
+
   return (
     <Card className="max-w-2xl mx-auto">
       <Card.Header>
@@ -135,6 +377,19 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
       </Card.Header>
 
       <form onSubmit={handleSubmit} className="space-y-6">
+        {scanning && (
+          <BarcodeScanner onDetected={handleBarcodeDetected} onCancel={handleCancelScan} />
+        )}
+
+        {lookup.results && (
+          <MetadataReview
+            results={lookup.results}
+            formData={formData}
+            onApply={handleApplyMetadata}
+            onCancel={() => setLookup({ loading: false, results: null, error: '' })}
+          />
+        )}
+
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <Input
             label="Title"
@@ -146,24 +401,47 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
             placeholder="Enter book title"
           />
 
-          <Input
+          <AutocompleteInput
             label="Author"
             name="author"
             value={formData.author}
             onChange={handleChange}
+            fetchSuggestions={fetchAuthorSuggestions}
+            onSelect={({ value }) => handleChange({ target: { name: 'author', value } })}
             error={errors.author}
             required
             placeholder="Enter author name"
           />
 
-          <Input
-            label="ISBN"
-            name="isbn"
-            value={formData.isbn}
-            onChange={handleChange}
-            error={errors.isbn}
-            placeholder="Enter ISBN (optional)"
-          />
+          <div className="space-y-2">
+            <Input
+              id="book-form-isbn"
+              label="ISBN"
+              name="isbn"
+              value={formData.isbn}
+              onChange={handleChange}
+              error={errors.isbn}
+              placeholder="Enter ISBN (optional)"
+              helperText="ISBN-10 or ISBN-13, hyphens optional"
+            />
+            <div className="flex flex-wrap gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={handleLookup}
+                disabled={lookup.loading || (!formData.isbn.trim() && !formData.title.trim())}
+              >
+                {lookup.loading ? 'Looking up...' : formData.isbn.trim() ? '🔎 Fill from ISBN' : '🔎 Look up by title'}
+              </Button>
+              {!scanning && (
+                <Button type="button" variant="outline" size="sm" onClick={() => setScanning(true)}>
+                  📷 Scan barcode
+                </Button>
+              )}
+            </div>
+            {lookup.error && <p className="text-sm text-red-600">{lookup.error}</p>}
+          </div>
 
           <Input
             label="Genre"
@@ -171,20 +449,108 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
             value={formData.genre}
             onChange={handleChange}
             error={errors.genre}
-            placeholder="Enter genre"
+            placeholder="e.g. Fiction / Fantasy"
+            helperText="Use / for sub-genres; new genres are created as needed"
+            list="book-form-genres"
           />
+          <datalist id="book-form-genres">
+            {genrePaths.map(path => (
+              <option key={path} value={path} />
+            ))}
+          </datalist>
 
           <Input
-            label="Page Count"
-            name="pageCount"
+            label="Series"
+            name="series"
+            value={formData.series}
+            onChange={handleChange}
+            error={errors.series}
+            placeholder="e.g. The Expanse"
+          />
+
+          <Input
+            label="Position in Series"
+            name="seriesPosition"
             type="number"
-            value={formData.pageCount}
+            value={formData.seriesPosition}
             onChange={handleChange}
-            error={errors.pageCount}
-            placeholder="Number of pages"
-            min="1"
+            error={errors.seriesPosition}
+            placeholder="e.g. 1, 2 or 2.5"
+            min="0"
+            step="any"
           />
 
+          <div className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">
+              Format
+            </label>
+            <select
+              name="format"
+              value={formData.format}
+              onChange={handleChange}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              {BOOK_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {formData.format === 'audiobook' ? (
+            <Input
+              label="Duration (minutes)"
+              name="durationMinutes"
+              type="number"
+              value={formData.durationMinutes}
+              onChange={handleChange}
+              error={errors.durationMinutes}
+              placeholder="e.g. 690 for 11h 30m"
+              min="1"
+            />
+          ) : (
+            <Input
+              label="Page Count"
+              name="pageCount"
+              type="number"
+              value={formData.pageCount}
+              onChange={handleChange}
+              error={errors.pageCount}
+              placeholder="Number of pages"
+              min="1"
+            />
+          )}
+
+          {formData.format === 'ebook' && (
+            <div className="space-y-1">
+              <label className="block text-sm font-medium text-gray-700">
+                Track Progress By
+              </label>
+              <select
+                name="ebookProgressUnit"
+                value={formData.ebookProgressUnit}
+                onChange={handleChange}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                {EBOOK_PROGRESS_UNITS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {formData.format === 'ebook' && formData.ebookProgressUnit === 'location' && (
+            <Input
+              label="Location Count"
+              name="locationCount"
+              type="number"
+              value={formData.locationCount}
+              onChange={handleChange}
+              error={errors.locationCount}
+              placeholder="Total Kindle locations"
+              min="1"
+            />
+          )}
+
           <div className="space-y-1">
             <label className="block text-sm font-medium text-gray-700">
               Status
@@ -195,22 +561,65 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
               onChange={handleChange}
               className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
             >
+              <option value="want_to_read">Want to Read</option>
               <option value="not_started">Not Started</option>
               <option value="in_progress">In Progress</option>
               <option value="completed">Completed</option>
+              <option value="abandoned">Did Not Finish</option>
             </select>
           </div>
         </div>
 
-        <Input
-          label="Cover Image URL"
-          name="coverImage"
-          value={formData.coverImage}
-          onChange={handleChange}
-          error={errors.coverImage}
-          placeholder="https://example.com/cover.jpg"
-          helperText="Enter a direct link to the book cover image"
-        />
+        <div className="flex items-start space-x-4">
+          {coverPreviewSrc && (
+            <img
+              src={coverPreviewSrc}
+              alt="Cover preview"
+              className="w-16 h-24 object-cover rounded shadow-sm bg-gray-100 flex-shrink-0"
+            />
+          )}
+          <div className="flex-1 space-y-2">
+            {hasCoverUpload ? (
+              <div className="space-y-1">
+                <label className="block text-sm font-medium text-gray-700">Cover Image</label>
+                <p className="text-sm text-gray-600">
+                  {coverFile ? `${coverFile.name} (uploads when you save)` : 'Uploaded photo'}
+                </p>
+              </div>
+            ) : (
+              <Input
+                label="Cover Image URL"
+                name="coverImage"
+                value={formData.coverImage}
+                onChange={handleChange}
+                error={errors.coverImage}
+                placeholder="https://example.com/cover.jpg"
+                helperText="Enter a direct link to the book cover image, or upload a photo"
+              />
+            )}
+            <div className="flex items-center space-x-3">
+              <label className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 cursor-pointer">
+                📷 {hasCoverUpload ? 'Choose another photo' : 'Upload a photo'}
+                <input
+                  type="file"
+                  accept={ACCEPTED_COVER_TYPES.join(',')}
+                  onChange={handleCoverFileChange}
+                  className="sr-only"
+                />
+              </label>
+              {(coverFile || formData.coverImage) && (
+                <button
+                  type="button"
+                  onClick={handleRemoveCover}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Remove cover
+                </button>
+              )}
+            </div>
+            {hasCoverUpload && errors.coverImage && <p className="text-sm text-red-600">{errors.coverImage}</p>}
+          </div>
+        </div>
 
         <Input
           label="Publication Date"
@@ -242,7 +651,154 @@ const BookForm = ({ book = null, onSubmit, onCancel, isLoading = false }) => {
           onChange={handleChange}
           placeholder="fiction, mystery, thriller (comma-separated)"
           helperText="Separate tags with commas"
+          autoComplete="off"
         />
+        {tagSuggestions.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 -mt-2" aria-label="Matching tags">
+            <span className="text-xs text-gray-500">Existing tags:</span>
+            {tagSuggestions.map(tag => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => handleTagSuggestion(tag)}
+                className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-blue-100 hover:text-blue-800"
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {shelves.length > 0 && (
+          <fieldset className="space-y-2">
+            <legend className="block text-sm font-medium text-gray-700">
+              Shelves
+            </legend>
+            <div className="flex flex-wrap gap-3">
+              {shelves.map((shelf) => (
+                <label key={shelf._id} className="inline-flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.shelves.includes(shelf._id)}
+                    onChange={() => handleShelfToggle(shelf._id)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span>{shelf.icon ? `${shelf.icon} ` : ''}{shelf.name}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+
+        <fieldset className="space-y-3">
+          <legend className="block text-sm font-medium text-gray-700">
+            Ownership &amp; Purchase
+          </legend>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <label htmlFor="book-form-ownership" className="block text-sm font-medium text-gray-700">
+                Ownership
+              </label>
+              <select
+                id="book-form-ownership"
+                name="ownershipType"
+                value={formData.ownershipType}
+                onChange={handleChange}
+                className={selectClassName}
+              >
+                {OWNERSHIP_TYPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-1">
+              <label htmlFor="book-form-condition" className="block text-sm font-medium text-gray-700">
+                Condition
+              </label>
+              <select
+                id="book-form-condition"
+                name="condition"
+                value={formData.condition}
+                onChange={handleChange}
+                className={selectClassName}
+              >
+                <option value="">Not recorded</option>
+                {BOOK_CONDITIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <Input
+              label="Shelf Location"
+              name="shelfLocation"
+              value={formData.shelfLocation}
+              onChange={handleChange}
+              placeholder="e.g. Study, shelf 3"
+              maxLength={100}
+            />
+
+            <Input
+              label="Purchased From"
+              name="purchaseStore"
+              value={formData.purchaseStore}
+              onChange={handleChange}
+              placeholder="Store or seller"
+              maxLength={100}
+            />
+
+            <Input
+              label="Purchase Date"
+              name="purchaseDate"
+              type="date"
+              value={formData.purchaseDate}
+              onChange={handleChange}
+            />
+
+            <div className="flex space-x-2">
+              <div className="flex-1">
+                <Input
+                  label="Price"
+                  name="purchasePrice"
+                  type="number"
+                  value={formData.purchasePrice}
+                  onChange={handleChange}
+                  error={errors.purchasePrice}
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+              <div className="w-24">
+                <Input
+                  label="Currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  error={errors.currency}
+                  maxLength={3}
+                  list="book-form-currencies"
+                />
+                <datalist id="book-form-currencies">
+                  {COMMON_CURRENCIES.map(code => (
+                    <option key={code} value={code} />
+                  ))}
+                </datalist>
+              </div>
+            </div>
+          </div>
+        </fieldset>
+
+        {formData.status === 'abandoned' && (
+          <Input
+            label="Why did you stop reading?"
+            name="abandonmentReason"
+            value={formData.abandonmentReason}
+            onChange={handleChange}
+            placeholder="Optional reason"
+            maxLength={500}
+          />
+        )}
 
         {formData.status === 'completed' && (
           <Input
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Button, Card, Input } from '../common';
+import { highlightService } from '../../services/highlightService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const HIGHLIGHT_COLORS = {
+  yellow: 'border-yellow-400 bg-yellow-50',
+  green: 'border-green-400 bg-green-50',
+  blue: 'border-blue-400 bg-blue-50',
+  pink: 'border-pink-400 bg-pink-50',
+  purple: 'border-purple-400 bg-purple-50'
+};
+
+const SWATCH_COLORS = {
+  yellow: 'bg-yellow-300',
+  green: 'bg-green-300',
+  blue: 'bg-blue-300',
+  pink: 'bg-pink-300',
+  purple: 'bg-purple-300'
+};
+
+const emptyHighlight = { text: '', page: '', location: '', note: '', color: 'yellow' };
+
+const fieldClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const BookHighlights = ({ book, onCountChange }) => {
+  const [highlights, setHighlights] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [colorFilter, setColorFilter] = useState('');
+  const [allBooks, setAllBooks] = useState(false);
+  const [formData, setFormData] = useState(emptyHighlight);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const { announcePolite } = useScreenReader();
+
+  useEffect(() => {
+    // Debounce typing in the search box
+    const timeout = setTimeout(fetchHighlights, 300);
+    return () => clearTimeout(timeout);
+  }, [book._id, search, colorFilter, allBooks]);
+
+  const fetchHighlights = async () => {
+    setLoading(true);
+    setError('');
+
+    const params = {
+      q: search.trim() || undefined,
+      color: colorFilter || undefined,
+      limit: allBooks ? 50 : 100
+    };
+
+    try {
+      const response = allBooks
+        ? await highlightService.searchHighlights(params)
+        : await highlightService.getBookHighlights(book._id, params);
+      setHighlights(response.data.highlights);
+      if (!allBooks && !params.q && !params.color) {
+        onCountChange?.(response.data.pagination.totalHighlights);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const openForm = (highlight = null) => {
+    setEditingId(highlight?._id || null);
+    setFormData(highlight
+      ? {
+        text: highlight.text,
+        page: highlight.page ?? '',
+        location: highlight.location || '',
+        note: highlight.note || '',
+        color: highlight.color
+      }
+      : emptyHighlight);
+    setShowForm(true);
+    setError('');
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyHighlight);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.text.trim()) {
+      setError('Highlight text is required');
+      return;
+    }
+
+    const highlightData = {
+      ...formData,
+      page: formData.page !== '' ? parseInt(formData.page) : null
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      if (editingId) {
+        await highlightService.updateHighlight(book._id, editingId, highlightData);
+        announcePolite('Highlight updated');
+      } else {
+        await highlightService.createHighlight(book._id, highlightData);
+        announcePolite('Highlight saved');
+      }
+      closeForm();
+      setAllBooks(false);
+      await fetchHighlights();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (highlight) => {
+    if (!window.confirm('Delete this highlight?')) {
+      return;
+    }
+
+    try {
+      await highlightService.deleteHighlight(highlight.bookId._id || highlight.bookId, highlight._id);
+      announcePolite('Highlight deleted');
+      await fetchHighlights();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatReference = (highlight) => [
+    highlight.page !== undefined && highlight.page !== null && `p. ${highlight.page}`,
+    highlight.location
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Card>
+      <Card.Header>
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Highlights</h3>
+          {!showForm && (
+            <Button variant="primary" size="sm" onClick={() => openForm()}>
+              + Add Highlight
+            </Button>
+          )}
+        </div>
+      </Card.Header>
+
+      <div className="space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* Add / Edit Form */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="space-y-3 p-4 border border-gray-200 rounded-md">
+            <div className="space-y-1">
+              <label htmlFor="highlightText" className="block text-sm font-medium text-gray-700">
+                Quote
+              </label>
+              <textarea
+                id="highlightText"
+                name="text"
+                value={formData.text}
+                onChange={handleChange}
+                rows={3}
+                maxLength={5000}
+                required
+                className={fieldClassName}
+                placeholder="Type or paste the passage..."
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <Input
+                label="Page"
+                name="page"
+                type="number"
+                min="0"
+                value={formData.page}
+                onChange={handleChange}
+              />
+              <Input
+                label="Location"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                placeholder="e.g. Loc 1234"
+                maxLength={100}
+              />
+              <div className="space-y-1">
+                <label htmlFor="highlightColor" className="block text-sm font-medium text-gray-700">
+                  Color
+                </label>
+                <select
+                  id="highlightColor"
+                  name="color"
+                  value={formData.color}
+                  onChange={handleChange}
+                  className={fieldClassName}
+                >
+                  {Object.keys(HIGHLIGHT_COLORS).map(color => (
+                    <option key={color} value={color}>
+                      {color.charAt(0).toUpperCase() + color.slice(1)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <Input
+              label="Note"
+              name="note"
+              value={formData.note}
+              onChange={handleChange}
+              placeholder="Why this passage stood out (optional)"
+              maxLength={1000}
+            />
+            <div className="flex justify-end space-x-2">
+              <Button variant="secondary" size="sm" onClick={closeForm} disabled={saving}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" size="sm" loading={saving} disabled={saving}>
+                {editingId ? 'Save Changes' : 'Save Highlight'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Filters */}
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex-1">
+            <Input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={allBooks ? 'Search highlights in all books...' : 'Search highlights...'}
+              aria-label="Search highlights"
+            />
+          </div>
+          <select
+            value={colorFilter}
+            onChange={(e) => setColorFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            aria-label="Filter by color"
+          >
+            <option value="">All colors</option>
+            {Object.keys(HIGHLIGHT_COLORS).map(color => (
+              <option key={color} value={color}>
+                {color.charAt(0).toUpperCase() + color.slice(1)}
+              </option>
+            ))}
+          </select>
+          <label className="inline-flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={allBooks}
+              onChange={(e) => setAllBooks(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span>All books</span>
+          </label>
+        </div>
+
+        {/* Highlight List */}
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            <div className="h-16 bg-gray-200 rounded"></div>
+            <div className="h-16 bg-gray-200 rounded"></div>
+          </div>
+        ) : highlights.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="text-4xl mb-2">🖍️</div>
+            <p>{search || colorFilter ? 'No highlights match your search' : 'No highlights yet'}</p>
+            {!search && !colorFilter && !allBooks && (
+              <p className="text-sm">Save your favorite quotes and passages from this book</p>
+            )}
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {highlights.map((highlight) => {
+              const highlightBook = typeof highlight.bookId === 'object' ? highlight.bookId : null;
+              const isOwnBook = !highlightBook || highlightBook._id === book._id;
+
+              return (
+                <li
+                  key={highlight._id}
+                  className={`border-l-4 rounded-r-md p-4 ${HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow}`}
+                >
+                  <blockquote className="text-gray-900 whitespace-pre-wrap">“{highlight.text}”</blockquote>
+                  {highlight.note && (
+                    <p className="mt-2 text-sm text-gray-700">{highlight.note}</p>
+                  )}
+                  <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                    <span className="flex items-center space-x-2">
+                      <span className={`inline-block h-2 w-2 rounded-full ${SWATCH_COLORS[highlight.color]}`} aria-hidden="true"></span>
+                      {highlightBook && !isOwnBook && (
+                        <Link to={`/books/${highlightBook._id}`} className="text-blue-600 hover:text-blue-800">
+                          {highlightBook.title}
+                        </Link>
+                      )}
+                      <span>{formatReference(highlight)}</span>
+                      <span>{new Date(highlight.createdAt).toLocaleDateString()}</span>
+                    </span>
+                    {isOwnBook && (
+                      <span className="space-x-3">
+                        <button
+                          onClick={() => openForm(highlight)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(highlight)}
+                          className="text-red-600 hover:text-red-800"
+                          aria-label="Delete highlight"
+                        >
+                          Remove
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default BookHighlights;
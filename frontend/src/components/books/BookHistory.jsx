@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Card } from '../common';
+import { bookService } from '../../services/bookService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  isbn: 'ISBN',
+  publicationDate: 'Publication date',
+  genre: 'Genre',
+  series: 'Series',
+  seriesPosition: 'Series position',
+  coverImage: 'Cover image',
+  description: 'Description',
+  status: 'Status',
+  rating: 'Rating',
+  notes: 'Notes',
+  dateStarted: 'Date started',
+  dateCompleted: 'Date completed',
+  dateAbandoned: 'Date abandoned',
+  abandonedPage: 'Abandoned at page',
+  abandonmentReason: 'Reason for stopping',
+  tags: 'Tags',
+  shelves: 'Shelves',
+  pageCount: 'Pages',
+  currentPage: 'Current page',
+  format: 'Format',
+  durationMinutes: 'Length (minutes)',
+  currentMinute: 'Current minute',
+  ebookProgressUnit: 'Ebook progress unit',
+  currentPercent: 'Percent read',
+  locationCount: 'Locations',
+  currentLocation: 'Current location'
+};
+
+const SOURCE_LABELS = {
+  web: 'Web',
+  import: 'Import',
+  offline_sync: 'Offline sync'
+};
+
+const DATE_FIELDS = ['publicationDate', 'dateStarted', 'dateCompleted', 'dateAbandoned'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return field === 'shelves' ? `${value.length} shelf${value.length !== 1 ? 'ves' : ''}` : value.join(', ');
+  }
+  if (DATE_FIELDS.includes(field)) return new Date(value).toLocaleDateString();
+  if (field === 'status') return String(value).replace(/_/g, ' ');
+  return String(value);
+};
+
+const describeRevision = (revision) => {
+  if (revision.created) return `Added via ${SOURCE_LABELS[revision.source]}`;
+  if (revision.revertedTo) return `Reverted via ${SOURCE_LABELS[revision.source]}`;
+  return `Edited via ${SOURCE_LABELS[revision.source]}`;
+};
+
+const BookHistory = ({ book, onReverted }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+  const [error, setError] = useState('');
+  const { announcePolite } = useScreenReader();
+
+  useEffect(() => {
+    fetchHistory();
+  }, [book._id, book.updatedAt]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await bookService.getBookHistory(book._id, { limit: 50 });
+      setRevisions(response.data.revisions);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevert = async (revision) => {
+    const when = new Date(revision.createdAt).toLocaleString();
+    if (!window.confirm(`Restore this book to how it was on ${when}? The revert is recorded, so it can be undone too.`)) {
+      return;
+    }
+
+    try {
+      setRevertingId(revision._id);
+      setError('');
+      const response = await bookService.revertBookRevision(book._id, revision._id);
+      announcePolite(response.message);
+      onReverted?.(response.data.book);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="text-lg font-medium text-gray-900">Change History</h3>
+      </Card.Header>
+
+      <div className="space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            <div className="h-16 bg-gray-200 rounded"></div>
+            <div className="h-16 bg-gray-200 rounded"></div>
+          </div>
+        ) : revisions.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="text-4xl mb-2">🕘</div>
+            <p>No changes recorded yet</p>
+          </div>
+        ) : (
+          <ol className="space-y-4">
+            {revisions.map((revision, index) => (
+              <li key={revision._id} className="border border-gray-200 rounded-md p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{describeRevision(revision)}</p>
+                    <p className="text-xs text-gray-500">{new Date(revision.createdAt).toLocaleString()}</p>
+                  </div>
+                  {index === 0 ? (
+                    <span className="text-xs text-gray-500">Current version</span>
+                  ) : (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => handleRevert(revision)}
+                      loading={revertingId === revision._id}
+                      disabled={Boolean(revertingId)}
+                    >
+                      Revert to This Version
+                    </Button>
+                  )}
+                </div>
+                <dl className="text-sm space-y-1">
+                  {revision.changes.map(change => (
+                    <div key={change.field} className="grid grid-cols-3 gap-2">
+                      <dt className="text-gray-500">{FIELD_LABELS[change.field] || change.field}</dt>
+                      <dd className="col-span-2 text-gray-900 break-words">
+                        {!revision.created && (
+                          <>
+                            <span className="text-gray-500 line-through">{formatValue(change.field, change.from)}</span>
+                            <span className="mx-1 text-gray-400" aria-label="changed to">→</span>
+                          </>
+                        )}
+                        {formatValue(change.field, change.to)}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default BookHistory;
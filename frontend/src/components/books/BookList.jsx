@@ -1,84 +1,265 @@
-import React, { useState, useEffect } from 'react';
-import { Button, Input, Card } from '../common';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Button, Card, UndoToast, AutocompleteInput } from '../common';
 import BookCard from './BookCard';
+import DuplicateReviewModal from './DuplicateReviewModal';
+import TrashModal from './TrashModal';
+import BulkActionBar from './BulkActionBar';
+import FacetChips from './FacetChips';
+import { ShelfManagerModal, ShelfSidebar } from '../shelves';
+import AdvancedSearchModal from '../search/AdvancedSearchModal';
+import { GenreManagerModal } from '../genres';
 import { bookService } from '../../services/bookService';
+import { shelfService, describeShelfCriteria } from '../../services/shelfService';
+import { genreService, flattenGenreTree } from '../../services/genreService';
+import {
+  SEARCH_SYNTAX_HELP,
+  getSearchFilters,
+  removeSearchFilter,
+  getSearchText,
+  applySuggestion
+} from '../../utils/searchQuery';
+
+// Refinements that can come from the facet chips, and their value when cleared
+const REFINEMENT_DEFAULTS = { status: 'all', genre: 'all', tag: '', rating: '', decade: '' };
+
+// Advanced search criteria narrowed to one facet value (or widened again when `bucket` is null)
+const refineCriteria = (criteria, field, bucket) => {
+  const rest = { ...criteria };
+  delete rest[field === 'tag' ? 'tags' : field];
+  if (!bucket) return rest;
+
+  switch (field) {
+    case 'genre':
+      return { ...rest, genre: bucket.label };
+    case 'tag':
+      return { ...rest, tags: bucket.value };
+    case 'rating':
+      return { ...rest, rating: { min: bucket.value, max: bucket.value } };
+    default:
+      return { ...rest, [field]: bucket.value };
+  }
+};
 
 const BookList = ({ onAddBook, onEditBook, onImportExport }) => {
   const [books, setBooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  // The query the list was last fetched for, which trails typing in the search box
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [searchTerms, setSearchTerms] = useState([]);
+  const [showSearchHelp, setShowSearchHelp] = useState(false);
   const [filters, setFilters] = useState({
     status: 'all',
     genre: 'all',
+    shelf: 'all',
+    tag: '',
+    rating: '',
+    decade: '',
     sortBy: 'createdAt',
     sortOrder: 'desc'
   });
+  // Cursor pagination: more books are appended as the list is scrolled
   const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 1,
     totalBooks: 0,
     hasNextPage: false,
-    hasPrevPage: false
+    nextCursor: null
   });
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Counts per status, genre, tag, rating and decade for the current results (first page only)
+  const [facets, setFacets] = useState(null);
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
   const [genres, setGenres] = useState([]);
+  const [shelves, setShelves] = useState([]);
+  const [showShelfManager, setShowShelfManager] = useState(false);
+  // Criteria and sort from the advanced search modal, listed instead of the search box results
+  const [advancedSearch, setAdvancedSearch] = useState(null);
+  const [showAdvancedSearch, setShowAdvancedSearch] = useState(false);
+  // Smart shelf whose criteria are being edited in the advanced search modal
+  const [editingSmartShelf, setEditingSmartShelf] = useState(null);
+  const [showGenreManager, setShowGenreManager] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  // Book just moved to the trash, offered for undo; BookDetail passes it along when navigating back
+  const [trashedBook, setTrashedBook] = useState(location.state?.trashedBook || null);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   useEffect(() => {
-    fetchBooks();
     fetchGenres();
-  }, [filters, pagination.currentPage]);
+    fetchShelves();
+    // Clear the navigation state so a reload does not offer the undo again
+    if (location.state?.trashedBook) {
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, []);
 
+  // Debounce typing in the search box; each search counts towards the search rate limit
   useEffect(() => {
-    // Reset to first page when filters change
-    if (pagination.currentPage !== 1) {
-      setPagination(prev => ({ ...prev, currentPage: 1 }));
-    } else {
-      fetchBooks();
+    const timeout = setTimeout(() => setDebouncedQuery(searchQuery), 300);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  // Start again from the first page when the search or filters change
+  useEffect(() => {
+    fetchBooks();
+  }, [debouncedQuery, filters, advancedSearch]);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pagination.hasNextPage || loadingMore) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) loadMoreBooks();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [pagination.hasNextPage, pagination.nextCursor, loadingMore]);
+
+  // Fetch one page of books; an empty cursor asks for the first page
+  const requestBooks = (cursor) => {
+    const params = {
+      limit: 20,
+      cursor,
+      // Unset refinements are left out rather than sent empty
+      ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+    };
+
+    if (advancedSearch) {
+      const { criteria, sort } = advancedSearch;
+      return bookService.advancedSearchBooks(criteria, 1, 20, sort.sortBy, sort.sortOrder, cursor);
     }
-  }, [searchQuery, filters]);
+
+    return debouncedQuery.trim()
+      ? bookService.searchBooks(debouncedQuery, params)
+      : bookService.getBooks(params);
+  };
 
   const fetchBooks = async () => {
+    // Responses to superseded requests (e.g. earlier keystrokes) are ignored
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
 
     try {
-      const params = {
-        page: pagination.currentPage,
-        limit: 20,
-        ...filters
-      };
-
-      let response;
-      if (searchQuery.trim()) {
-        response = await bookService.searchBooks(searchQuery, params);
-      } else {
-        response = await bookService.getBooks(params);
-      }
+      const response = await requestBooks('');
+      if (requestId !== requestIdRef.current) return;
 
       setBooks(response.data.books);
       setPagination(response.data.pagination);
+      setSearchTerms(response.data.searchTerms || []);
+      setFacets(response.data.facets || null);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError(err.message);
       console.error('Failed to fetch books:', err);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  };
+
+  const loadMoreBooks = async () => {
+    if (!pagination.nextCursor || loadingMore) return;
+
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const response = await requestBooks(pagination.nextCursor);
+      if (requestId !== requestIdRef.current) return;
+
+      // A book edited since the last page could otherwise show up twice
+      setBooks(prev => {
+        const loadedIds = new Set(prev.map(book => book._id));
+        return [...prev, ...response.data.books.filter(book => !loadedIds.has(book._id))];
+      });
+      setPagination(prev => ({ ...response.data.pagination, totalBooks: prev.totalBooks }));
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err.message);
+      console.error('Failed to load more books:', err);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
   const fetchGenres = async () => {
     try {
-      const response = await bookService.getBooksByGenre();
+      const response = await genreService.getGenres();
       setGenres(response.data.genres);
     } catch (err) {
       console.error('Failed to fetch genres:', err);
     }
   };
 
+  const fetchShelves = async () => {
+    try {
+      const response = await shelfService.getShelves();
+      setShelves(response.data.shelves);
+    } catch (err) {
+      console.error('Failed to fetch shelves:', err);
+    }
+  };
+
+  const handleShelvesChange = () => {
+    fetchShelves();
+    fetchBooks();
+  };
+
+  // Book changes can move books in or out of smart shelves, so their counts are fetched again
+  const handleBooksChange = () => {
+    fetchBooks();
+    fetchShelves();
+  };
+
+  const openSmartShelfEditor = (shelf = null) => {
+    setEditingSmartShelf(shelf);
+    setShowShelfManager(false);
+    setShowAdvancedSearch(true);
+  };
+
+  const closeAdvancedSearch = () => {
+    setShowAdvancedSearch(false);
+    setEditingSmartShelf(null);
+  };
+
+  // Show a newly saved smart shelf; an edited one is refreshed if it is showing
+  const handleSmartShelfSaved = (shelf) => {
+    fetchShelves();
+    if (filters.shelf === shelf._id) {
+      fetchBooks();
+      return;
+    }
+    setAdvancedSearch(null);
+    handleFilterChange('shelf', shelf._id);
+  };
+
+  const handleGenresChange = () => {
+    fetchGenres();
+    fetchBooks();
+  };
+
   const handleSearch = (e) => {
     setSearchQuery(e.target.value);
   };
 
+  const searchFilters = getSearchFilters(searchQuery);
+
+  const fetchSearchSuggestions = useCallback(async (text) => {
+    const response = await bookService.getSuggestions(text);
+    return response.data.suggestions;
+  }, []);
+
   const handleFilterChange = (filterName, value) => {
     setFilters(prev => ({
       ...prev,
@@ -86,17 +267,61 @@ const BookList = ({ onAddBook, onEditBook, onImportExport }) => {
     }));
   };
 
+  // Facet chips refine the advanced search criteria when one is shown, otherwise the list filters
+  const handleFacetSelect = (field, bucket) => {
+    if (advancedSearch) {
+      setAdvancedSearch(prev => ({ ...prev, criteria: refineCriteria(prev.criteria, field, bucket) }));
+      return;
+    }
+    handleFilterChange(field, bucket ? String(bucket.value) : REFINEMENT_DEFAULTS[field]);
+  };
+
+  const selectedFacets = advancedSearch
+    ? {
+      status: advancedSearch.criteria.status,
+      genre: advancedSearch.criteria.genre,
+      tag: advancedSearch.criteria.tags,
+      rating: advancedSearch.criteria.rating?.min === advancedSearch.criteria.rating?.max
+        ? advancedSearch.criteria.rating?.min
+        : undefined,
+      decade: advancedSearch.criteria.decade
+    }
+    : Object.fromEntries(Object.keys(REFINEMENT_DEFAULTS).map(field => [
+      field,
+      filters[field] === REFINEMENT_DEFAULTS[field] ? undefined : filters[field]
+    ]));
+
+  // Picking a shelf (regular or smart) replaces any advanced search
+  const handleShelfSelect = (shelfId) => {
+    setAdvancedSearch(null);
+    handleFilterChange('shelf', shelfId);
+  };
+
   const handleBookEdit = (book) => {
     onEditBook(book);
   };
 
   const handleBookDelete = (bookId) => {
+    const deleted = books.find(book => book._id === bookId);
+    setTrashedBook(deleted ? { _id: deleted._id, title: deleted.title } : null);
     setBooks(prev => prev.filter(book => book._id !== bookId));
     // Update pagination count
     setPagination(prev => ({
       ...prev,
       totalBooks: prev.totalBooks - 1
     }));
+    fetchShelves();
+  };
+
+  const handleUndoDelete = async () => {
+    const book = trashedBook;
+    setTrashedBook(null);
+    try {
+      await bookService.restoreBook(book._id);
+      handleBooksChange();
+    } catch (error) {
+      setError(error.message);
+    }
   };
 
   const handleStatusUpdate = (bookId, newStatus) => {
@@ -105,10 +330,31 @@ const BookList = ({ onAddBook, onEditBook, onImportExport }) => {
         ? { ...book, status: newStatus }
         : book
     ));
+    fetchShelves();
+  };
+
+  const toggleSelectionMode = () => {
+    setSelectionMode(prev => !prev);
+    setSelectedIds([]);
   };
 
-  const handlePageChange = (newPage) => {
-    setPagination(prev => ({ ...prev, currentPage: newPage }));
+  const handleBookSelect = (bookId, selected) => {
+    setSelectedIds(prev => (
+      selected ? [...new Set([...prev, bookId])] : prev.filter(id => id !== bookId)
+    ));
+  };
+
+  const allLoadedSelected = books.length > 0 && books.every(book => selectedIds.includes(book._id));
+
+  const handleSelectAll = () => {
+    setSelectedIds(prev => [...new Set([...prev, ...books.map(book => book._id)])]);
+  };
+
+  // Books that failed stay selected so the action can be retried
+  const handleBulkComplete = (result, failedIds) => {
+    setSelectedIds(failedIds);
+    handleBooksChange();
+    fetchGenres();
   };
 
   if (loading && books.length === 0) {
@@ -123,229 +369,412 @@ const BookList = ({ onAddBook, onEditBook, onImportExport }) => {
   }
 
   return (
-    <div className="space-y-6">
-      {/* Header */}
-      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
-        <div>
-          <h1 className="text-2xl font-bold text-gray-900">My Books</h1>
-          <p className="text-gray-600">
-            {pagination.totalBooks} book{pagination.totalBooks !== 1 ? 's' : ''} in your library
-          </p>
-        </div>
+    <div className="lg:flex lg:gap-6">
+      <aside className="hidden lg:block w-56 shrink-0">
+        <ShelfSidebar
+          shelves={shelves}
+          selectedShelf={advancedSearch ? null : filters.shelf}
+          onSelect={handleShelfSelect}
+          onNewSmartShelf={() => openSmartShelfEditor()}
+        />
+      </aside>
+
+      <div className="flex-1 min-w-0 space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">My Books</h1>
+            <p className="text-gray-600">
+              {pagination.totalBooks} book{pagination.totalBooks !== 1 ? 's' : ''} in your library
+            </p>
+          </div>
 
-        <div className="flex space-x-3">
-          <Button variant="secondary" onClick={onImportExport}>
-            📊 Import/Export
-          </Button>
-          <Button variant="primary" onClick={onAddBook}>
-            Add New Book
-          </Button>
+          <div className="flex space-x-3">
+            <Button
+              variant={selectionMode ? 'primary' : 'secondary'}
+              onClick={toggleSelectionMode}
+              aria-pressed={selectionMode}
+            >
+              ☑️ Select
+            </Button>
+            <Button variant="secondary" onClick={() => openSmartShelfEditor()}>
+              🔎 Advanced
+            </Button>
+            <Button variant="secondary" onClick={() => setShowShelfManager(true)}>
+              🗂️ Shelves
+            </Button>
+            <Button variant="secondary" onClick={() => setShowGenreManager(true)}>
+              🌳 Genres
+            </Button>
+            <Button variant="secondary" onClick={() => setShowDuplicates(true)}>
+              🔍 Duplicates
+            </Button>
+            <Button variant="secondary" onClick={() => setShowTrash(true)}>
+              🗑️ Trash
+            </Button>
+            <Button variant="secondary" onClick={onImportExport}>
+              📊 Import/Export
+            </Button>
+            <Button variant="primary" onClick={onAddBook}>
+              Add New Book
+            </Button>
+          </div>
         </div>
-      </div>
 
-      {/* Search and Filters */}
-      <Card>
-        <div className="space-y-4">
-          {/* Search */}
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div className="flex-1">
-              <Input
-                placeholder="Search books by title, author, or genre..."
-                value={searchQuery}
-                onChange={handleSearch}
-              />
-            </div>
+        {/* Search and Filters */}
+        <Card>
+          <div className="space-y-4">
+            {/* Search */}
+            <div className="flex flex-col sm:flex-row gap-4">
+              <div className="flex-1 space-y-2">
+                <div className="flex gap-2">
+                  <div className="flex-1">
+                    <AutocompleteInput
+                      placeholder="Search books, e.g. dragons author:tolkien rating:>=4"
+                      value={searchQuery}
+                      onChange={handleSearch}
+                      query={getSearchText(searchQuery)}
+                      fetchSuggestions={fetchSearchSuggestions}
+                      onSelect={(suggestion) => setSearchQuery(prev => applySuggestion(prev, suggestion))}
+                      showTypes
+                      aria-label="Search books"
+                      aria-describedby={showSearchHelp ? 'search-syntax-help' : undefined}
+                    />
+                  </div>
+                  <Button
+                    variant="ghost"
+                    onClick={() => setShowSearchHelp(prev => !prev)}
+                    aria-expanded={showSearchHelp}
+                    aria-controls="search-syntax-help"
+                    aria-label="Search syntax help"
+                  >
+                    ?
+                  </Button>
+                </div>
 
-            {/* View Mode Toggle */}
-            <div className="flex border border-gray-300 rounded-md">
-              <button
-                onClick={() => setViewMode('grid')}
-                className={`px-3 py-2 text-sm font-medium rounded-l-md ${viewMode === 'grid'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-white text-gray-700 hover:bg-gray-50'
-                  }`}
-              >
-                Grid
-              </button>
-              <button
-                onClick={() => setViewMode('list')}
-                className={`px-3 py-2 text-sm font-medium rounded-r-md border-l ${viewMode === 'list'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-white text-gray-700 hover:bg-gray-50'
-                  }`}
-              >
-                List
-              </button>
-            </div>
-          </div>
+                {advancedSearch && (
+                  <div className="flex flex-wrap items-center gap-2 p-2 bg-purple-50 border border-purple-200 rounded-md text-sm">
+                    <span className="font-medium text-purple-900">Advanced search:</span>
+                    <span className="text-purple-800">{describeShelfCriteria(advancedSearch.criteria) || 'All books'}</span>
+                    <button
+                      type="button"
+                      onClick={() => setShowAdvancedSearch(true)}
+                      className="text-purple-700 hover:text-purple-900 underline"
+                    >
+                      Change
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setAdvancedSearch(null)}
+                      className="text-purple-700 hover:text-purple-900 underline"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                )}
 
-          {/* Filters */}
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Status
-              </label>
-              <select
-                value={filters.status}
-                onChange={(e) => handleFilterChange('status', e.target.value)}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              >
-                <option value="all">All Status</option>
-                <option value="not_started">Not Started</option>
-                <option value="in_progress">In Progress</option>
-                <option value="completed">Completed</option>
-              </select>
-            </div>
+                {/* Field filters recognised in the query, removable one at a time */}
+                {searchFilters.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {searchFilters.map(({ token, field, value }) => (
+                      <span
+                        key={token}
+                        className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-blue-50 text-blue-800 rounded-full"
+                      >
+                        <span className="font-medium">{field}:</span> {value}
+                        <button
+                          type="button"
+                          onClick={() => setSearchQuery(prev => removeSearchFilter(prev, token))}
+                          className="ml-1 text-blue-600 hover:text-blue-900"
+                          aria-label={`Remove ${field} filter ${value}`}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Genre
-              </label>
-              <select
-                value={filters.genre}
-                onChange={(e) => handleFilterChange('genre', e.target.value)}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              >
-                <option value="all">All Genres</option>
-                {genres.map((genre) => (
-                  <option key={genre._id} value={genre._id}>
-                    {genre._id} ({genre.count})
-                  </option>
-                ))}
-              </select>
-            </div>
+                {showSearchHelp && (
+                  <div id="search-syntax-help" className="p-3 bg-gray-50 border border-gray-200 rounded-md text-sm">
+                    <p className="text-gray-700 mb-2">
+                      Words are matched across titles, authors, descriptions, notes and highlights, best matches first.
+                      Narrow the results with filters:
+                    </p>
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1">
+                      {SEARCH_SYNTAX_HELP.map(({ example, description }) => (
+                        <div key={example} className="flex gap-2">
+                          <dt>
+                            <button
+                              type="button"
+                              onClick={() => setSearchQuery(prev => `${prev} ${example}`.trim())}
+                              className="font-mono text-blue-700 hover:underline"
+                            >
+                              {example}
+                            </button>
+                          </dt>
+                          <dd className="text-gray-600">{description}</dd>
+                        </div>
+                      ))}
+                    </dl>
+                  </div>
+                )}
+              </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Sort By
-              </label>
-              <select
-                value={filters.sortBy}
-                onChange={(e) => handleFilterChange('sortBy', e.target.value)}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              >
-                <option value="createdAt">Date Added</option>
-                <option value="title">Title</option>
-                <option value="author">Author</option>
-                <option value="dateCompleted">Date Completed</option>
-                <option value="rating">Rating</option>
-              </select>
+              {/* View Mode Toggle */}
+              <div className="flex border border-gray-300 rounded-md">
+                <button
+                  onClick={() => setViewMode('grid')}
+                  className={`px-3 py-2 text-sm font-medium rounded-l-md ${viewMode === 'grid'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                  Grid
+                </button>
+                <button
+                  onClick={() => setViewMode('list')}
+                  className={`px-3 py-2 text-sm font-medium rounded-r-md border-l ${viewMode === 'list'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                  List
+                </button>
+              </div>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Order
-              </label>
-              <select
-                value={filters.sortOrder}
-                onChange={(e) => handleFilterChange('sortOrder', e.target.value)}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              >
-                <option value="desc">Descending</option>
-                <option value="asc">Ascending</option>
-              </select>
-            </div>
-          </div>
-        </div>
-      </Card>
-
-      {/* Error Message */}
-      {error && (
-        <Card className="border-red-200 bg-red-50">
-          <div className="flex items-center">
-            <div className="flex-shrink-0">
-              <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-              </svg>
-            </div>
-            <div className="ml-3">
-              <p className="text-sm text-red-800">{error}</p>
+            {/* Filters */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Status
+                </label>
+                <select
+                  value={filters.status}
+                  onChange={(e) => handleFilterChange('status', e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="all">All Status</option>
+                  <option value="want_to_read">Want to Read</option>
+                  <option value="not_started">Not Started</option>
+                  <option value="in_progress">In Progress</option>
+                  <option value="completed">Completed</option>
+                  <option value="abandoned">Did Not Finish</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Genre
+                </label>
+                <select
+                  value={filters.genre}
+                  onChange={(e) => handleFilterChange('genre', e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="all">All Genres</option>
+                  {/* Sub-genres are indented; choosing a genre includes its sub-genres */}
+                  {flattenGenreTree(genres).map((genre) => (
+                    <option key={genre._id} value={genre._id}>
+                      {'\u00A0\u00A0'.repeat(genre.depth)}{genre.name} ({genre.totalCount})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Shelf
+                </label>
+                <select
+                  value={filters.shelf}
+                  onChange={(e) => handleShelfSelect(e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="all">All Shelves</option>
+                  {shelves.map((shelf) => (
+                    <option key={shelf._id} value={shelf._id}>
+                      {shelf.icon ? `${shelf.icon} ` : ''}{shelf.name}{shelf.isSmart ? ' (smart)' : ''} ({shelf.bookCount})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Sort By
+                </label>
+                <select
+                  value={filters.sortBy}
+                  onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="createdAt">Date Added</option>
+                  <option value="title">Title</option>
+                  <option value="author">Author</option>
+                  <option value="series">Series</option>
+                  <option value="dateCompleted">Date Completed</option>
+                  <option value="rating">Rating</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Order
+                </label>
+                <select
+                  value={filters.sortOrder}
+                  onChange={(e) => handleFilterChange('sortOrder', e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="desc">Descending</option>
+                  <option value="asc">Ascending</option>
+                </select>
+              </div>
             </div>
-          </div>
-        </Card>
-      )}
 
-      {/* Books Grid/List */}
-      {books.length === 0 && !loading ? (
-        <Card className="text-center py-12">
-          <div className="space-y-4">
-            <div className="text-6xl">📚</div>
-            <h3 className="text-lg font-medium text-gray-900">
-              {searchQuery ? 'No books found' : 'No books in your library yet'}
-            </h3>
-            <p className="text-gray-600">
-              {searchQuery
-                ? 'Try adjusting your search or filters'
-                : 'Start building your personal library by adding your first book!'
-              }
-            </p>
-            {!searchQuery && (
-              <Button variant="primary" onClick={onAddBook}>
-                Add Your First Book
-              </Button>
+            {facets && (
+              <FacetChips
+                facets={facets}
+                selected={selectedFacets}
+                onSelect={handleFacetSelect}
+                onClear={(field) => handleFacetSelect(field, null)}
+              />
             )}
           </div>
         </Card>
-      ) : (
-        <div className={
-          viewMode === 'grid'
-            ? 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6'
-            : 'space-y-4'
-        }>
-          {books.map((book) => (
-            <BookCard
-              key={book._id}
-              book={book}
-              onEdit={handleBookEdit}
-              onDelete={handleBookDelete}
-              onStatusUpdate={handleStatusUpdate}
-            />
-          ))}
-        </div>
-      )}
 
-      {/* Pagination */}
-      {pagination.totalPages > 1 && (
-        <Card>
-          <div className="flex items-center justify-between">
-            <div className="text-sm text-gray-700">
-              Showing page {pagination.currentPage} of {pagination.totalPages}
+        {/* Error Message */}
+        {error && (
+          <Card className="border-red-200 bg-red-50">
+            <div className="flex items-center">
+              <div className="flex-shrink-0">
+                <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                </svg>
+              </div>
+              <div className="ml-3">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
             </div>
+          </Card>
+        )}
 
-            <div className="flex space-x-2">
-              <Button
-                variant="secondary"
-                size="sm"
-                onClick={() => handlePageChange(pagination.currentPage - 1)}
-                disabled={!pagination.hasPrevPage}
-              >
-                Previous
-              </Button>
-
-              <Button
-                variant="secondary"
-                size="sm"
-                onClick={() => handlePageChange(pagination.currentPage + 1)}
-                disabled={!pagination.hasNextPage}
-              >
-                Next
-              </Button>
+        {/* Books Grid/List */}
+        {books.length === 0 && !loading ? (
+          <Card className="text-center py-12">
+            <div className="space-y-4">
+              <div className="text-6xl">📚</div>
+              <h3 className="text-lg font-medium text-gray-900">
+                {searchQuery ? 'No books found' : 'No books in your library yet'}
+              </h3>
+              <p className="text-gray-600">
+                {searchQuery
+                  ? 'Try adjusting your search or filters'
+                  : 'Start building your personal library by adding your first book!'
+                }
+              </p>
+              {!searchQuery && (
+                <Button variant="primary" onClick={onAddBook}>
+                  Add Your First Book
+                </Button>
+              )}
             </div>
+          </Card>
+        ) : (
+          <div className={
+            viewMode === 'grid'
+              ? 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6'
+              : 'space-y-4'
+          }>
+            {books.map((book) => (
+              <BookCard
+                key={book._id}
+                book={book}
+                onEdit={handleBookEdit}
+                onDelete={handleBookDelete}
+                onStatusUpdate={handleStatusUpdate}
+                searchTerms={searchQuery.trim() ? searchTerms : []}
+                selected={selectionMode ? selectedIds.includes(book._id) : undefined}
+                onSelect={handleBookSelect}
+              />
+            ))}
           </div>
-        </Card>
-      )}
-
-      {/* Loading Overlay */}
-      {loading && books.length > 0 && (
-        <div className="fixed inset-0 bg-black bg-opacity-25 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 shadow-lg">
-            <div className="flex items-center space-x-3">
-              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-              <span className="text-gray-700">Updating books...</span>
+        )}
+
+        {selectionMode && (
+          <BulkActionBar
+            selectedIds={selectedIds}
+            allSelected={allLoadedSelected}
+            onSelectAll={handleSelectAll}
+            onClearSelection={() => setSelectedIds([])}
+            onComplete={handleBulkComplete}
+          />
+        )}
+
+        {/* Infinite scroll: the sentinel loads the next page; the button is a fallback */}
+        {pagination.hasNextPage && (
+          <div ref={sentinelRef} className="flex justify-center py-4">
+            <Button variant="secondary" onClick={loadMoreBooks} loading={loadingMore} disabled={loadingMore}>
+              {loadingMore ? 'Loading more books...' : 'Load more'}
+            </Button>
+          </div>
+        )}
+
+        <ShelfManagerModal
+          isOpen={showShelfManager}
+          onClose={() => setShowShelfManager(false)}
+          shelves={shelves}
+          onShelvesChange={handleShelvesChange}
+          onEditCriteria={openSmartShelfEditor}
+        />
+
+        <AdvancedSearchModal
+          isOpen={showAdvancedSearch}
+          onClose={closeAdvancedSearch}
+          onSearch={editingSmartShelf ? undefined : (criteria, sort) => setAdvancedSearch({ criteria, sort })}
+          shelf={editingSmartShelf}
+          onShelfSaved={handleSmartShelfSaved}
+        />
+
+        <GenreManagerModal
+          isOpen={showGenreManager}
+          onClose={() => setShowGenreManager(false)}
+          genres={genres}
+          onGenresChange={handleGenresChange}
+        />
+
+        <DuplicateReviewModal
+          isOpen={showDuplicates}
+          onClose={() => setShowDuplicates(false)}
+          onMerged={handleBooksChange}
+        />
+
+        <TrashModal
+          isOpen={showTrash}
+          onClose={() => setShowTrash(false)}
+          onRestored={handleBooksChange}
+        />
+
+        <UndoToast
+          message={trashedBook && `"${trashedBook.title}" moved to trash`}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setTrashedBook(null)}
+        />
+
+        {/* Loading Overlay */}
+        {loading && books.length > 0 && (
+          <div className="fixed inset-0 bg-black bg-opacity-25 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 shadow-lg">
+              <div className="flex items-center space-x-3">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                <span className="text-gray-700">Updating books...</span>
+              </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Button, Card, Input } from '../common';
+import { bookService } from '../../services/bookService';
+import { isLendable, getCurrentLoan, isLoanOverdue, formatLoanDate } from '../../utils/loans';
+
+const emptyLoan = { borrowerName: '', borrowerContact: '', dueDate: '', notes: '' };
+
+// Lend a physical book to someone, mark it returned, and see who has borrowed it before.
+// `onChange` receives the updated book after lending or returning.
+const BookLoans = ({ book, onChange }) => {
+  const [formData, setFormData] = useState(emptyLoan);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const currentLoan = getCurrentLoan(book);
+  const pastLoans = (book.loans || []).filter(loan => loan.returnedAt).reverse();
+
+  if (!isLendable(book) && !(book.loans || []).length) return null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLend = async (e) => {
+    e.preventDefault();
+    if (!formData.borrowerName.trim()) {
+      setError('Who are you lending it to?');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const loanData = Object.fromEntries(
+        Object.entries(formData).filter(([, value]) => value.trim()).map(([key, value]) => [key, value.trim()])
+      );
+      const response = await bookService.lendBook(book._id, loanData);
+      onChange?.(response.data.book);
+      setFormData(emptyLoan);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReturn = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await bookService.returnBook(book._id);
+      onChange?.(response.data.book);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="text-lg font-medium text-gray-900">Lending</h3>
+      </Card.Header>
+
+      <div className="space-y-4">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {currentLoan ? (
+          <div className={`flex items-start justify-between rounded-md p-3 ${
+            isLoanOverdue(currentLoan) ? 'bg-red-50' : 'bg-amber-50'
+          }`}>
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">Lent to {currentLoan.borrowerName}</p>
+              {currentLoan.borrowerContact && (
+                <p className="text-gray-600">{currentLoan.borrowerContact}</p>
+              )}
+              <p className="text-gray-600">
+                Since {formatLoanDate(currentLoan.lentAt)}
+                {currentLoan.dueDate && ` · due ${formatLoanDate(currentLoan.dueDate)}`}
+              </p>
+              {isLoanOverdue(currentLoan) && <p className="font-medium text-red-700">Overdue</p>}
+              {currentLoan.notes && <p className="text-gray-600 mt-1">{currentLoan.notes}</p>}
+            </div>
+            <Button variant="primary" size="sm" onClick={handleReturn} disabled={saving}>
+              {saving ? 'Saving...' : 'Mark returned'}
+            </Button>
+          </div>
+        ) : showForm ? (
+          <form onSubmit={handleLend} className="space-y-3">
+            <Input
+              label="Borrower"
+              name="borrowerName"
+              value={formData.borrowerName}
+              onChange={handleChange}
+              maxLength={100}
+              required
+            />
+            <Input
+              label="Contact"
+              name="borrowerContact"
+              value={formData.borrowerContact}
+              onChange={handleChange}
+              placeholder="Email or phone (optional)"
+              maxLength={200}
+            />
+            <Input
+              label="Due back"
+              name="dueDate"
+              type="date"
+              value={formData.dueDate}
+              onChange={handleChange}
+            />
+            <Input
+              label="Notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              placeholder="Optional"
+              maxLength={500}
+            />
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" size="sm" onClick={() => setShowForm(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" size="sm" disabled={saving}>
+                {saving ? 'Saving...' : 'Lend'}
+              </Button>
+            </div>
+          </form>
+        ) : isLendable(book) && (
+          <Button variant="outline" size="sm" onClick={() => setShowForm(true)}>
+            🤝 Lend this book
+          </Button>
+        )}
+
+        {pastLoans.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">History</h4>
+            <ul className="divide-y divide-gray-100">
+              {pastLoans.map((loan, index) => (
+                <li key={loan._id || index} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-900">{loan.borrowerName}</span>
+                  <span className="text-gray-600">
+                    {formatLoanDate(loan.lentAt)} → {formatLoanDate(loan.returnedAt)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default BookLoans;
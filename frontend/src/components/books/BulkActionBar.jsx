@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Button } from '../common';
+import { bookService } from '../../services/bookService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const ACTIONS = [
+  { value: 'set_status', label: 'Set status' },
+  { value: 'add_tags', label: 'Add tag' },
+  { value: 'remove_tags', label: 'Remove tag' },
+  { value: 'set_genre', label: 'Set genre' },
+  { value: 'trash', label: 'Move to trash' }
+];
+
+const STATUS_OPTIONS = [
+  { value: 'want_to_read', label: 'Want to Read' },
+  { value: 'not_started', label: 'Not Started' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'abandoned', label: 'Did Not Finish' }
+];
+
+const controlClasses = 'px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+// Batch action bar for the books selected in BookList
+const BulkActionBar = ({ selectedIds, allSelected, onSelectAll, onClearSelection, onComplete }) => {
+  const [operation, setOperation] = useState('set_status');
+  const [status, setStatus] = useState('completed');
+  const [text, setText] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+  const [failures, setFailures] = useState([]);
+  const { announcePolite } = useScreenReader();
+
+  const count = selectedIds.length;
+  const needsText = ['add_tags', 'remove_tags'].includes(operation);
+
+  const buildPayload = () => {
+    const payload = { bookIds: selectedIds, operation };
+    if (operation === 'set_status') payload.status = status;
+    if (needsText) payload.tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (operation === 'set_genre') payload.genre = text.trim();
+    return payload;
+  };
+
+  const handleApply = async () => {
+    const payload = buildPayload();
+    if (needsText && payload.tags.length === 0) {
+      setError('Enter at least one tag');
+      return;
+    }
+    if (operation === 'trash' && !window.confirm(`Move ${count} book${count !== 1 ? 's' : ''} to the trash?`)) {
+      return;
+    }
+
+    try {
+      setApplying(true);
+      setError('');
+      const response = await bookService.bulkUpdateBooks(payload);
+      const failed = response.data.results.filter(result => !result.success);
+      setFailures(failed);
+      setText('');
+      announcePolite(response.message);
+      onComplete(response.data, failed.map(result => result.bookId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (count === 0 && failures.length === 0) return null;
+
+  return (
+    <div
+      role="region"
+      aria-label="Batch actions"
+      className="sticky bottom-20 lg:bottom-6 z-40 bg-white border border-gray-200 rounded-lg shadow-lg p-4 space-y-3"
+    >
+      <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+        <div className="flex items-center space-x-3 text-sm">
+          <span className="font-medium text-gray-900">{count} selected</span>
+          <button
+            onClick={allSelected ? onClearSelection : onSelectAll}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {allSelected ? 'Clear selection' : 'Select all loaded'}
+          </button>
+        </div>
+
+        <div className="flex flex-1 flex-wrap items-center gap-2 lg:justify-end">
+          <select
+            value={operation}
+            onChange={(e) => {
+              setOperation(e.target.value);
+              setError('');
+            }}
+            className={controlClasses}
+            aria-label="Batch action"
+          >
+            {ACTIONS.map(action => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+
+          {operation === 'set_status' && (
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className={controlClasses}
+              aria-label="New status"
+            >
+              {STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          )}
+
+          {(needsText || operation === 'set_genre') && (
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={needsText ? 'Tags, comma separated' : 'Genre, e.g. Fiction / Fantasy (empty to clear)'}
+              maxLength={needsText ? 200 : 50}
+              className={controlClasses}
+              aria-label={needsText ? 'Tags' : 'Genre'}
+            />
+          )}
+
+          <Button
+            variant={operation === 'trash' ? 'danger' : 'primary'}
+            size="sm"
+            onClick={handleApply}
+            loading={applying}
+            disabled={count === 0}
+          >
+            Apply to {count}
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => {
+            setFailures([]);
+            onClearSelection();
+          }}>
+            Done
+          </Button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {failures.length > 0 && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm font-medium text-red-800">
+            {failures.length} book{failures.length !== 1 ? 's were' : ' was'} not updated and remain{failures.length === 1 ? 's' : ''} selected:
+          </p>
+          <ul className="mt-1 text-sm text-red-700 list-disc list-inside">
+            {failures.slice(0, 5).map(failure => (
+              <li key={failure.bookId}>{failure.title || 'Unknown book'}: {failure.error}</li>
+            ))}
+            {failures.length > 5 && <li>…and {failures.length - 5} more</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { bookService } from '../../services/bookService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const STATUS_LABELS = {
+  want_to_read: 'Want to Read',
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  abandoned: 'Did Not Finish'
+};
+
+const REASON_LABELS = {
+  isbn: 'Same ISBN',
+  title_author: 'Similar title & author'
+};
+
+const DuplicateReviewModal = ({ isOpen, onClose, onMerged }) => {
+  const [clusters, setClusters] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyKey, setBusyKey] = useState(null);
+  const [error, setError] = useState('');
+  // Per cluster: which book survives and which books are left out of the merge
+  const [survivors, setSurvivors] = useState({});
+  const [excluded, setExcluded] = useState({});
+  const { announcePolite } = useScreenReader();
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchClusters();
+    }
+  }, [isOpen]);
+
+  const fetchClusters = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await bookService.getDuplicates();
+      setClusters(response.data.clusters);
+      setSurvivors({});
+      setExcluded({});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeCluster = (key) => {
+    setClusters(prev => prev.filter(cluster => cluster.key !== key));
+  };
+
+  const toggleExcluded = (key, bookId) => {
+    setExcluded(prev => {
+      const current = new Set(prev[key] || []);
+      if (current.has(bookId)) {
+        current.delete(bookId);
+      } else {
+        current.add(bookId);
+      }
+      return { ...prev, [key]: current };
+    });
+  };
+
+  const handleMerge = async (cluster) => {
+    const survivorId = survivors[cluster.key] || cluster.books[0]._id;
+    const duplicateIds = cluster.books
+      .map(book => book._id)
+      .filter(bookId => bookId !== survivorId && !excluded[cluster.key]?.has(bookId));
+
+    try {
+      setBusyKey(cluster.key);
+      setError('');
+      const response = await bookService.mergeDuplicates(survivorId, duplicateIds);
+      announcePolite(response.message);
+      removeCluster(cluster.key);
+      onMerged?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDismiss = async (cluster) => {
+    try {
+      setBusyKey(cluster.key);
+      setError('');
+      await bookService.dismissDuplicates(cluster.books.map(book => book._id));
+      announcePolite('Books marked as not duplicates');
+      removeCluster(cluster.key);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Review Duplicates" size="lg">
+      <div className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            <div className="h-24 bg-gray-200 rounded"></div>
+            <div className="h-24 bg-gray-200 rounded"></div>
+          </div>
+        ) : clusters.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="text-4xl mb-2">✨</div>
+            <p>No duplicates found</p>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              Choose which copy to keep. Merging combines notes, tags, shelves, read-throughs and ratings
+              into it and deletes the other copies; their sessions and highlights move over.
+            </p>
+
+            <ul className="space-y-4">
+              {clusters.map((cluster) => {
+                const survivorId = survivors[cluster.key] || cluster.books[0]._id;
+                const mergeCount = cluster.books.filter(book =>
+                  book._id !== survivorId && !excluded[cluster.key]?.has(book._id)
+                ).length;
+
+                return (
+                  <li key={cluster.key} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                      {cluster.reasons.map(reason => (
+                        <span key={reason} className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                          {REASON_LABELS[reason]}
+                        </span>
+                      ))}
+                      <span className="text-xs text-gray-500">{Math.round(cluster.score * 100)}% match</span>
+                    </div>
+
+                    <fieldset>
+                      <legend className="sr-only">Copy to keep</legend>
+                      <div className="space-y-2">
+                        {cluster.books.map((book) => {
+                          const isSurvivor = book._id === survivorId;
+
+                          return (
+                            <div key={book._id} className="flex items-start space-x-3">
+                              <input
+                                type="radio"
+                                name={`survivor-${cluster.key}`}
+                                checked={isSurvivor}
+                                onChange={() => setSurvivors(prev => ({ ...prev, [cluster.key]: book._id }))}
+                                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                                aria-label={`Keep ${book.title}`}
+                              />
+                              <div className="flex-1 min-w-0">
+                                <p className="text-sm font-medium text-gray-900">
+                                  {book.title} <span className="font-normal text-gray-600">by {book.author}</span>
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                  {[
+                                    STATUS_LABELS[book.status],
+                                    book.rating && `${book.rating}★`,
+                                    book.isbn && `ISBN ${book.isbn}`,
+                                    book.tags?.length > 0 && book.tags.join(', '),
+                                    `added ${new Date(book.createdAt).toLocaleDateString()}`
+                                  ].filter(Boolean).join(' · ')}
+                                </p>
+                                {book.notes && (
+                                  <p className="text-xs text-gray-600 truncate">{book.notes}</p>
+                                )}
+                              </div>
+                              {isSurvivor ? (
+                                <span className="text-xs font-medium text-blue-600">Keep</span>
+                              ) : (
+                                <label className="inline-flex items-center space-x-1 text-xs text-gray-600">
+                                  <input
+                                    type="checkbox"
+                                    checked={!excluded[cluster.key]?.has(book._id)}
+                                    onChange={() => toggleExcluded(cluster.key, book._id)}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                                  />
+                                  <span>Merge</span>
+                                </label>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </fieldset>
+
+                    <div className="flex justify-end space-x-2 mt-4">
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={() => handleDismiss(cluster)}
+                        disabled={busyKey === cluster.key}
+                      >
+                        Not Duplicates
+                      </Button>
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => handleMerge(cluster)}
+                        loading={busyKey === cluster.key}
+                        disabled={busyKey === cluster.key || mergeCount === 0}
+                      >
+                        Merge {mergeCount} into Kept Copy
+                      </Button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <Modal.Footer>
+        <Button onClick={onClose} variant="secondary">
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default DuplicateReviewModal;
@@ -0,0 +1,66 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  want_to_read: 'Want to Read',
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  abandoned: 'Did Not Finish'
+};
+
+const FACET_GROUPS = [
+  { field: 'status', title: 'Status', label: ({ value }) => STATUS_LABELS[value] || value },
+  { field: 'genre', title: 'Genre', label: ({ label }) => label },
+  { field: 'tag', title: 'Tags', label: ({ value }) => `#${value}` },
+  { field: 'rating', title: 'Rating', label: ({ value }) => `${value} ★` },
+  { field: 'decade', title: 'Published', label: ({ value }) => `${value}s` }
+];
+
+// A genre may be selected by id (the genre filter) or by path (advanced search criteria)
+const isSelected = (field, bucket, selected) => {
+  const current = selected[field];
+  if (current === undefined || current === null || current === '') return false;
+  return String(current) === String(bucket.value) || (field === 'genre' && current === bucket.label);
+};
+
+// Refinement chips for the current results: each facet value with how many of the books have it.
+// Clicking a chip narrows the list to it; clicking a selected chip clears that refinement.
+const FacetChips = ({ facets, selected = {}, onSelect, onClear }) => {
+  const groups = FACET_GROUPS.filter(({ field }) => facets[field]?.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="space-y-3 pt-4 border-t border-gray-200" aria-label="Refine results">
+      {groups.map(({ field, title, label }) => (
+        <div key={field} className="flex flex-wrap items-center gap-2">
+          <span className="w-20 shrink-0 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            {title}
+          </span>
+          {facets[field].map(bucket => {
+            const active = isSelected(field, bucket, selected);
+            return (
+              <button
+                key={bucket.value}
+                type="button"
+                onClick={() => (active ? onClear(field) : onSelect(field, bucket))}
+                aria-pressed={active}
+                title={active ? 'Remove this refinement' : undefined}
+                className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs border ${
+                  active
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400 hover:text-blue-700'
+                }`}
+              >
+                <span>{label(bucket)}</span>
+                <span className={`ml-1.5 ${active ? 'text-blue-100' : 'text-gray-400'}`}>{bucket.count}</span>
+                {active && <span className="ml-1.5" aria-hidden="true">×</span>}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FacetChips;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Button } from '../common';
+
+// Most tags a book can have, as in the API
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const splitTags = (tags) => tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Subjects that fit as tags, added after the tags already entered
+const mergeTags = (currentTags, subjects = []) => {
+  const tags = splitTags(currentTags);
+  const seen = new Set(tags.map(tag => tag.toLowerCase()));
+  subjects
+    .filter(subject => subject.length <= MAX_TAG_LENGTH && !subject.includes(','))
+    .forEach(subject => {
+      if (tags.length < MAX_TAGS && !seen.has(subject.toLowerCase())) {
+        seen.add(subject.toLowerCase());
+        tags.push(subject);
+      }
+    });
+  return tags.join(', ');
+};
+
+const SOURCE_LABELS = {
+  openlibrary: 'Open Library',
+  fixture: 'the offline sample books'
+};
+
+// Form fields a lookup result can fill, with the value it would put in the form
+const FIELDS = [
+  { name: 'title', label: 'Title', value: result => result.title },
+  { name: 'author', label: 'Author', value: result => result.authors?.join(', ') },
+  { name: 'isbn', label: 'ISBN', value: result => result.isbn },
+  { name: 'pageCount', label: 'Pages', value: result => result.pageCount && String(result.pageCount) },
+  { name: 'publicationDate', label: 'Published', value: result => result.publicationDate },
+  { name: 'description', label: 'Description', value: result => result.description },
+  {
+    name: 'tags',
+    label: 'Tags',
+    value: (result, formData) => result.subjects?.length && mergeTags(formData.tags, result.subjects)
+  },
+  { name: 'coverImage', label: 'Cover', value: result => result.coverImage }
+];
+
+// Fields of a result that would change the form. Fields already filled in start unticked so nothing
+// typed is replaced without asking; tags start ticked since they are only added to.
+const changesFor = (result, formData) => FIELDS
+  .map(field => ({ ...field, newValue: field.value(result, formData), currentValue: String(formData[field.name] ?? '') }))
+  .filter(field => field.newValue && field.newValue !== field.currentValue);
+
+const initialSelection = (changes) => Object.fromEntries(
+  changes.map(change => [change.name, !change.currentValue || change.name === 'tags'])
+);
+
+// Book details found by a metadata lookup, for choosing what to copy into the book form.
+// With several results (a title search) the user picks one first.
+const MetadataReview = ({ results, formData, onApply, onCancel }) => {
+  const [resultIndex, setResultIndex] = useState(0);
+  const result = results[resultIndex];
+  const changes = changesFor(result, formData);
+  const [selected, setSelected] = useState(() => initialSelection(changes));
+
+  const handlePickResult = (index) => {
+    setResultIndex(index);
+    setSelected(initialSelection(changesFor(results[index], formData)));
+  };
+
+  const handleApply = () => {
+    onApply(Object.fromEntries(
+      changes.filter(change => selected[change.name]).map(change => [change.name, change.newValue])
+    ));
+  };
+
+  return (
+    <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Review book details</h3>
+          <p className="text-xs text-gray-600">Tick the details to copy into the form.</p>
+        </div>
+        <button type="button" onClick={onCancel} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      {results.length > 1 && (
+        <div className="space-y-1">
+          {results.map((option, index) => (
+            <label key={`${option.isbn || option.title}-${index}`} className="flex items-center space-x-2 text-sm">
+              <input
+                type="radio"
+                name="metadata-result"
+                checked={index === resultIndex}
+                onChange={() => handlePickResult(index)}
+                className="h-4 w-4 text-blue-600 border-gray-300"
+              />
+              <span className="text-gray-900">{option.title}</span>
+              {option.authors?.length > 0 && <span className="text-gray-500">· {option.authors.join(', ')}</span>}
+              {option.publicationDate && <span className="text-gray-500">· {option.publicationDate.slice(0, 4)}</span>}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {result.existingBook && (
+        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded px-3 py-2">
+          “{result.existingBook.title}” with this ISBN is already in your library.
+        </p>
+      )}
+
+      {changes.length === 0 ? (
+        <p className="text-sm text-gray-600">The form already has everything that was found.</p>
+      ) : (
+        <ul className="divide-y divide-blue-100">
+          {changes.map(change => (
+            <li key={change.name} className="flex items-start space-x-3 py-2">
+              <input
+                type="checkbox"
+                checked={Boolean(selected[change.name])}
+                onChange={(e) => setSelected(prev => ({ ...prev, [change.name]: e.target.checked }))}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                aria-label={`Use ${change.label.toLowerCase()}`}
+              />
+              <div className="min-w-0 flex-1 text-sm">
+                <p className="font-medium text-gray-700">{change.label}</p>
+                {change.name === 'coverImage' ? (
+                  <img src={change.newValue} alt="Cover found" className="mt-1 w-16 h-24 object-cover rounded shadow-sm" />
+                ) : (
+                  <p className={`text-gray-900 ${change.name === 'description' ? 'line-clamp-3' : 'truncate'}`}>
+                    {change.newValue}
+                  </p>
+                )}
+                {change.currentValue && change.name !== 'coverImage' && (
+                  <p className="text-xs text-gray-500 truncate">Currently: {change.currentValue}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">Details from {SOURCE_LABELS[result.source] || result.source}</p>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          variant="primary"
+          size="sm"
+          onClick={handleApply}
+          disabled={!changes.some(change => selected[change.name])}
+        >
+          Fill form
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default MetadataReview;
@@ -1,22 +1,33 @@
 import React, { useState } from 'react';
+import { LazyImage } from '../common';
+import { getProgress, formatProgressAmount, getFormatLabel } from '../../utils/progressUnits';
+
+// Quick-update increments per progress unit
+const QUICK_STEPS = {
+  page: [10, 25, 50, 100],
+  minute: [15, 30, 60, 120],
+  percent: [1, 5, 10, 25],
+  location: [100, 250, 500, 1000]
+};
 
 const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
-  const [currentPage, setCurrentPage] = useState(book?.currentPage || 0);
+  const progress = getProgress(book || {});
+  const [position, setPosition] = useState(progress.position);
   const [isEditing, setIsEditing] = useState(false);
 
   const handleUpdateProgress = async () => {
     try {
-      await onUpdateProgress(book._id, { currentPage: parseInt(currentPage) });
+      await onUpdateProgress(book._id, { [progress.current]: parseInt(position) });
       setIsEditing(false);
     } catch (error) {
       console.error('Error updating progress:', error);
     }
   };
 
-  const calculateReadingTime = (pagesRemaining, avgPagesPerHour = 30) => {
-    if (!pagesRemaining || pagesRemaining <= 0) return 'Completed!';
+  const calculateReadingTime = (remaining, perHour = 30) => {
+    if (!remaining || remaining <= 0) return 'Completed!';
     
-    const hoursRemaining = Math.ceil(pagesRemaining / avgPagesPerHour);
+    const hoursRemaining = Math.ceil(remaining / perHour);
     
     if (hoursRemaining < 1) return '< 1 hour';
     if (hoursRemaining < 24) return `~${hoursRemaining} hours`;
@@ -36,8 +47,17 @@ const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
     return null;
   }
 
-  const progressPercentage = book.pageCount ? Math.round((currentPage / book.pageCount) * 100) : 0;
-  const pagesRemaining = book.pageCount ? book.pageCount - currentPage : 0;
+  const { unit, label, total } = progress;
+  const progressPercentage = total ? Math.min(Math.round((position / total) * 100), 100) : 0;
+  const remaining = total ? Math.max(total - position, 0) : 0;
+  // Audiobooks play at a known rate; pages assume an average reading speed
+  const perHour = unit === 'minute' ? 60 : 30;
+  const canEstimate = unit === 'page' || unit === 'minute';
+  const coverPlaceholder = (
+    <div className="w-16 h-20 bg-gradient-to-br from-blue-400 to-purple-500 rounded shadow-sm flex items-center justify-center">
+      <span className="text-white text-xs font-bold">📖</span>
+    </div>
+  );
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -55,23 +75,23 @@ const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
       <div className="flex items-start space-x-4 mb-6">
         <div className="flex-shrink-0">
           {book.coverImage ? (
-            <img
+            <LazyImage
               src={book.coverImage}
               alt={book.title}
-              className="w-16 h-20 object-cover rounded shadow-sm"
+              imageSize="small"
+              className="w-16 h-20 rounded shadow-sm"
+              imgClassName="w-full h-full object-cover"
+              fallback={coverPlaceholder}
             />
-          ) : (
-            <div className="w-16 h-20 bg-gradient-to-br from-blue-400 to-purple-500 rounded shadow-sm flex items-center justify-center">
-              <span className="text-white text-xs font-bold">📖</span>
-            </div>
-          )}
+          ) : coverPlaceholder}
         </div>
         <div className="flex-1">
           <h4 className="font-medium text-gray-900">{book.title}</h4>
           <p className="text-sm text-gray-600">by {book.author}</p>
-          {book.pageCount && (
-            <p className="text-xs text-gray-500 mt-1">{book.pageCount} pages</p>
-          )}
+          <p className="text-xs text-gray-500 mt-1">
+            {getFormatLabel(book.format)}
+            {total && unit !== 'percent' && ` · ${formatProgressAmount(total, unit)}`}
+          </p>
         </div>
       </div>
 
@@ -90,33 +110,33 @@ const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
       </div>
 
       {/* Progress Details */}
-      {book.pageCount && (
+      {total && (
         <div className="grid grid-cols-2 gap-4 mb-6">
           <div className="text-center p-3 bg-gray-50 rounded-lg">
-            <p className="text-lg font-bold text-gray-900">{currentPage}</p>
-            <p className="text-xs text-gray-500">Pages Read</p>
+            <p className="text-lg font-bold text-gray-900">{formatProgressAmount(position, unit)}</p>
+            <p className="text-xs text-gray-500">{unit === 'minute' ? 'Listened' : 'Read'}</p>
           </div>
           <div className="text-center p-3 bg-gray-50 rounded-lg">
-            <p className="text-lg font-bold text-gray-900">{pagesRemaining}</p>
-            <p className="text-xs text-gray-500">Pages Left</p>
+            <p className="text-lg font-bold text-gray-900">{formatProgressAmount(remaining, unit)}</p>
+            <p className="text-xs text-gray-500">Left</p>
           </div>
         </div>
       )}
 
       {/* Reading Time Estimation */}
-      {book.pageCount && pagesRemaining > 0 && (
+      {canEstimate && total && remaining > 0 && (
         <div className="mb-6 p-4 bg-blue-50 rounded-lg">
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-blue-900">Estimated Time to Finish</p>
               <p className="text-lg font-bold text-blue-700">
-                {calculateReadingTime(pagesRemaining)}
+                {calculateReadingTime(remaining, perHour)}
               </p>
             </div>
             <div className="text-blue-400 text-2xl">⏱️</div>
           </div>
           <p className="text-xs text-blue-600 mt-2">
-            Based on 30 pages/hour reading speed
+            {unit === 'minute' ? 'Based on normal playback speed' : 'Based on 30 pages/hour reading speed'}
           </p>
         </div>
       )}
@@ -127,16 +147,16 @@ const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
           <div className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Current Page
+                Current {label}
               </label>
               <input
                 type="number"
                 min="0"
-                max={book.pageCount || 9999}
-                value={currentPage}
-                onChange={(e) => setCurrentPage(e.target.value)}
+                max={total || undefined}
+                value={position}
+                onChange={(e) => setPosition(e.target.value)}
                 className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter current page"
+                placeholder={`Enter current ${label.toLowerCase()}`}
               />
             </div>
             
@@ -160,22 +180,22 @@ const ProgressTracker = ({ book, onUpdateProgress, loading = false }) => {
       )}
 
       {/* Quick Progress Buttons */}
-      {!isEditing && book.pageCount && (
+      {!isEditing && total && (
         <div className="border-t border-gray-200 pt-4">
           <p className="text-sm font-medium text-gray-700 mb-3">Quick Updates</p>
           <div className="grid grid-cols-4 gap-2">
-            {[10, 25, 50, 100].map((pages) => (
+            {QUICK_STEPS[unit].map((step) => (
               <button
-                key={pages}
+                key={step}
                 onClick={() => {
-                  const newPage = Math.min(currentPage + pages, book.pageCount);
-                  setCurrentPage(newPage);
-                  onUpdateProgress(book._id, { currentPage: newPage });
+                  const newPosition = Math.min(Number(position) + step, total);
+                  setPosition(newPosition);
+                  onUpdateProgress(book._id, { [progress.current]: newPosition });
                 }}
-                disabled={currentPage >= book.pageCount}
+                disabled={position >= total}
                 className="px-3 py-2 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50 transition-colors"
               >
-                +{pages}
+                +{unit === 'percent' ? `${step}%` : step}
               </button>
             ))}
           </div>
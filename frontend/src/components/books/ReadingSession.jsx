@@ -1,11 +1,25 @@
 import React, { useState, useEffect } from 'react';
+import { bookService } from '../../services/bookService';
+import { getProgress, formatProgressAmount } from '../../utils/progressUnits';
 
 const ReadingSession = ({ book, onSessionComplete }) => {
+  // Positions are in the book's progress unit (pages, minutes, percent or locations)
+  const { unit, label, total, position } = getProgress(book || {});
   const [sessionActive, setSessionActive] = useState(false);
   const [sessionTime, setSessionTime] = useState(0);
-  const [startPage, setStartPage] = useState(book?.currentPage || 0);
-  const [currentPage, setCurrentPage] = useState(book?.currentPage || 0);
+  const [sessionStart, setSessionStart] = useState(null);
+  const [startPage, setStartPage] = useState(position);
+  const [currentPage, setCurrentPage] = useState(position);
   const [sessionNotes, setSessionNotes] = useState('');
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (book?._id) {
+      fetchSessions();
+    }
+  }, [book?._id]);
 
   useEffect(() => {
     let interval;
@@ -28,30 +42,64 @@ const ReadingSession = ({ book, onSessionComplete }) => {
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const fetchSessions = async () => {
+    try {
+      const response = await bookService.getBookSessions(book._id, { limit: 5 });
+      setRecentSessions(response.data.sessions);
+    } catch (err) {
+      console.error('Failed to fetch reading sessions:', err);
+    }
+  };
+
   const startSession = () => {
     setSessionActive(true);
     setSessionTime(0);
-    setStartPage(book?.currentPage || 0);
-    setCurrentPage(book?.currentPage || 0);
+    setSessionStart(new Date());
+    setStartPage(position);
+    setCurrentPage(position);
+    setError(null);
   };
 
-  const endSession = () => {
+  const endSession = async () => {
     setSessionActive(false);
-    
+    setIsSaving(true);
+    setError(null);
+
     const sessionData = {
+      startTime: sessionStart.toISOString(),
+      endTime: new Date().toISOString(),
       duration: sessionTime,
-      pagesRead: currentPage - startPage,
       startPage,
-      endPage: currentPage,
-      notes: sessionNotes,
-      date: new Date().toISOString()
+      endPage: Math.max(currentPage, startPage),
+      notes: sessionNotes || undefined
     };
-    
-    onSessionComplete?.(sessionData);
-    
-    // Reset session
-    setSessionTime(0);
-    setSessionNotes('');
+
+    try {
+      const response = await bookService.createBookSession(book._id, sessionData);
+      setRecentSessions(prev => [response.data.session, ...prev].slice(0, 5));
+      onSessionComplete?.(response.data.session, response.data.book);
+
+      // Reset session
+      setSessionTime(0);
+      setSessionNotes('');
+    } catch (err) {
+      console.error('Failed to save reading session:', err);
+      setError(err.message);
+      // Keep the timer and notes so the session can be saved again
+      setSessionActive(true);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteSession = async (sessionId) => {
+    try {
+      await bookService.deleteBookSession(book._id, sessionId);
+      setRecentSessions(prev => prev.filter(session => session._id !== sessionId));
+    } catch (err) {
+      console.error('Failed to delete reading session:', err);
+      setError(err.message);
+    }
   };
 
   const calculateReadingSpeed = () => {
@@ -97,13 +145,13 @@ const ReadingSession = ({ book, onSessionComplete }) => {
           </button>
         ) : (
           <div className="space-y-3">
-            {/* Page Progress During Session */}
+            {/* Progress During Session */}
             <div className="flex items-center space-x-3">
-              <label className="text-sm font-medium text-gray-700">Current Page:</label>
+              <label className="text-sm font-medium text-gray-700">Current {label}:</label>
               <input
                 type="number"
                 min={startPage}
-                max={book.pageCount || 9999}
+                max={total || undefined}
                 value={currentPage}
                 onChange={(e) => setCurrentPage(parseInt(e.target.value) || startPage)}
                 className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -126,34 +174,64 @@ const ReadingSession = ({ book, onSessionComplete }) => {
 
             <button
               onClick={endSession}
-              className="w-full bg-red-600 text-white px-4 py-3 rounded-md hover:bg-red-700 transition-colors font-medium"
+              disabled={isSaving}
+              className="w-full bg-red-600 text-white px-4 py-3 rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors font-medium"
             >
-              ⏹️ End Session
+              {isSaving ? 'Saving...' : '⏹️ End Session'}
             </button>
           </div>
         )}
       </div>
 
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
       {/* Session Stats */}
       {sessionActive && (
         <div className="grid grid-cols-3 gap-4 p-4 bg-gray-50 rounded-lg">
           <div className="text-center">
-            <p className="text-lg font-bold text-gray-900">{currentPage - startPage}</p>
-            <p className="text-xs text-gray-500">Pages Read</p>
+            <p className="text-lg font-bold text-gray-900">{formatProgressAmount(currentPage - startPage, unit)}</p>
+            <p className="text-xs text-gray-500">{unit === 'minute' ? 'Listened' : 'Read'}</p>
           </div>
           <div className="text-center">
-            <p className="text-lg font-bold text-gray-900">{calculateReadingSpeed()}</p>
+            <p className="text-lg font-bold text-gray-900">{unit === 'page' ? calculateReadingSpeed() : '—'}</p>
             <p className="text-xs text-gray-500">Pages/Hour</p>
           </div>
           <div className="text-center">
             <p className="text-lg font-bold text-gray-900">
-              {book.pageCount ? Math.round(((currentPage - startPage) / book.pageCount) * 100) : 0}%
+              {total ? Math.round(((currentPage - startPage) / total) * 100) : 0}%
             </p>
             <p className="text-xs text-gray-500">Session Progress</p>
           </div>
         </div>
       )}
 
+      {/* Recent Sessions */}
+      {!sessionActive && recentSessions.length > 0 && (
+        <div className="border-t border-gray-200 pt-4 mb-4">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Recent Sessions</h4>
+          <ul className="space-y-2">
+            {recentSessions.map((session) => (
+              <li key={session._id} className="flex items-center justify-between text-xs text-gray-600">
+                <span>
+                  {new Date(session.startTime).toLocaleDateString()} · {formatTime(session.duration)} · {formatProgressAmount(session.pagesRead, session.unit || 'page')}
+                </span>
+                <button
+                  onClick={() => deleteSession(session._id)}
+                  className="text-red-600 hover:text-red-800"
+                  aria-label="Delete reading session"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Reading Tips */}
       {!sessionActive && (
         <div className="border-t border-gray-200 pt-4">
@@ -161,7 +239,7 @@ const ReadingSession = ({ book, onSessionComplete }) => {
           <div className="space-y-1 text-xs text-gray-600">
             <p>• Find a quiet, comfortable reading environment</p>
             <p>• Take breaks every 25-30 minutes</p>
-            <p>• Update your page progress as you read</p>
+            <p>• Update your progress as you read</p>
             <p>• Jot down thoughts or insights in session notes</p>
           </div>
         </div>
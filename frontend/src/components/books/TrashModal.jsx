@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { bookService } from '../../services/bookService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const TrashModal = ({ isOpen, onClose, onRestored }) => {
+  const [books, setBooks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const { announcePolite } = useScreenReader();
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchTrash();
+    }
+  }, [isOpen]);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await bookService.getTrash({ limit: 100 });
+      setBooks(response.data.books);
+      setRetentionDays(response.data.retentionDays);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (busyKey, action, announcement) => {
+    try {
+      setBusyId(busyKey);
+      setError('');
+      await action();
+      announcePolite(announcement);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = async (book) => {
+    const restored = await runAction(book._id, () => bookService.restoreBook(book._id), `${book.title} restored`);
+    if (restored) {
+      setBooks(prev => prev.filter(item => item._id !== book._id));
+      onRestored?.();
+    }
+  };
+
+  const handlePurge = async (book) => {
+    if (!window.confirm(`Permanently delete "${book.title}"? Its notes, sessions and highlights cannot be recovered.`)) {
+      return;
+    }
+
+    const purged = await runAction(book._id, () => bookService.purgeBook(book._id), `${book.title} permanently deleted`);
+    if (purged) {
+      setBooks(prev => prev.filter(item => item._id !== book._id));
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${books.length} books in the trash? This cannot be undone.`)) {
+      return;
+    }
+
+    const emptied = await runAction('all', () => bookService.emptyTrash(), 'Trash emptied');
+    if (emptied) {
+      setBooks([]);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Trash" size="lg">
+      <div className="space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {retentionDays && (
+          <p className="text-sm text-gray-600">
+            Deleted books are kept for {retentionDays} days, then deleted permanently.
+          </p>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            <div className="h-12 bg-gray-200 rounded"></div>
+            <div className="h-12 bg-gray-200 rounded"></div>
+          </div>
+        ) : books.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="text-4xl mb-2">🗑️</div>
+            <p>The trash is empty</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {books.map((book) => (
+              <li key={book._id} className="py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {book.title} <span className="font-normal text-gray-600">by {book.author}</span>
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Deleted {new Date(book.deletedAt).toLocaleDateString()} · removed for good on {new Date(book.purgeAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex space-x-2 flex-shrink-0">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => handleRestore(book)}
+                    loading={busyId === book._id}
+                    disabled={Boolean(busyId)}
+                  >
+                    Restore
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="sm"
+                    onClick={() => handlePurge(book)}
+                    disabled={Boolean(busyId)}
+                  >
+                    Delete Forever
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <Modal.Footer>
+        {books.length > 0 && (
+          <Button onClick={handleEmpty} variant="danger" loading={busyId === 'all'} disabled={Boolean(busyId)}>
+            Empty Trash
+          </Button>
+        )}
+        <Button onClick={onClose} variant="secondary">
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default TrashModal;
@@ -3,3 +3,12 @@ export { default as BookForm } from './BookForm';
 export { default as BookList } from './BookList';
 export { default as ProgressTracker } from './ProgressTracker';
 export { default as ReadingSession } from './ReadingSession';
+export { default as BookHighlights } from './BookHighlights';
+export { default as DuplicateReviewModal } from './DuplicateReviewModal';
+export { default as TrashModal } from './TrashModal';
+export { default as BookHistory } from './BookHistory';
+export { default as BulkActionBar } from './BulkActionBar';
+export { default as FacetChips } from './FacetChips';
+export { default as BookLoans } from './BookLoans';
+export { default as MetadataReview } from './MetadataReview';
+export { default as BarcodeScanner } from './BarcodeScanner';
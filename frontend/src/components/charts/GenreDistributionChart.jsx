@@ -1,6 +1,40 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+// Genres are stored as paths such as "Fiction / Fantasy / Epic Fantasy"
+const splitGenrePath = (path) => path.split('/').map(name => name.trim()).filter(Boolean);
+
+// Roll genre stats up to the level below `trail` (the genres drilled into so far). Books filed
+// directly under the current genre are grouped as its own entry.
+const rollUpGenres = (genreAnalysis, trail) => {
+  const groups = new Map();
+
+  genreAnalysis.forEach((genre) => {
+    const names = splitGenrePath(genre._id);
+    if (!trail.every((name, index) => names[index]?.toLowerCase() === name.toLowerCase())) return;
+
+    const name = names[trail.length];
+    const key = name ? name.toLowerCase() : '';
+    const group = groups.get(key) || {
+      _id: name ? [...trail, name].join(' / ') : `${trail.join(' / ')} (general)`,
+      name: name || `${trail[trail.length - 1]} (general)`,
+      totalBooks: 0,
+      completedBooks: 0,
+      hasChildren: false
+    };
+    group.totalBooks += genre.totalBooks;
+    group.completedBooks += genre.completedBooks;
+    group.hasChildren = group.hasChildren || (name !== undefined && names.length > trail.length + 1);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, completionRate: (group.completedBooks / group.totalBooks) * 100 }))
+    .sort((a, b) => b.totalBooks - a.totalBooks);
+};
 
 const GenreDistributionChart = ({ data, loading = false }) => {
+  const [trail, setTrail] = useState([]);
+
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -19,7 +53,7 @@ const GenreDistributionChart = ({ data, loading = false }) => {
     );
   }
 
-  const genreData = data?.genreAnalysis || [];
+  const genreData = rollUpGenres(data?.genreAnalysis || [], trail);
   const totalBooks = genreData.reduce((sum, genre) => sum + genre.totalBooks, 0);
 
   const colors = [
@@ -40,6 +74,31 @@ const GenreDistributionChart = ({ data, loading = false }) => {
         <span className="text-sm text-gray-500">{totalBooks} total books</span>
       </div>
 
+      {/* Breadcrumb back up the genre tree */}
+      {trail.length > 0 && (
+        <nav aria-label="Genre level" className="flex flex-wrap items-center gap-1 text-sm mb-4">
+          <button type="button" onClick={() => setTrail([])} className="text-blue-600 hover:underline">
+            All genres
+          </button>
+          {trail.map((name, index) => (
+            <React.Fragment key={`${name}-${index}`}>
+              <span className="text-gray-400">/</span>
+              {index === trail.length - 1 ? (
+                <span className="text-gray-900 font-medium">{name}</span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setTrail(trail.slice(0, index + 1))}
+                  className="text-blue-600 hover:underline"
+                >
+                  {name}
+                </button>
+              )}
+            </React.Fragment>
+          ))}
+        </nav>
+      )}
+
       {genreData.length === 0 ? (
         <div className="text-center py-8 text-gray-500">
           <div className="text-4xl mb-2">📚</div>
@@ -59,9 +118,20 @@ const GenreDistributionChart = ({ data, loading = false }) => {
                     <div className={`w-4 h-4 rounded ${colors[index % colors.length]}`}></div>
                     <div className="flex-1">
                       <div className="flex items-center justify-between">
-                        <span className="text-sm font-medium text-gray-900 capitalize">
-                          {genre._id}
-                        </span>
+                        {genre.hasChildren ? (
+                          <button
+                            type="button"
+                            onClick={() => setTrail([...trail, genre.name])}
+                            className="text-sm font-medium text-blue-700 hover:underline capitalize"
+                            aria-label={`Show sub-genres of ${genre.name}`}
+                          >
+                            {genre.name} ›
+                          </button>
+                        ) : (
+                          <span className="text-sm font-medium text-gray-900 capitalize">
+                            {genre.name}
+                          </span>
+                        )}
                         <span className="text-sm text-gray-600">
                           {genre.totalBooks} books ({percentage}%)
                         </span>
@@ -88,7 +158,7 @@ const GenreDistributionChart = ({ data, loading = false }) => {
               </div>
               <div className="text-center">
                 <p className="text-lg font-bold text-gray-900">
-                  {genreData.length > 0 ? genreData[0]._id : 'N/A'}
+                  {genreData.length > 0 ? genreData[0].name : 'N/A'}
                 </p>
                 <p className="text-xs text-gray-500">Most Read Genre</p>
               </div>
@@ -101,7 +171,7 @@ const GenreDistributionChart = ({ data, loading = false }) => {
             <div className="space-y-2">
               {genreData.slice(0, 5).map((genre, index) => (
                 <div key={`completion-${genre._id}`} className="flex items-center justify-between text-sm">
-                  <span className="text-gray-600 capitalize">{genre._id}</span>
+                  <span className="text-gray-600 capitalize">{genre.name}</span>
                   <span className={`font-medium ${
                     genre.completionRate >= 80 ? 'text-green-600' :
                     genre.completionRate >= 60 ? 'text-yellow-600' : 'text-red-600'
@@ -0,0 +1,119 @@
+import React from 'react';
+import { formatProgressAmount } from '../../utils/progressUnits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const PADDING = 24;
+
+const sourceLabels = {
+  manual: 'Updated',
+  status: 'Status change',
+  session: 'Reading session',
+  import: 'Imported'
+};
+
+const ProgressTimelineChart = ({ history = [], pageCount, unit = 'page', loading = false }) => {
+  if (loading) {
+    return (
+      <div className="animate-pulse">
+        <div className="h-48 bg-gray-200 rounded"></div>
+      </div>
+    );
+  }
+
+  if (history.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <div className="text-4xl mb-2">📈</div>
+        <p>No progress recorded yet</p>
+        <p className="text-sm">Update your progress to start the timeline</p>
+      </div>
+    );
+  }
+
+  const times = history.map(entry => new Date(entry.recordedAt).getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const maxPage = pageCount || Math.max(...history.map(entry => entry.page), 1);
+
+  const scaleX = (time) => {
+    if (maxTime === minTime) return CHART_WIDTH / 2;
+    return PADDING + ((time - minTime) / (maxTime - minTime)) * (CHART_WIDTH - PADDING * 2);
+  };
+  const scaleY = (page) => CHART_HEIGHT - PADDING - (page / maxPage) * (CHART_HEIGHT - PADDING * 2);
+
+  const points = history.map((entry, index) => ({
+    x: scaleX(times[index]),
+    y: scaleY(entry.page),
+    entry
+  }));
+
+  return (
+    <div className="space-y-4">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-48"
+        role="img"
+        aria-label="Reading progress over time"
+      >
+        <line
+          x1={PADDING}
+          y1={CHART_HEIGHT - PADDING}
+          x2={CHART_WIDTH - PADDING}
+          y2={CHART_HEIGHT - PADDING}
+          className="stroke-gray-200"
+          strokeWidth="1"
+        />
+        <line
+          x1={PADDING}
+          y1={scaleY(maxPage)}
+          x2={CHART_WIDTH - PADDING}
+          y2={scaleY(maxPage)}
+          className="stroke-gray-200"
+          strokeWidth="1"
+          strokeDasharray="4 4"
+        />
+        <polyline
+          points={points.map(point => `${point.x},${point.y}`).join(' ')}
+          fill="none"
+          className="stroke-blue-500"
+          strokeWidth="2"
+        />
+        {points.map((point) => (
+          <circle
+            key={point.entry._id}
+            cx={point.x}
+            cy={point.y}
+            r="4"
+            className="fill-blue-600"
+          >
+            <title>
+              {`${new Date(point.entry.recordedAt).toLocaleDateString()}: ${formatProgressAmount(point.entry.page, unit)}`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>{new Date(minTime).toLocaleDateString()}</span>
+        <span>{new Date(maxTime).toLocaleDateString()}</span>
+      </div>
+
+      {/* Recent Changes */}
+      <ul className="divide-y divide-gray-100">
+        {history.slice(-5).reverse().map((entry) => (
+          <li key={entry._id} className="flex items-center justify-between py-2 text-sm">
+            <span className="text-gray-600">
+              {new Date(entry.recordedAt).toLocaleDateString()} · {sourceLabels[entry.source] || entry.source}
+            </span>
+            <span className="font-medium text-gray-900">
+              {entry.previousPage} → {entry.page}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProgressTimelineChart;
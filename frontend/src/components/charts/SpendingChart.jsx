@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { formatMoney } from '../../utils/inventory';
+
+const GROUPINGS = [
+  { key: 'byYear', field: 'year', label: 'Year', empty: 'Undated' },
+  { key: 'byStore', field: 'store', label: 'Store', empty: 'Unknown store' },
+  { key: 'byGenre', field: 'genre', label: 'Genre', empty: 'No genre' }
+];
+
+// Most bars shown per grouping; the rest are summed into "Other"
+const MAX_BARS = 8;
+
+const topBuckets = (buckets) => {
+  if (buckets.length <= MAX_BARS) return buckets;
+  const rest = buckets.slice(MAX_BARS - 1);
+  return [
+    ...buckets.slice(0, MAX_BARS - 1),
+    {
+      other: true,
+      total: Math.round(rest.reduce((sum, bucket) => sum + bucket.total, 0) * 100) / 100,
+      count: rest.reduce((sum, bucket) => sum + bucket.count, 0)
+    }
+  ];
+};
+
+// What the library cost, from the spending report: totals for one currency at a time, broken down
+// by purchase year, store or genre
+const SpendingChart = ({ report, loading = false }) => {
+  const [currencyIndex, setCurrencyIndex] = useState(0);
+  const [grouping, setGrouping] = useState(GROUPINGS[0]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="animate-pulse">
+          <div className="h-6 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="space-y-3">
+            {[1, 2, 3, 4].map((i) => (
+              <div key={i} className="flex items-center space-x-3">
+                <div className="w-24 h-4 bg-gray-200 rounded"></div>
+                <div className="flex-1 h-4 bg-gray-200 rounded"></div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const currencies = report?.currencies || [];
+  const spending = currencies[Math.min(currencyIndex, currencies.length - 1)];
+  const bars = spending ? topBuckets(spending[grouping.key]) : [];
+  const maxTotal = Math.max(...bars.map(bar => bar.total), 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Spending</h3>
+        <div className="flex items-center space-x-2">
+          {currencies.length > 1 && (
+            <select
+              value={currencyIndex}
+              onChange={(e) => setCurrencyIndex(parseInt(e.target.value, 10))}
+              aria-label="Currency"
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
+            >
+              {currencies.map((entry, index) => (
+                <option key={entry.currency || 'none'} value={index}>{entry.currency || 'No currency'}</option>
+              ))}
+            </select>
+          )}
+          <div className="flex rounded-md border border-gray-300 overflow-hidden" role="group" aria-label="Group spending by">
+            {GROUPINGS.map(option => (
+              <button
+                key={option.key}
+                type="button"
+                onClick={() => setGrouping(option)}
+                aria-pressed={grouping.key === option.key}
+                className={`px-3 py-1 text-sm ${
+                  grouping.key === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {!spending ? (
+        <div className="text-center py-8 text-gray-500">
+          <div className="text-4xl mb-2">💰</div>
+          <p>No purchase prices recorded yet</p>
+          <p className="text-sm text-gray-400">Add a price when editing a book to see your spending here</p>
+        </div>
+      ) : (
+        <>
+          <div className="space-y-2">
+            {bars.map(bar => (
+              <div key={bar.other ? 'other' : String(bar[grouping.field])} className="flex items-center space-x-3">
+                <div className="w-28 text-xs text-gray-600 text-right truncate" title={bar[grouping.field] || undefined}>
+                  {bar.other ? 'Other' : bar[grouping.field] ?? grouping.empty}
+                </div>
+                <div className="flex-1 bg-gray-200 rounded-full h-4 relative">
+                  <div
+                    className="bg-emerald-500 h-4 rounded-full transition-all duration-500"
+                    style={{ width: `${maxTotal ? (bar.total / maxTotal) * 100 : 0}%` }}
+                  ></div>
+                  <span className="absolute inset-0 flex items-center justify-center text-xs font-medium text-gray-700">
+                    {formatMoney(bar.total, spending.currency)} · {bar.count} {bar.count === 1 ? 'book' : 'books'}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-6 pt-4 border-t border-gray-200">
+            <div className="grid grid-cols-3 gap-4 text-center">
+              <div>
+                <p className="text-lg font-bold text-gray-900">{formatMoney(spending.totalSpent, spending.currency)}</p>
+                <p className="text-xs text-gray-500">Total Spent</p>
+              </div>
+              <div>
+                <p className="text-lg font-bold text-gray-900">{formatMoney(spending.collectionValue, spending.currency)}</p>
+                <p className="text-xs text-gray-500">Collection Value</p>
+              </div>
+              <div>
+                <p className="text-lg font-bold text-gray-900">{formatMoney(spending.averagePrice, spending.currency)}</p>
+                <p className="text-xs text-gray-500">Avg per Book</p>
+              </div>
+            </div>
+            {report.unpricedBooks > 0 && (
+              <p className="mt-3 text-xs text-gray-500 text-center">
+                {report.unpricedBooks} {report.unpricedBooks === 1 ? 'book has' : 'books have'} no price recorded
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SpendingChart;
@@ -1,3 +1,5 @@
 export { default as ReadingVelocityChart } from './ReadingVelocityChart';
 export { default as GenreDistributionChart } from './GenreDistributionChart';
 export { default as ReadingHabitsChart } from './ReadingHabitsChart';
+export { default as ProgressTimelineChart } from './ProgressTimelineChart';
+export { default as SpendingChart } from './SpendingChart';
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Input from './Input';
+
+const TYPE_LABELS = { title: 'Title', author: 'Author', tag: 'Tag', genre: 'Genre' };
+
+// Text input with a list of suggestions fetched as the user types (a combobox). `fetchSuggestions`
+// receives `query` once typing pauses and resolves to `{ type, value }` items; picking one calls
+// `onSelect`. Arrow keys move through the list, Enter picks and Escape closes it. Pass a memoized
+// `fetchSuggestions` (useCallback), as a new function fetches the suggestions again.
+const AutocompleteInput = ({
+  value,
+  onChange,
+  onSelect,
+  fetchSuggestions,
+  query = value,
+  minLength = 2,
+  delay = 250,
+  showTypes = false,
+  id,
+  onKeyDown,
+  onBlur,
+  ...props
+}) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [listId] = useState(() => `autocomplete-${Math.random().toString(36).substr(2, 9)}`);
+  const inputId = id || `${listId}-input`;
+  // Picking a suggestion changes the value; that change should not fetch suggestions again
+  const skipNextFetch = useRef(false);
+
+  useEffect(() => {
+    if (skipNextFetch.current) {
+      skipNextFetch.current = false;
+      return undefined;
+    }
+
+    const text = (query || '').trim();
+    if (text.length < minLength) {
+      setSuggestions([]);
+      setOpen(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const results = await fetchSuggestions(text);
+        if (cancelled) return;
+        setSuggestions(results);
+        setActiveIndex(-1);
+        setOpen(results.length > 0);
+      } catch {
+        // Suggestions are optional; typing carries on without them
+        if (!cancelled) setSuggestions([]);
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query, minLength, delay, fetchSuggestions]);
+
+  const pick = (suggestion) => {
+    skipNextFetch.current = true;
+    setOpen(false);
+    setActiveIndex(-1);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (open && suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+        return;
+      }
+      if (e.key === 'Enter' && activeIndex >= 0) {
+        e.preventDefault();
+        pick(suggestions[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setOpen(false);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  const handleBlur = (e) => {
+    // Let a click on a suggestion land before the list closes
+    setTimeout(() => setOpen(false), 150);
+    onBlur?.(e);
+  };
+
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  return (
+    <div className="relative">
+      <Input
+        id={inputId}
+        value={value}
+        onChange={onChange}
+        onKeyDown={handleKeyDown}
+        onBlur={handleBlur}
+        onFocus={() => suggestions.length > 0 && setOpen(true)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        autoComplete="off"
+        {...props}
+      />
+
+      {open && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full max-h-64 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg py-1 text-sm"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.value}`}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex items-center justify-between px-3 py-2 cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-900' : 'text-gray-700'
+              }`}
+            >
+              <span className="truncate">{suggestion.value}</span>
+              {showTypes && (
+                <span className="ml-3 shrink-0 text-xs text-gray-500">
+                  {TYPE_LABELS[suggestion.type] || suggestion.type}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AutocompleteInput;
@@ -1,14 +1,18 @@
 import React from 'react';
 import { useLazyImage, useProgressiveImage } from '../../hooks/useLazyLoad';
+import { getCoverUrl } from '../../utils/covers';
 
 /**
- * Lazy loading image component with placeholder support
+ * Lazy loading image component with placeholder support.
+ * `imageSize` (small, medium or large) picks the thumbnail to load for uploaded book covers.
  */
 const LazyImage = ({
-  src,
+  src: source,
   alt,
   placeholder = null,
   className = '',
+  imgClassName = '',
+  imageSize = 'medium',
   fallback = null,
   progressive = false,
   lowQualitySrc = null,
@@ -16,6 +20,8 @@ const LazyImage = ({
   onError = null,
   ...props
 }) => {
+  const src = getCoverUrl(source, imageSize);
+
   // Use progressive loading if lowQualitySrc is provided
   const progressiveResult = useProgressiveImage(
     progressive && lowQualitySrc ? lowQualitySrc : src,
@@ -55,7 +61,7 @@ const LazyImage = ({
       <img
         src={imageSrc || placeholder || '/images/placeholder.svg'}
         alt={alt}
-        className={`transition-opacity duration-300 ${
+        className={`${imgClassName} transition-opacity duration-300 ${
           isLoaded ? 'opacity-100' : 'opacity-70'
         } ${progressive && !progressiveResult?.isHighQuality ? 'filter blur-sm' : ''}`}
         onLoad={handleLoad}
@@ -134,6 +140,9 @@ export const BookCoverImage = ({
       alt={`${title} by ${author}`}
       placeholder={placeholder}
       fallback={fallback}
+      // Thumbnails at least twice the display width, for high-density screens
+      imageSize={size === 'small' ? 'small' : 'medium'}
+      imgClassName="w-full h-full object-cover"
       className={`${sizeClasses[size]} rounded-lg shadow-sm ${className}`}
       {...props}
     />
@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react';
+
+// Short-lived notice with an Undo action, e.g. after moving a book to the trash
+const UndoToast = ({ message, onUndo, onDismiss, duration = 8000, undoLabel = 'Undo' }) => {
+  useEffect(() => {
+    if (!message) return undefined;
+    const timeout = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timeout);
+  }, [message, duration]);
+
+  if (!message) return null;
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-20 lg:bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center space-x-4 bg-gray-900 text-white px-4 py-3 rounded-lg shadow-lg"
+    >
+      <span className="text-sm">{message}</span>
+      <button
+        onClick={onUndo}
+        className="text-sm font-medium text-blue-300 hover:text-blue-200 focus:outline-none focus:underline"
+      >
+        {undoLabel}
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white focus:outline-none"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
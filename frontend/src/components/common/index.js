@@ -1,4 +1,7 @@
+export { default as AutocompleteInput } from './AutocompleteInput';
 export { default as Button } from './Button';
 export { default as Card } from './Card';
 export { default as Input } from './Input';
+export { default as LazyImage } from './LazyImage';
 export { default as Modal } from './Modal';
+export { default as UndoToast } from './UndoToast';
@@ -0,0 +1,58 @@
+import React from 'react';
+import { formatLoanDate } from '../../utils/loans';
+
+// Books lent out and not back by their due date, most overdue first
+const OverdueLoans = ({ loans, loading = false, onOpenBook }) => {
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="animate-pulse">
+          <div className="h-6 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="space-y-3">
+            {[1, 2].map((i) => (
+              <div key={i} className="h-4 bg-gray-200 rounded w-3/4"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!loans || loans.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-red-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        ⏰ Overdue Loans ({loans.length})
+      </h3>
+
+      <ul className="divide-y divide-gray-100">
+        {loans.map(({ book, loan, daysOverdue }) => (
+          <li key={book._id}>
+            <button
+              type="button"
+              onClick={() => onOpenBook?.(book._id)}
+              className="w-full flex items-center justify-between py-3 text-left hover:bg-gray-50 rounded"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{book.title}</p>
+                <p className="text-sm text-gray-600 truncate">
+                  Lent to {loan.borrowerName}
+                  {loan.borrowerContact && ` (${loan.borrowerContact})`}
+                </p>
+              </div>
+              <div className="ml-4 shrink-0 text-right text-xs">
+                <p className="font-medium text-red-700">
+                  {daysOverdue === 0 ? 'Due today' : `${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`}
+                </p>
+                <p className="text-gray-500">Due {formatLoanDate(loan.dueDate)}</p>
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default OverdueLoans;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { LazyImage } from '../common';
 
 const RecentActivity = ({ recentBooks, loading = false }) => {
   if (loading) {
@@ -41,6 +42,10 @@ const RecentActivity = ({ recentBooks, loading = false }) => {
         return '📖';
       case 'not_started':
         return '📚';
+      case 'want_to_read':
+        return '🔖';
+      case 'abandoned':
+        return '⏹️';
       default:
         return '📖';
     }
@@ -54,11 +59,21 @@ const RecentActivity = ({ recentBooks, loading = false }) => {
         return 'text-blue-600 bg-blue-100';
       case 'not_started':
         return 'text-gray-600 bg-gray-100';
+      case 'want_to_read':
+        return 'text-purple-600 bg-purple-100';
+      case 'abandoned':
+        return 'text-red-600 bg-red-100';
       default:
         return 'text-gray-600 bg-gray-100';
     }
   };
 
+  const coverPlaceholder = (
+    <div className="w-12 h-16 bg-gradient-to-br from-blue-400 to-purple-500 rounded shadow-sm flex items-center justify-center">
+      <span className="text-white text-xs font-bold">📖</span>
+    </div>
+  );
+
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
       <div className="flex items-center justify-between mb-4">
@@ -81,22 +96,15 @@ const RecentActivity = ({ recentBooks, loading = false }) => {
               {/* Book Cover Placeholder */}
               <div className="flex-shrink-0">
                 {book.coverImage ? (
-                  <img
+                  <LazyImage
                     src={book.coverImage}
                     alt={book.title}
-                    className="w-12 h-16 object-cover rounded shadow-sm"
-                    onError={(e) => {
-                      e.target.style.display = 'none';
-                      e.target.nextSibling.style.display = 'flex';
-                    }}
+                    imageSize="small"
+                    className="w-12 h-16 rounded shadow-sm"
+                    imgClassName="w-full h-full object-cover"
+                    fallback={coverPlaceholder}
                   />
-                ) : null}
-                <div 
-                  className="w-12 h-16 bg-gradient-to-br from-blue-400 to-purple-500 rounded shadow-sm flex items-center justify-center"
-                  style={{ display: book.coverImage ? 'none' : 'flex' }}
-                >
-                  <span className="text-white text-xs font-bold">📖</span>
-                </div>
+                ) : coverPlaceholder}
               </div>
 
               {/* Book Info */}
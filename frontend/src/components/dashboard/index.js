@@ -2,3 +2,4 @@ export { default as StatCard } from './StatCard';
 export { default as ReadingProgress } from './ReadingProgress';
 export { default as RecentActivity } from './RecentActivity';
 export { default as QuickActions } from './QuickActions';
+export { default as OverdueLoans } from './OverdueLoans';
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { genreService, flattenGenreTree } from '../../services/genreService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const selectClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+// Parent picker; `exclude` hides a genre and its sub-genres so nothing moves inside itself
+const ParentSelect = ({ id, genres, value, onChange, exclude }) => (
+  <div>
+    <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+      Parent
+    </label>
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+      <option value="">(Top level)</option>
+      {genres
+        .filter(genre => !exclude || (genre._id !== exclude._id && !genre.path.startsWith(`${exclude.path} / `)))
+        .map(genre => (
+          <option key={genre._id} value={genre._id}>{genre.path}</option>
+        ))}
+    </select>
+  </div>
+);
+
+const GenreManagerModal = ({ isOpen, onClose, genres = [], onGenresChange }) => {
+  const [newGenre, setNewGenre] = useState({ name: '', parent: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [editData, setEditData] = useState({ name: '', parent: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { announcePolite } = useScreenReader();
+
+  const flatGenres = flattenGenreTree(genres);
+
+  const runAction = async (action, announcement) => {
+    try {
+      setLoading(true);
+      setError('');
+      await action();
+      announcePolite(announcement);
+      onGenresChange?.();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newGenre.name.trim()) {
+      setError('Genre name is required');
+      return;
+    }
+
+    const created = await runAction(
+      () => genreService.createGenre(newGenre.name.trim(), newGenre.parent || null),
+      `Genre ${newGenre.name} created`
+    );
+    if (created) {
+      setNewGenre(prev => ({ ...prev, name: '' }));
+    }
+  };
+
+  const startEditing = (genre) => {
+    setEditingId(genre._id);
+    setEditData({ name: genre.name, parent: genre.parent || '' });
+    setError('');
+  };
+
+  const handleUpdate = async (genreId) => {
+    if (!editData.name.trim()) {
+      setError('Genre name is required');
+      return;
+    }
+
+    const updated = await runAction(
+      () => genreService.updateGenre(genreId, { name: editData.name.trim(), parent: editData.parent || null }),
+      `Genre ${editData.name} updated`
+    );
+    if (updated) {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = async (genre) => {
+    const parentLabel = genre.parent ? 'its parent genre' : 'no genre';
+    if (!window.confirm(`Delete the "${genre.name}" genre? Its sub-genres and books move to ${parentLabel}.`)) {
+      return;
+    }
+
+    await runAction(
+      () => genreService.deleteGenre(genre._id),
+      `Genre ${genre.name} deleted`
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Manage Genres" size="lg">
+      <div className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* Genre Tree */}
+        {flatGenres.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No genres yet. Create one below, or type a path such as "Fiction / Fantasy" when editing a book.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {flatGenres.map((genre) => (
+              <li key={genre._id} className="py-3" style={{ paddingLeft: `${genre.depth * 1.5}rem` }}>
+                {editingId === genre._id ? (
+                  <div className="space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                      <Input
+                        label="Name"
+                        value={editData.name}
+                        onChange={(e) => setEditData(prev => ({ ...prev, name: e.target.value }))}
+                        maxLength={50}
+                        required
+                      />
+                      <ParentSelect
+                        id={`genre-parent-${genre._id}`}
+                        genres={flatGenres}
+                        value={editData.parent}
+                        onChange={(parent) => setEditData(prev => ({ ...prev, parent }))}
+                        exclude={genre}
+                      />
+                    </div>
+                    <div className="flex justify-end space-x-2">
+                      <Button variant="secondary" size="sm" onClick={() => setEditingId(null)} disabled={loading}>
+                        Cancel
+                      </Button>
+                      <Button variant="primary" size="sm" onClick={() => handleUpdate(genre._id)} loading={loading}>
+                        Save
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900">{genre.name}</p>
+                      <p className="text-sm text-gray-500">
+                        {genre.totalCount} book{genre.totalCount !== 1 ? 's' : ''}
+                        {genre.children.length > 0 && ` (${genre.count} directly)`}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setNewGenre({ name: '', parent: genre._id })}
+                        disabled={loading}
+                        aria-label={`Add a sub-genre to ${genre.name}`}
+                      >
+                        + Sub-genre
+                      </Button>
+                      <Button variant="secondary" size="sm" onClick={() => startEditing(genre)} disabled={loading}>
+                        Edit
+                      </Button>
+                      <Button variant="danger" size="sm" onClick={() => handleDelete(genre)} disabled={loading}>
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* New Genre */}
+        <form onSubmit={handleCreate} className="space-y-3 pt-4 border-t border-gray-200">
+          <h3 className="text-sm font-medium text-gray-900">New Genre</h3>
+          <div className="grid grid-cols-2 gap-3">
+            <Input
+              label="Name"
+              value={newGenre.name}
+              onChange={(e) => setNewGenre(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Epic Fantasy"
+              maxLength={50}
+              required
+            />
+            <ParentSelect
+              id="new-genre-parent"
+              genres={flatGenres}
+              value={newGenre.parent}
+              onChange={(parent) => setNewGenre(prev => ({ ...prev, parent }))}
+            />
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" loading={loading} disabled={loading}>
+              Create Genre
+            </Button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+export default GenreManagerModal;
@@ -0,0 +1 @@
+export { default as GenreManagerModal } from './GenreManagerModal';
@@ -1,7 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Modal from '../common/Modal';
 import Button from '../common/Button';
 import { importExportService } from '../../services/importExportService';
+import { shelfService } from '../../services/shelfService';
 import { useScreenReader } from '../../hooks/useAccessibility';
 
 const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
@@ -10,13 +11,29 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [importResults, setImportResults] = useState(null);
   const [error, setError] = useState('');
+  const [shelves, setShelves] = useState([]);
+  // Export the whole library ('') or one shelf's books
+  const [exportShelf, setExportShelf] = useState('');
   const { announcePolite } = useScreenReader();
 
+  useEffect(() => {
+    if (isOpen) fetchShelves();
+  }, [isOpen]);
+
+  const fetchShelves = async () => {
+    try {
+      const response = await shelfService.getShelves();
+      setShelves(response.data.shelves);
+    } catch (err) {
+      console.error('Failed to fetch shelves:', err);
+    }
+  };
+
   const handleExportCSV = async () => {
     try {
       setLoading(true);
       setError('');
-      await importExportService.exportBooksCSV();
+      await importExportService.exportBooksCSV(exportShelf);
       announcePolite('Books exported to CSV successfully');
     } catch (error) {
       setError('Failed to export books to CSV');
@@ -30,7 +47,7 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
     try {
       setLoading(true);
       setError('');
-      await importExportService.exportBooksJSON();
+      await importExportService.exportBooksJSON(exportShelf);
       announcePolite('Books exported to JSON successfully');
     } catch (error) {
       setError('Failed to export books to JSON');
@@ -105,6 +122,7 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
     setSelectedFile(null);
     setImportResults(null);
     setError('');
+    setExportShelf('');
     setActiveTab('export');
   };
 
@@ -157,6 +175,7 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
           <p className="text-sm text-green-700 font-medium">{importResults.message}</p>
           <p className="text-xs text-green-600 mt-1">
             Imported: {importResults.data.importedCount} books
+            {importResults.data.highlightCount > 0 && ` and ${importResults.data.highlightCount} highlights`}
           </p>
           {importResults.data.errors?.length > 0 && (
             <div className="mt-2">
@@ -168,6 +187,21 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
               </ul>
             </div>
           )}
+          {importResults.data.conflicts?.length > 0 && (
+            <div className="mt-2">
+              <p className="text-xs text-yellow-600">
+                Skipped {importResults.data.conflicts.length} book{importResults.data.conflicts.length !== 1 ? 's' : ''}:
+              </p>
+              <ul className="text-xs text-yellow-600 list-disc list-inside">
+                {importResults.data.conflicts.map((conflict, index) => (
+                  <li key={index}>
+                    {conflict.row}: {conflict.title}
+                    {conflict.isbn && ` (ISBN ${conflict.isbn})`} — {conflict.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       )}
 
@@ -181,6 +215,27 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
             </p>
           </div>
 
+          {shelves.length > 0 && (
+            <div>
+              <label htmlFor="export-shelf" className="block text-sm font-medium text-gray-700 mb-1">
+                Books to export
+              </label>
+              <select
+                id="export-shelf"
+                value={exportShelf}
+                onChange={(e) => setExportShelf(e.target.value)}
+                className="input"
+              >
+                <option value="">Whole library</option>
+                {shelves.map((shelf) => (
+                  <option key={shelf._id} value={shelf._id}>
+                    {shelf.icon ? `${shelf.icon} ` : ''}{shelf.name}{shelf.isSmart ? ' (smart)' : ''} ({shelf.bookCount})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {/* CSV Export */}
             <div className="card p-4">
@@ -216,7 +271,7 @@ const ImportExportModal = ({ isOpen, onClose, onImportSuccess }) => {
                 </div>
               </div>
               <p className="text-sm text-gray-600 mb-3">
-                Export as JSON with complete data including user preferences and statistics.
+                Export as JSON with complete data including highlights, user preferences and statistics.
               </p>
               <Button
                 onClick={handleExportJSON}
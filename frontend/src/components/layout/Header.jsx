@@ -42,6 +42,12 @@ const Header = () => {
               >
                 My Books
               </button>
+              <button
+                onClick={() => navigate('/tags')}
+                className="text-gray-700 hover:text-blue-600 px-3 py-2 text-sm font-medium transition-colors"
+              >
+                Tags
+              </button>
               <button
                 onClick={() => navigate('/analytics')}
                 className="text-gray-700 hover:text-blue-600 px-3 py-2 text-sm font-medium transition-colors"
@@ -135,6 +141,12 @@ const Header = () => {
           >
             My Books
           </button>
+          <button
+            onClick={() => navigate('/tags')}
+            className="block w-full text-left px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md transition-colors"
+          >
+            Tags
+          </button>
           <button
             onClick={() => navigate('/analytics')}
             className="block w-full text-left px-3 py-2 text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md transition-colors"
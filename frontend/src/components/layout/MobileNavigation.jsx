@@ -8,6 +8,7 @@ const MobileNavigation = ({ isOpen, onClose }) => {
   const navigationItems = [
     { path: '/dashboard', label: 'Dashboard', icon: '📊' },
     { path: '/books', label: 'My Books', icon: '📚' },
+    { path: '/tags', label: 'Tags', icon: '🏷️' },
     { path: '/analytics', label: 'Analytics', icon: '📈' },
     { path: '/goals', label: 'Goals', icon: '🎯' },
     { path: '/profile', label: 'Profile', icon: '👤' }
@@ -1,42 +1,80 @@
 import React, { useState, useEffect } from 'react';
 import Modal from '../common/Modal';
 import Button from '../common/Button';
-import { bookService } from '../../services/bookService';
+import Input from '../common/Input';
+import { shelfService } from '../../services/shelfService';
+import { seriesService } from '../../services/seriesService';
+import { genreService, flattenGenreTree } from '../../services/genreService';
 
-const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
-  const [searchCriteria, setSearchCriteria] = useState({
-    title: '',
-    author: '',
-    isbn: '',
-    genre: '',
-    status: '',
-    rating: { min: '', max: '' },
-    pageCount: { min: '', max: '' },
-    dateRange: { start: '', end: '' },
-    tags: '',
-    notes: '',
-    hasRating: false,
-    hasNotes: false
-  });
+const emptyCriteria = {
+  title: '',
+  author: '',
+  isbn: '',
+  genre: '',
+  series: '',
+  status: '',
+  rating: { min: '', max: '' },
+  pageCount: { min: '', max: '' },
+  dateRange: { start: '', end: '' },
+  decade: '',
+  tags: '',
+  notes: '',
+  hasRating: false,
+  hasNotes: false
+};
+
+// Fill the form from saved criteria, which only hold the values that were set
+const criteriaToForm = (criteria = {}) => Object.fromEntries(
+  Object.entries(emptyCriteria).map(([key, empty]) => [
+    key,
+    typeof empty === 'object' ? { ...empty, ...criteria[key] } : (criteria[key] ?? empty)
+  ])
+);
+
+// Search by many criteria at once. The criteria can be saved as a smart shelf, whose books are
+// whichever match them; pass a smart `shelf` to edit its criteria instead.
+const AdvancedSearchModal = ({ isOpen, onClose, onSearch, shelf, onShelfSaved }) => {
+  const [searchCriteria, setSearchCriteria] = useState(emptyCriteria);
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortOrder: 'desc' });
 
   const [genres, setGenres] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [seriesOptions, setSeriesOptions] = useState([]);
+  const [shelfName, setShelfName] = useState('');
+  const [shelfIcon, setShelfIcon] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
 
   useEffect(() => {
     if (isOpen) {
       fetchGenres();
+      fetchSeries();
+      setError('');
+      setShelfName(shelf ? shelf.name : '');
+      setShelfIcon(shelf ? shelf.icon || '' : '');
+      if (shelf) {
+        setSearchCriteria(criteriaToForm(shelf.criteria));
+      }
     }
-  }, [isOpen]);
+  }, [isOpen, shelf]);
 
   const fetchGenres = async () => {
     try {
-      const response = await bookService.getBooksByGenre();
-      setGenres(response.data.genres || []);
+      const response = await genreService.getGenres();
+      setGenres(flattenGenreTree(response.data.genres || []));
     } catch (error) {
       console.error('Failed to fetch genres:', error);
     }
   };
 
+  const fetchSeries = async () => {
+    try {
+      const response = await seriesService.getSeries();
+      setSeriesOptions(response.data.series || []);
+    } catch (error) {
+      console.error('Failed to fetch series:', error);
+    }
+  };
+
   const handleInputChange = (field, value) => {
     if (field.includes('.')) {
       const [parent, child] = field.split('.');
@@ -55,55 +93,76 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
     }
   };
 
-  const handleSearch = () => {
-    // Filter out empty values
-    const filteredCriteria = Object.entries(searchCriteria).reduce((acc, [key, value]) => {
-      if (typeof value === 'object' && value !== null) {
-        const filteredObject = Object.entries(value).reduce((objAcc, [objKey, objValue]) => {
-          if (objValue !== '' && objValue !== null && objValue !== undefined) {
-            objAcc[objKey] = objValue;
-          }
-          return objAcc;
-        }, {});
-        
-        if (Object.keys(filteredObject).length > 0) {
-          acc[key] = filteredObject;
+  // The criteria that are set, leaving out empty fields and unticked boxes
+  const getFilledCriteria = () => Object.entries(searchCriteria).reduce((acc, [key, value]) => {
+    if (typeof value === 'object' && value !== null) {
+      const filteredObject = Object.entries(value).reduce((objAcc, [objKey, objValue]) => {
+        if (objValue !== '' && objValue !== null && objValue !== undefined) {
+          objAcc[objKey] = objValue;
         }
-      } else if (value !== '' && value !== null && value !== undefined && value !== false) {
-        acc[key] = value;
+        return objAcc;
+      }, {});
+
+      if (Object.keys(filteredObject).length > 0) {
+        acc[key] = filteredObject;
       }
-      return acc;
-    }, {});
+    } else if (value !== '' && value !== null && value !== undefined && value !== false) {
+      acc[key] = value;
+    }
+    return acc;
+  }, {});
 
-    onSearch(filteredCriteria);
+  const handleSearch = () => {
+    onSearch(getFilledCriteria(), sort);
     onClose();
   };
 
+  const handleSaveShelf = async () => {
+    const criteria = getFilledCriteria();
+    if (!shelfName.trim()) {
+      setError('Give the smart shelf a name');
+      return;
+    }
+    if (Object.keys(criteria).length === 0) {
+      setError('Set at least one search criterion');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      const shelfData = { name: shelfName.trim(), icon: shelfIcon.trim(), criteria };
+      const response = shelf
+        ? await shelfService.updateShelf(shelf._id, shelfData)
+        : await shelfService.createShelf(shelfData);
+      onShelfSaved?.(response.data.shelf);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleReset = () => {
-    setSearchCriteria({
-      title: '',
-      author: '',
-      isbn: '',
-      genre: '',
-      status: '',
-      rating: { min: '', max: '' },
-      pageCount: { min: '', max: '' },
-      dateRange: { start: '', end: '' },
-      tags: '',
-      notes: '',
-      hasRating: false,
-      hasNotes: false
-    });
+    setSearchCriteria(emptyCriteria);
+    setSort({ sortBy: 'createdAt', sortOrder: 'desc' });
   };
 
   return (
     <Modal
       isOpen={isOpen}
       onClose={onClose}
-      title="Advanced Search"
+      title={shelf ? `Edit Smart Shelf: ${shelf.name}` : 'Advanced Search'}
       size="lg"
     >
       <div className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md" role="alert">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
         {/* Basic Information */}
         <div>
           <h3 className="text-lg font-medium text-gray-900 mb-4">Basic Information</h3>
@@ -158,12 +217,58 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
               >
                 <option value="">All Genres</option>
                 {genres.map((genre) => (
-                  <option key={genre._id} value={genre._id}>
-                    {genre._id} ({genre.count})
+                  <option key={genre._id} value={genre.path}>
+                    {genre.path} ({genre.totalCount})
                   </option>
                 ))}
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Series
+              </label>
+              <input
+                type="text"
+                list="advanced-search-series"
+                value={searchCriteria.series}
+                onChange={(e) => handleInputChange('series', e.target.value)}
+                className="input"
+                placeholder="Search by series..."
+              />
+              <datalist id="advanced-search-series">
+                {seriesOptions.map((series) => (
+                  <option key={series.name} value={series.name} />
+                ))}
+              </datalist>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Sort Results By
+              </label>
+              <div className="flex space-x-2">
+                <select
+                  value={sort.sortBy}
+                  onChange={(e) => setSort(prev => ({ ...prev, sortBy: e.target.value }))}
+                  className="input"
+                >
+                  <option value="createdAt">Date Added</option>
+                  <option value="title">Title</option>
+                  <option value="author">Author</option>
+                  <option value="series">Series</option>
+                  <option value="rating">Rating</option>
+                </select>
+                <select
+                  value={sort.sortOrder}
+                  onChange={(e) => setSort(prev => ({ ...prev, sortOrder: e.target.value }))}
+                  className="input"
+                >
+                  <option value="asc">Ascending</option>
+                  <option value="desc">Descending</option>
+                </select>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -181,9 +286,11 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
                 className="input"
               >
                 <option value="">All Status</option>
+                <option value="want_to_read">Want to Read</option>
                 <option value="not_started">Not Started</option>
                 <option value="in_progress">In Progress</option>
                 <option value="completed">Completed</option>
+                <option value="abandoned">Did Not Finish</option>
               </select>
             </div>
             
@@ -267,6 +374,21 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
                 />
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Published in the Decade
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={searchCriteria.decade}
+                onChange={(e) => handleInputChange('decade', e.target.value)}
+                className="input"
+                placeholder="e.g. 1990"
+              />
+            </div>
           </div>
         </div>
 
@@ -327,6 +449,37 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
             </label>
           </div>
         </div>
+
+        {/* Smart Shelf */}
+        <div className="pt-4 border-t border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900 mb-1">
+            {shelf ? 'Smart Shelf' : 'Save as Smart Shelf'}
+          </h3>
+          <p className="text-sm text-gray-600 mb-3">
+            A smart shelf keeps these criteria and always shows the books that currently match them.
+          </p>
+          <div className="grid grid-cols-4 gap-3 items-end">
+            <Input
+              label="Icon"
+              value={shelfIcon}
+              onChange={(e) => setShelfIcon(e.target.value)}
+              placeholder="⭐"
+              maxLength={10}
+            />
+            <div className="col-span-2">
+              <Input
+                label="Name"
+                value={shelfName}
+                onChange={(e) => setShelfName(e.target.value)}
+                placeholder="e.g. Unrated favorites"
+                maxLength={50}
+              />
+            </div>
+            <Button onClick={handleSaveShelf} variant="secondary" loading={saving} disabled={saving}>
+              {shelf ? 'Save Changes' : 'Save Shelf'}
+            </Button>
+          </div>
+        </div>
       </div>
 
       {/* Footer */}
@@ -337,9 +490,11 @@ const AdvancedSearchModal = ({ isOpen, onClose, onSearch }) => {
         <Button onClick={onClose} variant="secondary">
           Cancel
         </Button>
-        <Button onClick={handleSearch} variant="primary">
-          Search
-        </Button>
+        {onSearch && (
+          <Button onClick={handleSearch} variant="primary">
+            Search
+          </Button>
+        )}
       </Modal.Footer>
     </Modal>
   );
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { shelfService, describeShelfCriteria } from '../../services/shelfService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const emptyShelf = { name: '', icon: '', description: '' };
+
+// `onEditCriteria(shelf)` opens a smart shelf's criteria for editing
+const ShelfManagerModal = ({ isOpen, onClose, shelves = [], onShelvesChange, onEditCriteria }) => {
+  const [newShelf, setNewShelf] = useState(emptyShelf);
+  const [editingId, setEditingId] = useState(null);
+  const [editData, setEditData] = useState(emptyShelf);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { announcePolite } = useScreenReader();
+
+  const runAction = async (action, announcement) => {
+    try {
+      setLoading(true);
+      setError('');
+      await action();
+      announcePolite(announcement);
+      onShelvesChange?.();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newShelf.name.trim()) {
+      setError('Shelf name is required');
+      return;
+    }
+
+    const created = await runAction(
+      () => shelfService.createShelf(newShelf),
+      `Shelf ${newShelf.name} created`
+    );
+    if (created) {
+      setNewShelf(emptyShelf);
+    }
+  };
+
+  const startEditing = (shelf) => {
+    setEditingId(shelf._id);
+    setEditData({
+      name: shelf.name,
+      icon: shelf.icon || '',
+      description: shelf.description || ''
+    });
+    setError('');
+  };
+
+  const handleUpdate = async (shelfId) => {
+    if (!editData.name.trim()) {
+      setError('Shelf name is required');
+      return;
+    }
+
+    const updated = await runAction(
+      () => shelfService.updateShelf(shelfId, editData),
+      `Shelf ${editData.name} updated`
+    );
+    if (updated) {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = async (shelf) => {
+    const message = shelf.isSmart
+      ? `Delete the "${shelf.name}" smart shelf? Only its saved criteria are removed.`
+      : `Delete the "${shelf.name}" shelf? Its books stay in your library.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    await runAction(
+      () => shelfService.deleteShelf(shelf._id),
+      `Shelf ${shelf.name} deleted`
+    );
+  };
+
+  // Swap sort order with the neighbouring shelf
+  const handleMove = async (index, direction) => {
+    const shelf = shelves[index];
+    const neighbour = shelves[index + direction];
+    if (!neighbour) return;
+
+    await runAction(
+      () => Promise.all([
+        shelfService.updateShelf(shelf._id, { sortOrder: neighbour.sortOrder }),
+        shelfService.updateShelf(neighbour._id, { sortOrder: shelf.sortOrder })
+      ]),
+      `Moved ${shelf.name} ${direction < 0 ? 'up' : 'down'}`
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Manage Shelves" size="lg">
+      <div className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* Existing Shelves */}
+        {shelves.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No shelves yet. Create one below to start organizing your books.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {shelves.map((shelf, index) => (
+              <li key={shelf._id} className="py-3">
+                {editingId === shelf._id ? (
+                  <div className="space-y-3">
+                    <div className="grid grid-cols-4 gap-3">
+                      <Input
+                        label="Icon"
+                        value={editData.icon}
+                        onChange={(e) => setEditData(prev => ({ ...prev, icon: e.target.value }))}
+                        maxLength={10}
+                      />
+                      <div className="col-span-3">
+                        <Input
+                          label="Name"
+                          value={editData.name}
+                          onChange={(e) => setEditData(prev => ({ ...prev, name: e.target.value }))}
+                          maxLength={50}
+                          required
+                        />
+                      </div>
+                    </div>
+                    <Input
+                      label="Description"
+                      value={editData.description}
+                      onChange={(e) => setEditData(prev => ({ ...prev, description: e.target.value }))}
+                      maxLength={500}
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <Button variant="secondary" size="sm" onClick={() => setEditingId(null)} disabled={loading}>
+                        Cancel
+                      </Button>
+                      <Button variant="primary" size="sm" onClick={() => handleUpdate(shelf._id)} loading={loading}>
+                        Save
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {shelf.icon && <span className="mr-2">{shelf.icon}</span>}
+                        {shelf.name}
+                        {shelf.isSmart && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-purple-100 text-purple-800 rounded">
+                            Smart
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {shelf.bookCount} book{shelf.bookCount !== 1 ? 's' : ''}
+                        {shelf.isSmart && ` · ${describeShelfCriteria(shelf.criteria)}`}
+                        {shelf.description && ` · ${shelf.description}`}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleMove(index, -1)}
+                        disabled={loading || index === 0}
+                        aria-label={`Move ${shelf.name} up`}
+                      >
+                        ↑
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleMove(index, 1)}
+                        disabled={loading || index === shelves.length - 1}
+                        aria-label={`Move ${shelf.name} down`}
+                      >
+                        ↓
+                      </Button>
+                      {shelf.isSmart && onEditCriteria && (
+                        <Button variant="secondary" size="sm" onClick={() => onEditCriteria(shelf)} disabled={loading}>
+                          Criteria
+                        </Button>
+                      )}
+                      <Button variant="secondary" size="sm" onClick={() => startEditing(shelf)} disabled={loading}>
+                        Edit
+                      </Button>
+                      <Button variant="danger" size="sm" onClick={() => handleDelete(shelf)} disabled={loading}>
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* New Shelf */}
+        <form onSubmit={handleCreate} className="space-y-3 pt-4 border-t border-gray-200">
+          <h3 className="text-sm font-medium text-gray-900">New Shelf</h3>
+          <div className="grid grid-cols-4 gap-3">
+            <Input
+              label="Icon"
+              value={newShelf.icon}
+              onChange={(e) => setNewShelf(prev => ({ ...prev, icon: e.target.value }))}
+              placeholder="📚"
+              maxLength={10}
+            />
+            <div className="col-span-3">
+              <Input
+                label="Name"
+                value={newShelf.name}
+                onChange={(e) => setNewShelf(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Favorites, Book Club, Summer 2025"
+                maxLength={50}
+                required
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" loading={loading} disabled={loading}>
+              Create Shelf
+            </Button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+export default ShelfManagerModal;
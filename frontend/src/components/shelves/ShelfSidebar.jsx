@@ -0,0 +1,90 @@
+import React from 'react';
+import { describeShelfCriteria } from '../../services/shelfService';
+
+const ShelfLink = ({ label, icon, count, selected, onClick, title }) => (
+  <li>
+    <button
+      type="button"
+      onClick={onClick}
+      title={title}
+      aria-current={selected ? 'true' : undefined}
+      className={`w-full flex items-center justify-between px-3 py-2 rounded-md text-sm text-left ${
+        selected ? 'bg-blue-50 text-blue-900 font-medium' : 'text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      <span className="truncate">
+        {icon && <span className="mr-2">{icon}</span>}
+        {label}
+      </span>
+      {count !== undefined && (
+        <span className="ml-2 shrink-0 text-xs text-gray-500">{count}</span>
+      )}
+    </button>
+  </li>
+);
+
+// Shelf navigation beside the book list: the whole library, regular shelves, then smart shelves.
+// Counts come from the shelf list, so smart shelves show how many books match right now.
+const ShelfSidebar = ({ shelves = [], selectedShelf = 'all', onSelect, onNewSmartShelf }) => {
+  const regularShelves = shelves.filter(shelf => !shelf.isSmart);
+  const smartShelves = shelves.filter(shelf => shelf.isSmart);
+
+  return (
+    <nav aria-label="Shelves" className="space-y-6">
+      <ul className="space-y-1">
+        <ShelfLink
+          label="All books"
+          icon="📚"
+          selected={selectedShelf === 'all'}
+          onClick={() => onSelect('all')}
+        />
+      </ul>
+
+      {regularShelves.length > 0 && (
+        <div>
+          <h2 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">Shelves</h2>
+          <ul className="space-y-1">
+            {regularShelves.map(shelf => (
+              <ShelfLink
+                key={shelf._id}
+                label={shelf.name}
+                icon={shelf.icon}
+                count={shelf.bookCount}
+                selected={selectedShelf === shelf._id}
+                onClick={() => onSelect(shelf._id)}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <h2 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">Smart shelves</h2>
+        <ul className="space-y-1">
+          {smartShelves.map(shelf => (
+            <ShelfLink
+              key={shelf._id}
+              label={shelf.name}
+              icon={shelf.icon || '✨'}
+              count={shelf.bookCount}
+              selected={selectedShelf === shelf._id}
+              onClick={() => onSelect(shelf._id)}
+              title={describeShelfCriteria(shelf.criteria)}
+            />
+          ))}
+        </ul>
+        {onNewSmartShelf && (
+          <button
+            type="button"
+            onClick={onNewSmartShelf}
+            className="mt-1 px-3 py-2 text-sm text-blue-600 hover:text-blue-800"
+          >
+            + New smart shelf
+          </button>
+        )}
+      </div>
+    </nav>
+  );
+};
+
+export default ShelfSidebar;
@@ -0,0 +1,2 @@
+export { default as ShelfManagerModal } from './ShelfManagerModal';
+export { default as ShelfSidebar } from './ShelfSidebar';
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Card, Input } from '../common';
+import { tagService } from '../../services/tagService';
+import { useScreenReader } from '../../hooks/useAccessibility';
+
+const booksLabel = (count) => `${count} book${count !== 1 ? 's' : ''}`;
+
+// Library-wide tag list with rename, merge and delete
+const TagManager = () => {
+  const [tags, setTags] = useState([]);
+  const [similar, setSimilar] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState('');
+  const [editingName, setEditingName] = useState(null);
+  const [renameTo, setRenameTo] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [mergeInto, setMergeInto] = useState('');
+  const { announcePolite } = useScreenReader();
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const fetchTags = async () => {
+    try {
+      setLoading(true);
+      const response = await tagService.getTags();
+      setTags(response.data.tags);
+      setSimilar(response.data.similar);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      setWorking(true);
+      setError('');
+      const response = await action();
+      announcePolite(response.message);
+      await fetchTags();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const startRenaming = (tag) => {
+    setEditingName(tag.name);
+    setRenameTo(tag.name);
+    setError('');
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!renameTo.trim()) {
+      setError('Tag name is required');
+      return;
+    }
+    if (await runAction(() => tagService.renameTag(editingName, renameTo.trim()))) {
+      setEditingName(null);
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Remove "${tag.name}" from ${booksLabel(tag.count)}?`)) {
+      return;
+    }
+    await runAction(() => tagService.deleteTag(tag.name));
+    setSelected(prev => prev.filter(name => name !== tag.name));
+  };
+
+  const toggleSelected = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+    if (!mergeInto) setMergeInto(name);
+  };
+
+  const handleMergeSelected = async (e) => {
+    e.preventDefault();
+    if (!mergeInto.trim()) {
+      setError('Enter the tag to merge into');
+      return;
+    }
+    if (await runAction(() => tagService.mergeTags(selected, mergeInto.trim()))) {
+      setSelected([]);
+      setMergeInto('');
+    }
+  };
+
+  const visibleTags = tags.filter(tag => tag.name.toLowerCase().includes(filter.trim().toLowerCase()));
+
+  if (loading && tags.length === 0) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Tags</h1>
+        <p className="text-gray-600">
+          {tags.length} tag{tags.length !== 1 ? 's' : ''} across your library. Changes apply to every book with the tag.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {similar.length > 0 && (
+        <Card>
+          <Card.Header>
+            <h3 className="text-lg font-medium text-gray-900">Possible Duplicates</h3>
+          </Card.Header>
+          <ul className="divide-y divide-gray-200">
+            {similar.map(group => (
+              <li key={group.tags.join('|')} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div className="flex flex-wrap gap-2">
+                  {group.tags.map(name => (
+                    <span key={name} className="px-2 py-1 text-sm bg-yellow-100 text-yellow-800 rounded">
+                      {name}
+                    </span>
+                  ))}
+                </div>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  disabled={working}
+                  onClick={() => runAction(() => tagService.mergeTags(group.tags, group.suggestedName))}
+                >
+                  Merge into "{group.suggestedName}"
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <Card>
+        <div className="space-y-4">
+          <Input
+            placeholder="Filter tags..."
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            aria-label="Filter tags"
+          />
+
+          {selected.length > 1 && (
+            <form onSubmit={handleMergeSelected} className="flex flex-col sm:flex-row sm:items-end gap-3 p-3 bg-blue-50 rounded-md">
+              <div className="flex-1">
+                <Input
+                  label={`Merge ${selected.length} selected tags into`}
+                  value={mergeInto}
+                  onChange={(e) => setMergeInto(e.target.value)}
+                  maxLength={30}
+                />
+              </div>
+              <div className="flex space-x-2">
+                <Button type="button" variant="ghost" size="sm" onClick={() => setSelected([])}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="primary" size="sm" loading={working}>
+                  Merge Tags
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {visibleTags.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <div className="text-4xl mb-2">🏷️</div>
+              <p>{tags.length === 0 ? 'No tags yet. Add tags to your books to organise them.' : 'No tags match your filter'}</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {visibleTags.map(tag => (
+                <li key={tag.name} className="py-3 flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(tag.name)}
+                    onChange={() => toggleSelected(tag.name)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    aria-label={`Select "${tag.name}" for merging`}
+                  />
+
+                  {editingName === tag.name ? (
+                    <form onSubmit={handleRename} className="flex flex-1 items-center gap-2">
+                      <div className="flex-1">
+                        <Input
+                          value={renameTo}
+                          onChange={(e) => setRenameTo(e.target.value)}
+                          maxLength={30}
+                          aria-label={`New name for "${tag.name}"`}
+                          autoFocus
+                        />
+                      </div>
+                      <Button type="button" variant="ghost" size="sm" onClick={() => setEditingName(null)}>
+                        Cancel
+                      </Button>
+                      <Button type="submit" variant="primary" size="sm" loading={working}>
+                        Save
+                      </Button>
+                    </form>
+                  ) : (
+                    <>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{tag.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {booksLabel(tag.count)}
+                          {tag.spellings.length > 1 &&
+                            ` · also written ${tag.spellings.slice(1).map(spelling => `"${spelling.name}"`).join(', ')}`}
+                        </p>
+                      </div>
+                      <Button variant="ghost" size="sm" onClick={() => startRenaming(tag)} disabled={working}>
+                        Rename
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(tag)} disabled={working}>
+                        Delete
+                      </Button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1 @@
+export { default as TagManager } from './TagManager';
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { MainLayout } from '../components/layout';
 import { statisticsService } from '../services/statisticsService';
-import { ReadingVelocityChart, GenreDistributionChart, ReadingHabitsChart } from '../components/charts';
+import { ReadingVelocityChart, GenreDistributionChart, ReadingHabitsChart, SpendingChart } from '../components/charts';
 import { StatCard } from '../components/dashboard';
 
 const Analytics = () => {
@@ -13,6 +13,8 @@ const Analytics = () => {
     error: null
   });
   const [timeframe, setTimeframe] = useState('year');
+  // Spending covers every purchase; its chart breaks it down by year itself
+  const [spending, setSpending] = useState({ report: null, loading: true });
 
   useEffect(() => {
     const fetchAnalytics = async () => {
@@ -41,6 +43,22 @@ const Analytics = () => {
     }
   }, [user, timeframe]);
 
+  useEffect(() => {
+    const fetchSpending = async () => {
+      try {
+        const response = await statisticsService.getSpendingReport();
+        setSpending({ report: response.data, loading: false });
+      } catch (error) {
+        console.error('Error fetching spending report:', error);
+        setSpending({ report: null, loading: false });
+      }
+    };
+
+    if (user) {
+      fetchSpending();
+    }
+  }, [user]);
+
   const { data, loading, error } = analyticsData;
 
   return (
@@ -125,6 +143,10 @@ const Analytics = () => {
             <GenreDistributionChart data={data} loading={loading} />
           </div>
 
+          <div className="mb-8">
+            <SpendingChart report={spending.report} loading={spending.loading} />
+          </div>
+
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
             <div className="lg:col-span-2">
               <ReadingHabitsChart data={data} loading={loading} />
@@ -198,6 +220,102 @@ const Analytics = () => {
               </div>
             </div>
           )}
+
+          {/* Reading Time */}
+          {data?.readingTime && data.readingTime.totalSessions > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Reading Time</h3>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">
+                    {Math.floor(data.readingTime.totalMinutes / 60)}h {data.readingTime.totalMinutes % 60}m
+                  </p>
+                  <p className="text-sm text-gray-500">Total Reading Time</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.readingTime.totalSessions}</p>
+                  <p className="text-sm text-gray-500">Sessions</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.readingTime.averageSessionMinutes} min</p>
+                  <p className="text-sm text-gray-500">Avg Session</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.readingTime.pagesPerHour}</p>
+                  <p className="text-sm text-gray-500">Pages/Hour</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Audiobooks */}
+          {data?.listeningStats && data.listeningStats.totalBooks > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Audiobooks</h3>
+
+              <div className="grid grid-cols-3 gap-6">
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">
+                    {Math.floor(data.listeningStats.totalMinutes / 60)}h {data.listeningStats.totalMinutes % 60}m
+                  </p>
+                  <p className="text-sm text-gray-500">Total Listening Time</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.listeningStats.totalBooks}</p>
+                  <p className="text-sm text-gray-500">Audiobooks Finished</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">
+                    {Math.floor(data.listeningStats.averageMinutes / 60)}h {data.listeningStats.averageMinutes % 60}m
+                  </p>
+                  <p className="text-sm text-gray-500">Average Length</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Did Not Finish */}
+          {data?.abandonment && data.abandonment.abandonedCount > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Did Not Finish</h3>
+
+              <div className="grid grid-cols-3 gap-6 mb-6">
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.abandonment.dnfRate}%</p>
+                  <p className="text-sm text-gray-500">DNF Rate</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">{data.abandonment.abandonedCount}</p>
+                  <p className="text-sm text-gray-500">Abandoned</p>
+                </div>
+                <div className="text-center">
+                  <p className="text-2xl font-bold text-gray-900">
+                    {data.abandonment.averageAbandonedAt !== null ? `${data.abandonment.averageAbandonedAt}%` : '—'}
+                  </p>
+                  <p className="text-sm text-gray-500">Avg. Point Abandoned</p>
+                </div>
+              </div>
+
+              <ul className="divide-y divide-gray-100">
+                {data.abandonment.books.slice(0, 10).map((book) => (
+                  <li key={book._id} className="py-2 text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">{book.title}</span>
+                      <span className="text-gray-500">
+                        {book.pageCount
+                          ? `page ${book.abandonedPage ?? 0} of ${book.pageCount}`
+                          : book.dateAbandoned && new Date(book.dateAbandoned).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {book.abandonmentReason && (
+                      <p className="text-gray-600">{book.abandonmentReason}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     </MainLayout>
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { MainLayout } from '../components/layout';
 import { Modal } from '../components/common';
 import BookList from '../components/books/BookList';
@@ -13,9 +14,27 @@ const Books = () => {
   const [editingBook, setEditingBook] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [scanOnOpen, setScanOnOpen] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Quick-add links from the app's home screen shortcuts: ?action=add opens the add form, and
+  // ?action=scan opens it with the barcode scanner running
+  useEffect(() => {
+    const action = searchParams.get('action');
+    if (action !== 'add' && action !== 'scan') return;
+
+    setEditingBook(null);
+    setScanOnOpen(action === 'scan');
+    setShowAddModal(true);
+    // Drop the action so closing the form or reloading the page does not open it again
+    const params = new URLSearchParams(searchParams);
+    params.delete('action');
+    setSearchParams(params, { replace: true });
+  }, [searchParams, setSearchParams]);
 
   const handleAddBook = () => {
     setEditingBook(null);
+    setScanOnOpen(false);
     setShowAddModal(true);
   };
 
@@ -35,16 +54,17 @@ const Books = () => {
     setRefreshKey(prev => prev + 1); // Refresh book list after import
   };
 
-  const handleSubmitBook = async (bookData) => {
+  const handleSubmitBook = async (bookData, coverFile) => {
     setIsSubmitting(true);
 
     try {
-      if (editingBook) {
-        // Update existing book
-        await bookService.updateBook(editingBook._id, bookData);
-      } else {
-        // Create new book
-        await bookService.createBook(bookData);
+      const response = editingBook
+        ? await bookService.updateBook(editingBook._id, bookData)
+        : await bookService.createBook(bookData);
+
+      // A picked cover photo can only be uploaded once the book exists
+      if (coverFile) {
+        await bookService.uploadCover(response.data.book._id, coverFile);
       }
 
       // Close modal and refresh book list
@@ -79,6 +99,7 @@ const Books = () => {
           onSubmit={handleSubmitBook}
           onCancel={handleCloseModals}
           isLoading={isSubmitting}
+          startScanning={scanOnOpen}
         />
       </Modal>
 
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { MainLayout } from '../components/layout';
-import { StatCard, ReadingProgress, RecentActivity, QuickActions } from '../components/dashboard';
+import { StatCard, ReadingProgress, RecentActivity, QuickActions, OverdueLoans } from '../components/dashboard';
 import { statisticsService } from '../services/statisticsService';
 import { bookService } from '../services/bookService';
 import { useResponsive } from '../hooks/useResponsive';
@@ -19,6 +19,7 @@ const Dashboard = () => {
     stats: null,
     goalProgress: null,
     recentBooks: null,
+    overdueLoans: null,
     loading: true,
     error: null
   });
@@ -30,20 +31,23 @@ const Dashboard = () => {
         setDashboardData(prev => ({ ...prev, loading: true, error: null }));
 
         // Fetch all dashboard data in parallel
-        const [statsResponse, goalResponse, booksResponse] = await Promise.allSettled([
+        const [statsResponse, goalResponse, booksResponse, loansResponse] = await Promise.allSettled([
           statisticsService.getReadingStats(),
           statisticsService.getUserGoalProgress(),
-          bookService.getBooks({ limit: 5, sortBy: 'updatedAt', sortOrder: 'desc' })
+          bookService.getBooks({ limit: 5, sortBy: 'updatedAt', sortOrder: 'desc' }),
+          bookService.getLoans({ overdue: true })
         ]);
 
         const stats = statsResponse.status === 'fulfilled' ? statsResponse.value.data : null;
         const goalProgress = goalResponse.status === 'fulfilled' ? goalResponse.value.data : null;
         const recentBooks = booksResponse.status === 'fulfilled' ? booksResponse.value.data?.books : null;
+        const overdueLoans = loansResponse.status === 'fulfilled' ? loansResponse.value.data?.loans : null;
 
         setDashboardData({
           stats,
           goalProgress,
           recentBooks,
+          overdueLoans,
           loading: false,
           error: null
         });
@@ -151,6 +155,17 @@ const Dashboard = () => {
           </div>
         </ResponsiveGrid>
 
+        {/* Overdue Loans - only shown when a lent book is late coming back */}
+        {(dashboardData.loading || dashboardData.overdueLoans?.length > 0) && (
+          <div className="mb-6">
+            <OverdueLoans
+              loans={dashboardData.overdueLoans}
+              loading={dashboardData.loading}
+              onOpenBook={(bookId) => navigate(`/books/${bookId}`)}
+            />
+          </div>
+        )}
+
         {/* Quick Actions */}
         <QuickActions
           onAddBook={() => navigate('/books')}
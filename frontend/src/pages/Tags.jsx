@@ -0,0 +1,11 @@
+import React from 'react';
+import { MainLayout } from '../components/layout';
+import { TagManager } from '../components/tags';
+
+const Tags = () => (
+  <MainLayout>
+    <TagManager />
+  </MainLayout>
+);
+
+export default Tags;
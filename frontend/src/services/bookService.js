@@ -26,9 +26,13 @@ const CACHE_CONFIG = {
   search: { ttl: 2 * 60 * 1000, maxSize: 30 } // 2 minutes, 30 items
 };
 
+// Request config telling the API where a change came from, for the book's revision history
+const sourceHeaders = (source) => (source ? { headers: { 'X-Change-Source': source } } : undefined);
+
 // Book service functions
 export const bookService = {
-  // Get all books with optional filters and pagination
+  // Get all books with optional filters and pagination. Pass `cursor` ('' for the first page, then
+  // each response's `nextCursor`) for cursor pagination instead of page numbers.
   getBooks: async (params = {}) => {
     const cacheKey = `books_${JSON.stringify(params)}`;
 
@@ -66,10 +70,10 @@ export const bookService = {
     );
   },
 
-  // Create a new book
-  createBook: async (bookData) => {
+  // Create a new book; `source` tags the change in the book's history (web, import, offline_sync)
+  createBook: async (bookData, options = {}) => {
     try {
-      const response = await api.post('/books', bookData);
+      const response = await api.post('/books', bookData, sourceHeaders(options.source));
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to create book');
@@ -77,29 +81,41 @@ export const bookService = {
   },
 
   // Update an existing book
-  updateBook: async (id, bookData) => {
+  updateBook: async (id, bookData, options = {}) => {
     try {
-      const response = await api.put(`/books/${id}`, bookData);
+      const response = await api.put(`/books/${id}`, bookData, sourceHeaders(options.source));
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to update book');
     }
   },
 
-  // Update book status
-  updateBookStatus: async (id, status) => {
+  // Update book status; abandoned books can carry abandonedPage, abandonmentReason and dateAbandoned
+  updateBookStatus: async (id, status, details = {}) => {
     try {
-      const response = await api.patch(`/books/${id}/status`, { status });
+      const response = await api.patch(`/books/${id}/status`, { status, ...details });
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to update book status');
     }
   },
 
-  // Delete a book
+  // Start reading a completed book again
+  startReread: async (id) => {
+    try {
+      const response = await api.post(`/books/${id}/reread`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to start re-read');
+    }
+  },
+
+  // Move a book to the trash
   deleteBook: async (id) => {
     try {
       const response = await api.delete(`/books/${id}`);
+      clearCache('books');
+      clearCache('book');
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Failed to delete book');
@@ -118,12 +134,36 @@ export const bookService = {
     }
   },
 
-  // Advanced search books
-  advancedSearchBooks: async (searchCriteria, page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc') => {
+  // Autocomplete titles, authors, tags and genres; `types` limits which kinds are suggested
+  getSuggestions: async (query, { types, limit } = {}) => {
+    try {
+      const response = await api.get('/books/suggest', {
+        params: { q: query, ...(types && { types: types.join(',') }), ...(limit && { limit }) }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch suggestions');
+    }
+  },
+
+  // Look up a book's details by ISBN, or by title and optional author, to fill in the book form
+  lookupMetadata: async ({ isbn, title, author, limit } = {}) => {
+    try {
+      const response = await api.get('/books/lookup', {
+        params: isbn ? { isbn } : { title, ...(author && { author }), ...(limit && { limit }) }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to look up book details');
+    }
+  },
+
+  // Advanced search books; a `cursor` switches to cursor pagination like getBooks
+  advancedSearchBooks: async (searchCriteria, page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc', cursor) => {
     try {
       const response = await api.post('/books/search/advanced', {
         ...searchCriteria,
-        page,
+        ...(cursor !== undefined ? { cursor } : { page }),
         limit,
         sortBy,
         sortOrder
@@ -143,6 +183,240 @@ export const bookService = {
       throw new Error(error.response?.data?.message || 'Failed to fetch genres');
     }
   },
+
+  // Get the next unread book in a book's series
+  getNextInSeries: async (id) => {
+    try {
+      const response = await api.get(`/books/${id}/next-in-series`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch next book in series');
+    }
+  },
+
+  // Get page-progress history for a book
+  getBookProgress: async (id) => {
+    try {
+      const response = await api.get(`/books/${id}/progress`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch progress history');
+    }
+  },
+
+  // Get reading sessions for a book
+  getBookSessions: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/books/${id}/sessions`, { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch reading sessions');
+    }
+  },
+
+  // Record a reading session for a book
+  createBookSession: async (id, sessionData) => {
+    try {
+      const response = await api.post(`/books/${id}/sessions`, sessionData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to save reading session');
+    }
+  },
+
+  // Delete a reading session
+  deleteBookSession: async (id, sessionId) => {
+    try {
+      const response = await api.delete(`/books/${id}/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete reading session');
+    }
+  },
+
+  // Apply one operation to many books, chosen by bookIds or an advanced search filter
+  bulkUpdateBooks: async (payload) => {
+    try {
+      const response = await api.post('/books/bulk', payload);
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update books');
+    }
+  },
+
+  // Get the revision history of a book, newest first
+  getBookHistory: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/books/${id}/history`, { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch book history');
+    }
+  },
+
+  // Restore a book to how it was right after the given revision
+  revertBookRevision: async (id, revisionId) => {
+    try {
+      const response = await api.post(`/books/${id}/history/${revisionId}/revert`);
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to revert book');
+    }
+  },
+
+  // Get books in the trash
+  getTrash: async (params = {}) => {
+    try {
+      const response = await api.get('/books/trash', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch trash');
+    }
+  },
+
+  // Restore a book from the trash
+  restoreBook: async (id) => {
+    try {
+      const response = await api.post(`/books/trash/${id}/restore`);
+      clearCache('books');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to restore book');
+    }
+  },
+
+  // Permanently delete a book from the trash
+  purgeBook: async (id) => {
+    try {
+      const response = await api.delete(`/books/trash/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete book permanently');
+    }
+  },
+
+  // Permanently delete every book in the trash
+  emptyTrash: async () => {
+    try {
+      const response = await api.delete('/books/trash');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to empty trash');
+    }
+  },
+
+  // Get clusters of likely duplicate books
+  getDuplicates: async () => {
+    try {
+      const response = await api.get('/books/duplicates');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to find duplicates');
+    }
+  },
+
+  // Merge duplicate books into the surviving book
+  mergeDuplicates: async (survivorId, duplicateIds) => {
+    try {
+      const response = await api.post('/books/duplicates/merge', { survivorId, duplicateIds });
+      // Merged-away books must not linger in cached lists
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to merge books');
+    }
+  },
+
+  // Mark a cluster of books as not duplicates
+  dismissDuplicates: async (bookIds) => {
+    try {
+      const response = await api.post('/books/duplicates/dismiss', { bookIds });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to dismiss duplicates');
+    }
+  },
+
+  // Get books that are lent out; `overdue` limits the list to books past their due date
+  getLoans: async ({ overdue = false } = {}) => {
+    try {
+      const response = await api.get('/books/loans', { params: overdue ? { overdue: true } : {} });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch loans');
+    }
+  },
+
+  // Get a book's lending history
+  getBookLoans: async (id) => {
+    try {
+      const response = await api.get(`/books/${id}/loans`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch lending history');
+    }
+  },
+
+  // Lend a book to someone ({ borrowerName, borrowerContact, dueDate, notes })
+  lendBook: async (id, loanData) => {
+    try {
+      const response = await api.post(`/books/${id}/loans`, loanData);
+      // Cached lists would still show the book at home
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to lend book');
+    }
+  },
+
+  // Mark a lent book as returned
+  returnBook: async (id, returnedAt) => {
+    try {
+      const response = await api.post(`/books/${id}/loans/return`, returnedAt ? { returnedAt } : {});
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to return book');
+    }
+  },
+
+  // Upload a photo as the book's cover; the API stores it in every cover size
+  uploadCover: async (id, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('cover', file);
+
+      const response = await api.post(`/books/${id}/cover`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload cover');
+    }
+  },
+
+  // Remove the book's cover image
+  removeCover: async (id) => {
+    try {
+      const response = await api.delete(`/books/${id}/cover`);
+      clearCache('books');
+      clearCache('book');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove cover');
+    }
+  },
 };
 
 // Enhanced offline-aware book service
@@ -347,7 +621,7 @@ export const offlineBookService = {
 
           switch (action.type) {
             case 'CREATE_BOOK':
-              response = await bookService.createBook(action.data);
+              response = await bookService.createBook(action.data, { source: 'offline_sync' });
               if (response.success) {
                 // Replace temp book with real book
                 await offlineStorage.deleteBook(action.tempId);
@@ -358,7 +632,7 @@ export const offlineBookService = {
               break;
 
             case 'UPDATE_BOOK':
-              response = await bookService.updateBook(action.bookId, action.data);
+              response = await bookService.updateBook(action.bookId, action.data, { source: 'offline_sync' });
               if (response.success) {
                 await offlineStorage.updateBook(action.bookId, response.data);
               }
@@ -0,0 +1,77 @@
+import axios from 'axios';
+import { clearCache } from '../utils/cacheManager';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Create axios instance with base configuration
+const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Renaming, moving or deleting a genre changes the genre path stored on its books
+const clearBookCaches = () => {
+  clearCache('books');
+  clearCache('book');
+};
+
+// Flatten a genre tree into display order, each node with its depth and full path
+export const flattenGenreTree = (nodes, parentPath = '') => nodes.flatMap((node) => {
+  const path = parentPath ? `${parentPath} / ${node.name}` : node.name;
+  return [{ ...node, path }, ...flattenGenreTree(node.children || [], path)];
+});
+
+// Genre service functions
+export const genreService = {
+  // Get the genre tree with book counts
+  getGenres: async () => {
+    try {
+      const response = await api.get('/genres');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch genres');
+    }
+  },
+
+  // Create a genre, optionally under a parent genre
+  createGenre: async (name, parent = null) => {
+    try {
+      const response = await api.post('/genres', { name, parent });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create genre');
+    }
+  },
+
+  // Rename a genre and/or move it under another parent (null for the top level)
+  updateGenre: async (id, updates) => {
+    try {
+      const response = await api.put(`/genres/${id}`, updates);
+      clearBookCaches();
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update genre');
+    }
+  },
+
+  // Delete a genre; its sub-genres and books move up to its parent
+  deleteGenre: async (id) => {
+    try {
+      const response = await api.delete(`/genres/${id}`);
+      clearBookCaches();
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete genre');
+    }
+  }
+};
+
+export default genreService;
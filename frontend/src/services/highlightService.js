@@ -0,0 +1,72 @@
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Create axios instance with base configuration
+const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Highlight service functions
+export const highlightService = {
+  // Get highlights for a book in page order
+  getBookHighlights: async (bookId, params = {}) => {
+    try {
+      const response = await api.get(`/books/${bookId}/highlights`, { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch highlights');
+    }
+  },
+
+  // Add a highlight to a book
+  createHighlight: async (bookId, highlightData) => {
+    try {
+      const response = await api.post(`/books/${bookId}/highlights`, highlightData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to save highlight');
+    }
+  },
+
+  // Update a highlight
+  updateHighlight: async (bookId, highlightId, highlightData) => {
+    try {
+      const response = await api.put(`/books/${bookId}/highlights/${highlightId}`, highlightData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update highlight');
+    }
+  },
+
+  // Delete a highlight
+  deleteHighlight: async (bookId, highlightId) => {
+    try {
+      const response = await api.delete(`/books/${bookId}/highlights/${highlightId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete highlight');
+    }
+  },
+
+  // Search highlights across all books
+  searchHighlights: async (params = {}) => {
+    try {
+      const response = await api.get('/highlights', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to search highlights');
+    }
+  }
+};
+
+export default highlightService;
@@ -33,10 +33,11 @@ api.interceptors.response.use(
 
 // Import/Export Service
 export const importExportService = {
-  // Export books to CSV
-  exportBooksCSV: async () => {
+  // Export books to CSV; a shelf id (regular or smart) limits the export to that shelf's books
+  exportBooksCSV: async (shelfId) => {
     try {
       const response = await api.get('/import-export/books/csv', {
+        params: shelfId ? { shelf: shelfId } : undefined,
         responseType: 'blob'
       });
       
@@ -68,10 +69,11 @@ export const importExportService = {
     }
   },
 
-  // Export books to JSON
-  exportBooksJSON: async () => {
+  // Export books to JSON; a shelf id (regular or smart) limits the export to that shelf's books
+  exportBooksJSON: async (shelfId) => {
     try {
       const response = await api.get('/import-export/books/json', {
+        params: shelfId ? { shelf: shelfId } : undefined,
         responseType: 'blob'
       });
       
@@ -251,7 +253,15 @@ export const importExportService = {
           dateCompleted: "2024-01-15",
           currentPage: 180,
           notes: "Classic American literature",
-          tags: ["classic", "american", "1920s"]
+          tags: ["classic", "american", "1920s"],
+          highlights: [
+            {
+              text: "So we beat on, boats against the current, borne back ceaselessly into the past.",
+              page: 180,
+              note: "Closing line",
+              color: "yellow"
+            }
+          ]
         }
       ]
     };
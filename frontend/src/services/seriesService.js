@@ -0,0 +1,42 @@
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Create axios instance with base configuration
+const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Series service functions
+export const seriesService = {
+  // Get all series with completion progress
+  getSeries: async () => {
+    try {
+      const response = await api.get('/series');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch series');
+    }
+  },
+
+  // Get a single series with its books in reading order
+  getSeriesByName: async (name) => {
+    try {
+      const response = await api.get(`/series/${encodeURIComponent(name)}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch series');
+    }
+  }
+};
+
+export default seriesService;
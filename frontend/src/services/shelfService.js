@@ -0,0 +1,123 @@
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Create axios instance with base configuration
+const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+const CRITERIA_STATUS_LABELS = {
+  want_to_read: 'Want to Read',
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  abandoned: 'Did Not Finish'
+};
+
+const describeRange = (label, { min, max } = {}) => {
+  if (min && max) return `${label} ${min}–${max}`;
+  return min ? `${label} ≥ ${min}` : `${label} ≤ ${max}`;
+};
+
+// Short readable summary of a smart shelf's criteria, e.g. "Completed · Rating ≥ 4 · Genre: Fantasy"
+export const describeShelfCriteria = (criteria = {}) => [
+  criteria.status && CRITERIA_STATUS_LABELS[criteria.status],
+  criteria.title && `Title: ${criteria.title}`,
+  criteria.author && `Author: ${criteria.author}`,
+  criteria.isbn && `ISBN: ${criteria.isbn}`,
+  criteria.genre && `Genre: ${criteria.genre}`,
+  criteria.series && `Series: ${criteria.series}`,
+  criteria.tags && `Tags: ${criteria.tags}`,
+  criteria.notes && `Notes: ${criteria.notes}`,
+  criteria.rating && describeRange('Rating', criteria.rating),
+  criteria.pageCount && describeRange('Pages', criteria.pageCount),
+  criteria.decade && `Published in the ${criteria.decade}s`,
+  criteria.dateRange && `Added ${[criteria.dateRange.start, criteria.dateRange.end].map(date => date || '…').join(' – ')}`,
+  criteria.hasRating && 'Rated',
+  criteria.hasNotes && 'Has notes'
+].filter(Boolean).join(' · ');
+
+// Shelf service functions
+export const shelfService = {
+  // Get all shelves with book counts
+  getShelves: async () => {
+    try {
+      const response = await api.get('/shelves');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch shelves');
+    }
+  },
+
+  // Get a single shelf with its books
+  getShelf: async (id) => {
+    try {
+      const response = await api.get(`/shelves/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch shelf');
+    }
+  },
+
+  // Create a new shelf; `criteria` (advanced search criteria) makes it a smart shelf
+  createShelf: async (shelfData) => {
+    try {
+      const response = await api.post('/shelves', shelfData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create shelf');
+    }
+  },
+
+  // Update an existing shelf
+  updateShelf: async (id, shelfData) => {
+    try {
+      const response = await api.put(`/shelves/${id}`, shelfData);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update shelf');
+    }
+  },
+
+  // Delete a shelf (its books stay in the library)
+  deleteShelf: async (id) => {
+    try {
+      const response = await api.delete(`/shelves/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete shelf');
+    }
+  },
+
+  // Add books to a shelf
+  addBooksToShelf: async (id, bookIds) => {
+    try {
+      const response = await api.post(`/shelves/${id}/books`, { bookIds });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to add books to shelf');
+    }
+  },
+
+  // Remove a book from a shelf
+  removeBookFromShelf: async (id, bookId) => {
+    try {
+      const response = await api.delete(`/shelves/${id}/books/${bookId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove book from shelf');
+    }
+  }
+};
+
+export default shelfService;
@@ -68,6 +68,19 @@ export const statisticsService = {
     }
   },
 
+  // Get spending by purchase year, store and genre (per currency), optionally for one year
+  getSpendingReport: async (year) => {
+    try {
+      const response = await api.get('/stats/spending', {
+        params: year ? { year } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching spending report:', error);
+      throw error;
+    }
+  },
+
   // Get monthly reading report
   getMonthlyReport: async (year, month) => {
     try {
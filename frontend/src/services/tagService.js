@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { clearCache } from '../utils/cacheManager';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Create axios instance with base configuration
+const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Tag changes touch many books, so cached book lists and details go stale
+const clearBookCaches = () => {
+  clearCache('books');
+  clearCache('book');
+};
+
+// Tag service functions
+export const tagService = {
+  // Get all tags with usage counts and groups of similar tags
+  getTags: async (params = {}) => {
+    try {
+      const response = await api.get('/tags', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch tags');
+    }
+  },
+
+  // Rename a tag on every book that has it
+  renameTag: async (name, newName) => {
+    try {
+      const response = await api.put(`/tags/${encodeURIComponent(name)}`, { name: newName });
+      clearBookCaches();
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to rename tag');
+    }
+  },
+
+  // Merge several tags into one
+  mergeTags: async (tags, into) => {
+    try {
+      const response = await api.post('/tags/merge', { tags, into });
+      clearBookCaches();
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to merge tags');
+    }
+  },
+
+  // Remove a tag from every book that has it
+  deleteTag: async (name) => {
+    try {
+      const response = await api.delete(`/tags/${encodeURIComponent(name)}`);
+      clearBookCaches();
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete tag');
+    }
+  }
+};
+
+export default tagService;
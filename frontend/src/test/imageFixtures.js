@@ -0,0 +1,68 @@
+import { readFileSync } from 'fs'
+import { inflateSync } from 'zlib'
+import path from 'path'
+
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures')
+
+// Channels per pixel for the PNG colour types: grey, RGB, grey + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft
+  const [toLeft, toUp, toUpLeft] = [left, up, upLeft].map(value => Math.abs(estimate - value))
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left
+  return toUp <= toUpLeft ? up : upLeft
+}
+
+// Read a PNG fixture as ImageData-like RGBA pixels, since jsdom has no canvas to draw images on.
+// Handles the 8-bit, non-interlaced PNGs the fixtures are saved as.
+export const loadImageFixture = (name) => {
+  const file = readFileSync(path.join(FIXTURES_DIR, name))
+  let width
+  let height
+  let channels
+  const compressed = []
+
+  for (let offset = 8; offset < file.length;) {
+    const length = file.readUInt32BE(offset)
+    const type = file.toString('ascii', offset + 4, offset + 8)
+    const chunk = file.subarray(offset + 8, offset + 8 + length)
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0)
+      height = chunk.readUInt32BE(4)
+      channels = CHANNELS[chunk[9]]
+      if (chunk[8] !== 8 || !channels || chunk[12] !== 0) {
+        throw new Error(`${name}: only 8-bit, non-interlaced, non-palette PNGs are supported`)
+      }
+    } else if (type === 'IDAT') {
+      compressed.push(chunk)
+    }
+    offset += length + 12
+  }
+
+  const raw = inflateSync(Buffer.concat(compressed))
+  const stride = width * channels
+  const pixels = new Uint8Array(height * stride)
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)]
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1))
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0
+      const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)]
+      pixels[y * stride + x] = (line[x] + predictors[filter]) & 0xff
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const source = pixels.subarray(pixel * channels, (pixel + 1) * channels)
+    const [red, green, blue] = channels >= 3 ? source : [source[0], source[0], source[0]]
+    data.set([red, green, blue, channels % 2 === 0 ? source[channels - 1] : 255], pixel * 4)
+  }
+
+  return { data, width, height }
+}
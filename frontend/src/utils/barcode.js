@@ -0,0 +1,228 @@
+// EAN-13 barcode reading for ISBNs, from camera frames or photos. The decoder works on ImageData
+// (RGBA pixels), so it runs anywhere: it reads the brightness along a number of lines across the
+// image, both ways round and both horizontally and vertically, and decodes the first line that holds
+// a whole barcode with a valid check digit.
+//
+// An EAN-13 barcode is 95 modules wide: a start guard (bar, space, bar), six digits of 7 modules
+// (two bars and two spaces each), a middle guard, six more digits and an end guard. The first digit
+// is not drawn; it is given by which of the left digits use the "G" (mirrored) patterns.
+
+// Widths of the four runs of each digit, in modules: space, bar, space, bar for "L" digits on the
+// left half, and bar, space, bar, space for "R" digits on the right half, which use the same widths
+const DIGIT_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_PATTERNS = DIGIT_PATTERNS.map(pattern => [...pattern].reverse());
+
+// Which left digits are "G" digits (1) for each first digit, left digit first
+const FIRST_DIGIT_PARITIES = [
+  '000000', '001011', '001101', '001110', '010011',
+  '011001', '011100', '010101', '010110', '011010'
+];
+
+// Runs from the start guard to the end guard: 3 + 6 × 4 + 5 + 6 × 4 + 3
+const BARCODE_RUNS = 59;
+const BARCODE_MODULES = 95;
+const MIDDLE_GUARD_RUN = 27;
+const RIGHT_DIGITS_RUN = 32;
+const END_GUARD_RUN = 56;
+
+// How far a digit's runs may be from its pattern, in modules: on average per run, and for any one run
+const MAX_AVERAGE_VARIANCE = 0.5;
+const MAX_RUN_VARIANCE = 0.9;
+
+// Lines scanned across the image in each direction
+const DEFAULT_SCAN_LINES = 24;
+
+// Largest side of the images decoded; larger photos are scaled down first, which is also faster
+export const MAX_DECODE_SIZE = 1280;
+
+export const isValidEan13 = (code) => {
+  if (!/^\d{13}$/.test(code)) return false;
+  const sum = code
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(code[12]);
+};
+
+// ISBN-13s are the EAN-13s of the "Bookland" prefixes 978 and 979
+export const isIsbnBarcode = (code) => /^97[89]/.test(code) && isValidEan13(code);
+
+// The digit whose pattern best fits four run widths, with how far off it is
+const matchDigit = (widths, patterns) => {
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  const scale = 7 / total;
+  let best = null;
+
+  patterns.forEach((pattern, digit) => {
+    const variances = pattern.map((modules, index) => Math.abs(widths[index] * scale - modules));
+    const average = variances.reduce((sum, variance) => sum + variance, 0) / variances.length;
+    if (Math.max(...variances) <= MAX_RUN_VARIANCE && average <= MAX_AVERAGE_VARIANCE && (!best || average < best.variance)) {
+      best = { digit, variance: average };
+    }
+  });
+  return best;
+};
+
+// Whether guard runs are about as wide as their one-module bars and spaces together. Their spaces
+// are not checked one by one since blur can close them up; the digits and check digit still have to fit.
+const isGuard = (widths, moduleWidth) => {
+  const total = widths.reduce((sum, width) => sum + width, 0) / moduleWidth;
+  return total > widths.length * 0.6 && total < widths.length * 1.4;
+};
+
+// Decode the barcode whose start guard begins at runs[start], or null
+const decodeAt = (runs, start) => {
+  const widths = runs.slice(start, start + BARCODE_RUNS);
+  const moduleWidth = widths.reduce((sum, width) => sum + width, 0) / BARCODE_MODULES;
+
+  if (
+    !isGuard(widths.slice(0, 3), moduleWidth) ||
+    !isGuard(widths.slice(MIDDLE_GUARD_RUN, MIDDLE_GUARD_RUN + 5), moduleWidth) ||
+    !isGuard(widths.slice(END_GUARD_RUN), moduleWidth)
+  ) {
+    return null;
+  }
+
+  let digits = '';
+  let parities = '';
+  for (let index = 0; index < 6; index++) {
+    const digitWidths = widths.slice(3 + index * 4, 7 + index * 4);
+    const l = matchDigit(digitWidths, DIGIT_PATTERNS);
+    const g = matchDigit(digitWidths, G_PATTERNS);
+    if (!l && !g) return null;
+
+    const useG = g && (!l || g.variance < l.variance);
+    digits += useG ? g.digit : l.digit;
+    parities += useG ? '1' : '0';
+  }
+  for (let index = 0; index < 6; index++) {
+    const r = matchDigit(widths.slice(RIGHT_DIGITS_RUN + index * 4, RIGHT_DIGITS_RUN + 4 + index * 4), DIGIT_PATTERNS);
+    if (!r) return null;
+    digits += r.digit;
+  }
+
+  const firstDigit = FIRST_DIGIT_PARITIES.indexOf(parities);
+  if (firstDigit === -1) return null;
+
+  const code = `${firstDigit}${digits}`;
+  return isValidEan13(code) ? code : null;
+};
+
+// Split a line of brightness values into runs of dark and light, thresholding each pixel against the
+// brightness around it so shadows and uneven light do not swallow bars. Edges are placed between
+// pixels where the brightness crosses the threshold, which keeps narrow, blurred bars in proportion.
+// Returns the run widths, the first being a dark run.
+const toRuns = (line, windowSize) => {
+  const prefix = new Float64Array(line.length + 1);
+  line.forEach((value, index) => {
+    prefix[index + 1] = prefix[index] + value;
+  });
+
+  const half = Math.max(8, Math.floor(windowSize / 2));
+  const runs = [];
+  let lastEdge = null;
+  let previous = 0;
+
+  for (let index = 0; index < line.length; index++) {
+    const from = Math.max(0, index - half);
+    const to = Math.min(line.length, index + half + 1);
+    // How far below the threshold the pixel is; positive is dark
+    const darkness = (prefix[to] - prefix[from]) / (to - from) * 0.95 - line[index];
+
+    if (index > 0 && (darkness > 0) !== (previous > 0)) {
+      const edge = index - 1 + previous / (previous - darkness);
+      if (lastEdge !== null) {
+        runs.push(edge - lastEdge);
+      }
+      // Runs start at the first dark pixel
+      if (lastEdge !== null || darkness > 0) {
+        lastEdge = edge;
+      }
+    }
+    previous = darkness;
+  }
+  return runs;
+};
+
+// Decode an EAN-13 from one line of brightness values, read left to right
+export const decodeLine = (line) => {
+  const runs = toRuns(line, line.length / 8);
+  // Bars are the even runs, and a barcode starts on a bar
+  for (let start = 0; start + BARCODE_RUNS <= runs.length; start += 2) {
+    const code = decodeAt(runs, start);
+    if (code) return code;
+  }
+  return null;
+};
+
+const toGrayscale = ({ data, width, height }) => {
+  const gray = new Float32Array(width * height);
+  for (let pixel = 0; pixel < gray.length; pixel++) {
+    gray[pixel] = data[pixel * 4] * 0.299 + data[pixel * 4 + 1] * 0.587 + data[pixel * 4 + 2] * 0.114;
+  }
+  return gray;
+};
+
+// Lines to scan, from the middle outwards since barcodes are usually aimed at the middle
+const scanOffsets = (size, count) => {
+  const offsets = [];
+  for (let index = 0; index < count; index++) {
+    const step = Math.ceil(index / 2) * (index % 2 === 0 ? 1 : -1);
+    const offset = Math.floor(size / 2 + step * size / (count + 1));
+    if (offset >= 0 && offset < size) offsets.push(offset);
+  }
+  return offsets;
+};
+
+// Decode an EAN-13 barcode from ImageData; the 13 digits, or null when none could be read
+export const decodeEan13 = (imageData, { scanLines = DEFAULT_SCAN_LINES } = {}) => {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+
+  const rows = scanOffsets(height, scanLines).map(y => () => gray.subarray(y * width, (y + 1) * width));
+  const columns = scanOffsets(width, scanLines).map(x => () => {
+    const column = new Float32Array(height);
+    for (let y = 0; y < height; y++) column[y] = gray[y * width + x];
+    return column;
+  });
+
+  for (const readLine of [...rows, ...columns]) {
+    const line = readLine();
+    const code = decodeLine(line) || decodeLine(Float32Array.from(line).reverse());
+    if (code) return code;
+  }
+  return null;
+};
+
+// Decode an ISBN barcode from ImageData; the ISBN-13, or null when there is no readable ISBN barcode
+export const decodeIsbn = (imageData, options) => {
+  const code = decodeEan13(imageData, options);
+  return code && isIsbnBarcode(code) ? code : null;
+};
+
+// The pixels of an image, video frame or bitmap, scaled down to at most MAX_DECODE_SIZE on its
+// longest side. A canvas can be passed in to reuse between video frames.
+export const getImageData = (source, canvas = document.createElement('canvas')) => {
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(sourceWidth, sourceHeight));
+
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Read the ISBN barcode in a photo file; null when there is none that can be read
+export const decodeIsbnFromFile = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return decodeIsbn(getImageData(bitmap));
+  } finally {
+    bitmap.close();
+  }
+};
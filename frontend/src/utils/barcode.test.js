@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { decodeEan13, decodeIsbn, isValidEan13, isIsbnBarcode } from './barcode'
+import { loadImageFixture } from '../test/imageFixtures'
+
+const fixture = (name) => loadImageFixture(`barcodes/${name}`)
+
+describe('barcode', () => {
+  describe('check digits', () => {
+    it('accepts EAN-13s with a valid check digit', () => {
+      expect(isValidEan13('9780141439518')).toBe(true)
+      expect(isValidEan13('4006381333931')).toBe(true)
+    })
+
+    it('rejects wrong check digits and anything but 13 digits', () => {
+      expect(isValidEan13('9780141439519')).toBe(false)
+      expect(isValidEan13('978014143951')).toBe(false)
+      expect(isValidEan13('978014143951X')).toBe(false)
+    })
+
+    it('only counts 978 and 979 codes as ISBNs', () => {
+      expect(isIsbnBarcode('9780141439518')).toBe(true)
+      expect(isIsbnBarcode('4006381333931')).toBe(false)
+    })
+  })
+
+  describe('decoding fixture images', () => {
+    it('reads a clean ISBN barcode', () => {
+      expect(decodeIsbn(fixture('isbn-9780141439518.png'))).toBe('9780141439518')
+    })
+
+    it('reads a blurred, noisy, tilted and unevenly lit photo', () => {
+      expect(decodeIsbn(fixture('isbn-9780142437247-photo.png'))).toBe('9780142437247')
+    })
+
+    it('reads barcodes upside down and sideways', () => {
+      expect(decodeIsbn(fixture('isbn-9780141439556-upside-down.png'))).toBe('9780141439556')
+      expect(decodeIsbn(fixture('isbn-9780140449136-sideways.png'))).toBe('9780140449136')
+    })
+
+    it('reads other EAN-13s but does not take them for ISBNs', () => {
+      const image = fixture('ean-4006381333931.png')
+      expect(decodeEan13(image)).toBe('4006381333931')
+      expect(decodeIsbn(image)).toBeNull()
+    })
+
+    it('returns null when there is no barcode', () => {
+      expect(decodeEan13(fixture('no-barcode.png'))).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,23 @@
+// Book covers are either external image URLs or photos uploaded to the API, which stores each upload
+// as small, medium and large thumbnails. Uploaded covers are saved on the book as "/covers/<bookId>/<token>".
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api/v1';
+
+// Thumbnail widths the API generates, for picking a size to fit a view
+export const COVER_SIZES = {
+  small: 120,
+  medium: 320,
+  large: 800
+};
+
+const UPLOADED_COVER_PATTERN = /^\/covers\/[a-f0-9]{24}\/[a-f0-9]{32}$/;
+
+export const isUploadedCover = (coverImage) => UPLOADED_COVER_PATTERN.test(coverImage || '');
+
+// The URL to load a cover from; uploaded covers come in the requested size, external ones as they are
+export const getCoverUrl = (coverImage, size = 'medium') => {
+  if (!isUploadedCover(coverImage)) return coverImage;
+  return `${API_BASE_URL}${coverImage}/${COVER_SIZES[size] ? size : 'medium'}`;
+};
+
+export const ACCEPTED_COVER_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
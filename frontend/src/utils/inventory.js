@@ -0,0 +1,36 @@
+// Inventory details of a book: how it is held, its condition and what it cost.
+
+export const OWNERSHIP_TYPES = [
+  { value: 'owned', label: 'Owned' },
+  { value: 'borrowed', label: 'Borrowed' },
+  { value: 'library', label: 'Library' },
+  { value: 'subscription', label: 'Subscription' }
+];
+
+export const BOOK_CONDITIONS = [
+  { value: 'new', label: 'New' },
+  { value: 'like_new', label: 'Like New' },
+  { value: 'very_good', label: 'Very Good' },
+  { value: 'good', label: 'Good' },
+  { value: 'fair', label: 'Fair' },
+  { value: 'poor', label: 'Poor' }
+];
+
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'INR'];
+
+export const getOwnershipLabel = (type) =>
+  OWNERSHIP_TYPES.find(option => option.value === type)?.label || 'Owned';
+
+export const getConditionLabel = (condition) =>
+  BOOK_CONDITIONS.find(option => option.value === condition)?.label || '';
+
+// e.g. "$24.99"; amounts without a currency are shown as plain numbers
+export const formatMoney = (amount, currency) => {
+  if (amount === undefined || amount === null) return '';
+  if (!currency) return amount.toFixed(2);
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
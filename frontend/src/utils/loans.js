@@ -0,0 +1,23 @@
+// Lending helpers for books lent to friends. Books carry their loans as a history; the open one
+// (not yet returned) is the current loan.
+
+// Formats with a physical copy that can be lent out
+export const LENDABLE_FORMATS = ['hardcover', 'paperback'];
+
+export const isLendable = (book = {}) => LENDABLE_FORMATS.includes(book.format || 'paperback');
+
+// The loan the book is out on, if any. Search results are plain objects without the
+// `currentLoan` virtual, so fall back to the history.
+export const getCurrentLoan = (book = {}) =>
+  book.currentLoan || (book.loans || []).find(loan => !loan.returnedAt) || null;
+
+export const isLoanOverdue = (loan) =>
+  Boolean(loan && !loan.returnedAt && loan.dueDate && new Date(loan.dueDate) < new Date());
+
+export const formatLoanDate = (date) => new Date(date).toLocaleDateString();
+
+// e.g. "Lent to Sam · due 4/1/2024"
+export const describeLoan = (loan) => [
+  `Lent to ${loan.borrowerName}`,
+  loan.dueDate && `due ${formatLoanDate(loan.dueDate)}`
+].filter(Boolean).join(' · ');
@@ -0,0 +1,67 @@
+// Reading progress units by book format.
+// Audiobooks track minutes, ebooks track pages, a percentage or locations, everything else tracks pages.
+
+export const BOOK_FORMATS = [
+  { value: 'paperback', label: 'Paperback' },
+  { value: 'hardcover', label: 'Hardcover' },
+  { value: 'ebook', label: 'Ebook' },
+  { value: 'audiobook', label: 'Audiobook' }
+];
+
+export const EBOOK_PROGRESS_UNITS = [
+  { value: 'page', label: 'Pages' },
+  { value: 'percent', label: 'Percent' },
+  { value: 'location', label: 'Locations' }
+];
+
+export const PROGRESS_UNITS = {
+  page: { current: 'currentPage', total: 'pageCount', label: 'Page', plural: 'pages' },
+  minute: { current: 'currentMinute', total: 'durationMinutes', label: 'Minute', plural: 'minutes' },
+  percent: { current: 'currentPercent', total: null, label: 'Percent', plural: '%' },
+  location: { current: 'currentLocation', total: 'locationCount', label: 'Location', plural: 'locations' }
+};
+
+export const getFormatLabel = (format) =>
+  BOOK_FORMATS.find(option => option.value === format)?.label || 'Paperback';
+
+export const getProgressUnit = (book = {}) => {
+  if (book.progressUnit) return book.progressUnit;
+  if (book.format === 'audiobook') return 'minute';
+  if (book.format === 'ebook') return book.ebookProgressUnit || 'page';
+  return 'page';
+};
+
+// Current position, total and percentage for a book in its own unit
+export const getProgress = (book = {}) => {
+  const unit = getProgressUnit(book);
+  const config = PROGRESS_UNITS[unit];
+  const position = book[config.current] || 0;
+  const total = config.total ? book[config.total] || null : 100;
+  const percentage = book.progressPercentage ?? (total ? Math.min(Math.round((position / total) * 100), 100) : 0);
+
+  return { unit, ...config, position, total, percentage };
+};
+
+// "42 pages", "1h 5m", "42%", "1200 locations"
+export const formatProgressAmount = (amount, unit) => {
+  const value = amount || 0;
+  if (unit === 'percent') return `${value}%`;
+  if (unit === 'minute') {
+    const hours = Math.floor(value / 60);
+    const minutes = value % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+  return `${value} ${PROGRESS_UNITS[unit]?.plural || 'pages'}`;
+};
+
+// "120 / 300 pages", "2h 30m / 10h 0m", "42%"
+export const formatProgressPosition = (book) => {
+  const { unit, position, total, plural } = getProgress(book);
+  if (unit === 'percent') return `${position}%`;
+  if (unit === 'minute') {
+    return total
+      ? `${formatProgressAmount(position, unit)} / ${formatProgressAmount(total, unit)}`
+      : formatProgressAmount(position, unit);
+  }
+  return total ? `${position} / ${total} ${plural}` : `${position} ${plural}`;
+};
@@ -0,0 +1,65 @@
+// Helpers for the book search syntax, e.g. `author:tolkien status:completed rating:>=4 tag:classic`.
+// The API does the real parsing; these only show and edit the filters in the search bar.
+
+export const SEARCH_SYNTAX_HELP = [
+  { example: 'author:tolkien', description: 'Part of the title, author or series (title:, author:, series:)' },
+  { example: 'tag:classic', description: 'Books with this tag' },
+  { example: 'genre:Fantasy', description: 'A genre, including its sub-genres' },
+  { example: 'status:completed', description: 'Also read, reading, dnf, want and unread' },
+  { example: 'rating:>=4', description: 'A rating or page count: 4, >=4, <300 or 3..5 (rating:, pages:)' },
+  { example: 'format:ebook', description: 'Hardcover, paperback, ebook or audiobook' },
+  { example: '"exact phrase" -word', description: 'Match a phrase, leave out a word' }
+];
+
+const SEARCH_FIELDS = ['title', 'author', 'series', 'genre', 'tag', 'tags', 'status', 'rating', 'format', 'pages', 'page', 'pagecount'];
+
+// Same tokens as the API: field:value or field:"quoted value"
+const FILTER_PATTERN = /([a-zA-Z]+):(?:"([^"]*)"|(\S+))/g;
+
+// The field filters recognised in a search query, in order
+export const getSearchFilters = (query) => [...query.matchAll(FILTER_PATTERN)]
+  .filter(match => SEARCH_FIELDS.includes(match[1].toLowerCase()))
+  .map(([token, field, quotedValue, plainValue]) => ({
+    token,
+    field: field.toLowerCase(),
+    value: quotedValue ?? plainValue
+  }));
+
+// Remove one filter token from a search query
+export const removeSearchFilter = (query, token) => query
+  .replace(token, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+// The free text of a search query, without its field filters; this is what suggestions complete
+export const getSearchText = (query) => getSearchFilters(query)
+  .reduce((text, { token }) => text.replace(token, ''), query)
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+// Replace the free text of a query with a filter for a picked suggestion ({ type, value }), keeping
+// the filters already there, e.g. "tolk status:read" and an author becomes
+// `status:read author:"J.R.R. Tolkien"`
+export const applySuggestion = (query, { type, value }) => {
+  const filters = getSearchFilters(query).map(({ token }) => token);
+  return [...filters, `${type}:"${value.replace(/"/g, '')}"`].join(' ');
+};
+
+// Split text into parts, marking those that match a search term, so matches can be emphasised.
+// Longer terms also match by their start, as the API does for word forms ("dragons", "dragon").
+export const splitBySearchTerms = (text, terms = []) => {
+  const patterns = terms
+    .filter(Boolean)
+    .map((term) => {
+      const escaped = (term.length > 5 ? term.slice(0, -2) : term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return term.length > 5 ? `${escaped}\\p{L}*` : escaped;
+    });
+  if (patterns.length === 0) return [{ text, match: false }];
+
+  const splitter = new RegExp(`(${patterns.join('|')})`, 'giu');
+  const matcher = new RegExp(`^(${patterns.join('|')})$`, 'iu');
+  return text
+    .split(splitter)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: matcher.test(part) }));
+};